@@ -0,0 +1,123 @@
+// Deterministic offline provider that returns canned JSON shaped by the request,
+// so generation routes can run without network access
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// One fixture question of each generated type, numbered `i`
+const buildQuestion = (type, i, numOptions, label) => {
+    const options = [];
+    for (let j = 0; j < numOptions; j++) {
+        options.push(`Fixture option ${i + 1}.${j + 1}`);
+    }
+    switch (type) {
+        case 'true_false':
+            return { question: `Fixture statement ${i + 1}${label} is true.`, type, options: ['True', 'False'], answer: i % 4 === 1 ? 'False' : 'True' };
+        case 'multi_select':
+            return { question: `Fixture question ${i + 1}${label}: select all that apply.`, type, options, answers: options.slice(0, 2) };
+        case 'fill_blank':
+            return { question: `Fixture sentence ${i + 1}${label} is missing ____ here.`, type, answer: `word ${i + 1}`, accepted_answers: [`term ${i + 1}`] };
+        case 'short_answer':
+            return {
+                question: `Explain fixture concept ${i + 1}${label}.`,
+                type,
+                answer: `Fixture concept ${i + 1} converts sunlight into energy stored as sugar.`,
+                rubric: ['converts sunlight', 'energy stored as sugar']
+            };
+        case 'ordering':
+            return { question: `Put fixture steps ${i + 1}${label} in order.`, type, items: ['Fixture step one', 'Fixture step two', 'Fixture step three'] };
+        default:
+            return { question: `Fixture question ${i + 1}${label}?`, type: 'multiple_choice', options, answer: options[i % numOptions] };
+    }
+};
+
+const buildQuiz = ({ qType = 'multiple_choice', typeCounts, types: typeList, numOptions = 4, numQuestions = 1, includeFlashcards = false, pages = [], section, avoid = [], minFlashcards = 0 }) => {
+    // Questions differ per chunk (section) and skip numbers already asked for, like a real model would
+    const label = section ? ` (part ${section})` : '';
+    const offset = avoid.length;
+    const types = typeList || (typeCounts
+        ? Object.entries(typeCounts).flatMap(([type, count]) => Array(count).fill(type))
+        : null);
+    const questions = [];
+    for (let n = 0; n < numQuestions; n++) {
+        const i = n + offset;
+        let type = types ? types[n] : qType;
+        if (type === 'mix') {
+            type = i % 2 === 0 ? 'multiple_choice' : 'true_false';
+        }
+        questions.push({
+            ...buildQuestion(type, i, numOptions, label),
+            explanation: `Fixture explanation ${i + 1}.`,
+            difficulty: DIFFICULTIES[i % DIFFICULTIES.length],
+            tags: [`topic ${(i % 2) + 1}`],
+            source_snippet: `Fixture source text ${i + 1}${label}.`
+        });
+        if (pages.length) {
+            questions[questions.length - 1].source_page = pages[n % pages.length];
+        }
+    }
+
+    const flashcards = [];
+    if (includeFlashcards) {
+        for (let i = 0; i < Math.max(numQuestions, minFlashcards, 1); i++) {
+            flashcards.push({ term: `Fixture term ${i + 1}${label}`, definition: `Fixture definition ${i + 1}${label}` });
+        }
+    }
+
+    return { questions, flashcards };
+};
+
+const buildMockTest = ({ topic = 'Fixture topic', difficulty = 'medium', numQuestions = 5 }) => {
+    const questions = [];
+    for (let i = 0; i < numQuestions; i++) {
+        const correct = LETTERS[i % 4];
+        questions.push({
+            question_number: i + 1,
+            question: `Fixture mock question ${i + 1} about ${topic}?`,
+            options: LETTERS.slice(0, 4).map(letter => `${letter}) Fixture option ${letter}`),
+            correct_answer: correct,
+            explanation: `Option ${correct} is correct for fixture question ${i + 1}.`
+        });
+    }
+
+    return {
+        mock_test: {
+            topic,
+            difficulty,
+            total_questions: numQuestions,
+            time_allowed: `${Math.ceil(numQuestions * 2)} minutes`,
+            questions
+        }
+    };
+};
+
+// Rough token estimate (4 characters per token) so usage metering has numbers to record
+const estimateTokens = (text) => Math.ceil(String(text).length / 4);
+
+const createFixtureProvider = () => ({
+    name: 'fixture',
+    generateText: async (prompt, request = {}) => {
+        let text;
+        switch (request.task) {
+            case 'quiz':
+                text = JSON.stringify(buildQuiz(request));
+                break;
+            case 'mock_test':
+                text = JSON.stringify(buildMockTest(request));
+                break;
+            default:
+                throw new Error(`Fixture provider has no fixture for task: ${request.task}`);
+        }
+        if (request.onUsage) {
+            const promptTokens = estimateTokens(prompt);
+            const completionTokens = estimateTokens(text);
+            request.onUsage({
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            });
+        }
+        return text;
+    }
+});
+
+module.exports = { createFixtureProvider };
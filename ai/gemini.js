@@ -0,0 +1,27 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini provider (default)
+const createGeminiProvider = (options = {}) => {
+    const apiKey = options.apiKey || process.env.GOOGLE_API_KEY;
+    const modelName = options.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({ model: modelName });
+
+    return {
+        name: 'gemini',
+        generateText: async (prompt, request = {}) => {
+            const result = await model.generateContent(prompt);
+            const usage = result.response.usageMetadata;
+            if (usage && request.onUsage) {
+                request.onUsage({
+                    prompt_tokens: usage.promptTokenCount || 0,
+                    completion_tokens: usage.candidatesTokenCount || 0,
+                    total_tokens: usage.totalTokenCount || 0
+                });
+            }
+            return result.response.text();
+        }
+    };
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,34 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+
+// A provider exposes `name` and `generateText(prompt, request)`, where `request`
+// describes the task ({ task: 'quiz' | 'mock_test', ...params }) for providers that need it
+// and may carry an `onUsage({ prompt_tokens, completion_tokens, total_tokens })` callback
+const providers = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    fixture: createFixtureProvider
+};
+
+let activeProvider = null;
+
+// Provider selected by AI_PROVIDER (gemini, openai or fixture), created once
+const getProvider = () => {
+    if (!activeProvider) {
+        const name = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+        const factory = providers[name];
+        if (!factory) {
+            throw new Error(`Unknown AI_PROVIDER: ${name}. Choose ${Object.keys(providers).join(', ')}.`);
+        }
+        activeProvider = factory();
+    }
+    return activeProvider;
+};
+
+// Swap the provider at runtime (used by tests and scripts)
+const setProvider = (provider) => {
+    activeProvider = provider;
+};
+
+module.exports = { getProvider, setProvider };
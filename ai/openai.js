@@ -0,0 +1,53 @@
+// OpenAI-compatible chat completions provider for self-hosted models (Ollama, vLLM, LM Studio, ...)
+const createOpenAIProvider = (options = {}) => {
+    const baseUrl = (options.baseUrl || process.env.AI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    const modelName = options.model || process.env.AI_MODEL;
+    const apiKey = options.apiKey || process.env.AI_API_KEY;
+    const timeoutMs = options.timeoutMs || parseInt(process.env.AI_TIMEOUT_MS) || 120000;
+
+    if (!modelName) {
+        throw new Error('AI_MODEL is required for the openai provider');
+    }
+
+    return {
+        name: 'openai',
+        generateText: async (prompt, request = {}) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: modelName,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0.7
+                }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                const body = await response.text();
+                throw new Error(`AI provider request failed with status ${response.status}: ${body}`);
+            }
+
+            const data = await response.json();
+            if (data.usage && request.onUsage) {
+                request.onUsage({
+                    prompt_tokens: data.usage.prompt_tokens || 0,
+                    completion_tokens: data.usage.completion_tokens || 0,
+                    total_tokens: data.usage.total_tokens || 0
+                });
+            }
+            const choice = data.choices && data.choices[0];
+            if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                throw new Error('AI provider returned no message content');
+            }
+            return choice.message.content;
+        }
+    };
+};
+
+module.exports = { createOpenAIProvider };
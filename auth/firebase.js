@@ -0,0 +1,30 @@
+const { initializeApp, getApps, cert, applicationDefault } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { httpError } = require('../errors');
+
+// Verifies Firebase ID tokens with firebase-admin. Credentials come from
+// FIREBASE_SERVICE_ACCOUNT (JSON) or the default Google application credentials.
+const createFirebaseVerifier = () => {
+    if (!getApps().length) {
+        initializeApp({
+            credential: process.env.FIREBASE_SERVICE_ACCOUNT
+                ? cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT))
+                : applicationDefault(),
+            projectId: process.env.FIREBASE_PROJECT_ID
+        });
+    }
+
+    return {
+        name: 'firebase',
+        verify: async (token) => {
+            try {
+                const decoded = await getAuth().verifyIdToken(token);
+                return { uid: decoded.uid, email: decoded.email || null };
+            } catch (error) {
+                throw httpError(401, 'Invalid or expired token');
+            }
+        }
+    };
+};
+
+module.exports = { createFirebaseVerifier };
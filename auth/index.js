@@ -0,0 +1,76 @@
+// Token verifiers selectable through AUTH_PROVIDER
+const verifiers = {
+    firebase: () => require('./firebase').createFirebaseVerifier(),
+    local: () => require('./local').createLocalVerifier()
+};
+
+let activeVerifier = null;
+
+// Verifier selected by AUTH_PROVIDER (firebase or local), created once
+const getVerifier = () => {
+    if (!activeVerifier) {
+        const name = (process.env.AUTH_PROVIDER || 'firebase').toLowerCase();
+        const factory = verifiers[name];
+        if (!factory) {
+            throw new Error(`Unknown AUTH_PROVIDER: ${name}. Choose ${Object.keys(verifiers).join(', ')}.`);
+        }
+        activeVerifier = factory();
+    }
+    return activeVerifier;
+};
+
+// Swap the verifier at runtime (used by tests and scripts)
+const setVerifier = (verifier) => {
+    activeVerifier = verifier;
+};
+
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : null;
+};
+
+// Require a valid bearer token and expose the caller as req.user ({ uid, email })
+const requireAuth = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    try {
+        req.user = await getVerifier().verify(token);
+        next();
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error verifying token:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Identify the caller when a bearer token is sent, without requiring one
+const optionalAuth = async (req, res, next) => {
+    if (!getBearerToken(req)) {
+        req.user = null;
+        return next();
+    }
+    requireAuth(req, res, next);
+};
+
+// Accept the token as ?access_token= on routes used by EventSource, which cannot send headers
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// Only allow the authenticated user to access routes scoped to their own id
+const requireSelf = (param = 'userId') => (req, res, next) => {
+    if (req.params[param] !== req.user.uid) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+};
+
+module.exports = { getVerifier, setVerifier, requireAuth, optionalAuth, tokenFromQuery, requireSelf };
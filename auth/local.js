@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { httpError } = require('../errors');
+
+// HS256 JWTs signed with AUTH_JWT_SECRET for offline setups without Firebase
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const getSecret = () => {
+    const secret = process.env.AUTH_JWT_SECRET;
+    if (!secret) {
+        throw new Error('AUTH_JWT_SECRET is required for the local auth provider');
+    }
+    return secret;
+};
+
+const sign = (input, secret) => crypto.createHmac('sha256', secret).update(input).digest('base64url');
+
+// Issue a token for a user id
+const signToken = (userId, { expiresInSeconds = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60, email } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: String(userId),
+        email: email || undefined,
+        iat: now,
+        exp: now + expiresInSeconds
+    }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`, getSecret())}`;
+};
+
+const createLocalVerifier = () => {
+    const secret = getSecret();
+
+    return {
+        name: 'local',
+        verify: async (token) => {
+            const parts = token.split('.');
+            if (parts.length !== 3) {
+                throw httpError(401, 'Invalid or expired token');
+            }
+
+            const [header, payload, signature] = parts;
+            const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                throw httpError(401, 'Invalid or expired token');
+            }
+
+            let claims;
+            try {
+                const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+                claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+                if (alg !== 'HS256') {
+                    throw new Error('Unexpected algorithm');
+                }
+            } catch (error) {
+                throw httpError(401, 'Invalid or expired token');
+            }
+
+            if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) {
+                throw httpError(401, 'Invalid or expired token');
+            }
+            return { uid: claims.sub, email: claims.email || null };
+        }
+    };
+};
+
+// Print a token for offline development: node auth/local.js <userId>
+if (require.main === module) {
+    require('dotenv').config();
+    const userId = process.argv[2];
+    if (!userId) {
+        console.error('Usage: node auth/local.js <userId>');
+        process.exit(1);
+    }
+    console.log(signToken(userId));
+}
+
+module.exports = { signToken, createLocalVerifier };
@@ -0,0 +1,46 @@
+// Payment providers selectable through BILLING_PROVIDER. A provider exposes
+// `createCheckoutSession({ checkoutId, userId, plan, successUrl, cancelUrl })` and
+// `parseWebhook(rawBody, headers)`, which verifies the signature and returns a
+// normalized event ({ id, type, data }) or null when the signature is invalid.
+const providers = {
+    stub: () => require('./stub').createStubProvider(),
+    stripe: () => require('./stripe').createStripeProvider()
+};
+
+let activeProvider = null;
+
+// Provider selected by BILLING_PROVIDER (stub or stripe), created once. There is no default, so a
+// deployment cannot end up on the stub (where checkouts are "paid" by calling an API) by accident.
+const getBillingProvider = () => {
+    if (!activeProvider) {
+        if (!process.env.BILLING_PROVIDER) {
+            throw new Error(`BILLING_PROVIDER is required. Choose ${Object.keys(providers).join(', ')}.`);
+        }
+        const name = process.env.BILLING_PROVIDER.toLowerCase();
+        const factory = providers[name];
+        if (!factory) {
+            throw new Error(`Unknown BILLING_PROVIDER: ${name}. Choose ${Object.keys(providers).join(', ')}.`);
+        }
+        activeProvider = factory();
+    }
+    return activeProvider;
+};
+
+// The stub's routes that pay for checkouts and send subscription events are only mounted when
+// BILLING_STUB_ROUTES=true, for development and tests, and never when NODE_ENV=production
+const areStubRoutesEnabled = () => {
+    if (process.env.BILLING_STUB_ROUTES !== 'true') {
+        return false;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('BILLING_STUB_ROUTES cannot be enabled when NODE_ENV=production');
+    }
+    return true;
+};
+
+// Swap the provider at runtime (used by tests and scripts)
+const setBillingProvider = (provider) => {
+    activeProvider = provider;
+};
+
+module.exports = { getBillingProvider, setBillingProvider, areStubRoutesEnabled };
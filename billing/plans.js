@@ -0,0 +1,47 @@
+const fs = require('fs');
+
+// Default catalog. Prices are in minor units (cents), `generation_quota` is per billing
+// period (null for unlimited) and `stripe_price_id` links the plan to a Stripe price.
+const DEFAULT_PLANS = [
+    { id: 'monthly', name: 'Monthly', price: 499, currency: 'usd', duration_months: 1, generation_quota: 100, trial_days: 7, stripe_price_id: null },
+    { id: 'quarterly', name: 'Quarterly', price: 1299, currency: 'usd', duration_months: 3, generation_quota: 350, trial_days: 0, stripe_price_id: null },
+    { id: 'yearly', name: 'Yearly', price: 4499, currency: 'usd', duration_months: 12, generation_quota: null, trial_days: 0, stripe_price_id: null }
+];
+
+let plans = null;
+
+// Catalog from BILLING_PLANS (JSON) or BILLING_PLANS_FILE, falling back to the defaults
+const getPlans = () => {
+    if (!plans) {
+        let configured = DEFAULT_PLANS;
+        if (process.env.BILLING_PLANS) {
+            configured = JSON.parse(process.env.BILLING_PLANS);
+        } else if (process.env.BILLING_PLANS_FILE) {
+            configured = JSON.parse(fs.readFileSync(process.env.BILLING_PLANS_FILE, 'utf8'));
+        }
+        plans = configured.map(plan => ({
+            id: String(plan.id),
+            name: String(plan.name || plan.id),
+            price: Number(plan.price) || 0,
+            currency: String(plan.currency || 'usd'),
+            duration_months: Math.max(parseInt(plan.duration_months) || 1, 1),
+            generation_quota: plan.generation_quota === null || plan.generation_quota === undefined
+                ? null
+                : Number(plan.generation_quota),
+            trial_days: parseInt(plan.trial_days) || 0,
+            stripe_price_id: plan.stripe_price_id || null
+        }));
+    }
+    return plans;
+};
+
+const getPlan = (planId) => getPlans().find(plan => plan.id === String(planId)) || null;
+
+// End of a billing period that starts at `from`
+const addPlanPeriod = (plan, from) => {
+    const end = new Date(from);
+    end.setMonth(end.getMonth() + plan.duration_months);
+    return end;
+};
+
+module.exports = { getPlans, getPlan, addPlanPeriod };
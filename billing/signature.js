@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Webhook signatures use the "t=<unix seconds>,v1=<hex hmac>" format, where the HMAC-SHA256
+// covers "<timestamp>.<raw body>". Stripe uses the same scheme.
+const computeSignature = (secret, timestamp, rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+const signPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => (
+    `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`
+);
+
+// Check a signature header against the raw request body, rejecting stale timestamps
+const verifySignature = (secret, rawBody, header, toleranceSeconds = 300) => {
+    if (!secret || !header || rawBody === undefined) {
+        return false;
+    }
+    const parts = String(header).split(',').reduce((result, part) => {
+        const [key, value] = part.split('=');
+        if (key && value) {
+            (result[key.trim()] = result[key.trim()] || []).push(value.trim());
+        }
+        return result;
+    }, {});
+
+    const timestamp = parseInt(parts.t && parts.t[0]);
+    if (!timestamp || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, rawBody));
+    return (parts.v1 || []).some(signature => {
+        const actual = Buffer.from(signature);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+};
+
+module.exports = { signPayload, verifySignature };
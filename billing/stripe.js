@@ -0,0 +1,124 @@
+const { verifySignature } = require('./signature');
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// Flatten nested params into Stripe's form encoding (metadata[user_id]=...)
+const toForm = (params, prefix, form = new URLSearchParams()) => {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') {
+            toForm(value, name, form);
+        } else {
+            form.append(name, String(value));
+        }
+    }
+    return form;
+};
+
+// Stripe Checkout provider. Plans need a `stripe_price_id` for a recurring price.
+const createStripeProvider = () => {
+    const apiKey = process.env.STRIPE_SECRET_KEY;
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!apiKey || !webhookSecret) {
+        throw new Error('STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET are required for the stripe billing provider');
+    }
+
+    const stripeRequest = async (method, resource, params) => {
+        const response = await fetch(`${STRIPE_API}/${resource}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${apiKey}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params ? toForm(params).toString() : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Stripe request failed: ${data.error ? data.error.message : response.status}`);
+        }
+        return data;
+    };
+
+    // Map Stripe events to the normalized billing events
+    const normalize = async (event) => {
+        const object = event.data.object;
+        const base = { id: event.id, created: new Date(event.created * 1000).toISOString() };
+
+        switch (event.type) {
+            case 'checkout.session.completed':
+                return {
+                    ...base,
+                    type: 'checkout.completed',
+                    data: {
+                        checkout_id: object.metadata && object.metadata.checkout_id,
+                        subscription_id: object.subscription
+                    }
+                };
+            case 'invoice.paid': {
+                // The $0 invoice that opens a trial pays for nothing, so it must not end the trial
+                if (!object.amount_paid) {
+                    return null;
+                }
+                const line = object.lines && object.lines.data && object.lines.data[0];
+                return {
+                    ...base,
+                    type: 'subscription.renewed',
+                    data: {
+                        subscription_id: object.subscription,
+                        period_end: line && line.period ? new Date(line.period.end * 1000).toISOString() : null
+                    }
+                };
+            }
+            case 'invoice.payment_failed':
+                return { ...base, type: 'subscription.payment_failed', data: { subscription_id: object.subscription } };
+            case 'customer.subscription.deleted':
+                return { ...base, type: 'subscription.cancelled', data: { subscription_id: object.id } };
+            case 'charge.refunded': {
+                if (!object.invoice) {
+                    return null;
+                }
+                const invoice = await stripeRequest('GET', `invoices/${object.invoice}`);
+                return { ...base, type: 'payment.refunded', data: { subscription_id: invoice.subscription } };
+            }
+            default:
+                return null;
+        }
+    };
+
+    return {
+        name: 'stripe',
+        signatureHeader: 'stripe-signature',
+        createCheckoutSession: async ({ checkoutId, userId, plan, successUrl, cancelUrl }) => {
+            if (!plan.stripe_price_id) {
+                throw new Error(`Plan ${plan.id} has no stripe_price_id`);
+            }
+            const session = await stripeRequest('POST', 'checkout/sessions', {
+                mode: 'subscription',
+                client_reference_id: checkoutId,
+                success_url: successUrl,
+                cancel_url: cancelUrl,
+                line_items: { 0: { price: plan.stripe_price_id, quantity: 1 } },
+                metadata: { checkout_id: checkoutId, user_id: userId, plan_id: plan.id },
+                subscription_data: {
+                    metadata: { checkout_id: checkoutId, user_id: userId, plan_id: plan.id },
+                    trial_period_days: plan.trial_days || undefined
+                }
+            });
+            return { providerCheckoutId: session.id, url: session.url };
+        },
+        // Returns the normalized event, null for a bad signature and { ignored: true } for unrelated events
+        parseWebhook: async (rawBody, headers) => {
+            if (!verifySignature(webhookSecret, rawBody, headers['stripe-signature'])) {
+                return null;
+            }
+            const event = JSON.parse(rawBody);
+            const normalized = await normalize(event);
+            return normalized || { id: event.id, type: event.type, ignored: true };
+        }
+    };
+};
+
+module.exports = { createStripeProvider };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { signPayload, verifySignature } = require('./signature');
+
+const getWebhookSecret = () => {
+    const secret = process.env.BILLING_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('BILLING_WEBHOOK_SECRET is required for the stub billing provider');
+    }
+    return secret;
+};
+
+// Local payment provider for development and tests. Checkouts are "paid" by calling the
+// stub routes, which make the provider POST signed events to our own webhook endpoint.
+const createStubProvider = () => {
+    const secret = getWebhookSecret();
+    const webhookUrl = process.env.BILLING_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`;
+
+    return {
+        name: 'stub',
+        signatureHeader: 'x-billing-signature',
+        createCheckoutSession: async ({ checkoutId }) => ({
+            providerCheckoutId: `cs_stub_${checkoutId}`,
+            url: `/api/billing/stub/checkout/${checkoutId}/complete`
+        }),
+        // Stub events are already in our normalized format
+        parseWebhook: async (rawBody, headers) => {
+            if (!verifySignature(secret, rawBody, headers['x-billing-signature'])) {
+                return null;
+            }
+            return JSON.parse(rawBody);
+        },
+        // Sign and deliver an event to the webhook endpoint, like a real provider would
+        emit: async (type, data) => {
+            const event = {
+                id: `evt_stub_${crypto.randomBytes(12).toString('hex')}`,
+                type,
+                created: new Date().toISOString(),
+                data
+            };
+            const body = JSON.stringify(event);
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Billing-Signature': signPayload(secret, body)
+                },
+                body
+            });
+            return { event, status: response.status, response: await response.json().catch(() => null) };
+        }
+    };
+};
+
+module.exports = { createStubProvider };
@@ -0,0 +1,146 @@
+// Splitting long sources into chunks for generation, spreading questions across them and
+// removing near-duplicate questions from the merged result
+
+// Characters of source text per generation request
+const CHUNK_MAX_CHARS = Math.max(parseInt(process.env.GENERATION_CHUNK_CHARS) || 12000, 1000);
+// Chunks generated at the same time
+const CHUNK_CONCURRENCY = Math.max(parseInt(process.env.GENERATION_CONCURRENCY) || 3, 1);
+// Word overlap (Jaccard) above which two questions count as the same question
+const DUPLICATE_SIMILARITY = 0.8;
+
+// One section per document page (or slide, or section), numbered from `firstPage`
+const pagesToSections = (pages, firstPage = 1, unit = 'page') => pages.map((text, i) => ({ page: firstPage + i, unit, text }));
+
+// Plain text is split on blank lines; paragraphs are regrouped into chunks later
+const textToSections = (text) => String(text)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({ page: null, text: paragraph }));
+
+const toLabel = (unit = 'page') => unit.charAt(0).toUpperCase() + unit.slice(1);
+
+// Cut a section that is longer than a chunk at line or word boundaries
+const splitLongSection = (section, maxChars) => {
+    const parts = [];
+    let rest = section.text;
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars);
+        let cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf(' '));
+        if (cut < maxChars / 2) {
+            cut = maxChars;
+        }
+        parts.push({ ...section, text: rest.slice(0, cut).trim() });
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) {
+        parts.push({ ...section, text: rest });
+    }
+    return parts;
+};
+
+// Group consecutive sections into chunks of at most `maxChars`. Numbered sections are marked in the
+// chunk text ("[Page 3]", "[Slide 3]") so the model can say which one a question came from.
+const buildChunks = (sections, maxChars = CHUNK_MAX_CHARS) => {
+    const pieces = sections
+        .filter(s => s.text && s.text.trim())
+        .flatMap(s => splitLongSection(s, maxChars));
+
+    const chunks = [];
+    let current = null;
+    for (const piece of pieces) {
+        const text = piece.page ? `[${toLabel(piece.unit)} ${piece.page}]\n${piece.text}` : piece.text;
+        if (current && current.text.length + text.length + 2 <= maxChars) {
+            current.text += `\n\n${text}`;
+        } else {
+            current = { section: chunks.length + 1, text, pages: [] };
+            chunks.push(current);
+        }
+        if (piece.page && !current.pages.includes(piece.page)) {
+            current.pages.push(piece.page);
+        }
+    }
+    return chunks;
+};
+
+// Spread `total` questions over chunks in proportion to their length (largest remainder)
+const allocateQuestions = (chunks, total) => {
+    const totalChars = chunks.reduce((sum, c) => sum + c.text.length, 0) || 1;
+    const shares = chunks.map(c => (c.text.length / totalChars) * total);
+    const counts = shares.map(Math.floor);
+    let remaining = total - counts.reduce((sum, n) => sum + n, 0);
+    const byRemainder = shares
+        .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+        .sort((a, b) => b.remainder - a.remainder);
+    for (const { index } of byRemainder) {
+        if (remaining <= 0) break;
+        counts[index] += 1;
+        remaining -= 1;
+    }
+    return counts;
+};
+
+// Run `fn` over items with at most `limit` calls in flight, keeping result order
+const mapWithLimit = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+const toWords = (text) => new Set(String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean));
+
+const toNumbers = (words) => [...words].filter(word => /^\d+$/.test(word)).sort().join(' ');
+
+// Questions asking about different numbers ("2 + 2" and "2 + 3") are never duplicates
+const isNearDuplicate = (a, b) => {
+    const left = toWords(a.question);
+    const right = toWords(b.question);
+    if (!left.size || !right.size || toNumbers(left) !== toNumbers(right)) {
+        return false;
+    }
+    let shared = 0;
+    left.forEach(word => { if (right.has(word)) shared++; });
+    return shared / (left.size + right.size - shared) >= DUPLICATE_SIMILARITY;
+};
+
+// Keep the first of every group of near-duplicate questions
+const dedupeQuestions = (questions, existing = []) => {
+    const kept = [];
+    for (const q of questions) {
+        if (![...existing, ...kept].some(other => isNearDuplicate(q, other))) {
+            kept.push(q);
+        }
+    }
+    return kept;
+};
+
+// Flashcards are duplicates when their terms match
+const dedupeFlashcards = (flashcards) => {
+    const seen = new Set();
+    return flashcards.filter(f => {
+        const key = String(f.term).trim().toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+module.exports = {
+    CHUNK_MAX_CHARS,
+    CHUNK_CONCURRENCY,
+    pagesToSections,
+    textToSections,
+    buildChunks,
+    allocateQuestions,
+    mapWithLimit,
+    isNearDuplicate,
+    dedupeQuestions,
+    dedupeFlashcards
+};
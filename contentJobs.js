@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+const { generateId, generateJoinCode, createWithUniqueIds } = require('./ids');
+const { selectPages } = require('./pdfText');
+const { extractDocument } = require('./documents');
+const { pagesToSections, textToSections } = require('./chunking');
+const { generateContentFromSections, generateMockTest } = require('./generation');
+const { sanitizeQuestion, sanitizeFlashcard } = require('./schema');
+const { getTimeLimitMinutes } = require('./sessions');
+const { uploadsDir, createMockTestPDF } = require('./mockTestPdf');
+const { registerJobType, isFinished } = require('./jobs');
+const { quizLink, mockTestDownloadLink, mockTestAttemptsLink } = require('./links');
+
+// Uploaded documents wait here until their job succeeds, so failed jobs can be retried until the sweep below deletes them
+const jobUploadsDir = path.join(uploadsDir, 'jobs');
+
+const saveJobUpload = async (jobId, buffer) => {
+    await fs.promises.mkdir(jobUploadsDir, { recursive: true });
+    const fileName = `${jobId}.upload`;
+    await fs.promises.writeFile(path.join(jobUploadsDir, fileName), buffer);
+    return fileName;
+};
+
+const readJobUpload = async (fileName) => {
+    try {
+        return await fs.promises.readFile(path.join(jobUploadsDir, path.basename(fileName)));
+    } catch (err) {
+        throw httpError(410, 'The uploaded file is no longer available. Upload it again.');
+    }
+};
+
+const removeJobUpload = (fileName) => fs.promises.unlink(path.join(jobUploadsDir, path.basename(fileName))).catch(() => {});
+
+// Uploads of failed jobs are kept this long so the jobs can be retried
+const JOB_UPLOAD_RETENTION_HOURS = parseInt(process.env.JOB_UPLOAD_RETENTION_HOURS) || 24;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Delete uploads older than the retention period unless their job is still queued or running. This
+// covers failed jobs and requests that saved an upload but never got their job created. Returns how many went.
+const sweepJobUploads = async (now = Date.now()) => {
+    const names = await fs.promises.readdir(jobUploadsDir).catch(() => []);
+    const cutoff = now - JOB_UPLOAD_RETENTION_HOURS * 60 * 60 * 1000;
+    let removed = 0;
+    for (const name of names) {
+        const stats = await fs.promises.stat(path.join(jobUploadsDir, name)).catch(() => null);
+        if (!stats || stats.mtimeMs > cutoff) {
+            continue;
+        }
+        const job = await getStore().jobs.get(path.basename(name, '.upload'));
+        if (job && !isFinished(job)) {
+            continue;
+        }
+        await removeJobUpload(name);
+        removed++;
+    }
+    return removed;
+};
+
+// Sweep now and then every hour
+const startJobUploadSweep = () => {
+    const sweep = () => sweepJobUploads()
+        .then((count) => {
+            if (count) {
+                console.log(`Deleted ${count} expired job uploads`);
+            }
+        })
+        .catch(err => console.error('Error deleting expired job uploads:', err));
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
+
+// Save a new quiz under a fresh id and join code
+const saveNewQuiz = (quizData) => createWithUniqueIds(
+    () => ({ ...quizData, quiz_id: generateId(), join_code: generateJoinCode() }),
+    data => getStore().quizzes.create(data)
+);
+
+const toTimeLimit = (value) => (parseInt(value) > 0 ? parseInt(value) : null);
+
+// Sanitize generated content and store it as a new quiz
+const saveGeneratedQuiz = async (job, content, extra, report) => {
+    const { input } = job;
+
+    await report('validating');
+    const questions = content.questions.map(sanitizeQuestion);
+    const flashcards = (content.flashcards || []).map(sanitizeFlashcard);
+
+    await report('saving');
+    const quizData = {
+        content_name: String(input.content_name),
+        user_id: job.user_id,
+        created_at: new Date(),
+        ...extra,
+        time_limit_minutes: toTimeLimit(input.time_limit_minutes),
+        visibility: input.visibility,
+        shared_with_users: [],
+        shared_with_groups: [],
+        version: 1,
+        questions,
+        flashcards
+    };
+    const quiz = await saveNewQuiz(quizData);
+    return {
+        user_id: job.user_id,
+        quiz_id: quiz.quiz_id,
+        quiz_link: quizLink(quiz.quiz_id),
+        join_code: quiz.join_code,
+        content_name: input.content_name,
+        time_limit_minutes: getTimeLimitMinutes(quizData),
+        content: { questions, flashcards }
+    };
+};
+
+const reportChunks = (report) => ({ current, total }) => report('generating', { current, total });
+
+// Document upload: extract the page (slide, section) range, generate in chunks and save the quiz
+registerJobType('upload_document', {
+    endpoint: '/api/upload',
+    run: async (job, { report, onUsage }) => {
+        const { input } = job;
+
+        await report('extracting');
+        const buffer = await readJobUpload(input.upload);
+        const { format, unit, totalPages, pages, titles } = await extractDocument(buffer, input.format, { lastPage: input.end_page });
+        const start = Math.max(1, input.start_page || 1);
+        const end = Math.min(totalPages, input.end_page || totalPages);
+        if (start > end) {
+            throw httpError(400, 'Invalid page range', { unit, totalPages, requestedRange: { start, end } });
+        }
+        // Fails before any model call if the pages have no text
+        const { pages: selectedPages, charactersPerPage } = selectPages(pages, start, end);
+
+        await report('generating', { current: 0, total: null });
+        const content = await generateContentFromSections(
+            pagesToSections(selectedPages, start, unit),
+            input.question_type || 'multiple_choice',
+            input.num_options,
+            input.num_questions,
+            input.include_flashcards === true,
+            { onUsage, onProgress: reportChunks(report) }
+        );
+
+        const result = await saveGeneratedQuiz(job, content, {
+            source: format,
+            document_details: {
+                format,
+                file_name: input.file_name || null,
+                unit,
+                total_pages: totalPages,
+                processed_pages: { start, end },
+                titles: titles.slice(start - 1, end),
+                characters_per_page: charactersPerPage,
+                chunks: content.chunks,
+                question_type: input.question_type || 'multiple_choice',
+                num_questions: input.num_questions,
+                num_options: input.num_options,
+                include_flashcards: input.include_flashcards
+            }
+        }, report);
+        await removeJobUpload(input.upload);
+
+        const details = {
+            format,
+            unit,
+            totalPages,
+            processedPages: { start, end },
+            charactersPerPage,
+            chunks: content.chunks,
+            numQuestions: input.num_questions,
+            numOptions: input.num_options,
+            includeFlashcards: input.include_flashcards
+        };
+        return {
+            result: {
+                message: 'Questions and flashcards generated successfully',
+                ...result,
+                document_details: details,
+                // Kept for clients written against the PDF-only upload
+                ...(format === 'pdf' ? { pdf_details: details } : {})
+            },
+            usage: { resourceType: 'quiz', resourceId: result.quiz_id, pagesUsed: end - start + 1 }
+        };
+    }
+});
+
+// Pasted text: generate in chunks and save the quiz
+registerJobType('create_content', {
+    endpoint: '/api/create_content',
+    run: async (job, { report, onUsage }) => {
+        const { input } = job;
+
+        await report('generating', { current: 0, total: null });
+        const content = await generateContentFromSections(
+            textToSections(input.text),
+            input.question_type,
+            input.num_options,
+            input.num_questions,
+            input.include_flashcards === true,
+            { onUsage, onProgress: reportChunks(report) }
+        );
+
+        const result = await saveGeneratedQuiz(job, content, {}, report);
+        return {
+            result,
+            usage: { resourceType: 'quiz', resourceId: result.quiz_id }
+        };
+    }
+});
+
+// Mock test: generate, save and render the PDF
+registerJobType('mock_test', {
+    endpoint: '/api/mock-test/generate',
+    run: async (job, { report, onUsage }) => {
+        const { topic, description, difficulty, num_questions } = job.input;
+
+        await report('generating', { current: 0, total: 1 });
+        const mockTestData = await generateMockTest(topic, description, difficulty, num_questions, { onUsage });
+        await report('generating', { current: 1, total: 1 });
+
+        // Save mock test data to database under a unique test ID
+        await report('saving');
+        const { test_id: testId, pdf_path: pdfFileName } = await createWithUniqueIds(() => {
+            const id = generateId();
+            return {
+                test_id: id,
+                user_id: job.user_id,
+                topic: String(topic),
+                difficulty: String(difficulty),
+                num_questions: Number(num_questions),
+                created_at: new Date(),
+                test_data: mockTestData.mock_test,
+                pdf_path: `mock_test_${id}.pdf`
+            };
+        }, data => getStore().mockTests.create(data));
+
+        await report('rendering_pdf');
+        try {
+            await createMockTestPDF(mockTestData, path.join(uploadsDir, pdfFileName), { testId, qrCode: job.input.include_qr_code === true });
+        } catch (pdfError) {
+            await getStore().mockTests.remove(testId);
+            throw pdfError;
+        }
+
+        return {
+            result: {
+                message: 'Mock test generated successfully',
+                test_id: testId,
+                download_link: mockTestDownloadLink(testId),
+                attempts_link: mockTestAttemptsLink(testId),
+                topic,
+                difficulty,
+                num_questions
+            },
+            usage: { resourceType: 'mock_test', resourceId: testId }
+        };
+    }
+});
+
+module.exports = { saveJobUpload, sweepJobUploads, startJobUploadSweep, saveNewQuiz };
@@ -0,0 +1,356 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { httpError } = require('./errors');
+const { extractPdfPages } = require('./pdfText');
+
+// Source documents accepted for generation. Each is split into numbered units (pages, slides or
+// sections) so a page range can be chosen for any of them.
+const FORMATS = {
+    pdf: { unit: 'page', label: 'PDF' },
+    docx: { unit: 'section', label: 'Word document' },
+    pptx: { unit: 'slide', label: 'PowerPoint presentation' },
+    markdown: { unit: 'section', label: 'Markdown' },
+    html: { unit: 'section', label: 'HTML' },
+    text: { unit: 'page', label: 'plain text' }
+};
+
+const EXTENSIONS = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.pptx': 'pptx',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.txt': 'text'
+};
+
+const MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'text/html': 'html',
+    'text/plain': 'text'
+};
+
+const TEXT_FORMATS = ['markdown', 'html', 'text'];
+
+const startsWith = (buffer, bytes) => buffer.length >= bytes.length && bytes.every((b, i) => buffer[i] === b);
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46, 0x2d]; // %PDF-
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04]; // PK\3\4
+const OLE_MAGIC = [0xd0, 0xcf, 0x11, 0xe0]; // legacy .doc/.ppt
+
+// Archives (DOCX, PPTX, QTI packages) may not unpack to more than this, so a small upload cannot inflate into
+// gigabytes (a zip bomb)
+const MAX_UNZIPPED_BYTES = 50 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 2000;
+
+const zipTooLarge = () => httpError(413, 'File is too large',
+    `Archives may hold at most ${MAX_ZIP_ENTRIES} files and unpack to at most ${MAX_UNZIPPED_BYTES / 1024 / 1024} MB.`);
+
+// Check the entry count and the unpacked sizes an archive's central directory declares. ZIP64
+// archives (over 65535 entries or 4 GB) are refused outright.
+const checkZipDirectory = (buffer) => {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end < 0 || end + 22 > buffer.length) {
+        return; // Not a ZIP; JSZip reports it
+    }
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff || count > MAX_ZIP_ENTRIES) {
+        throw zipTooLarge();
+    }
+    let declared = 0;
+    for (let i = 0; i < count && offset + 46 <= buffer.length && buffer.readUInt32LE(offset) === 0x02014b50; i++) {
+        const size = buffer.readUInt32LE(offset + 24);
+        declared += size === 0xffffffff ? Infinity : size;
+        offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    if (declared > MAX_UNZIPPED_BYTES) {
+        throw zipTooLarge();
+    }
+};
+
+// Bytes each open archive may still unpack
+const zipBudgets = new WeakMap();
+
+// Open an archive after checking what its central directory declares
+const loadZip = async (buffer) => {
+    checkZipDirectory(buffer);
+    const zip = await JSZip.loadAsync(buffer);
+    zipBudgets.set(zip, MAX_UNZIPPED_BYTES);
+    return zip;
+};
+
+// Read an entry of an archive from loadZip as text (null when it is missing). Declared sizes can lie,
+// so bytes are counted as they inflate and reading stops once the archive's budget is spent.
+const readZipText = (zip, name) => new Promise((resolve, reject) => {
+    const entry = zip.file(name);
+    if (!entry) {
+        return resolve(null);
+    }
+    const chunks = [];
+    const stream = entry.nodeStream('nodebuffer');
+    stream.on('data', (chunk) => {
+        const remaining = zipBudgets.get(zip) - chunk.length;
+        zipBudgets.set(zip, remaining);
+        if (remaining < 0) {
+            stream.destroy();
+            return reject(zipTooLarge());
+        }
+        chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+});
+
+const decodeUtf8 = (buffer) => {
+    try {
+        const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return text.includes('\u0000') ? null : text.replace(/^\uFEFF/, '');
+    } catch (err) {
+        return null;
+    }
+};
+
+// What the file actually contains, judged from its bytes
+const sniffFormat = async (buffer) => {
+    if (startsWith(buffer, PDF_MAGIC)) {
+        return 'pdf';
+    }
+    if (startsWith(buffer, OLE_MAGIC)) {
+        throw httpError(415, 'Unsupported file type',
+            'Legacy .doc and .ppt files are not supported. Save the file as .docx or .pptx and upload it again.');
+    }
+    if (startsWith(buffer, ZIP_MAGIC)) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (err) {
+            throw httpError(400, 'Could not read file', err.message);
+        }
+        if (zip.file('word/document.xml')) return 'docx';
+        if (zip.file('ppt/presentation.xml')) return 'pptx';
+        return 'zip';
+    }
+    const text = decodeUtf8(buffer);
+    if (text === null) {
+        return 'binary';
+    }
+    return /^\s*(<!doctype html|<html[\s>])/i.test(text) ? 'html' : 'text';
+};
+
+// Work out the format of an upload from its name, declared type and content. The name (or type)
+// decides between text formats; binary formats must also match the content.
+const detectFormat = async (buffer, { originalname = '', mimetype = '' } = {}) => {
+    const extension = path.extname(originalname).toLowerCase();
+    const declared = EXTENSIONS[extension] || MIME_TYPES[String(mimetype).toLowerCase().split(';')[0].trim()] || null;
+    const sniffed = await sniffFormat(buffer);
+    const supported = Object.keys(EXTENSIONS).join(', ');
+
+    if (!declared) {
+        if (FORMATS[sniffed] && sniffed !== 'text') {
+            return sniffed;
+        }
+        throw httpError(415, 'Unsupported file type', `Upload one of: ${supported}`);
+    }
+    const matches = TEXT_FORMATS.includes(declared)
+        ? TEXT_FORMATS.includes(sniffed)
+        : sniffed === declared;
+    if (!matches) {
+        throw httpError(415, 'File content does not match its type',
+            `The file is named or labeled as ${FORMATS[declared].label} but its content is not. Upload one of: ${supported}`);
+    }
+    return declared;
+};
+
+// XML entities plus the named HTML entities common in course material
+const NAMED_ENTITIES = {
+    lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', deg: '°', copy: '©', reg: '®', times: '×',
+    divide: '÷', plusmn: '±', mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', amp: '&'
+};
+
+const decodeXmlEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (m, name) => (NAMED_ENTITIES[name.toLowerCase()] !== undefined ? NAMED_ENTITIES[name.toLowerCase()] : m));
+
+const tidy = (text) => text
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Text of the <w:t>/<a:t> runs in an Office XML fragment
+const runText = (xml, tag) => {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>|<${tag}\\s*/>|<(?:w:tab|a:tab)\\s*/>|<(?:w:br|a:br)(?:\\s[^>]*)?/?>`, 'g');
+    let text = '';
+    let match;
+    while ((match = pattern.exec(xml))) {
+        if (match[1] !== undefined) {
+            text += decodeXmlEntities(match[1]);
+        } else if (/tab/.test(match[0])) {
+            text += '\t';
+        } else if (/br/.test(match[0])) {
+            text += '\n';
+        }
+    }
+    return text;
+};
+
+const paragraphs = (xml, tag) => xml.match(new RegExp(`<${tag}[\\s>][\\s\\S]*?</${tag}>`, 'g')) || [];
+
+// Word: one section per Heading 1/Heading 2/Title paragraph (the whole document when it has none)
+const extractDocx = async (buffer) => {
+    const zip = await loadZip(buffer);
+    const xml = await readZipText(zip, 'word/document.xml');
+    const sections = [];
+    let current = null;
+    for (const p of paragraphs(xml, 'w:p')) {
+        const style = (/<w:pStyle\s+w:val="([^"]+)"/.exec(p) || [])[1] || '';
+        const text = runText(p, 'w:t');
+        const isHeading = /^(Title|Heading[12]|heading [12])$/i.test(style);
+        if (!current || (isHeading && current.text.trim())) {
+            current = { title: isHeading ? text.trim() : null, text: '' };
+            sections.push(current);
+        }
+        current.text += `${text}\n`;
+    }
+    return sections.map(s => ({ title: s.title, text: tidy(s.text) }));
+};
+
+// PowerPoint: one unit per slide in presentation order, with its speaker notes
+const extractPptx = async (buffer) => {
+    const zip = await loadZip(buffer);
+    const readXml = async (name) => (await readZipText(zip, name)) || '';
+    const relationTargets = (relsXml) => {
+        const targets = {};
+        for (const rel of relsXml.match(/<Relationship\s[^>]*>/g) || []) {
+            const id = (/\sId="([^"]+)"/.exec(rel) || [])[1];
+            const target = (/\sTarget="([^"]+)"/.exec(rel) || [])[1];
+            const type = (/\sType="([^"]+)"/.exec(rel) || [])[1] || '';
+            if (id && target) targets[id] = { target, type };
+        }
+        return targets;
+    };
+
+    const presentation = await readXml('ppt/presentation.xml');
+    const rels = relationTargets(await readXml('ppt/_rels/presentation.xml.rels'));
+    let slideFiles = (presentation.match(/<p:sldId\s[^>]*>/g) || [])
+        .map(tag => (/r:id="([^"]+)"/.exec(tag) || [])[1])
+        .filter(id => rels[id])
+        .map(id => path.posix.join('ppt', rels[id].target.replace(/^\/?ppt\//, '')));
+    if (!slideFiles.length) {
+        slideFiles = Object.keys(zip.files)
+            .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+            .sort((a, b) => parseInt(/(\d+)\.xml$/.exec(a)[1]) - parseInt(/(\d+)\.xml$/.exec(b)[1]));
+    }
+
+    const slides = [];
+    for (const file of slideFiles) {
+        const xml = await readXml(file);
+        const text = paragraphs(xml, 'a:p').map(p => runText(p, 'a:t')).join('\n');
+        const slideRels = relationTargets(await readXml(path.posix.join(path.posix.dirname(file), '_rels', `${path.posix.basename(file)}.rels`)));
+        const notesRel = Object.values(slideRels).find(rel => /notesSlide$/.test(rel.type));
+        let notes = '';
+        if (notesRel) {
+            const notesXml = await readXml(path.posix.join(path.posix.dirname(file), notesRel.target));
+            notes = paragraphs(notesXml, 'a:p').map(p => runText(p, 'a:t')).join('\n').trim();
+        }
+        const title = tidy(text).split('\n')[0] || null;
+        slides.push({ title, text: tidy(notes ? `${text}\n\nNotes: ${notes}` : text) });
+    }
+    return slides;
+};
+
+// Markdown: one section per level 1 or 2 heading (headings inside code blocks are ignored)
+const extractMarkdown = (source) => {
+    const sections = [];
+    let current = null;
+    let inFence = false;
+    for (const line of source.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+        const heading = !inFence && /^#{1,2}\s+(.*)$/.exec(line);
+        if (!current || (heading && current.text.trim())) {
+            current = { title: heading ? heading[1].replace(/#+\s*$/, '').trim() : null, text: '' };
+            sections.push(current);
+        } else if (heading && !current.title) {
+            current.title = heading[1].trim();
+        }
+        current.text += `${line}\n`;
+    }
+    return sections.map(s => ({ title: s.title, text: tidy(s.text) }));
+};
+
+const htmlToText = (html) => tidy(decodeXmlEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|section|article|blockquote|pre|table|ul|ol)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')));
+
+// HTML: visible text, one section per <h1>/<h2>
+const extractHtml = (source) => {
+    const body = source
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|head)[\s>][\s\S]*?<\/\1>/gi, '');
+    return body
+        .split(/(?=<h[12][\s>])/i)
+        .map((part) => {
+            const heading = /^<h[12][^>]*>([\s\S]*?)<\/h[12]>/i.exec(part);
+            return { title: heading ? htmlToText(heading[1]) : null, text: htmlToText(part) };
+        })
+        .filter(section => section.text);
+};
+
+// Plain text: pages separated by form feeds (a single page otherwise)
+const extractText = (source) => source.split('\f').map(page => ({ title: null, text: tidy(page) }));
+
+// Extract the units of a document. Returns { format, unit, totalPages, pages, titles } where pages[0]
+// is the text of unit 1. For PDFs, units after `lastPage` are not read.
+const extractDocument = async (buffer, format, { lastPage } = {}) => {
+    if (format === 'pdf') {
+        const { totalPages, pages } = await extractPdfPages(buffer, { lastPage });
+        return { format, unit: FORMATS.pdf.unit, totalPages, pages, titles: pages.map(() => null) };
+    }
+
+    let units;
+    try {
+        switch (format) {
+            case 'docx':
+                units = await extractDocx(buffer);
+                break;
+            case 'pptx':
+                units = await extractPptx(buffer);
+                break;
+            case 'markdown':
+                units = extractMarkdown(decodeUtf8(buffer) || '');
+                break;
+            case 'html':
+                units = extractHtml(decodeUtf8(buffer) || '');
+                break;
+            case 'text':
+                units = extractText(decodeUtf8(buffer) || '');
+                break;
+            default:
+                throw httpError(415, 'Unsupported file type');
+        }
+    } catch (err) {
+        if (err.status) throw err;
+        throw httpError(400, 'Could not read file', err.message);
+    }
+    if (!units.length) {
+        units = [{ title: null, text: '' }];
+    }
+    return {
+        format,
+        unit: FORMATS[format].unit,
+        totalPages: units.length,
+        pages: units.map(u => u.text),
+        titles: units.map(u => u.title)
+    };
+};
+
+module.exports = { FORMATS, detectFormat, extractDocument, decodeUtf8, htmlToText, loadZip, readZipText };
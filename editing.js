@@ -0,0 +1,99 @@
+const { getStore } = require('./store');
+const { validateQuestion, sanitizeQuestion, sanitizeFlashcard } = require('./schema');
+const { httpError } = require('./errors');
+
+// Quizzes created before versioning are version 1
+const getQuizVersion = (quiz) => quiz.version || 1;
+
+// Load a quiz the caller owns
+const getOwnedQuiz = async (quizId, userId) => {
+    const quiz = await getStore().quizzes.findByQuizId(quizId);
+    if (!quiz) {
+        throw httpError(404, 'Quiz not found');
+    }
+    if (quiz.user_id !== String(userId)) {
+        throw httpError(403, 'Forbidden');
+    }
+    return quiz;
+};
+
+// Validate and normalize a question supplied by the quiz owner
+const toEditedQuestion = (q) => {
+    const errors = validateQuestion(q, {}, 'question');
+    if (errors.length) {
+        throw httpError(400, 'Invalid question', errors);
+    }
+    return sanitizeQuestion(q);
+};
+
+// Validate and normalize a flashcard supplied by the quiz owner
+const toEditedFlashcard = (f) => {
+    try {
+        return sanitizeFlashcard(f);
+    } catch (error) {
+        throw httpError(400, 'Invalid flashcard', ['"term" and "definition" are required']);
+    }
+};
+
+// Parse a position in a list; `allowEnd` accepts length (append)
+const parseIndex = (value, length, allowEnd = false) => {
+    const index = parseInt(value);
+    const max = allowEnd ? length : length - 1;
+    if (isNaN(index) || index < 0 || index > max) {
+        throw httpError(400, `Index must be between 0 and ${max}`);
+    }
+    return index;
+};
+
+// Save an edit as a new quiz version. `apply(quiz)` returns the changed fields and the
+// previous content is archived, so scores keep pointing at the version they were taken on.
+const editQuiz = async (quizId, userId, change, apply) => {
+    const updated = await getStore().quizzes.edit(quizId, (quiz) => {
+        if (quiz.user_id !== String(userId)) {
+            throw httpError(403, 'Forbidden');
+        }
+        const version = getQuizVersion(quiz);
+        const now = new Date();
+        return {
+            snapshot: {
+                quiz_id: quiz.quiz_id,
+                version,
+                change: quiz.last_change || 'created',
+                content_name: quiz.content_name,
+                questions: quiz.questions || [],
+                flashcards: quiz.flashcards || [],
+                created_at: quiz.updated_at || quiz.created_at,
+                superseded_at: now
+            },
+            changes: {
+                ...apply(quiz),
+                version: version + 1,
+                last_change: change,
+                updated_at: now
+            }
+        };
+    });
+    if (!updated) {
+        throw httpError(404, 'Quiz not found');
+    }
+    return updated;
+};
+
+// Questions of the quiz version a session or score refers to
+const getQuestionsForVersion = async (quiz, version) => {
+    if (!version || version === getQuizVersion(quiz)) {
+        return quiz.questions || [];
+    }
+    const snapshot = await getStore().quizzes.getVersion(quiz.quiz_id, version);
+    return snapshot ? snapshot.questions : (quiz.questions || []);
+};
+
+module.exports = {
+    getQuizVersion,
+    getOwnedQuiz,
+    toEditedQuestion,
+    toEditedFlashcard,
+    parseIndex,
+    editQuiz,
+    getQuestionsForVersion
+};
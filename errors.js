@@ -0,0 +1,11 @@
+// Create an error that carries the HTTP status a route should respond with
+const httpError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details !== undefined) {
+        error.details = details;
+    }
+    return error;
+};
+
+module.exports = { httpError };
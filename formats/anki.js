@@ -0,0 +1,51 @@
+const { htmlToText } = require('../documents');
+const { parseCsv } = require('./csv');
+
+// Anki's plain-text notes: one card per line, front and back separated by a tab. The header lines
+// tell Anki (2.1.55 and later) how to read the file, so it imports without setting anything up.
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', colon: ':', space: ' ' };
+
+// Fields cannot hold tabs or line breaks in a tab-separated file
+const toField = (value) => String(value).replace(/[\t\r\n]+/g, ' ').trim();
+
+const exportFlashcards = (quiz) => [
+    '#separator:tab',
+    '#html:false',
+    `#deck:${toField(quiz.content_name)}`,
+    '#columns:Front\tBack',
+    ...quiz.flashcards.map(f => `${toField(f.term)}\t${toField(f.definition)}`)
+].join('\n') + '\n';
+
+// Front and back of each note, from files exported by Anki ("Notes in Plain Text") or written by hand.
+// Header lines (#separator, #html) are honored; other columns are ignored.
+const importFlashcards = (buffer) => {
+    const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+    let separator = '\t';
+    let html = false;
+    const headerLines = lines.filter(line => line.startsWith('#'));
+    headerLines.forEach((line) => {
+        const [key, ...rest] = line.slice(1).split(':');
+        const value = rest.join(':').trim();
+        if (key.trim().toLowerCase() === 'separator') {
+            separator = SEPARATORS[value.toLowerCase()] || value[0] || separator;
+        } else if (key.trim().toLowerCase() === 'html') {
+            html = value.toLowerCase() === 'true';
+        }
+    });
+    const body = lines.map((line, i) => (line.startsWith('#') ? null : { line, label: `line ${i + 1}` })).filter(Boolean);
+    const rows = separator === ','
+        ? body.map(({ line, label }) => ({ fields: parseCsv(line)[0] || [], label }))
+        : body.map(({ line, label }) => ({ fields: line.split(separator), label }));
+    const read = (field) => (html ? htmlToText(field || '') : String(field || '').trim());
+    return rows
+        .filter(({ fields }) => fields.some(field => field.trim()))
+        .map(({ fields, label }) => ({ label, flashcard: { term: read(fields[0]), definition: read(fields[1]) } }));
+};
+
+module.exports = {
+    label: 'Anki',
+    extension: 'txt',
+    contentType: 'text/tab-separated-values; charset=utf-8',
+    exportFlashcards,
+    importFlashcards
+};
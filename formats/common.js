@@ -0,0 +1,59 @@
+const { DIFFICULTIES } = require('../schema');
+
+// Formats without a difficulty field carry it as a "difficulty:<level>" tag
+const DIFFICULTY_TAG_PREFIX = 'difficulty:';
+
+const toTagList = (q) => [
+    ...(q.tags || []),
+    ...(q.difficulty ? [`${DIFFICULTY_TAG_PREFIX}${q.difficulty}`] : [])
+];
+
+// Split imported tags back into { tags, difficulty }
+const fromTagList = (tags) => {
+    const result = {};
+    const topics = [];
+    tags.map(tag => String(tag).trim()).filter(Boolean).forEach((tag) => {
+        const level = tag.toLowerCase().startsWith(DIFFICULTY_TAG_PREFIX) ? tag.slice(DIFFICULTY_TAG_PREFIX.length).trim().toLowerCase() : null;
+        if (level && DIFFICULTIES.includes(level)) {
+            result.difficulty = level;
+        } else {
+            topics.push(tag);
+        }
+    });
+    if (topics.length) {
+        result.tags = topics;
+    }
+    return result;
+};
+
+const collapse = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Key points for a short answer imported without a rubric: its clauses, at most 6
+const toRubric = (answer) => {
+    const points = collapse(answer).split(/[.;,]\s*/).map(point => point.trim()).filter(Boolean);
+    return (points.length ? points : [collapse(answer)]).slice(0, 6);
+};
+
+// Where a fill-in-the-blank question's gap goes
+const BLANK = '____';
+const BLANK_PATTERN = /_{3,}/;
+
+// Questions that read an ordering as a matching of positions ("Position 1" -> item)
+const toPositionLabel = (index) => `Position ${index + 1}`;
+
+const isPositionMatching = (pairs) => pairs.length >= 3 && pairs.every((p, i) => p.term === toPositionLabel(i));
+
+// An item that could not be read, reported with the ones that could
+const itemError = (label, message) => ({ label, errors: [`${label}: ${message}`] });
+
+module.exports = {
+    toTagList,
+    fromTagList,
+    collapse,
+    toRubric,
+    BLANK,
+    BLANK_PATTERN,
+    toPositionLabel,
+    isPositionMatching,
+    itemError
+};
@@ -0,0 +1,149 @@
+const { itemError } = require('./common');
+
+// One question per row. Lists (options, answers, rubric points, tags) are separated by "|" ("\|" for
+// a literal bar); matching options are "term -> definition" and ordering options are in the correct order.
+const COLUMNS = ['type', 'question', 'options', 'answer', 'rubric', 'explanation', 'difficulty', 'tags'];
+const PAIR_SEPARATOR = ' -> ';
+
+// RFC 4180 rows: quoted fields may hold separators, quotes ("") and line breaks
+const parseCsv = (source, separator = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === separator) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const toCsvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (fields) => fields.map(toCsvField).join(',');
+
+const joinList = (values) => (values || []).map(value => String(value).replace(/\|/g, '\\|')).join('|');
+
+const splitList = (value) => (value ? value.split(/(?<!\\)\|/).map(part => part.replace(/\\\|/g, '|').trim()).filter(Boolean) : []);
+
+const toRow = (q) => {
+    const row = { type: q.type, question: q.question, explanation: q.explanation, difficulty: q.difficulty, tags: joinList(q.tags) };
+    switch (q.type) {
+        case 'multi_select':
+            Object.assign(row, { options: joinList(q.options), answer: joinList(q.answers) });
+            break;
+        case 'fill_blank':
+            row.answer = joinList([q.answer, ...(q.accepted_answers || [])]);
+            break;
+        case 'short_answer':
+            Object.assign(row, { answer: q.answer, rubric: joinList(q.rubric) });
+            break;
+        case 'ordering':
+            row.options = joinList(q.items);
+            break;
+        case 'matching':
+            row.options = joinList(q.pairs.map(p => `${p.term}${PAIR_SEPARATOR}${p.definition}`));
+            break;
+        default:
+            Object.assign(row, { options: joinList(q.options), answer: q.answer });
+    }
+    return COLUMNS.map(column => row[column]);
+};
+
+const exportQuestions = (quiz) => [COLUMNS, ...quiz.questions.map(toRow)].map(toCsvRow).join('\r\n') + '\r\n';
+
+const fromRow = (row) => {
+    const type = (row.type || 'multiple_choice').trim().toLowerCase();
+    const q = { type, question: (row.question || '').trim() };
+    const options = splitList(row.options);
+    const answers = splitList(row.answer);
+    switch (type) {
+        case 'multi_select':
+            Object.assign(q, { options, answers });
+            break;
+        case 'fill_blank':
+            Object.assign(q, { answer: answers[0], accepted_answers: answers.slice(1) });
+            break;
+        case 'short_answer':
+            Object.assign(q, { answer: (row.answer || '').trim(), rubric: splitList(row.rubric) });
+            break;
+        case 'ordering':
+            q.items = options;
+            break;
+        case 'matching':
+            q.pairs = options.map((option) => {
+                const at = option.indexOf(PAIR_SEPARATOR.trim());
+                return at < 0 ? { term: option, definition: '' } : { term: option.slice(0, at).trim(), definition: option.slice(at + 2).trim() };
+            });
+            break;
+        default:
+            Object.assign(q, { options, answer: (row.answer || '').trim() });
+    }
+    if (row.explanation && row.explanation.trim()) {
+        q.explanation = row.explanation.trim();
+    }
+    if (row.difficulty && row.difficulty.trim()) {
+        q.difficulty = row.difficulty.trim().toLowerCase();
+    }
+    const tags = splitList(row.tags);
+    if (tags.length) {
+        q.tags = tags;
+    }
+    return q;
+};
+
+// Rows under a header naming the columns (any order; "type" defaults to multiple_choice)
+const importQuestions = (buffer) => {
+    const rows = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+    if (!header.includes('question')) {
+        return [itemError('row 1', `the header must name the columns (${COLUMNS.join(', ')})`)];
+    }
+    return rows.slice(1)
+        .map((fields, i) => ({ fields, label: `row ${i + 2}` }))
+        .filter(({ fields }) => fields.some(field => field.trim()))
+        .map(({ fields, label }) => ({
+            label,
+            question: fromRow(Object.fromEntries(header.map((name, i) => [name, fields[i]])))
+        }));
+};
+
+module.exports = {
+    label: 'CSV',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    parseCsv,
+    exportQuestions,
+    importQuestions
+};
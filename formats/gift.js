@@ -0,0 +1,237 @@
+const { htmlToText } = require('../documents');
+const {
+    toTagList,
+    fromTagList,
+    collapse,
+    toRubric,
+    BLANK,
+    BLANK_PATTERN,
+    toPositionLabel,
+    isPositionMatching,
+    itemError
+} = require('./common');
+
+// Moodle GIFT. Ordering questions have no GIFT form and are written as matchings of positions to
+// items, which read back as ordering. Tags (and the difficulty) go in "// [tag:...]" comments, and
+// short answer rubrics and explanations (their general feedback is the model answer) in "// [rubric:...]"
+// and "// [explanation:...]" comments; Moodle ignores all of them.
+
+const escapeGift = (text) => String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (match, ch) => (ch === 'n' ? '\n' : ch));
+
+const toGiftWeight = (share) => Number(share.toFixed(5));
+
+// An answer block with one answer per line. The feedback line is left out when empty: a blank line
+// would end the question on import.
+const multilineBlock = (answers, feedback) => `{\n\t${[...answers, ...(feedback ? [feedback] : [])].join('\n\t')}\n}`;
+
+const answerBlock = (q) => {
+    const feedback = q.explanation ? `####${escapeGift(q.explanation)}` : '';
+    switch (q.type) {
+        case 'true_false':
+            return `{${q.answer === 'True' ? 'TRUE' : 'FALSE'}${feedback}}`;
+        case 'multi_select': {
+            const right = toGiftWeight(100 / q.answers.length);
+            const answers = q.options.map(option => (q.answers.some(a => a.trim() === option.trim()) ? `~%${right}%${escapeGift(option)}` : `~%-100%${escapeGift(option)}`));
+            return multilineBlock(answers, feedback);
+        }
+        case 'fill_blank':
+            return `{${[q.answer, ...(q.accepted_answers || [])].map(a => `=${escapeGift(a)}`).join(' ')}${feedback}}`;
+        case 'short_answer':
+            return `{####${escapeGift(q.answer)}}`;
+        case 'ordering':
+            return multilineBlock(q.items.map((item, i) => `=${escapeGift(toPositionLabel(i))} -> ${escapeGift(item)}`), feedback);
+        case 'matching':
+            return multilineBlock(q.pairs.map(p => `=${escapeGift(p.term)} -> ${escapeGift(p.definition)}`), feedback);
+        default:
+            return multilineBlock(q.options.map(option => `${option.trim() === q.answer.trim() ? '=' : '~'}${escapeGift(option)}`), feedback);
+    }
+};
+
+const toGift = (q, index) => {
+    const comments = [
+        ...toTagList(q).map(tag => `// [tag:${tag}]`),
+        ...(q.type === 'short_answer' ? q.rubric.map(point => `// [rubric:${point}]`) : []),
+        ...(q.type === 'short_answer' && q.explanation ? [`// [explanation:${q.explanation.replace(/\s+/g, ' ')}]`] : [])
+    ];
+    const title = `::Q${index + 1}::`;
+    const block = answerBlock(q);
+    // The gap of a fill-in-the-blank question is where its answers go
+    const body = q.type === 'fill_blank' && BLANK_PATTERN.test(q.question)
+        ? escapeGift(q.question).replace(BLANK_PATTERN, block)
+        : `${escapeGift(q.question)} ${block}`;
+    return [...comments, `${title} ${body}`].join('\n');
+};
+
+const exportQuestions = (quiz) => `// ${quiz.content_name}\n\n${quiz.questions.map(toGift).join('\n\n')}\n`;
+
+// Position of the first unescaped `ch` at or after `from`
+const findUnescaped = (text, ch, from = 0) => {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === ch) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+// Split on unescaped separators, keeping what follows each one
+const splitUnescaped = (text, separators) => {
+    const parts = [];
+    let current = null;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            if (current) {
+                current.text += text.slice(i, i + 2);
+            }
+            i++;
+        } else if (separators.includes(text[i])) {
+            current = { mark: text[i], text: '' };
+            parts.push(current);
+        } else if (current) {
+            current.text += text[i];
+        }
+    }
+    return parts;
+};
+
+// Answers of a block: { mark: '=' | '~', weight, text } without their per-answer feedback
+const parseAnswers = (text) => splitUnescaped(text, ['=', '~']).map(({ mark, text: raw }) => {
+    const hash = findUnescaped(raw, '#');
+    let answer = (hash >= 0 ? raw.slice(0, hash) : raw).trim();
+    let weight = null;
+    const weighted = /^%(-?\d+(?:\.\d+)?)%/.exec(answer);
+    if (weighted) {
+        weight = parseFloat(weighted[1]);
+        answer = answer.slice(weighted[0].length);
+    }
+    return { mark, weight, text: answer };
+});
+
+const parseQuestion = (text, comments, label) => {
+    let body = text.trim();
+    const title = /^::((?:\\.|[^:\\])*)::/.exec(body);
+    if (title) {
+        body = body.slice(title[0].length).trim();
+    }
+    const format = /^\[(html|moodle|markdown|plain)\]/i.exec(body);
+    if (format) {
+        body = body.slice(format[0].length);
+    }
+    const read = (value) => {
+        const plain = unescapeGift(value);
+        return collapse(format && format[1].toLowerCase() === 'html' ? htmlToText(plain) : plain);
+    };
+
+    const open = findUnescaped(body, '{');
+    const close = open >= 0 ? findUnescaped(body, '}', open) : -1;
+    if (open < 0 || close < 0) {
+        return itemError(label, 'no answer block ({...}) found');
+    }
+    const before = body.slice(0, open);
+    const after = body.slice(close + 1);
+    let inside = body.slice(open + 1, close);
+    let explanation = null;
+    const general = inside.search(/(?<!\\)####/);
+    if (general >= 0) {
+        explanation = read(inside.slice(general + 4)) || null;
+        inside = inside.slice(0, general);
+    }
+
+    const q = {};
+    const fullText = read(`${before} ${after}`);
+    const answersText = inside.trim();
+    const answers = parseAnswers(answersText);
+    if (!answersText) {
+        // Essay: the general feedback holds the model answer
+        if (!explanation) {
+            return itemError(label, 'essay questions need a model answer in their general feedback (####)');
+        }
+        const rubric = comments.rubric.length ? comments.rubric : toRubric(explanation);
+        Object.assign(q, { type: 'short_answer', question: fullText, answer: explanation, rubric });
+        explanation = comments.explanation;
+    } else if (/^(T|TRUE|F|FALSE)\b/i.test(answersText)) {
+        Object.assign(q, { type: 'true_false', question: fullText, answer: /^T/i.test(answersText) ? 'True' : 'False' });
+    } else if (answersText.startsWith('#')) {
+        return itemError(label, 'numerical questions are not supported');
+    } else if (answers.length && answers.every(a => a.mark === '=') && answers.some(a => /\s->\s/.test(a.text))) {
+        const pairs = answers.map((a) => {
+            const [term, ...definition] = a.text.split(/\s->\s/);
+            return { term: read(term), definition: read(definition.join(' -> ')) };
+        }).filter(p => p.term);
+        Object.assign(q, isPositionMatching(pairs)
+            ? { type: 'ordering', question: fullText, items: pairs.map(p => p.definition) }
+            : { type: 'matching', question: fullText, pairs });
+    } else if (answers.length && answers.every(a => a.mark === '=')) {
+        const texts = answers.map(a => read(a.text));
+        const question = after.trim() || !BLANK_PATTERN.test(before) ? read(`${before}${BLANK}${after}`) : fullText;
+        Object.assign(q, { type: 'fill_blank', question, answer: texts[0], accepted_answers: texts.slice(1) });
+    } else if (answers.some(a => a.weight !== null)) {
+        const correct = answers.filter(a => (a.mark === '=' ? 100 : a.weight) > 0).map(a => read(a.text));
+        const options = answers.map(a => read(a.text));
+        Object.assign(q, correct.length === 1
+            ? { type: 'multiple_choice', question: fullText, options, answer: correct[0] }
+            : { type: 'multi_select', question: fullText, options, answers: correct });
+    } else {
+        const correct = answers.filter(a => a.mark === '=');
+        if (correct.length !== 1) {
+            return itemError(label, 'multiple choice questions need exactly one "=" answer (use %weights% for several)');
+        }
+        Object.assign(q, { type: 'multiple_choice', question: fullText, options: answers.map(a => read(a.text)), answer: read(correct[0].text) });
+    }
+    if (explanation) {
+        q.explanation = explanation;
+    }
+    return { label, question: { ...q, ...fromTagList(comments.tags) } };
+};
+
+// Questions are separated by blank lines; $CATEGORY lines and plain comments are skipped
+const importQuestions = (buffer) => {
+    const source = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const items = [];
+    let block = null;
+    const flush = () => {
+        if (block && block.lines.length) {
+            items.push(parseQuestion(block.lines.join('\n'), block.comments, `question ${items.length + 1} (line ${block.start})`));
+        }
+        block = null;
+    };
+    source.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            flush();
+            return;
+        }
+        if (/^\$CATEGORY:/i.test(trimmed)) {
+            return;
+        }
+        block = block || { lines: [], comments: { tags: [], rubric: [], explanation: null }, start: i + 1 };
+        if (trimmed.startsWith('//')) {
+            const tag = /^\/\/\s*\[tag:(.*)\]\s*$/i.exec(trimmed);
+            const point = /^\/\/\s*\[rubric:(.*)\]\s*$/i.exec(trimmed);
+            const explanation = /^\/\/\s*\[explanation:(.*)\]\s*$/i.exec(trimmed);
+            if (tag) {
+                block.comments.tags.push(tag[1]);
+            } else if (point) {
+                block.comments.rubric.push(point[1].trim());
+            } else if (explanation) {
+                block.comments.explanation = explanation[1].trim() || null;
+            }
+            return;
+        }
+        block.lines.push(line);
+    });
+    flush();
+    return items;
+};
+
+module.exports = {
+    label: 'Moodle GIFT',
+    extension: 'gift',
+    contentType: 'text/plain; charset=utf-8',
+    exportQuestions,
+    importQuestions
+};
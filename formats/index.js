@@ -0,0 +1,46 @@
+const path = require('path');
+
+// Interchange formats. Question formats expose `exportQuestions(quiz)` and `importQuestions(buffer)`,
+// flashcard formats `exportFlashcards(quiz)` and `importFlashcards(buffer)`; both may return promises.
+// Imported items are { label, question | flashcard } or { label, errors } when they cannot be read.
+const questionFormats = {
+    qti: () => require('./qti'),
+    gift: () => require('./gift'),
+    moodle_xml: () => require('./moodleXml'),
+    csv: () => require('./csv')
+};
+
+const flashcardFormats = {
+    anki: () => require('./anki')
+};
+
+const FORMATS = [...Object.keys(questionFormats), ...Object.keys(flashcardFormats)];
+
+const getQuestionFormat = (name) => (questionFormats[name] ? questionFormats[name]() : null);
+
+const getFlashcardFormat = (name) => (flashcardFormats[name] ? flashcardFormats[name]() : null);
+
+// Question format of an upload without a `format` field, from its extension and then its content
+const detectQuestionFormat = (file) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const byExtension = { '.zip': 'qti', '.gift': 'gift', '.csv': 'csv' }[extension];
+    if (byExtension) {
+        return byExtension;
+    }
+    const head = file.buffer.subarray(0, 4096).toString('utf8');
+    if (head.startsWith('PK')) {
+        return 'qti';
+    }
+    if (/<quiz[\s>]/.test(head)) {
+        return 'moodle_xml';
+    }
+    if (/<(\w+:)?(assessmentItem|manifest)[\s>]/.test(head)) {
+        return 'qti';
+    }
+    if (extension === '.txt' && /(^|\n)\s*(::.*::)?[^\n]*\{/.test(head)) {
+        return 'gift';
+    }
+    return null;
+};
+
+module.exports = { FORMATS, getQuestionFormat, getFlashcardFormat, detectQuestionFormat };
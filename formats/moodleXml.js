@@ -0,0 +1,208 @@
+const { htmlToText } = require('../documents');
+const { parseXml, childrenNamed, childNamed, findAll, textOf, escapeXml, cdata, xmlElement } = require('./xml');
+const { toTagList, fromTagList, collapse, toRubric, BLANK, BLANK_PATTERN, itemError } = require('./common');
+
+// Moodle XML. Ordering questions use the ordering question type (standard from Moodle 4.4), the
+// difficulty travels as a "difficulty:<level>" tag, and short answer rubrics as a list in the grader information.
+
+const toHtml = (text) => `<p>${escapeXml(text).replace(/\r?\n/g, '<br>')}</p>`;
+
+const htmlText = (name, text, attributes = {}) => xmlElement(name, { format: 'html', ...attributes }, xmlElement('text', {}, cdata(toHtml(text))));
+
+const plainText = (text) => xmlElement('text', {}, escapeXml(text));
+
+const answer = (fraction, text) => xmlElement('answer', { fraction, format: 'html' }, xmlElement('text', {}, cdata(toHtml(text))));
+
+const toMoodleType = (type) => ({
+    multiple_choice: 'multichoice',
+    multi_select: 'multichoice',
+    true_false: 'truefalse',
+    fill_blank: 'shortanswer',
+    short_answer: 'essay',
+    ordering: 'ordering',
+    matching: 'matching'
+}[type]);
+
+const toFraction = (share) => Number(share.toFixed(5));
+
+const typeFields = (q) => {
+    switch (q.type) {
+        case 'true_false':
+            return [
+                xmlElement('answer', { fraction: q.answer === 'True' ? 100 : 0, format: 'moodle_auto_format' }, plainText('true')),
+                xmlElement('answer', { fraction: q.answer === 'False' ? 100 : 0, format: 'moodle_auto_format' }, plainText('false'))
+            ];
+        case 'multi_select': {
+            const right = toFraction(100 / q.answers.length);
+            return [
+                xmlElement('single', {}, 'false'),
+                xmlElement('shuffleanswers', {}, 'true'),
+                xmlElement('answernumbering', {}, 'abc'),
+                ...q.options.map(option => answer(q.answers.some(a => a.trim() === option.trim()) ? right : -100, option))
+            ];
+        }
+        case 'fill_blank':
+            return [
+                xmlElement('usecase', {}, '0'),
+                ...[q.answer, ...(q.accepted_answers || [])].map(a => xmlElement('answer', { fraction: 100, format: 'moodle_auto_format' }, plainText(a)))
+            ];
+        case 'short_answer':
+            return [
+                xmlElement('responseformat', {}, 'editor'),
+                xmlElement('responserequired', {}, '1'),
+                xmlElement('responsefieldlines', {}, '10'),
+                xmlElement('graderinfo', { format: 'html' }, xmlElement('text', {}, cdata(
+                    `${toHtml(q.answer)}<ul>${q.rubric.map(point => `<li>${escapeXml(point)}</li>`).join('')}</ul>`
+                )))
+            ];
+        case 'ordering':
+            // The fraction of each item is its position in the correct order
+            return [
+                xmlElement('layouttype', {}, 'VERTICAL'),
+                xmlElement('selecttype', {}, 'ALL'),
+                xmlElement('selectcount', {}, '0'),
+                xmlElement('gradingtype', {}, 'ABSOLUTE_POSITION'),
+                ...q.items.map((item, i) => answer(i + 1, item))
+            ];
+        case 'matching':
+            return [
+                xmlElement('shuffleanswers', {}, 'true'),
+                ...q.pairs.map(p => xmlElement('subquestion', { format: 'html' },
+                    xmlElement('text', {}, cdata(toHtml(p.term))),
+                    xmlElement('answer', {}, plainText(p.definition))))
+            ];
+        default:
+            return [
+                xmlElement('single', {}, 'true'),
+                xmlElement('shuffleanswers', {}, 'true'),
+                xmlElement('answernumbering', {}, 'abc'),
+                ...q.options.map(option => answer(option.trim() === q.answer.trim() ? 100 : 0, option))
+            ];
+    }
+};
+
+const toQuestionXml = (q, index) => {
+    const tags = toTagList(q);
+    return xmlElement('question', { type: toMoodleType(q.type) },
+        xmlElement('name', {}, plainText(`Q${index + 1}`)),
+        htmlText('questiontext', q.question),
+        q.explanation ? htmlText('generalfeedback', q.explanation) : null,
+        xmlElement('defaultgrade', {}, '1'),
+        xmlElement('penalty', {}, '0'),
+        xmlElement('hidden', {}, '0'),
+        ...typeFields(q),
+        tags.length ? xmlElement('tags', {}, ...tags.map(tag => xmlElement('tag', {}, plainText(tag)))) : null);
+};
+
+const exportQuestions = (quiz) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<quiz>',
+    xmlElement('question', { type: 'category' }, xmlElement('category', {}, plainText(`$course$/top/${quiz.content_name}`))),
+    ...quiz.questions.map(toQuestionXml),
+    '</quiz>',
+    ''
+].join('\n');
+
+// Text of a <questiontext>, <answer> and the like, honoring its format
+const readText = (node) => {
+    if (!node) {
+        return '';
+    }
+    const text = textOf(childNamed(node, 'text') || node);
+    return collapse(node.attributes.format === 'html' ? htmlToText(text) : text);
+};
+
+const readAnswers = (node) => childrenNamed(node, 'answer').map(a => ({ fraction: parseFloat(a.attributes.fraction) || 0, text: readText(a) }));
+
+const fromQuestionXml = (node, label) => {
+    const type = node.attributes.type;
+    const q = { question: readText(childNamed(node, 'questiontext')) };
+    const answers = readAnswers(node);
+    switch (type) {
+        case 'multichoice': {
+            const options = answers.map(a => a.text);
+            const correct = answers.filter(a => a.fraction > 0).map(a => a.text);
+            const single = textOf(childNamed(node, 'single')).trim() !== 'false';
+            Object.assign(q, single
+                ? { type: 'multiple_choice', options, answer: (answers.find(a => a.fraction === 100) || answers.find(a => a.fraction > 0) || {}).text }
+                : { type: 'multi_select', options, answers: correct });
+            break;
+        }
+        case 'truefalse': {
+            const right = answers.find(a => a.fraction === 100);
+            Object.assign(q, { type: 'true_false', answer: right && right.text.toLowerCase() === 'true' ? 'True' : 'False' });
+            break;
+        }
+        case 'shortanswer': {
+            const accepted = answers.filter(a => a.fraction === 100).map(a => a.text);
+            Object.assign(q, {
+                type: 'fill_blank',
+                question: BLANK_PATTERN.test(q.question) ? q.question : `${q.question} ${BLANK}`,
+                answer: accepted[0],
+                accepted_answers: accepted.slice(1)
+            });
+            break;
+        }
+        case 'essay': {
+            const info = childNamed(node, 'graderinfo');
+            const html = info ? textOf(childNamed(info, 'text') || info) : '';
+            const points = (html.match(/<li[^>]*>[\s\S]*?<\/li>/gi) || []).map(li => collapse(htmlToText(li))).filter(Boolean);
+            const model = collapse(htmlToText(html.replace(/<(ul|ol)[^>]*>[\s\S]*?<\/\1>/gi, '')));
+            if (!model) {
+                return itemError(label, 'essay questions need a model answer in their grader information');
+            }
+            Object.assign(q, { type: 'short_answer', answer: model, rubric: points.length ? points : toRubric(model) });
+            break;
+        }
+        case 'ordering': {
+            const fractions = answers.map(a => a.fraction);
+            const ordered = new Set(fractions).size === fractions.length ? [...answers].sort((a, b) => a.fraction - b.fraction) : answers;
+            Object.assign(q, { type: 'ordering', items: ordered.map(a => a.text) });
+            break;
+        }
+        case 'matching':
+            Object.assign(q, {
+                type: 'matching',
+                pairs: childrenNamed(node, 'subquestion')
+                    .map(sub => ({ term: readText(sub), definition: readText(childNamed(sub, 'answer')) }))
+                    // Answers without a question are distractors
+                    .filter(p => p.term)
+            });
+            break;
+        default:
+            return itemError(label, `"${type}" questions are not supported`);
+    }
+    const explanation = readText(childNamed(node, 'generalfeedback'));
+    if (explanation) {
+        q.explanation = explanation;
+    }
+    const tags = findAll(childNamed(node, 'tags'), 'tag').map(tag => readText(tag));
+    return { label, question: { ...q, ...fromTagList(tags) } };
+};
+
+const importQuestions = (buffer) => {
+    let document;
+    try {
+        document = parseXml(buffer.toString('utf8'));
+    } catch (err) {
+        return [itemError('file', err.message)];
+    }
+    const quiz = childNamed(document, 'quiz');
+    if (!quiz) {
+        return [itemError('file', 'not a Moodle XML file (no <quiz> element)')];
+    }
+    return childrenNamed(quiz, 'question')
+        .filter(node => node.attributes.type !== 'category')
+        .map((node, i) => {
+            const name = readText(childNamed(node, 'name'));
+            return fromQuestionXml(node, `question ${i + 1}${name ? ` (${name})` : ''}`);
+        });
+};
+
+module.exports = {
+    label: 'Moodle XML',
+    extension: 'xml',
+    contentType: 'application/xml; charset=utf-8',
+    exportQuestions,
+    importQuestions
+};
@@ -0,0 +1,311 @@
+const JSZip = require('jszip');
+const { htmlToText, loadZip, readZipText } = require('../documents');
+const { parseXml, childrenNamed, childNamed, findAll, findFirst, textOf, escapeXml, xmlElement } = require('./xml');
+const { collapse, toRubric, BLANK, BLANK_PATTERN, itemError } = require('./common');
+const { DIFFICULTIES } = require('../schema');
+
+// IMS QTI 2.1 content packages: imsmanifest.xml plus one assessmentItem file per question. Tags and
+// the difficulty are LOM keywords and difficulty in each item's manifest metadata.
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+// LOM difficulty vocabulary for our levels
+const LOM_DIFFICULTIES = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+
+const text = (value) => escapeXml(value);
+
+const paragraph = (value) => xmlElement('p', {}, text(value));
+
+const choices = (name, values, prefix) => values.map((value, i) => xmlElement(name, { identifier: `${prefix}${i + 1}` }, text(value)));
+
+const responseDeclaration = (cardinality, baseType, correct, extra = null) => xmlElement('responseDeclaration', { identifier: 'RESPONSE', cardinality, baseType },
+    correct.length ? xmlElement('correctResponse', {}, ...correct.map(value => xmlElement('value', {}, text(value)))) : null,
+    extra);
+
+const scoreDeclaration = () => xmlElement('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' });
+
+// Declarations, body and response processing of each question type
+const toItemParts = (q) => {
+    switch (q.type) {
+        case 'true_false':
+        case 'multiple_choice':
+        case 'multi_select': {
+            const options = q.type === 'true_false' ? ['True', 'False'] : q.options;
+            const answers = q.type === 'multi_select' ? q.answers : [q.answer];
+            const correct = options.map((option, i) => (answers.some(a => a.trim() === option.trim()) ? `choice_${i + 1}` : null)).filter(Boolean);
+            const multiple = q.type === 'multi_select';
+            return {
+                declarations: responseDeclaration(multiple ? 'multiple' : 'single', 'identifier', correct),
+                body: xmlElement('choiceInteraction', { responseIdentifier: 'RESPONSE', shuffle: q.type !== 'true_false', maxChoices: multiple ? 0 : 1 },
+                    xmlElement('prompt', {}, text(q.question)),
+                    ...choices('simpleChoice', options, 'choice_')),
+                processing: 'match_correct'
+            };
+        }
+        case 'fill_blank': {
+            const accepted = [q.answer, ...(q.accepted_answers || [])];
+            const [before, ...after] = BLANK_PATTERN.test(q.question) ? q.question.split(BLANK_PATTERN) : [q.question, ''];
+            return {
+                declarations: responseDeclaration('single', 'string', [q.answer],
+                    xmlElement('mapping', { defaultValue: 0 }, ...accepted.map(a => xmlElement('mapEntry', { mapKey: a, mappedValue: 1, caseSensitive: 'false' })))),
+                body: xmlElement('p', {}, text(before), xmlElement('textEntryInteraction', { responseIdentifier: 'RESPONSE', expectedLength: 20 }), text(after.join(BLANK))),
+                processing: 'map_response'
+            };
+        }
+        case 'short_answer':
+            // Scored by hand: the model answer is the correct response and the rubric is for scorers
+            return {
+                declarations: responseDeclaration('single', 'string', [q.answer]),
+                body: [
+                    xmlElement('rubricBlock', { view: 'scorer' }, ...q.rubric.map(paragraph)),
+                    xmlElement('extendedTextInteraction', { responseIdentifier: 'RESPONSE', expectedLines: 5 }, xmlElement('prompt', {}, text(q.question)))
+                ],
+                processing: null
+            };
+        case 'ordering':
+            return {
+                declarations: responseDeclaration('ordered', 'identifier', q.items.map((item, i) => `item_${i + 1}`)),
+                body: xmlElement('orderInteraction', { responseIdentifier: 'RESPONSE', shuffle: true },
+                    xmlElement('prompt', {}, text(q.question)),
+                    ...choices('simpleChoice', q.items, 'item_')),
+                processing: 'match_correct'
+            };
+        case 'matching':
+            return {
+                declarations: responseDeclaration('multiple', 'directedPair', q.pairs.map((p, i) => `term_${i + 1} definition_${i + 1}`)),
+                body: xmlElement('matchInteraction', { responseIdentifier: 'RESPONSE', shuffle: true, maxAssociations: q.pairs.length },
+                    xmlElement('prompt', {}, text(q.question)),
+                    xmlElement('simpleMatchSet', {}, ...q.pairs.map((p, i) => xmlElement('simpleAssociableChoice', { identifier: `term_${i + 1}`, matchMax: 1 }, text(p.term)))),
+                    xmlElement('simpleMatchSet', {}, ...q.pairs.map((p, i) => xmlElement('simpleAssociableChoice', { identifier: `definition_${i + 1}`, matchMax: 1 }, text(p.definition))))),
+                processing: 'match_correct'
+            };
+        default:
+            return null;
+    }
+};
+
+const toItemXml = (q, identifier, title) => {
+    const parts = toItemParts(q);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        xmlElement('assessmentItem', {
+            xmlns: QTI_NAMESPACE,
+            'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            'xsi:schemaLocation': `${QTI_NAMESPACE} ${QTI_SCHEMA}`,
+            identifier,
+            title,
+            adaptive: 'false',
+            timeDependent: 'false'
+        },
+        parts.declarations,
+        scoreDeclaration(),
+        q.explanation ? xmlElement('outcomeDeclaration', { identifier: 'FEEDBACK', cardinality: 'single', baseType: 'identifier' }) : null,
+        xmlElement('itemBody', {}, parts.body),
+        parts.processing ? xmlElement('responseProcessing', { template: `${TEMPLATES}/${parts.processing}` }) : null,
+        q.explanation ? xmlElement('modalFeedback', { outcomeIdentifier: 'FEEDBACK', identifier: 'explanation', showHide: 'hide' }, paragraph(q.explanation)) : null),
+        ''
+    ].join('\n');
+};
+
+const toMetadata = (q) => {
+    const keywords = (q.tags || []).map(tag => xmlElement('imsmd:keyword', {}, xmlElement('imsmd:string', {}, text(tag))));
+    const difficulty = q.difficulty ? xmlElement('imsmd:educational', {}, xmlElement('imsmd:difficulty', {},
+        xmlElement('imsmd:source', {}, 'LOMv1.0'),
+        xmlElement('imsmd:value', {}, LOM_DIFFICULTIES[q.difficulty]))) : null;
+    return keywords.length || difficulty
+        ? xmlElement('metadata', {}, xmlElement('imsmd:lom', {}, keywords.length ? xmlElement('imsmd:general', {}, ...keywords) : null, difficulty))
+        : null;
+};
+
+const exportQuestions = async (quiz) => {
+    const zip = new JSZip();
+    const resources = quiz.questions.map((q, i) => {
+        const identifier = `item_${i + 1}`;
+        const href = `items/${identifier}.xml`;
+        zip.file(href, toItemXml(q, identifier, `Question ${i + 1}`));
+        return xmlElement('resource', { identifier: `resource_${i + 1}`, type: 'imsqti_item_xmlv2p1', href },
+            toMetadata(q),
+            xmlElement('file', { href }));
+    });
+    zip.file('imsmanifest.xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        xmlElement('manifest', {
+            xmlns: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+            'xmlns:imsmd': 'http://ltsc.ieee.org/xsd/LOM',
+            identifier: `manifest_${quiz.quiz_id}`
+        },
+        xmlElement('metadata', {}, xmlElement('schema', {}, 'QTIv2.1 Package'), xmlElement('schemaversion', {}, '1.0.0')),
+        xmlElement('organizations'),
+        xmlElement('resources', {}, ...resources)),
+        ''
+    ].join('\n'));
+    return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction', 'orderInteraction', 'matchInteraction'];
+
+// Visible text of an item body, with the gap of a text entry shown as a blank
+const bodyText = (node) => node.children.map((child) => {
+    if (typeof child === 'string') {
+        return child;
+    }
+    if (child.name === 'textEntryInteraction') {
+        return ` ${BLANK} `;
+    }
+    if (INTERACTIONS.includes(child.name) || ['rubricBlock', 'modalFeedback', 'feedbackBlock', 'feedbackInline'].includes(child.name)) {
+        return ' ';
+    }
+    return ` ${bodyText(child)} `;
+}).join('');
+
+const readChoices = (interaction, name) => findAll(interaction, name).map(choice => ({ id: choice.attributes.identifier, text: collapse(textOf(choice)) }));
+
+const fromItem = (item, metadata, label) => {
+    const body = childNamed(item, 'itemBody');
+    const interaction = INTERACTIONS.map(name => findFirst(body, name)).find(Boolean);
+    if (!interaction) {
+        return itemError(label, 'no supported interaction (choice, text entry, extended text, order or match)');
+    }
+    const declaration = childrenNamed(item, 'responseDeclaration').find(d => d.attributes.identifier === interaction.attributes.responseIdentifier)
+        || childNamed(item, 'responseDeclaration');
+    const correct = findAll(childNamed(declaration, 'correctResponse'), 'value').map(value => collapse(textOf(value)));
+    const prompt = collapse(textOf(childNamed(interaction, 'prompt')));
+    const question = prompt || collapse(bodyText(body));
+    const q = { question };
+
+    switch (interaction.name) {
+        case 'choiceInteraction': {
+            const options = readChoices(interaction, 'simpleChoice');
+            const right = options.filter(o => correct.includes(o.id)).map(o => o.text);
+            const isTrueFalse = options.length === 2 && options.map(o => o.text.toLowerCase()).join() === 'true,false';
+            if (isTrueFalse) {
+                Object.assign(q, { type: 'true_false', answer: right[0] && right[0].toLowerCase() === 'true' ? 'True' : 'False' });
+            } else if (declaration && declaration.attributes.cardinality === 'multiple') {
+                Object.assign(q, { type: 'multi_select', options: options.map(o => o.text), answers: right });
+            } else {
+                Object.assign(q, { type: 'multiple_choice', options: options.map(o => o.text), answer: right[0] });
+            }
+            break;
+        }
+        case 'textEntryInteraction': {
+            const mapped = findAll(declaration, 'mapEntry').filter(entry => parseFloat(entry.attributes.mappedValue) > 0).map(entry => entry.attributes.mapKey);
+            const accepted = [...new Set([...correct, ...mapped])].filter(Boolean);
+            // The blank is padded so it never joins the words around it; punctuation right after it stays attached
+            const question = collapse(bodyText(body)).replace(/_{3,} (?=[.,;:!?)])/g, BLANK);
+            Object.assign(q, { type: 'fill_blank', question, answer: accepted[0], accepted_answers: accepted.slice(1) });
+            break;
+        }
+        case 'extendedTextInteraction': {
+            if (!correct[0]) {
+                return itemError(label, 'extended text items need a model answer as their correct response');
+            }
+            const rubric = findAll(body, 'rubricBlock').flatMap(block => {
+                const paragraphs = findAll(block, 'p').map(p => collapse(textOf(p))).filter(Boolean);
+                return paragraphs.length ? paragraphs : [collapse(textOf(block))].filter(Boolean);
+            });
+            Object.assign(q, { type: 'short_answer', answer: correct[0], rubric: rubric.length ? rubric.slice(0, 6) : toRubric(correct[0]) });
+            break;
+        }
+        case 'orderInteraction': {
+            const options = readChoices(interaction, 'simpleChoice');
+            Object.assign(q, { type: 'ordering', items: correct.map(id => (options.find(o => o.id === id) || {}).text).filter(Boolean) });
+            break;
+        }
+        case 'matchInteraction': {
+            const choicesById = Object.fromEntries(readChoices(interaction, 'simpleAssociableChoice').map(c => [c.id, c.text]));
+            Object.assign(q, {
+                type: 'matching',
+                pairs: correct.map((pair) => {
+                    const [term, definition] = pair.split(/\s+/);
+                    return { term: choicesById[term], definition: choicesById[definition] };
+                })
+            });
+            break;
+        }
+        default:
+    }
+
+    const feedback = childrenNamed(item, 'modalFeedback').map(node => collapse(htmlToText(textOf(node)))).filter(Boolean);
+    if (feedback.length) {
+        q.explanation = feedback.join(' ');
+    }
+    if (metadata.tags.length) {
+        q.tags = metadata.tags;
+    }
+    if (metadata.difficulty) {
+        q.difficulty = metadata.difficulty;
+    }
+    return { label, question: q };
+};
+
+// Keywords and difficulty from a resource's LOM metadata
+const readMetadata = (resource) => {
+    const lom = findFirst(resource, 'lom');
+    const tags = findAll(findFirst(lom, 'general'), 'keyword').map(keyword => collapse(textOf(keyword))).filter(Boolean);
+    const value = collapse(textOf(findFirst(findFirst(lom, 'difficulty'), 'value'))).toLowerCase();
+    const level = Object.keys(LOM_DIFFICULTIES).find(key => LOM_DIFFICULTIES[key] === value) || (DIFFICULTIES.includes(value) ? value : null);
+    return { tags, difficulty: level };
+};
+
+const itemsOf = (source, metadata, label) => {
+    let document;
+    try {
+        document = parseXml(source);
+    } catch (err) {
+        return [itemError(label, err.message)];
+    }
+    const items = findAll(document, 'assessmentItem');
+    return items.map((item, i) => fromItem(item, metadata, items.length > 1 ? `${label} item ${i + 1}` : label));
+};
+
+// A content package (ZIP with imsmanifest.xml) or a single assessmentItem XML file
+const importQuestions = async (buffer) => {
+    if (buffer.subarray(0, 4).toString('binary') !== 'PK\u0003\u0004') {
+        return itemsOf(buffer.toString('utf8'), { tags: [], difficulty: null }, 'item 1');
+    }
+    let zip;
+    try {
+        zip = await loadZip(buffer);
+    } catch (err) {
+        if (err.status) throw err;
+        return [itemError('file', 'not a valid ZIP package')];
+    }
+    const manifestFile = zip.file('imsmanifest.xml');
+    let resources = [];
+    if (manifestFile) {
+        try {
+            resources = findAll(parseXml(await readZipText(zip, 'imsmanifest.xml')), 'resource')
+                .filter(resource => /^imsqti_item/.test(resource.attributes.type || '') && resource.attributes.href)
+                .map(resource => ({ href: resource.attributes.href, metadata: readMetadata(resource) }));
+        } catch (err) {
+            if (err.status) throw err;
+            return [itemError('imsmanifest.xml', err.message)];
+        }
+    }
+    if (!resources.length) {
+        // No manifest (or one without item resources): read every XML file but the manifest
+        resources = Object.keys(zip.files)
+            .filter(name => /\.xml$/i.test(name) && !/imsmanifest\.xml$/i.test(name) && !zip.files[name].dir)
+            .sort()
+            .map(href => ({ href, metadata: { tags: [], difficulty: null } }));
+    }
+    const items = [];
+    for (const resource of resources) {
+        const xml = await readZipText(zip, resource.href);
+        if (xml === null) {
+            items.push(itemError(resource.href, 'file listed in the manifest is missing'));
+            continue;
+        }
+        items.push(...itemsOf(xml, resource.metadata, resource.href));
+    }
+    return items;
+};
+
+module.exports = {
+    label: 'IMS QTI 2.1',
+    extension: 'zip',
+    contentType: 'application/zip',
+    exportQuestions,
+    importQuestions
+};
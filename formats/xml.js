@@ -0,0 +1,95 @@
+// Just enough XML for question bank files: elements, attributes, text and CDATA. Namespace
+// prefixes are dropped from element names; DTDs, comments and processing instructions are skipped.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+});
+
+const localName = (name) => name.replace(/^[^:]*:/, '');
+
+// Parse a document into { name, attributes, children } nodes; text children are strings
+const parseXml = (source) => {
+    const root = { name: '#document', attributes: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const [, cdata, closing, opening, attributeText, selfClosing, text, stray] = match;
+        const parent = stack[stack.length - 1];
+        if (cdata !== undefined) {
+            parent.children.push(cdata);
+        } else if (closing) {
+            if (stack.length < 2 || parent.name !== localName(closing)) {
+                throw new Error(`Malformed XML: unexpected </${closing}>`);
+            }
+            stack.pop();
+        } else if (opening) {
+            const attributes = {};
+            const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(attributeText))) {
+                attributes[localName(attribute[1])] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+            const node = { name: localName(opening), attributes, children: [] };
+            parent.children.push(node);
+            if (!selfClosing) {
+                stack.push(node);
+            }
+        } else if (text !== undefined) {
+            parent.children.push(decodeEntities(text));
+        } else if (stray) {
+            throw new Error('Malformed XML: stray "<"');
+        }
+    }
+    if (stack.length !== 1) {
+        throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    return root;
+};
+
+const elements = (node) => (node ? node.children.filter(child => typeof child !== 'string') : []);
+
+const childrenNamed = (node, name) => elements(node).filter(child => child.name === name);
+
+const childNamed = (node, name) => childrenNamed(node, name)[0] || null;
+
+// Every descendant element with this name, in document order
+const findAll = (node, name) => elements(node).flatMap(child => [
+    ...(child.name === name ? [child] : []),
+    ...findAll(child, name)
+]);
+
+const findFirst = (node, name) => findAll(node, name)[0] || null;
+
+// All the text inside a node
+const textOf = (node) => {
+    if (!node) {
+        return '';
+    }
+    return node.children.map(child => (typeof child === 'string' ? child : textOf(child))).join('');
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const cdata = (value) => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Build an element. `content` is markup: escape text with escapeXml or wrap it in cdata first.
+const xmlElement = (name, attributes = {}, ...content) => {
+    const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    const inner = content.flat().filter(part => part !== undefined && part !== null && part !== false).join('');
+    return inner ? `<${name}${attributeText}>${inner}</${name}>` : `<${name}${attributeText}/>`;
+};
+
+module.exports = { parseXml, elements, childrenNamed, childNamed, findAll, findFirst, textOf, escapeXml, cdata, xmlElement };
@@ -0,0 +1,356 @@
+const { getProvider } = require('./ai');
+const { MAX_SNIPPET_CHARS, validateQuestion, validateQuizContent, validateMockTest } = require('./schema');
+const { httpError } = require('./errors');
+const { CHUNK_CONCURRENCY, buildChunks, allocateQuestions, mapWithLimit, dedupeQuestions, dedupeFlashcards } = require('./chunking');
+const {
+    MIX_TYPES,
+    PAIRS_PER_MATCHING_QUESTION,
+    getQuestionType,
+    parseQuestionTypes,
+    toTypeCounts,
+    buildMatchingQuestions
+} = require('./questionTypes');
+
+// How many times invalid model output is sent back for repair before giving up
+const MAX_REPAIR_ATTEMPTS = Math.max(parseInt(process.env.AI_REPAIR_ATTEMPTS) || 2, 0);
+
+// Remove markdown fences and parse the model response
+const parseModelJson = (text) => {
+    const responseText = String(text).replace(/```json/g, '').replace(/```/g, '').trim();
+    return JSON.parse(responseText);
+};
+
+const buildRepairPrompt = (prompt, previousText, errors) => `${prompt}
+
+Your previous response was invalid:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${previousText}
+
+Return the corrected JSON only, no extra text or markdown.`;
+
+// Ask the model, validate the output and send it back for repair a bounded number of times
+const generateValidated = async (prompt, request, validate) => {
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const text = await getProvider().generateText(currentPrompt, { ...request, repairAttempt: attempt });
+
+        let data;
+        try {
+            data = parseModelJson(text);
+            errors = validate(data);
+        } catch (error) {
+            errors = [`response is not valid JSON: ${error.message}`];
+        }
+
+        if (errors.length === 0) {
+            return data;
+        }
+
+        console.warn(`Invalid ${request.task} output (attempt ${attempt + 1}/${MAX_REPAIR_ATTEMPTS + 1}):`, errors);
+        currentPrompt = buildRepairPrompt(prompt, text, errors);
+    }
+
+    throw httpError(502, 'The AI model returned invalid content. You have not been charged for this generation.', errors);
+};
+
+// Prompt lines asking for the question types and the JSON example for each of them
+const DETAILS_RULE = `Every question also has "explanation" (one or two sentences on why the answer is correct), "difficulty" (easy, medium or hard), "tags" (1 to 3 short lowercase topic tags) and "source_snippet" (an exact quote of at most ${MAX_SNIPPET_CHARS} characters from the text the question is based on).`;
+const DETAILS_EXAMPLE = { explanation: 'why the answer is correct', difficulty: 'easy, medium or hard', tags: ['topic'], source_snippet: 'quote from the text' };
+
+const describeQuestionTypes = (qType, typeCounts, numOptions, withPage) => {
+    const names = typeCounts ? Object.keys(typeCounts) : (qType === 'mix' ? MIX_TYPES : [qType]);
+    const request = typeCounts
+        ? `Question types: ${Object.entries(typeCounts).map(([type, count]) => `exactly ${count} ${type}`).join(', ')}.`
+        : `Quiz type: "${qType}" (${qType === 'mix' ? 'any mix of true_false and multiple_choice' : `every question is ${qType}`}).`;
+    return {
+        rules: [request, ...names.map(name => getQuestionType(name).rule({ numOptions })), DETAILS_RULE].join(' \n'),
+        examples: names
+            .map(name => JSON.stringify({ ...getQuestionType(name).example({ numOptions }), ...DETAILS_EXAMPLE, ...(withPage ? { source_page: 1 } : {}) }))
+            .join(',\n        ')
+    };
+};
+
+// `qType` is a type name, "mix", or the number of questions of each type ({ multiple_choice: 3, fill_blank: 1 }).
+// `pages` lists the page (slide, section) numbers marked in the text ("[Page 3]"), `avoid` lists questions not to
+// repeat and `minFlashcards` asks for enough flashcards to build matching questions from.
+const generateContent = async (text, qType, numOptions, numQuestions, includeFlashcards, { onUsage, pages = [], section, avoid = [], minFlashcards = 0 } = {}) => {
+    const typeCounts = qType && typeof qType === 'object' ? qType : null;
+    const { rules, examples } = describeQuestionTypes(typeCounts ? null : qType, typeCounts, numOptions, pages.length > 0);
+    const prompt = `
+${numQuestions ? `Generate exactly ${numQuestions} quiz questions and ${includeFlashcards ? 'flashcards ' : ''}` : 'Generate flashcards and no quiz questions '}based on this text: "${text}". 
+${numQuestions ? `${rules} \n` : ''}${minFlashcards ? `Include at least ${minFlashcards} flashcards with distinct terms and definitions. \n` : ''}${pages.length ? 'The text is split into numbered parts marked like "[Page N]" or "[Slide N]". Set "source_page" to the number of the part each question is based on. \n' : ''}${avoid.length ? `Do not repeat any of these questions:\n${avoid.map(q => `- ${q}`).join('\n')}\n` : ''}Return in JSON format, no extra text or markdown:
+{
+    "questions": [
+        ${numQuestions ? examples : ''}
+    ],
+    "flashcards": [
+        {"term": "Term", "definition": "Definition"}
+    ]
+}
+`;
+    const spec = { qType: typeCounts ? undefined : qType, typeCounts, numOptions, numQuestions, includeFlashcards, minFlashcards, requireDetails: true };
+    const request = { task: 'quiz', ...spec, pages, section, avoid, onUsage };
+    const content = await generateValidated(prompt, request, data => validateQuizContent(data, spec));
+    return {
+        questions: content.questions,
+        flashcards: includeFlashcards ? (content.flashcards || []) : []
+    };
+};
+
+// Where a generated question came from: its chunk (section), the page the model named when it
+// is one of the chunk's pages, the chunk's page range and the quoted text
+const toQuestionSource = (q, chunk) => {
+    const namedPage = parseInt(q.source_page);
+    const page = chunk.pages.includes(namedPage)
+        ? namedPage
+        : (chunk.pages.length === 1 ? chunk.pages[0] : null);
+    return {
+        section: chunk.section,
+        page,
+        pages: chunk.pages.length ? { start: Math.min(...chunk.pages), end: Math.max(...chunk.pages) } : null,
+        snippet: q.source_snippet
+    };
+};
+
+// Generate questions for each chunk of the source (a few chunks at a time) and merge them.
+// Each target names its chunk, question count and types. `onChunkDone` is called as each chunk finishes.
+const generateForChunks = async (targets, numOptions, includeFlashcards, { onUsage, onChunkDone, avoid = [] }) => {
+    const results = await mapWithLimit(targets, CHUNK_CONCURRENCY, async ({ chunk, count, types, minFlashcards }) => {
+        const content = await generateContent(chunk.text, types, numOptions, count, includeFlashcards, {
+            onUsage,
+            pages: chunk.pages,
+            section: chunk.section,
+            avoid,
+            minFlashcards
+        });
+        if (onChunkDone) {
+            await onChunkDone();
+        }
+        return {
+            questions: content.questions.map(q => ({ ...q, source: toQuestionSource(q, chunk) })),
+            flashcards: content.flashcards
+        };
+    });
+    return {
+        questions: results.flatMap(r => r.questions),
+        flashcards: results.flatMap(r => r.flashcards)
+    };
+};
+
+const countTypes = (questions) => questions.reduce((counts, q) => {
+    const type = String(q.type).toLowerCase();
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+}, {});
+
+// Give each target its share of the remaining questions of each type
+const assignTypes = (targets, typeCounts) => {
+    const remaining = { ...typeCounts };
+    return targets.map((target) => {
+        const weights = Object.fromEntries(Object.entries(remaining).filter(([, n]) => n > 0));
+        const types = toTypeCounts({ weights }, target.count);
+        Object.entries(types).forEach(([type, n]) => {
+            remaining[type] -= n;
+        });
+        return { ...target, types };
+    });
+};
+
+// Generate from sections ({ page, text }) of a source that may be too long for one prompt. The source is
+// split into chunks, questions are spread over the chunks by length, near-duplicates are removed and
+// one extra round asks for any questions lost to deduplication. `qType` is anything `parseQuestionTypes`
+// accepts; matching questions are built from the flashcards afterwards. `onProgress({ current, total })`
+// reports finished chunk requests.
+const generateContentFromSections = async (sections, qType, numOptions, numQuestions, includeFlashcards, { onUsage, onProgress } = {}) => {
+    const chunks = buildChunks(sections);
+    if (!chunks.length) {
+        throw httpError(400, 'No source text to generate from');
+    }
+
+    const plan = parseQuestionTypes(qType);
+    const typeCounts = toTypeCounts(plan, numQuestions);
+    const matchingCount = (typeCounts && typeCounts.matching) || 0;
+    const modelCounts = typeCounts && Object.fromEntries(Object.entries(typeCounts).filter(([type]) => type !== 'matching'));
+    const modelTotal = numQuestions - matchingCount;
+    const withFlashcards = includeFlashcards || matchingCount > 0;
+
+    // Targets for `count` questions, split between types. With only matching questions the chunks
+    // are picked the same way but asked for flashcards alone.
+    const toTargets = (count, counts, minFlashcards = 0) => {
+        const targets = allocateQuestions(chunks, count || minFlashcards)
+            .map((n, index) => ({ chunk: chunks[index], count: count ? n : 0, flashcardShare: n }))
+            .filter(target => target.flashcardShare > 0);
+        const total = targets.reduce((sum, target) => sum + target.flashcardShare, 0);
+        const withShares = targets.map(({ flashcardShare, ...target }) => ({
+            ...target,
+            minFlashcards: minFlashcards ? Math.ceil((minFlashcards * flashcardShare) / total) : 0
+        }));
+        return counts ? assignTypes(withShares, counts) : withShares.map(target => ({ ...target, types: 'mix' }));
+    };
+
+    const progress = { current: 0, total: 0 };
+    const onChunkDone = async () => {
+        progress.current += 1;
+        if (onProgress) {
+            await onProgress({ ...progress });
+        }
+    };
+
+    const firstTargets = toTargets(modelTotal, modelCounts, matchingCount * PAIRS_PER_MATCHING_QUESTION);
+    progress.total = firstTargets.length;
+    const first = await generateForChunks(firstTargets, numOptions, withFlashcards, { onUsage, onChunkDone });
+    let questions = dedupeQuestions(first.questions);
+
+    const kept = countTypes(questions);
+    const missingCounts = modelCounts && Object.fromEntries(Object.entries(modelCounts)
+        .map(([type, n]) => [type, n - (kept[type] || 0)])
+        .filter(([, n]) => n > 0));
+    const missing = missingCounts
+        ? Object.values(missingCounts).reduce((sum, n) => sum + n, 0)
+        : modelTotal - questions.length;
+    if (missing > 0) {
+        const avoid = questions.map(q => q.question);
+        const extraTargets = toTargets(missing, missingCounts);
+        progress.total += extraTargets.length;
+        const extra = await generateForChunks(extraTargets, numOptions, false, { onUsage, onChunkDone, avoid });
+        questions = [...questions, ...dedupeQuestions(extra.questions, questions)];
+    }
+
+    // Present questions in document order, then the matching questions
+    const flashcards = withFlashcards ? dedupeFlashcards(first.flashcards) : [];
+    const matching = buildMatchingQuestions(flashcards, matchingCount);
+    const matchingErrors = matching.flatMap((q, i) => validateQuestion(q, { qType: 'matching' }, `matching question ${i + 1}`));
+    if (matchingErrors.length) {
+        throw httpError(502, 'The AI model returned invalid content. You have not been charged for this generation.', matchingErrors);
+    }
+    questions = questions
+        .map((q, order) => ({ q, order }))
+        .sort((a, b) => (a.q.source.section - b.q.source.section) || (a.order - b.order))
+        .map(({ q }) => q)
+        .slice(0, modelTotal)
+        .concat(matching);
+
+    return {
+        questions,
+        flashcards,
+        chunks: chunks.length
+    };
+};
+
+// Generate a replacement for one quiz question, keeping its type and number of options
+const generateReplacementQuestion = async (quiz, index, { text, onUsage } = {}) => {
+    const current = quiz.questions[index];
+    const qType = String(current.type).toLowerCase();
+    const questionType = getQuestionType(qType);
+    if (!questionType || !questionType.generated) {
+        throw httpError(400, `${qType} questions cannot be regenerated`, 'Matching questions are built from the quiz flashcards; edit them instead.');
+    }
+    const numOptions = ['multiple_choice', 'multi_select'].includes(qType) ? (current.options || []).length || 4 : undefined;
+    const otherQuestions = quiz.questions
+        .filter((q, i) => i !== index)
+        .map(q => `- ${q.question}`)
+        .join('\n');
+
+    const prompt = `
+Write exactly 1 new ${qType} quiz question to replace this question from the quiz "${quiz.content_name}": "${current.question}". 
+${text ? `Base it on this text: "${text}". \n` : ''}Cover the same topic, but do not repeat any of these questions:
+${otherQuestions || '- (none)'}
+${questionType.rule({ numOptions })} 
+${DETAILS_RULE} 
+Return in JSON format, no extra text or markdown:
+{
+    "questions": [
+        ${JSON.stringify({ ...questionType.example({ numOptions }), ...DETAILS_EXAMPLE })}
+    ]
+}
+`;
+    const spec = { qType, numOptions, numQuestions: 1, includeFlashcards: false, requireDetails: true };
+    const content = await generateValidated(prompt, { task: 'quiz', ...spec, onUsage }, data => validateQuizContent(data, spec));
+    return content.questions[0];
+};
+
+// Generate one new question per question a student keeps missing, testing the same concept in the same type
+const generateVariantQuestions = async (questions, { onUsage } = {}) => {
+    const types = questions.map(q => String(q.type).toLowerCase());
+    const listed = questions
+        .map((q, i) => `${i + 1}. [${types[i]}] ${q.question} (answer: ${JSON.stringify(getQuestionType(types[i]).answerKey(q))})${(q.tags || []).length ? ` tags: ${q.tags.join(', ')}` : ''}`)
+        .join('\n');
+    const rules = [...new Set(types)].map(type => getQuestionType(type).rule({ numOptions: 'the same number of' }));
+
+    const prompt = `
+A student keeps getting these quiz questions wrong:
+${listed}
+
+Write exactly ${questions.length} new quiz questions, one for each question above and in the same order, that test the same concept from a different angle. 
+Each new question has the same type as the question it replaces and does not reuse its wording. 
+${rules.join(' \n')} 
+${DETAILS_RULE} 
+Return in JSON format, no extra text or markdown:
+{
+    "questions": [
+        ${[...new Set(types)].map(type => JSON.stringify({ ...getQuestionType(type).example({ numOptions: 4 }), ...DETAILS_EXAMPLE })).join(',\n        ')}
+    ]
+}
+`;
+    const spec = { numQuestions: questions.length, includeFlashcards: false, requireDetails: true };
+    const validate = (data) => {
+        const errors = validateQuizContent(data, spec);
+        (data.questions || []).forEach((q, i) => {
+            if (types[i] && q && String(q.type).toLowerCase() !== types[i]) {
+                errors.push(`questions[${i}]: "type" must be ${types[i]}, like the question it replaces`);
+            }
+        });
+        return errors;
+    };
+    const content = await generateValidated(prompt, { task: 'quiz', ...spec, types, onUsage }, validate);
+    return content.questions;
+};
+
+// Generate mock test questions
+const generateMockTest = async (topic, description, difficulty, numQuestions, { onUsage } = {}) => {
+    const prompt = `
+Generate a mock test with exactly ${numQuestions} questions for the following topic:
+Topic: "${topic}"
+Description: "${description}"
+Difficulty Level: "${difficulty}"
+
+The questions should be challenging and appropriate for the specified difficulty level.
+Each question has options prefixed "A)", "B)", "C)", "D)" and "correct_answer" is the letter of the correct option.
+Return in JSON format with no extra text:
+{
+    "mock_test": {
+        "topic": "${topic}",
+        "difficulty": "${difficulty}",
+        "total_questions": ${numQuestions},
+        "time_allowed": "${Math.ceil(numQuestions * 2)} minutes",
+        "questions": [
+            {
+                "question_number": 1,
+                "question": "question text",
+                "options": ["A) option1", "B) option2", "C) option3", "D) option4"],
+                "correct_answer": "A",
+                "explanation": "detailed explanation"
+            }
+        ]
+    }
+}`;
+
+    return generateValidated(
+        prompt,
+        { task: 'mock_test', topic, difficulty, numQuestions, onUsage },
+        data => validateMockTest(data, { numQuestions })
+    );
+};
+
+module.exports = {
+    parseModelJson,
+    generateContent,
+    generateContentFromSections,
+    generateReplacementQuestion,
+    generateVariantQuestions,
+    generateMockTest
+};
@@ -0,0 +1,102 @@
+const { getQuestionType } = require('./questionTypes');
+
+// Normalize an answer for comparison (case and surrounding whitespace are ignored)
+const normalizeAnswer = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+// Strip answers from questions before sending a quiz to a player. Ordering and matching
+// questions come with their items shuffled into `options` (and `terms` for matching).
+const toPlayableQuestions = (questions = []) => questions.map((q, index) => {
+    const questionType = getQuestionType(q.type);
+    return {
+        question_index: index,
+        question: q.question,
+        type: q.type,
+        difficulty: q.difficulty || null,
+        tags: q.tags || [],
+        ...(questionType ? questionType.toPlayable(q) : { options: q.options || [] })
+    };
+});
+
+// Matching questions can be built from the flashcards (buildMatchingQuestions), which makes the
+// flashcards their answer key. On quizzes with matching questions only the owner sees them.
+const canSeeFlashcards = (quiz, user) => Boolean(user && user.uid === quiz.user_id)
+    || !(quiz.questions || []).some(q => q.type === 'matching');
+
+// Accept answers as an array (by question position) or an object keyed by question index
+const getSelectedAnswer = (answers, index) => {
+    if (Array.isArray(answers)) {
+        return answers[index];
+    }
+    if (answers && typeof answers === 'object') {
+        return answers[index] !== undefined ? answers[index] : answers[String(index)];
+    }
+    return undefined;
+};
+
+const isAnswered = (selected) => {
+    if (selected === undefined || selected === null) return false;
+    if (Array.isArray(selected)) return selected.length > 0;
+    if (typeof selected === 'object') return Object.keys(selected).length > 0;
+    return String(selected).trim() !== '';
+};
+
+// Multi-part answers (lists, term to definition maps) are kept as sent, everything else as a string
+const toStoredAnswer = (selected) => (typeof selected === 'object' ? selected : String(selected));
+
+// Credit from 0 to 1 for one answer
+const gradeAnswer = (q, selected) => {
+    const questionType = getQuestionType(q.type);
+    if (!questionType) {
+        return normalizeAnswer(selected) === normalizeAnswer(q.answer) ? 1 : 0;
+    }
+    return Math.round(questionType.grade(q, selected) * 100) / 100;
+};
+
+// Grade a player's answers against the stored questions, or only those at `questionIndexes` when the
+// session was started with a filter. Short answer and matching questions can earn partial credit,
+// so the score is the sum of credits. Wrong answers come with the explanation and source.
+const gradeAttempt = (questions = [], answers, questionIndexes = null) => {
+    const indexes = questionIndexes
+        ? questionIndexes.filter(index => index < questions.length)
+        : questions.map((q, index) => index);
+    const results = indexes.map((index) => {
+        const q = questions[index];
+        const selected = getSelectedAnswer(answers, index);
+        const answered = isAnswered(selected);
+        const credit = answered ? gradeAnswer(q, selected) : 0;
+        return {
+            question_index: index,
+            selected: answered ? toStoredAnswer(selected) : null,
+            correct: credit === 1,
+            credit
+        };
+    });
+
+    const score = Math.round(results.reduce((sum, r) => sum + r.credit, 0) * 100) / 100;
+    const wrongAnswers = results
+        .filter(r => !r.correct)
+        .map((r) => {
+            const q = questions[r.question_index];
+            const questionType = getQuestionType(q.type);
+            return {
+                question_index: r.question_index,
+                question: q.question,
+                selected: r.selected,
+                credit: r.credit,
+                correct_answer: questionType ? questionType.answerKey(q) : q.answer,
+                explanation: q.explanation || null,
+                difficulty: q.difficulty || null,
+                tags: q.tags || [],
+                source: q.source || null
+            };
+        });
+
+    return {
+        score,
+        total: indexes.length,
+        results,
+        wrongAnswers
+    };
+};
+
+module.exports = { normalizeAnswer, toPlayableQuestions, canSeeFlashcards, isAnswered, gradeAnswer, gradeAttempt };
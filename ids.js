@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// 12 random bytes give 16 url-safe characters, far too many to guess or collide in practice
+const ID_BYTES = 12;
+const JOIN_CODE_DIGITS = 6;
+const MAX_ID_ATTEMPTS = 10;
+
+// Internal id for quizzes and mock tests (also their document key)
+const generateId = () => crypto.randomBytes(ID_BYTES).toString('base64url');
+
+// Short numeric code players type to join a quiz, like a game PIN. It never starts with 0.
+const generateJoinCode = () => String(crypto.randomInt(10 ** (JOIN_CODE_DIGITS - 1), 10 ** JOIN_CODE_DIGITS));
+
+const isJoinCode = (value) => new RegExp(`^\\d{${JOIN_CODE_DIGITS}}$`).test(String(value));
+
+// Build a document with fresh ids and save it. `create` returns false when an id is already
+// taken, in which case new ids are drawn.
+const createWithUniqueIds = async (build, create) => {
+    for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+        const data = build();
+        if (await create(data)) {
+            return data;
+        }
+    }
+    throw httpError(503, 'Could not allocate a unique id, please try again');
+};
+
+module.exports = { generateId, generateJoinCode, isJoinCode, createWithUniqueIds };
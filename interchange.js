@@ -0,0 +1,124 @@
+const { httpError } = require('./errors');
+const { FORMATS, getQuestionFormat, getFlashcardFormat, detectQuestionFormat } = require('./formats');
+const { validateQuestion, sanitizeQuestion, sanitizeFlashcard } = require('./schema');
+const { fromMockQuestion } = require('./practice');
+const { getInitialVisibility, VISIBILITIES } = require('./sharing');
+const { saveNewQuiz } = require('./contentJobs');
+const { quizLink } = require('./links');
+
+const QUESTION_FORMATS = FORMATS.filter(name => getQuestionFormat(name));
+
+const isTruthy = (value) => value === true || ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Mock test questions as multiple choice quiz questions, without the "A) " option prefixes
+const stripLetter = (option) => String(option).replace(/^\s*[A-Za-z]\s*[).:-]\s*/, '');
+
+const fromMockTest = (test) => ({
+    quiz_id: test.test_id,
+    content_name: test.test_data.topic,
+    questions: (test.test_data.questions || []).map((q) => {
+        const question = fromMockQuestion(q, test);
+        return { ...question, options: question.options.map(stripLetter), answer: stripLetter(question.answer || '') };
+    }),
+    flashcards: []
+});
+
+const toFileName = (name, extension) => `${String(name).replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'export'}.${extension}`;
+
+// Convert a quiz (or a mock test turned into one with fromMockTest) to an interchange format.
+// "anki" exports the flashcards; the other formats export the questions.
+const exportQuiz = async (quiz, formatName) => {
+    const name = String(formatName || '').toLowerCase();
+    const flashcardFormat = getFlashcardFormat(name);
+    const questionFormat = getQuestionFormat(name);
+    if (!flashcardFormat && !questionFormat) {
+        throw httpError(400, `format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (flashcardFormat) {
+        if (!(quiz.flashcards || []).length) {
+            throw httpError(400, 'There are no flashcards to export');
+        }
+        const body = await flashcardFormat.exportFlashcards(quiz);
+        return { fileName: toFileName(`${quiz.content_name}_flashcards`, flashcardFormat.extension), contentType: flashcardFormat.contentType, buffer: Buffer.from(body) };
+    }
+    if (!(quiz.questions || []).length) {
+        throw httpError(400, 'There are no questions to export');
+    }
+    const body = await questionFormat.exportQuestions(quiz);
+    return { fileName: toFileName(quiz.content_name, questionFormat.extension), contentType: questionFormat.contentType, buffer: Buffer.from(body) };
+};
+
+// Check each imported question against the quiz schema. Items the format could not read keep their errors.
+const checkQuestions = (items) => items.map((item) => {
+    if (item.errors) {
+        return item;
+    }
+    const errors = validateQuestion(item.question, {}, item.label);
+    return errors.length ? { label: item.label, errors } : { label: item.label, question: sanitizeQuestion(item.question) };
+});
+
+const checkFlashcards = (items) => items.map(({ label, flashcard }) => (flashcard.term && flashcard.definition
+    ? { label, flashcard: sanitizeFlashcard(flashcard) }
+    : { label, errors: [`${label}: a flashcard needs a front (term) and a back (definition)`] }));
+
+// Import a question file (and optionally an Anki deck of flashcards) as a new quiz. Any item that
+// cannot be imported fails the whole import with per-item errors, unless `skip_invalid` is set.
+// Imports do not count against the generation allowance.
+const importQuiz = async (userId, { file, flashcardsFile, input }) => {
+    if (!file) {
+        throw httpError(400, 'Upload the questions as a "file"');
+    }
+    const formatName = input.format ? String(input.format).toLowerCase() : detectQuestionFormat(file);
+    const questionFormat = getQuestionFormat(formatName);
+    if (!questionFormat) {
+        throw httpError(400, input.format
+            ? `format must be one of ${QUESTION_FORMATS.join(', ')}`
+            : `Could not tell the file's format. Set format to one of ${QUESTION_FORMATS.join(', ')}.`);
+    }
+    const visibility = getInitialVisibility(input.visibility);
+    if (!visibility) {
+        throw httpError(400, `visibility must be one of ${VISIBILITIES.join(', ')}`);
+    }
+
+    const questionItems = checkQuestions(await questionFormat.importQuestions(file.buffer));
+    const flashcardItems = flashcardsFile ? checkFlashcards(await getFlashcardFormat('anki').importFlashcards(flashcardsFile.buffer)) : [];
+    const invalid = [...questionItems, ...flashcardItems]
+        .filter(item => item.errors)
+        .map(item => ({ item: item.label, errors: item.errors }));
+    if (invalid.length && !isTruthy(input.skip_invalid)) {
+        throw httpError(400, 'Some items could not be imported', invalid);
+    }
+    const questions = questionItems.filter(item => item.question).map(item => item.question);
+    const flashcards = flashcardItems.filter(item => item.flashcard).map(item => item.flashcard);
+    if (!questions.length) {
+        throw httpError(400, 'The file has no questions that can be imported', invalid);
+    }
+
+    const contentName = String(input.content_name || (file.originalname || 'Imported quiz').replace(/\.[^.]+$/, ''));
+    const quizData = {
+        content_name: contentName,
+        user_id: userId,
+        created_at: new Date(),
+        source: 'import',
+        import_details: { format: formatName, file_name: file.originalname || null, skipped: invalid.length },
+        time_limit_minutes: parseInt(input.time_limit_minutes) > 0 ? parseInt(input.time_limit_minutes) : null,
+        visibility,
+        shared_with_users: [],
+        shared_with_groups: [],
+        version: 1,
+        questions,
+        flashcards
+    };
+    const quiz = await saveNewQuiz(quizData);
+    return {
+        quiz_id: quiz.quiz_id,
+        quiz_link: quizLink(quiz.quiz_id),
+        join_code: quiz.join_code,
+        content_name: contentName,
+        format: formatName,
+        imported: { questions: questions.length, flashcards: flashcards.length },
+        skipped: invalid
+    };
+};
+
+module.exports = { FORMATS, fromMockTest, exportQuiz, importQuiz };
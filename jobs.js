@@ -0,0 +1,228 @@
+const { EventEmitter } = require('events');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+const { generateId } = require('./ids');
+const { reserveGeneration, commitGeneration, releaseGeneration } = require('./metering');
+const { releaseGenerationSlot } = require('./rateLimit');
+
+// Generation jobs run in this process, a few at a time. Their state lives in the store so it can be
+// polled from any instance; progress is also pushed to local listeners for the event stream.
+const JOB_CONCURRENCY = Math.max(parseInt(process.env.JOB_CONCURRENCY) || 2, 1);
+// How long `?wait=true` requests wait for their job before giving up
+const JOB_WAIT_TIMEOUT_SECONDS = parseInt(process.env.JOB_WAIT_TIMEOUT_SECONDS) || 120;
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+// type -> { endpoint, run(job, { report, onUsage }) => { result, usage } }
+const jobTypes = {};
+const events = new EventEmitter();
+events.setMaxListeners(0);
+const queue = [];
+let running = 0;
+
+const registerJobType = (type, definition) => {
+    jobTypes[type] = definition;
+};
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+// What clients see of a job
+const toJobStatus = (job) => ({
+    job_id: job.job_id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress || null,
+    attempts: job.attempts,
+    result: job.result || null,
+    error: job.error || null,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at || null,
+    status_url: `/api/jobs/${job.job_id}`,
+    events_url: `/api/jobs/${job.job_id}/events`
+});
+
+// Save changes to a job and tell listeners
+const updateJob = async (job, changes) => {
+    Object.assign(job, changes, { updated_at: new Date() });
+    await getStore().jobs.update(job.job_id, { ...changes, updated_at: job.updated_at });
+    events.emit(job.job_id, { ...job });
+    return job;
+};
+
+const toJobError = (err) => (err.status
+    ? { status: err.status, message: err.message, details: err.details || null }
+    : { status: 500, message: 'Generation failed', details: err.message });
+
+const runJob = async (jobId) => {
+    const job = await getStore().jobs.get(jobId);
+    if (!job || job.status !== 'queued') {
+        return;
+    }
+    const definition = jobTypes[job.type];
+    await updateJob(job, { status: 'running', started_at: new Date() });
+
+    let tokensUsed = 0;
+    try {
+        const { result, usage = {} } = await definition.run(job, {
+            report: (stage, progress = null) => updateJob(job, { stage, progress }),
+            onUsage: u => { tokensUsed += u.total_tokens; }
+        });
+        await commitGeneration(job.reservation_id, { ...usage, tokensUsed });
+        await updateJob(job, { status: 'succeeded', stage: 'completed', progress: null, result, error: null, finished_at: new Date() });
+    } catch (err) {
+        if (!err.status) {
+            console.error(`Error running ${job.type} job ${jobId}:`, err);
+        }
+        await releaseGeneration(job.reservation_id, err);
+        await updateJob(job, { status: 'failed', stage: 'failed', progress: null, error: toJobError(err), finished_at: new Date() });
+    } finally {
+        await releaseGenerationSlot(job.user_id, job.generation_slot);
+    }
+};
+
+const drain = () => {
+    while (running < JOB_CONCURRENCY && queue.length) {
+        const jobId = queue.shift();
+        running++;
+        runJob(jobId)
+            .catch(err => console.error(`Error updating job ${jobId}:`, err))
+            .finally(() => {
+                running--;
+                drain();
+            });
+    }
+};
+
+const enqueue = (jobId) => {
+    queue.push(jobId);
+    setImmediate(drain);
+};
+
+// Queue a job for a generation that has already been reserved. `generationSlot` is the caller's
+// in-flight slot (see rateLimit), freed when the job finishes.
+const submitJob = async ({ jobId = generateId(), userId, type, input, reservationId, generationSlot = null }) => {
+    if (!jobTypes[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+    const now = new Date();
+    const job = {
+        job_id: jobId,
+        user_id: String(userId),
+        type,
+        status: 'queued',
+        stage: 'queued',
+        progress: null,
+        input,
+        reservation_id: reservationId,
+        generation_slot: generationSlot,
+        attempts: 1,
+        result: null,
+        error: null,
+        created_at: now,
+        updated_at: now,
+        started_at: null,
+        finished_at: null
+    };
+    await getStore().jobs.create(jobId, job);
+    enqueue(jobId);
+    return job;
+};
+
+// Load a job that belongs to the caller
+const getOwnedJob = async (jobId, userId) => {
+    const job = await getStore().jobs.get(jobId);
+    if (!job) {
+        throw httpError(404, 'Job not found');
+    }
+    if (job.user_id !== String(userId)) {
+        throw httpError(403, 'Forbidden');
+    }
+    return job;
+};
+
+// Run a failed job again with its original input. A new generation is reserved for it.
+const retryJob = async (jobId, userId, generationSlot = null) => {
+    const job = await getOwnedJob(jobId, userId);
+    if (job.status !== 'failed') {
+        throw httpError(409, 'Only failed jobs can be retried');
+    }
+    const usageStatus = await reserveGeneration(userId, jobTypes[job.type].endpoint);
+    if (!usageStatus.canGenerate) {
+        throw httpError(403, 'Generation limit reached', usageStatus.limitDetails);
+    }
+    await updateJob(job, {
+        status: 'queued',
+        stage: 'queued',
+        progress: null,
+        error: null,
+        result: null,
+        reservation_id: usageStatus.reservationId,
+        generation_slot: generationSlot,
+        attempts: (job.attempts || 1) + 1,
+        started_at: null,
+        finished_at: null
+    });
+    enqueue(jobId);
+    return { job, usageStatus };
+};
+
+// Call `listener(job)` on every change made by this process; returns an unsubscribe function
+const subscribeToJob = (jobId, listener) => {
+    events.on(jobId, listener);
+    return () => events.off(jobId, listener);
+};
+
+// Resolve with the job once it has succeeded or failed. Rejects with a 504 if that takes longer
+// than JOB_WAIT_TIMEOUT_SECONDS; the job itself keeps running.
+const waitForJob = (jobId, timeoutSeconds = JOB_WAIT_TIMEOUT_SECONDS) => new Promise((resolve, reject) => {
+    let timer;
+    const settle = (callback, value) => {
+        clearTimeout(timer);
+        unsubscribe();
+        callback(value);
+    };
+    const unsubscribe = subscribeToJob(jobId, (job) => {
+        if (isFinished(job)) {
+            settle(resolve, job);
+        }
+    });
+    timer = setTimeout(() => {
+        settle(reject, httpError(504, 'The job is still running. Poll its status to get the result.'));
+    }, timeoutSeconds * 1000);
+    // It may have finished before we subscribed
+    getStore().jobs.get(jobId).then((job) => {
+        if (job && isFinished(job)) {
+            settle(resolve, job);
+        }
+    }, (err) => settle(reject, err));
+});
+
+// On startup, requeue jobs that were waiting and fail jobs that were cut off mid-run (their
+// generations are given back, and they can be retried). Only for single-instance deployments.
+const recoverJobs = async () => {
+    const jobs = await getStore().jobs.listByStatus(['queued', 'running']);
+    for (const job of jobs) {
+        if (job.status === 'queued') {
+            enqueue(job.job_id);
+            continue;
+        }
+        const error = httpError(503, 'The server restarted while this job was running. Retry it to try again.');
+        await releaseGeneration(job.reservation_id, error);
+        await releaseGenerationSlot(job.user_id, job.generation_slot);
+        await updateJob(job, { status: 'failed', stage: 'failed', progress: null, error: toJobError(error), finished_at: new Date() });
+    }
+    return jobs.length;
+};
+
+module.exports = {
+    registerJobType,
+    isFinished,
+    toJobStatus,
+    submitJob,
+    getOwnedJob,
+    retryJob,
+    subscribeToJob,
+    waitForJob,
+    recoverJobs
+};
@@ -0,0 +1,51 @@
+const QRCode = require('qrcode');
+const { httpError } = require('./errors');
+
+const QR_FORMATS = ['png', 'svg'];
+const DEFAULT_QR_SIZE = 256;
+const MIN_QR_SIZE = 64;
+const MAX_QR_SIZE = 1024;
+
+// Address clients reach this server at (PUBLIC_BASE_URL), without a trailing slash
+const getPublicBaseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+const toPublicUrl = (pathname) => `${getPublicBaseUrl()}${pathname}`;
+
+const quizLink = (quizId, shareToken = null) => toPublicUrl(`/api/quiz/${quizId}${shareToken ? `?share=${encodeURIComponent(shareToken)}` : ''}`);
+
+const flashcardsLink = (quizId, shareToken = null) => toPublicUrl(`/api/flashcards/${quizId}${shareToken ? `?share=${encodeURIComponent(shareToken)}` : ''}`);
+
+const mockTestDownloadLink = (testId) => toPublicUrl(`/api/mock-test/download/${testId}`);
+
+const mockTestAttemptsLink = (testId) => toPublicUrl(`/api/mock-test/${testId}/attempts`);
+
+// Parse ?format= and ?size= of a QR code request
+const parseQrOptions = (query = {}) => {
+    const format = String(query.format || 'png').toLowerCase();
+    if (!QR_FORMATS.includes(format)) {
+        throw httpError(400, `format must be one of ${QR_FORMATS.join(', ')}`);
+    }
+    const size = query.size === undefined ? DEFAULT_QR_SIZE : parseInt(query.size);
+    if (!(size >= MIN_QR_SIZE && size <= MAX_QR_SIZE)) {
+        throw httpError(400, `size must be between ${MIN_QR_SIZE} and ${MAX_QR_SIZE} pixels`);
+    }
+    return { format, size };
+};
+
+// QR code of a link as { contentType, body }
+const renderQrCode = async (link, { format = 'png', size = DEFAULT_QR_SIZE } = {}) => {
+    if (format === 'svg') {
+        return { contentType: 'image/svg+xml', body: await QRCode.toString(link, { type: 'svg', width: size, margin: 1 }) };
+    }
+    return { contentType: 'image/png', body: await QRCode.toBuffer(link, { type: 'png', width: size, margin: 1 }) };
+};
+
+module.exports = {
+    getPublicBaseUrl,
+    quizLink,
+    flashcardsLink,
+    mockTestDownloadLink,
+    mockTestAttemptsLink,
+    parseQrOptions,
+    renderQrCode
+};
@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getStore } = require('./store');
+const { getVerifier } = require('./auth');
+const { httpError } = require('./errors');
+const { generateId, generateJoinCode, createWithUniqueIds } = require('./ids');
+const { toPlayableQuestions, isAnswered, gradeAnswer } = require('./grading');
+const { getQuestionType } = require('./questionTypes');
+const { recordOutcomes, toQuizOutcomes } = require('./practice');
+const { getQuizVersion } = require('./editing');
+
+// Path the WebSocket server listens on
+const LIVE_PATH = '/api/live';
+const DEFAULT_QUESTION_SECONDS = 20;
+const MAX_QUESTION_SECONDS = 300;
+// Rooms nobody has used for this long are ended (and their results saved if the game started)
+const ROOM_IDLE_MINUTES = parseInt(process.env.LIVE_ROOM_IDLE_MINUTES) || 30;
+const MAX_PLAYERS = parseInt(process.env.LIVE_ROOM_MAX_PLAYERS) || 200;
+const MAX_NICKNAME_LENGTH = 30;
+// A correct answer earns between half and all of these points, depending on how fast it came
+const MAX_POINTS = 1000;
+
+// Rooms run in the process that created them
+const rooms = new Map();
+
+const send = (socket, message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+const toPlayers = (room) => [...room.players.values()].map(p => ({ nickname: p.nickname, connected: Boolean(p.socket) }));
+
+// Players ranked by points, then by credit
+const toStandings = (room) => [...room.players.values()]
+    .map(p => ({
+        nickname: p.nickname,
+        points: p.points,
+        score: Math.round(p.score * 100) / 100,
+        last_points: room.currentIndex >= 0 && p.answers[room.currentIndex] ? p.answers[room.currentIndex].points : 0
+    }))
+    .sort((a, b) => (b.points - a.points) || (b.score - a.score) || a.nickname.localeCompare(b.nickname))
+    .map((p, i) => ({ rank: i + 1, ...p }));
+
+const broadcast = (room, message) => {
+    room.hostSockets.forEach(socket => send(socket, message));
+    room.players.forEach(player => send(player.socket, message));
+};
+
+const toQuestionMessage = (room) => ({
+    type: 'question',
+    question_index: room.currentIndex,
+    total_questions: room.questions.length,
+    question: room.playable[room.currentIndex],
+    time_limit_seconds: room.questionSeconds,
+    ends_at: new Date(room.endsAt)
+});
+
+// Everything a (re)connecting client needs to pick up where the room is
+const toSnapshot = (room, player) => ({
+    room_id: room.roomId,
+    join_code: room.joinCode,
+    content_name: room.contentName,
+    status: room.status,
+    total_questions: room.questions.length,
+    question_index: room.currentIndex,
+    players: toPlayers(room),
+    standings: toStandings(room),
+    ...(room.status === 'question' ? { current_question: toQuestionMessage(room) } : {}),
+    ...(player ? { answered: Boolean(player.answers[room.currentIndex]) } : {})
+});
+
+// End rooms nobody has used for a while
+const touch = (room) => {
+    clearTimeout(room.idleTimer);
+    room.idleTimer = setTimeout(() => {
+        endRoom(room, 'idle').catch(err => console.error('Error ending idle live room:', err));
+    }, ROOM_IDLE_MINUTES * 60 * 1000);
+    room.idleTimer.unref();
+};
+
+// Close the current question, score it and push the standings
+const closeQuestion = (room) => {
+    if (room.status !== 'question') {
+        return;
+    }
+    clearTimeout(room.questionTimer);
+    room.status = 'results';
+    const index = room.currentIndex;
+    const q = room.questions[index];
+    const questionType = getQuestionType(q.type);
+    const standings = toStandings(room);
+
+    room.hostSockets.forEach(socket => send(socket, {
+        type: 'question_results',
+        question_index: index,
+        correct_answer: questionType ? questionType.answerKey(q) : q.answer,
+        explanation: q.explanation || null,
+        answers: [...room.players.values()].filter(p => p.answers[index]).length,
+        standings,
+        last_question: index === room.questions.length - 1
+    }));
+    room.players.forEach((player) => {
+        const answer = player.answers[index];
+        send(player.socket, {
+            type: 'question_results',
+            question_index: index,
+            correct_answer: questionType ? questionType.answerKey(q) : q.answer,
+            explanation: q.explanation || null,
+            correct: Boolean(answer && answer.credit === 1),
+            points: answer ? answer.points : 0,
+            standings,
+            last_question: index === room.questions.length - 1
+        });
+    });
+};
+
+const openQuestion = (room, index) => {
+    room.status = 'question';
+    room.currentIndex = index;
+    room.questionStartedAt = Date.now();
+    room.endsAt = room.questionStartedAt + room.questionSeconds * 1000;
+    room.questionTimer = setTimeout(() => closeQuestion(room), room.questionSeconds * 1000);
+    broadcast(room, toQuestionMessage(room));
+};
+
+// Save each player's result with the room (credit like graded attempts, plus the live points) and free the
+// join code. Results stay out of the quiz's scores, so live games do not reach its leaderboard.
+const endRoom = async (room, reason = 'finished') => {
+    if (room.status === 'finished') {
+        return;
+    }
+    clearTimeout(room.questionTimer);
+    clearTimeout(room.idleTimer);
+    const started = room.currentIndex >= 0;
+    room.status = 'finished';
+    rooms.delete(room.roomId);
+
+    const standings = toStandings(room);
+    const played = room.currentIndex + 1;
+    const now = new Date();
+    if (started) {
+        for (const player of room.players.values()) {
+            const results = room.questions.slice(0, played).map((q, index) => ({
+                question_index: index,
+                selected: player.answers[index] ? player.answers[index].answer : null,
+                correct: Boolean(player.answers[index] && player.answers[index].credit === 1),
+                credit: player.answers[index] ? player.answers[index].credit : 0
+            }));
+            await getStore().liveRooms.addResult({
+                live_room_id: room.roomId,
+                quiz_id: room.quizId,
+                quiz_version: room.quizVersion,
+                player_name: player.nickname,
+                user_id: player.userId || null,
+                score: Math.round(player.score * 100) / 100,
+                points: player.points,
+                total_questions: played,
+                results,
+                created_at: now
+            });
+            if (player.userId) {
+                await recordOutcomes(player.userId, toQuizOutcomes({ quiz_id: room.quizId }, room.quizVersion, room.questions, results.filter(r => r.selected !== null)), {
+                    attemptType: 'live',
+                    attemptId: room.roomId
+                });
+            }
+        }
+    }
+
+    broadcast(room, { type: 'finished', reason, standings });
+    room.hostSockets.forEach(socket => socket.close(1000, 'Room finished'));
+    room.players.forEach(player => player.socket && player.socket.close(1000, 'Room finished'));
+
+    await getStore().liveRooms.update(room.roomId, {
+        status: 'finished',
+        ended_at: now,
+        questions_played: started ? played : 0,
+        standings
+    });
+    await getStore().liveRooms.releaseJoinCode({ room_id: room.roomId, join_code: room.joinCode });
+};
+
+// Open a room on a quiz. The host drives it over the WebSocket after sending { type: 'host' }.
+const createRoom = async (quiz, hostId, { questionSeconds } = {}) => {
+    if (!(quiz.questions || []).length) {
+        throw httpError(400, 'This quiz has no questions');
+    }
+    const seconds = Math.min(Math.max(parseInt(questionSeconds) || DEFAULT_QUESTION_SECONDS, 5), MAX_QUESTION_SECONDS);
+    const data = await createWithUniqueIds(() => ({
+        room_id: generateId(),
+        join_code: generateJoinCode(),
+        quiz_id: quiz.quiz_id,
+        quiz_version: getQuizVersion(quiz),
+        content_name: quiz.content_name,
+        host_id: String(hostId),
+        question_seconds: seconds,
+        status: 'lobby',
+        created_at: new Date(),
+        ended_at: null
+    }), room => getStore().liveRooms.create(room));
+
+    const room = {
+        roomId: data.room_id,
+        joinCode: data.join_code,
+        quizId: quiz.quiz_id,
+        quizVersion: data.quiz_version,
+        contentName: quiz.content_name,
+        hostId: String(hostId),
+        questions: quiz.questions,
+        playable: toPlayableQuestions(quiz.questions),
+        questionSeconds: seconds,
+        status: 'lobby',
+        currentIndex: -1,
+        players: new Map(),
+        hostSockets: new Set(),
+        questionTimer: null,
+        idleTimer: null
+    };
+    rooms.set(room.roomId, room);
+    touch(room);
+    return {
+        room_id: room.roomId,
+        join_code: room.joinCode,
+        quiz_id: room.quizId,
+        question_seconds: seconds,
+        total_questions: room.questions.length,
+        ws_path: LIVE_PATH
+    };
+};
+
+const getRoomByJoinCode = (joinCode) => [...rooms.values()].find(room => room.joinCode === String(joinCode)) || null;
+
+// Join as a player, or rejoin with the player_token handed out on the first join
+const handleJoin = async (socket, message) => {
+    const room = getRoomByJoinCode(message.join_code);
+    if (!room) {
+        throw httpError(404, 'No live room with this join code');
+    }
+    let player = message.player_token
+        ? [...room.players.values()].find(p => p.token === message.player_token)
+        : null;
+
+    if (!player) {
+        const nickname = String(message.nickname || '').trim().slice(0, MAX_NICKNAME_LENGTH);
+        if (!nickname) {
+            throw httpError(400, 'nickname is required');
+        }
+        if ([...room.players.values()].some(p => p.nickname.toLowerCase() === nickname.toLowerCase())) {
+            throw httpError(409, 'Nickname already taken in this room');
+        }
+        if (room.players.size >= MAX_PLAYERS) {
+            throw httpError(409, 'This room is full');
+        }
+        // Signed-in players can send their token so their answers count towards adaptive practice
+        const user = message.access_token ? await getVerifier().verify(message.access_token) : null;
+        player = {
+            id: crypto.randomBytes(8).toString('hex'),
+            token: crypto.randomBytes(18).toString('base64url'),
+            nickname,
+            userId: user ? user.uid : null,
+            socket: null,
+            score: 0,
+            points: 0,
+            answers: {}
+        };
+        room.players.set(player.id, player);
+    } else if (player.socket && player.socket !== socket) {
+        // The same player connected again (new tab or dropped connection): the newest socket wins
+        player.socket.close(4000, 'Connected elsewhere');
+    }
+
+    player.socket = socket;
+    socket.session = { role: 'player', roomId: room.roomId, playerId: player.id };
+    send(socket, { type: 'joined', player_token: player.token, nickname: player.nickname, ...toSnapshot(room, player) });
+    broadcast(room, { type: 'players', players: toPlayers(room) });
+};
+
+// Take control of a room as its host (any number of host connections, e.g. a projector and a phone)
+const handleHost = async (socket, message) => {
+    const room = rooms.get(String(message.room_id));
+    if (!room) {
+        throw httpError(404, 'Live room not found');
+    }
+    const user = message.access_token ? await getVerifier().verify(message.access_token) : null;
+    if (!user || user.uid !== room.hostId) {
+        throw httpError(403, 'Only the host can control this room');
+    }
+    room.hostSockets.add(socket);
+    socket.session = { role: 'host', roomId: room.roomId };
+    send(socket, { type: 'hosting', ...toSnapshot(room) });
+};
+
+// Open the first question and record that the game is running
+const startRoom = async (room) => {
+    openQuestion(room, 0);
+    await getStore().liveRooms.update(room.roomId, { status: 'running', started_at: new Date() });
+};
+
+// Host commands: start, next (start from the lobby, open the next question, or finish after the last),
+// close_question and end
+const handleHostCommand = async (room, message) => {
+    switch (message.type) {
+        case 'start':
+            if (room.status !== 'lobby') {
+                throw httpError(409, 'The game has already started');
+            }
+            await startRoom(room);
+            break;
+        case 'next':
+            if (room.status === 'lobby') {
+                await startRoom(room);
+                break;
+            }
+            if (room.status === 'question') {
+                closeQuestion(room);
+            }
+            if (room.currentIndex + 1 >= room.questions.length) {
+                await endRoom(room);
+            } else {
+                openQuestion(room, room.currentIndex + 1);
+            }
+            break;
+        case 'close_question':
+            closeQuestion(room);
+            break;
+        case 'end':
+            await endRoom(room);
+            break;
+        default:
+            throw httpError(400, `Unknown message type: ${message.type}`);
+    }
+};
+
+// Score an answer to the open question: full credit earns MAX_POINTS scaled down to half by response time
+const handleAnswer = (room, player, message) => {
+    if (room.status !== 'question' || parseInt(message.question_index) !== room.currentIndex) {
+        throw httpError(409, 'This question is closed');
+    }
+    if (player.answers[room.currentIndex]) {
+        throw httpError(409, 'Already answered');
+    }
+    if (!isAnswered(message.answer)) {
+        throw httpError(400, 'answer is required');
+    }
+    const elapsedMs = Date.now() - room.questionStartedAt;
+    const credit = gradeAnswer(room.questions[room.currentIndex], message.answer);
+    const speed = 1 - Math.min(elapsedMs / (room.questionSeconds * 1000), 1) / 2;
+    const points = Math.round(credit * MAX_POINTS * speed);
+
+    player.answers[room.currentIndex] = { answer: message.answer, credit, points, elapsed_ms: elapsedMs };
+    player.score += credit;
+    player.points += points;
+    send(player.socket, { type: 'answer_received', question_index: room.currentIndex });
+
+    const connected = [...room.players.values()].filter(p => p.socket);
+    const answered = connected.filter(p => p.answers[room.currentIndex]).length;
+    room.hostSockets.forEach(socket => send(socket, { type: 'answer_count', question_index: room.currentIndex, answers: answered, players: connected.length }));
+    // Everyone connected has answered: no need to wait for the timer
+    if (answered === connected.length) {
+        closeQuestion(room);
+    }
+};
+
+const handleMessage = async (socket, message) => {
+    if (message.type === 'ping') {
+        return send(socket, { type: 'pong' });
+    }
+    if (message.type === 'join') {
+        return handleJoin(socket, message);
+    }
+    if (message.type === 'host') {
+        return handleHost(socket, message);
+    }
+
+    const session = socket.session;
+    const room = session && rooms.get(session.roomId);
+    if (!room) {
+        throw httpError(400, 'Join or host a room first');
+    }
+    touch(room);
+    if (session.role === 'host') {
+        return handleHostCommand(room, message);
+    }
+    if (message.type === 'answer') {
+        return handleAnswer(room, room.players.get(session.playerId), message);
+    }
+    throw httpError(400, `Unknown message type: ${message.type}`);
+};
+
+// Players and hosts that drop keep their place; players rejoin with their player_token
+const handleClose = (socket) => {
+    const session = socket.session;
+    const room = session && rooms.get(session.roomId);
+    if (!room) {
+        return;
+    }
+    if (session.role === 'host') {
+        room.hostSockets.delete(socket);
+        return;
+    }
+    const player = room.players.get(session.playerId);
+    if (player && player.socket === socket) {
+        player.socket = null;
+        broadcast(room, { type: 'players', players: toPlayers(room) });
+    }
+};
+
+// Serve live rooms on the HTTP server's upgrade requests to LIVE_PATH
+const attachLiveRooms = (server) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+    server.on('upgrade', (req, socket, head) => {
+        if (new URL(req.url, 'http://localhost').pathname !== LIVE_PATH) {
+            socket.destroy();
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+    });
+
+    wss.on('connection', (socket) => {
+        socket.on('message', async (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                return send(socket, { type: 'error', error: 'Messages must be JSON' });
+            }
+            try {
+                await handleMessage(socket, message || {});
+            } catch (err) {
+                if (!err.status) {
+                    console.error('Live room error:', err);
+                }
+                send(socket, { type: 'error', request: message && message.type, error: err.status ? err.message : 'Server error' });
+            }
+        });
+        socket.on('close', () => handleClose(socket));
+    });
+    return wss;
+};
+
+// Room state for the host over HTTP (running rooms only)
+const getRoomStatus = (roomId, userId) => {
+    const room = rooms.get(String(roomId));
+    if (!room || room.hostId !== String(userId)) {
+        return null;
+    }
+    return toSnapshot(room);
+};
+
+// Move live room results saved as scores (before they had their own collection) off the leaderboards:
+// node liveRooms.js move-scores
+if (require.main === module) {
+    require('dotenv').config();
+    if (process.argv[2] !== 'move-scores') {
+        console.error('Usage: node liveRooms.js move-scores');
+        process.exit(1);
+    }
+    getStore().scores.moveLiveResults()
+        .then((count) => {
+            console.log(`Moved ${count} live room results`);
+            process.exit(0);
+        })
+        .catch((err) => {
+            console.error('Error moving live room results:', err);
+            process.exit(1);
+        });
+}
+
+module.exports = { LIVE_PATH, createRoom, attachLiveRooms, getRoomStatus };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+
+const FREE_GENERATIONS = 10;
+
+// Profile created the first time we see a user
+const newUserProfile = (userId, now) => ({
+    user_id: userId,
+    free_generations_remaining: FREE_GENERATIONS,
+    subscription_status: 'free',
+    subscription_expiry: null,
+    created_at: now
+});
+
+// A subscription (trialing, active, past_due or cancelled) grants access until the end of its paid period
+const hasActiveSubscription = (user, now = new Date()) => (
+    user.subscription_status !== 'free' && Boolean(user.subscription_expiry && user.subscription_expiry > now)
+);
+
+// Reserve one generation before calling the model. Free users (and plans with a quota) have
+// a generation taken off immediately, inside the same transaction that checks the balance,
+// so parallel requests cannot both pass the check. The reservation must be committed or released.
+const reserveGeneration = async (userId, endpoint) => {
+    const reservationId = crypto.randomBytes(12).toString('hex');
+    const now = new Date();
+
+    return getStore().usage.reserve(userId, reservationId, (existing) => {
+        const user = existing ? { ...existing } : newUserProfile(userId, now);
+
+        // Expired subscriptions revert to free
+        if (user.subscription_status !== 'free' && !hasActiveSubscription(user, now)) {
+            user.subscription_status = 'free';
+            user.subscription_expiry = null;
+            user.plan_generations_remaining = null;
+        }
+
+        const subscribed = user.subscription_status !== 'free';
+        const planQuota = subscribed && typeof user.plan_generations_remaining === 'number';
+        const remainingFree = user.free_generations_remaining || 0;
+        if ((!subscribed && remainingFree <= 0) || (planQuota && user.plan_generations_remaining <= 0)) {
+            return {
+                user,
+                result: {
+                    canGenerate: false,
+                    remainingFree: subscribed ? 0 : remainingFree,
+                    remainingPlan: planQuota ? 0 : null,
+                    subscriptionStatus: user.subscription_status,
+                    limitDetails: subscribed
+                        ? 'You have used all generations included in your plan for this billing period.'
+                        : 'You have used all your free generations. Please subscribe to continue.',
+                    reservationId: null
+                }
+            };
+        }
+
+        if (!subscribed) {
+            user.free_generations_remaining = remainingFree - 1;
+        } else if (planQuota) {
+            user.plan_generations_remaining -= 1;
+        }
+
+        return {
+            user,
+            entry: {
+                entry_id: reservationId,
+                user_id: String(userId),
+                endpoint,
+                status: 'reserved',
+                subscription_status: user.subscription_status,
+                charged_free_generation: !subscribed,
+                charged_plan_generation: planQuota,
+                resource_type: null,
+                resource_id: null,
+                tokens_used: null,
+                pages_used: null,
+                error: null,
+                created_at: now,
+                settled_at: null
+            },
+            result: {
+                canGenerate: true,
+                remainingFree: subscribed ? 0 : user.free_generations_remaining,
+                remainingPlan: planQuota ? user.plan_generations_remaining : null,
+                subscriptionStatus: user.subscription_status,
+                reservationId
+            }
+        };
+    });
+};
+
+// Mark a reservation as used by a successful generation
+const commitGeneration = async (reservationId, { resourceType, resourceId, tokensUsed = null, pagesUsed = null } = {}) => (
+    getStore().usage.settle(reservationId, (entry) => {
+        if (!entry || entry.status !== 'reserved') {
+            throw httpError(409, 'Generation reservation is not pending');
+        }
+        return {
+            entryChanges: {
+                status: 'committed',
+                resource_type: resourceType || null,
+                resource_id: resourceId ? String(resourceId) : null,
+                tokens_used: tokensUsed,
+                pages_used: pagesUsed,
+                settled_at: new Date()
+            }
+        };
+    })
+);
+
+// Give a reserved generation back after a failed generation
+const releaseGeneration = async (reservationId, error) => {
+    try {
+        await getStore().usage.settle(reservationId, (entry, user) => {
+            if (!entry || entry.status !== 'reserved') {
+                return {};
+            }
+            let userChanges = null;
+            if (user && entry.charged_free_generation) {
+                userChanges = { free_generations_remaining: (user.free_generations_remaining || 0) + 1 };
+            } else if (user && entry.charged_plan_generation && typeof user.plan_generations_remaining === 'number') {
+                userChanges = { plan_generations_remaining: user.plan_generations_remaining + 1 };
+            }
+            return {
+                userChanges,
+                entryChanges: {
+                    status: 'released',
+                    error: error ? String(error.message || error) : null,
+                    settled_at: new Date()
+                }
+            };
+        });
+    } catch (releaseError) {
+        console.error('Error releasing generation reservation:', releaseError);
+    }
+};
+
+module.exports = { FREE_GENERATIONS, newUserProfile, hasActiveSubscription, reserveGeneration, commitGeneration, releaseGeneration };
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+const { getOptionLetter } = require('./schema');
+const { gradeAttempt } = require('./grading');
+const { SESSION_GRACE_SECONDS } = require('./sessions');
+const { fromMockQuestion, recordOutcomes } = require('./practice');
+
+const getMockQuestions = (test) => (test.test_data && test.test_data.questions) || [];
+
+// Minutes from the test's "time_allowed" ("30 minutes"), or 2 per question
+const getTimeAllowedMinutes = (test) => {
+    const minutes = parseInt(test.test_data && test.test_data.time_allowed);
+    return minutes > 0 ? minutes : Math.max(Math.ceil(getMockQuestions(test).length * 2), 1);
+};
+
+// Questions without the answer key
+const toPlayableMockQuestions = (test) => getMockQuestions(test).map((q, index) => ({
+    question_index: index,
+    question_number: q.question_number || index + 1,
+    question: q.question,
+    options: q.options || []
+}));
+
+// Answers are option letters; the option text ("B) Paris" or "Paris") is accepted too
+const toAnswerLetter = (q, value) => {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    const options = q.options || [];
+    const letters = options.map(getOptionLetter);
+    if (/^[A-Za-z]$/.test(text) && letters.includes(text.toUpperCase())) {
+        return text.toUpperCase();
+    }
+    const index = options.findIndex(option => option.trim().toLowerCase() === text.toLowerCase()
+        || option.replace(/^\s*[A-Za-z]\s*[).:-]\s*/, '').trim().toLowerCase() === text.toLowerCase());
+    return index >= 0 ? letters[index] : null;
+};
+
+// Answers keyed by question index, as sent or as an array by position, normalized to letters
+const toAnswerLetters = (test, answers) => {
+    if (!answers || typeof answers !== 'object') {
+        throw httpError(400, 'answers must be an object keyed by question_index or an array');
+    }
+    const questions = getMockQuestions(test);
+    const letters = {};
+    Object.entries(answers).forEach(([key, value]) => {
+        const index = parseInt(key);
+        if (!(index >= 0 && index < questions.length)) {
+            throw httpError(400, `No question at index ${key}`);
+        }
+        if (value === null || value === '') {
+            letters[index] = null;
+            return;
+        }
+        const letter = toAnswerLetter(questions[index], value);
+        if (!letter) {
+            throw httpError(400, `Answer for question ${index} is not one of its options`);
+        }
+        letters[index] = letter;
+    });
+    return letters;
+};
+
+const isPastDeadline = (attempt, now) => now.getTime() > attempt.deadline.getTime() + SESSION_GRACE_SECONDS * 1000;
+
+// Grade saved answers against the answer key, with every question's explanation
+const gradeMockAnswers = (test, answers) => {
+    const mockQuestions = getMockQuestions(test);
+    const questions = mockQuestions.map(q => fromMockQuestion(q, test));
+    const selected = Object.fromEntries(Object.entries(answers || {})
+        .filter(([, letter]) => letter)
+        .map(([index, letter]) => [index, (mockQuestions[index].options || []).find(option => getOptionLetter(option) === letter)]));
+    const grade = gradeAttempt(questions, selected);
+    return {
+        questions,
+        grade,
+        results: grade.results.map(r => ({
+            question_index: r.question_index,
+            question_number: mockQuestions[r.question_index].question_number || r.question_index + 1,
+            question: mockQuestions[r.question_index].question,
+            selected: (answers || {})[r.question_index] || null,
+            correct_answer: String(mockQuestions[r.question_index].correct_answer).trim().toUpperCase(),
+            correct: r.correct,
+            explanation: mockQuestions[r.question_index].explanation || null
+        }))
+    };
+};
+
+const toAttemptView = (attempt, test, now = new Date()) => {
+    const finished = attempt.status !== 'in_progress';
+    return {
+        attempt_id: attempt.attempt_id,
+        test_id: attempt.test_id,
+        topic: attempt.topic,
+        difficulty: attempt.difficulty,
+        status: attempt.status,
+        started_at: attempt.started_at,
+        deadline: attempt.deadline,
+        time_limit_minutes: attempt.time_limit_minutes,
+        remaining_seconds: finished ? 0 : Math.max(Math.floor((attempt.deadline - now) / 1000), 0),
+        answers: attempt.answers || {},
+        saved_at: attempt.saved_at || null,
+        ...(finished
+            ? {
+                submitted_at: attempt.submitted_at,
+                in_time: attempt.in_time,
+                score: attempt.score,
+                total_questions: attempt.total_questions,
+                results: attempt.results
+            }
+            : { questions: test ? toPlayableMockQuestions(test) : [] })
+    };
+};
+
+// Grade and close an attempt exactly once, then record per-question outcomes for practice
+const finishAttempt = async (attempt, test, answers, { status, inTime }, now) => {
+    const { questions, grade, results } = gradeMockAnswers(test, answers);
+    const finished = await getStore().mockTestAttempts.claim(attempt.attempt_id, (current) => {
+        if (current.status !== 'in_progress') {
+            throw httpError(409, 'Mock test already submitted');
+        }
+        return {
+            status,
+            answers,
+            submitted_at: now,
+            in_time: inTime,
+            score: grade.score,
+            total_questions: grade.total,
+            results
+        };
+    });
+    await recordOutcomes(attempt.user_id, grade.results.map(result => ({
+        source: { source_type: 'mock_test', source_id: test.test_id },
+        question: questions[result.question_index],
+        result
+    })), { attemptType: 'mock_test', attemptId: attempt.attempt_id }, now);
+    return finished;
+};
+
+// Load the caller's attempt and its test. Attempts left running past the deadline are graded
+// with the answers saved in time.
+const loadAttempt = async (attemptId, userId, now = new Date()) => {
+    let attempt = await getStore().mockTestAttempts.get(attemptId);
+    if (!attempt || attempt.user_id !== String(userId)) {
+        throw httpError(404, 'Attempt not found');
+    }
+    const test = await getStore().mockTests.findByTestId(attempt.test_id);
+    if (!test) {
+        throw httpError(404, 'Mock test not found');
+    }
+    if (attempt.status === 'in_progress' && isPastDeadline(attempt, now)) {
+        try {
+            attempt = await finishAttempt(attempt, test, attempt.answers, { status: 'expired', inTime: false }, now);
+        } catch (err) {
+            if (err.status !== 409) throw err;
+            attempt = await getStore().mockTestAttempts.get(attemptId);
+        }
+    }
+    return { attempt, test };
+};
+
+// Start taking a mock test online; the clock starts now
+const startAttempt = async (test, userId, now = new Date()) => {
+    const attemptId = crypto.randomBytes(16).toString('hex');
+    const timeLimitMinutes = getTimeAllowedMinutes(test);
+    const attempt = {
+        attempt_id: attemptId,
+        test_id: test.test_id,
+        user_id: String(userId),
+        topic: test.topic,
+        difficulty: test.difficulty,
+        status: 'in_progress',
+        time_limit_minutes: timeLimitMinutes,
+        started_at: now,
+        deadline: new Date(now.getTime() + timeLimitMinutes * 60 * 1000),
+        answers: {},
+        saved_at: null,
+        submitted_at: null
+    };
+    await getStore().mockTestAttempts.create(attemptId, attempt);
+    return toAttemptView(attempt, test, now);
+};
+
+// Autosave answers while the test is running (merged into the ones saved before)
+const saveAnswers = async (attemptId, userId, answers, now = new Date()) => {
+    const { attempt, test } = await loadAttempt(attemptId, userId, now);
+    if (attempt.status !== 'in_progress') {
+        throw httpError(409, attempt.status === 'expired' ? 'Time is up' : 'Mock test already submitted');
+    }
+    const letters = toAnswerLetters(test, answers);
+    const saved = await getStore().mockTestAttempts.claim(attemptId, (current) => {
+        if (current.status !== 'in_progress') {
+            throw httpError(409, 'Mock test already submitted');
+        }
+        return { answers: { ...(current.answers || {}), ...letters }, saved_at: now };
+    });
+    return { attempt_id: attemptId, answers: saved.answers, saved_at: now, remaining_seconds: Math.max(Math.floor((saved.deadline - now) / 1000), 0) };
+};
+
+// Submit the test: final answers are merged with the saved ones and the test is graded
+const submitAttempt = async (attemptId, userId, answers, now = new Date()) => {
+    const { attempt, test } = await loadAttempt(attemptId, userId, now);
+    if (attempt.status !== 'in_progress') {
+        throw httpError(409, attempt.status === 'expired' ? 'Time is up; the answers saved in time were graded' : 'Mock test already submitted');
+    }
+    const letters = answers ? toAnswerLetters(test, answers) : {};
+    const finished = await finishAttempt(attempt, test, { ...(attempt.answers || {}), ...letters }, { status: 'submitted', inTime: true }, now);
+    return toAttemptView(finished, test, now);
+};
+
+// The caller's attempts, newest first, optionally for one test
+const listAttempts = async (userId, { testId, max = 50 } = {}) => {
+    const attempts = await getStore().mockTestAttempts.listByUser(userId, max, { testId });
+    return attempts.map(a => ({
+        attempt_id: a.attempt_id,
+        test_id: a.test_id,
+        topic: a.topic,
+        difficulty: a.difficulty,
+        status: a.status,
+        started_at: a.started_at,
+        deadline: a.deadline,
+        submitted_at: a.submitted_at || null,
+        in_time: a.in_time === undefined ? null : a.in_time,
+        score: a.score === undefined ? null : a.score,
+        total_questions: a.total_questions || null
+    }));
+};
+
+module.exports = { toAttemptView, loadAttempt, startAttempt, saveAnswers, submitAttempt, listAttempts };
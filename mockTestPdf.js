@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const { parseExportOptions, fromMockTest, exportPaper } = require('./pdfExport');
+
+// Ensure uploads directory exists
+const uploadsDir = path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir);
+}
+
+// Create PDF from mock test data (the default layout: no student fields, answer key on the last pages).
+// `qrCode` prints a QR code linking to the online version of the test.
+const createMockTestPDF = async (mockTestData, filePath, { testId = null, qrCode = false } = {}) => {
+    const { buffer } = await exportPaper(
+        fromMockTest({ test_id: testId, test_data: mockTestData.mock_test }),
+        parseExportOptions({ student_fields: false, qr_code: qrCode })
+    );
+    await fs.promises.writeFile(filePath, buffer);
+    return filePath;
+};
+
+module.exports = { uploadsDir, createMockTestPDF };
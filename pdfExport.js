@@ -0,0 +1,452 @@
+const PDFDocument = require('pdfkit');
+const JSZip = require('jszip');
+const { httpError } = require('./errors');
+const { normalizeText, stableShuffle, matchingSeed } = require('./questionTypes');
+const { getOptionLetter } = require('./schema');
+const { getTimeLimitMinutes } = require('./sessions');
+const { quizLink, mockTestAttemptsLink, renderQrCode } = require('./links');
+
+// Where the answer key goes: pages at the end of each paper, a file of its own, or left out
+const ANSWER_KEY_MODES = ['appendix', 'separate', 'none'];
+const MAX_VARIANTS = 10;
+const MAX_TEXT_LENGTH = 200;
+const MAX_INSTRUCTIONS = 15;
+const MAX_STUDENT_FIELDS = 6;
+const MAX_LOGO_BYTES = 1024 * 1024;
+const DEFAULT_STUDENT_FIELDS = ['Name', 'Roll number'];
+const DEFAULT_INSTRUCTIONS = ['Attempt all questions', 'Each question carries equal marks'];
+
+const LOGO_SIGNATURES = [
+    Buffer.from([0x89, 0x50, 0x4e, 0x47]), // PNG
+    Buffer.from([0xff, 0xd8, 0xff]) // JPEG
+];
+
+const toLetter = (index) => String.fromCharCode(65 + index);
+
+// Form fields arrive as strings, JSON bodies as booleans
+const toBoolean = (value, fallback, name, errors) => {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    if (value === true || value === 'true') {
+        return true;
+    }
+    if (value === false || value === 'false') {
+        return false;
+    }
+    errors.push(`"${name}" must be true or false`);
+    return fallback;
+};
+
+const toText = (value, name, errors, max = MAX_TEXT_LENGTH) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const text = String(value).trim();
+    if (text.length > max) {
+        errors.push(`"${name}" must be at most ${max} characters`);
+    }
+    return text.slice(0, max) || null;
+};
+
+// A list sent as an array, or as one string split on `separator`
+const toLines = (value, separator) => (Array.isArray(value) ? value : String(value).split(separator))
+    .map(line => String(line).trim())
+    .filter(Boolean);
+
+// The logo comes as an uploaded file or a base64 string (optionally a data: URL); PNG and JPEG only
+const toLogo = (file, value, errors) => {
+    let buffer = file && file.size ? file.buffer : null;
+    if (!buffer && value) {
+        buffer = Buffer.from(String(value).replace(/^data:[^,]*,/, ''), 'base64');
+    }
+    if (!buffer) {
+        return null;
+    }
+    if (buffer.length > MAX_LOGO_BYTES) {
+        errors.push(`"logo" must be at most ${MAX_LOGO_BYTES / 1024} KB`);
+        return null;
+    }
+    if (!LOGO_SIGNATURES.some(signature => buffer.subarray(0, signature.length).equals(signature))) {
+        errors.push('"logo" must be a PNG or JPEG image');
+        return null;
+    }
+    return buffer;
+};
+
+// Validate export options from a JSON body or form fields (with the logo as an uploaded file)
+const parseExportOptions = (input = {}, logoFile = null) => {
+    const errors = [];
+
+    const answerKey = String(input.answer_key || 'appendix').toLowerCase();
+    if (!ANSWER_KEY_MODES.includes(answerKey)) {
+        errors.push(`"answer_key" must be one of ${ANSWER_KEY_MODES.join(', ')}`);
+    }
+
+    const variants = input.variants === undefined || input.variants === '' ? 1 : Number(input.variants);
+    if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+        errors.push(`"variants" must be a whole number from 1 to ${MAX_VARIANTS}`);
+    }
+
+    let instructions = null;
+    if (input.instructions !== undefined && input.instructions !== '') {
+        instructions = toLines(input.instructions, '\n');
+        if (instructions.length > MAX_INSTRUCTIONS || instructions.some(line => line.length > 300)) {
+            errors.push(`"instructions" must have at most ${MAX_INSTRUCTIONS} lines of up to 300 characters`);
+        }
+    }
+
+    // true (or left out) prints the default fields, false none, or a list of labels
+    let studentFields = DEFAULT_STUDENT_FIELDS;
+    if (input.student_fields === false || input.student_fields === 'false') {
+        studentFields = [];
+    } else if (input.student_fields !== undefined && input.student_fields !== true && input.student_fields !== 'true' && input.student_fields !== '') {
+        studentFields = toLines(input.student_fields, ',');
+        if (studentFields.length > MAX_STUDENT_FIELDS || studentFields.some(label => label.length > 40)) {
+            errors.push(`"student_fields" must list at most ${MAX_STUDENT_FIELDS} labels of up to 40 characters`);
+        }
+    }
+
+    const options = {
+        title: toText(input.title, 'title', errors),
+        schoolName: toText(input.school_name, 'school_name', errors),
+        headerText: toText(input.header_text, 'header_text', errors),
+        logo: toLogo(logoFile, input.logo, errors),
+        instructions,
+        studentFields,
+        answerKey,
+        explanations: toBoolean(input.include_explanations, true, 'include_explanations', errors),
+        answerSheet: toBoolean(input.answer_sheet, false, 'answer_sheet', errors),
+        qrCode: toBoolean(input.qr_code, false, 'qr_code', errors),
+        variants,
+        shuffleQuestions: toBoolean(input.shuffle_questions, true, 'shuffle_questions', errors),
+        shuffleOptions: toBoolean(input.shuffle_options, true, 'shuffle_options', errors)
+    };
+    if (errors.length) {
+        throw httpError(400, 'Invalid export options', errors);
+    }
+    return options;
+};
+
+// A quiz question as printed. `options` carry what the key needs (correct, position or term),
+// so shuffling them keeps the key right.
+const toPaperQuestion = (q) => {
+    const base = { question: q.question, explanation: q.explanation || null };
+    switch (q.type) {
+        case 'true_false':
+            return { ...base, kind: 'choice', fixedOrder: true, options: ['True', 'False'].map(text => ({ text, correct: text === q.answer })) };
+        case 'multi_select': {
+            const answers = q.answers.map(normalizeText);
+            return {
+                ...base,
+                kind: 'choice',
+                note: 'Select all that apply.',
+                options: q.options.map(text => ({ text, correct: answers.includes(normalizeText(text)) }))
+            };
+        }
+        case 'fill_blank':
+            return { ...base, kind: 'write', lines: 1, answer: [q.answer, ...(q.accepted_answers || [])].join(' / ') };
+        case 'short_answer':
+            return { ...base, kind: 'write', lines: 4, answer: q.answer, points: q.rubric || [] };
+        case 'ordering':
+            return {
+                ...base,
+                kind: 'ordering',
+                note: 'Write the letters in the correct order.',
+                options: stableShuffle(q.items.map((text, position) => ({ text, position })), q.question)
+            };
+        case 'matching':
+            return {
+                ...base,
+                kind: 'matching',
+                note: 'Match each numbered term with a lettered definition.',
+                terms: q.pairs.map(p => p.term),
+                options: stableShuffle(q.pairs.map((p, term) => ({ text: p.definition, term })), matchingSeed(q))
+            };
+        default:
+            return { ...base, kind: 'choice', options: (q.options || []).map(text => ({ text, correct: normalizeText(text) === normalizeText(q.answer) })) };
+    }
+};
+
+// The printable form of a quiz
+const fromQuiz = (quiz) => ({
+    id: quiz.quiz_id,
+    title: quiz.content_name,
+    fileName: `quiz_${quiz.quiz_id}`,
+    link: quizLink(quiz.quiz_id),
+    details: [
+        `Total Questions: ${quiz.questions.length}`,
+        `Time Allowed: ${getTimeLimitMinutes(quiz)} minutes`
+    ],
+    instructions: [...DEFAULT_INSTRUCTIONS, `Time allowed: ${getTimeLimitMinutes(quiz)} minutes`],
+    questions: quiz.questions.map(toPaperQuestion)
+});
+
+// The printable form of a mock test (options are stored as "A) text")
+const fromMockTest = (test) => {
+    const data = test.test_data;
+    return {
+        id: test.test_id || data.topic,
+        title: 'Mock Test',
+        fileName: `mock_test_${test.test_id || 'export'}`,
+        link: test.test_id ? mockTestAttemptsLink(test.test_id) : null,
+        details: [
+            `Topic: ${data.topic}`,
+            `Difficulty: ${data.difficulty}`,
+            `Total Questions: ${data.total_questions}`,
+            `Time Allowed: ${data.time_allowed}`
+        ],
+        instructions: [...DEFAULT_INSTRUCTIONS, `Time allowed: ${data.time_allowed}`],
+        questions: (data.questions || []).map(q => ({
+            question: q.question,
+            explanation: q.explanation || null,
+            kind: 'choice',
+            options: (q.options || []).map(option => ({
+                text: option.replace(/^\s*[A-Za-z]\s*[).:-]\s*/, ''),
+                correct: getOptionLetter(option) === String(q.correct_answer).trim().toUpperCase()
+            }))
+        }))
+    };
+};
+
+// Set A keeps the original order. Later sets shuffle questions and options with a seed taken from the
+// paper id and set letter, so exporting again gives the same sets (and the keys handed out stay valid).
+const toVariant = (paper, index, options) => {
+    const label = toLetter(index);
+    if (index === 0) {
+        return { label, questions: paper.questions };
+    }
+    const seed = `${paper.id}:${label}`;
+    const order = paper.questions.map((q, i) => i);
+    return {
+        label,
+        questions: (options.shuffleQuestions ? stableShuffle(order, seed) : order).map((i) => {
+            const q = paper.questions[i];
+            return options.shuffleOptions && q.options && !q.fixedOrder
+                ? { ...q, options: stableShuffle(q.options, `${seed}:${i}`) }
+                : q;
+        })
+    };
+};
+
+const toKeyText = (q) => {
+    switch (q.kind) {
+        case 'choice':
+            return q.options.map((o, i) => (o.correct ? toLetter(i) : null)).filter(Boolean).join(', ');
+        case 'ordering':
+            return q.options.map((o, i) => ({ letter: toLetter(i), position: o.position }))
+                .sort((a, b) => a.position - b.position)
+                .map(o => o.letter)
+                .join(', ');
+        case 'matching':
+            return q.terms.map((term, i) => `${i + 1}-${toLetter(q.options.findIndex(o => o.term === i))}`).join(', ');
+        default:
+            return q.answer;
+    }
+};
+
+// Render into a buffer
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+        draw(doc);
+        doc.end();
+    } catch (err) {
+        reject(err);
+    }
+});
+
+const LOGO_SIZE = 60;
+const QR_SIZE = 70;
+
+// Logo on the left, the QR code (first page only) on the right, and the school name, header text,
+// title and set letter centered between them
+const drawHeader = (doc, paper, options, label, heading, qrImage = null) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.y;
+    const indent = Math.max(options.logo ? LOGO_SIZE + 10 : 0, qrImage ? QR_SIZE + 10 : 0);
+    if (options.logo) {
+        doc.image(options.logo, left, top, { fit: [LOGO_SIZE, LOGO_SIZE] });
+        doc.y = top;
+    }
+    if (qrImage) {
+        doc.image(qrImage, left + width - QR_SIZE, top, { fit: [QR_SIZE, QR_SIZE] });
+        doc.fontSize(7).text('Scan to take it online', left + width - QR_SIZE, top + QR_SIZE + 2, { width: QR_SIZE, align: 'center' });
+        doc.y = top;
+    }
+    const centered = (text, size) => doc.fontSize(size).text(text, left + indent, doc.y, { width: width - 2 * indent, align: 'center' });
+    if (options.schoolName) {
+        centered(options.schoolName, 16);
+    }
+    if (options.headerText) {
+        centered(options.headerText, 11);
+    }
+    centered(heading || options.title || paper.title, 20);
+    if (label) {
+        centered(`Set ${label}`, 12);
+    }
+    doc.x = left;
+    doc.y = Math.max(doc.y, options.logo ? top + LOGO_SIZE : 0, qrImage ? top + QR_SIZE + 12 : 0);
+    doc.moveDown();
+};
+
+const drawStudentFields = (doc, options) => {
+    if (!options.studentFields.length) {
+        return;
+    }
+    doc.fontSize(12);
+    options.studentFields.forEach(label => doc.text(`${label}: ${'_'.repeat(40)}`).moveDown(0.3));
+    doc.moveDown();
+};
+
+const drawQuestion = (doc, q, number) => {
+    doc.fontSize(12).text(`${number}. ${q.question}`);
+    if (q.note) {
+        doc.fontSize(10).text(q.note, { indent: 15 });
+    }
+    doc.moveDown(0.5);
+    doc.fontSize(12);
+    if (q.kind === 'matching') {
+        q.terms.forEach((term, i) => doc.text(`(${i + 1}) ${term}`, { indent: 15 }));
+        doc.moveDown(0.3);
+    }
+    if (q.kind === 'write') {
+        for (let line = 0; line < q.lines; line++) {
+            doc.moveDown(0.5).text('_'.repeat(60), { indent: 15 });
+        }
+    } else {
+        q.options.forEach((o, i) => doc.text(`${toLetter(i)}) ${o.text}`, { indent: 15 }));
+    }
+    if (q.kind === 'ordering' || q.kind === 'matching') {
+        doc.moveDown(0.5).text(`Answer: ${'_'.repeat(30)}`, { indent: 15 });
+    }
+    doc.moveDown();
+};
+
+const ROW_HEIGHT = 22;
+const BUBBLE_SPACING = 24;
+
+// OMR-style sheet: a row of bubbles per choice question, a line for written answers, in two columns
+const drawAnswerSheet = (doc, paper, options, questions, label) => {
+    doc.addPage();
+    drawHeader(doc, paper, options, label, 'Answer Sheet');
+    drawStudentFields(doc, options);
+    doc.fontSize(10).text('Fill in the bubble of your answer (every correct one for "select all" questions). Write other answers on the line.');
+    doc.moveDown();
+
+    const left = doc.page.margins.left;
+    const columnWidth = (doc.page.width - left - doc.page.margins.right) / 2;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    let top = doc.y;
+    let y = top;
+    let column = 0;
+    questions.forEach((q, i) => {
+        if (y + ROW_HEIGHT > bottom) {
+            if (column === 0) {
+                column = 1;
+            } else {
+                doc.addPage();
+                column = 0;
+                top = doc.page.margins.top;
+            }
+            y = top;
+        }
+        const x = left + column * columnWidth;
+        doc.fontSize(10).text(`${i + 1}.`, x, y + 5, { width: 24, align: 'right', lineBreak: false });
+        if (q.kind === 'choice') {
+            q.options.forEach((o, k) => {
+                const cx = x + 42 + k * BUBBLE_SPACING;
+                doc.circle(cx, y + 9, 8).stroke();
+                doc.fontSize(8).text(toLetter(k), cx - 4, y + 6, { width: 8, align: 'center', lineBreak: false });
+            });
+        } else {
+            doc.moveTo(x + 34, y + 16).lineTo(x + columnWidth - 20, y + 16).stroke();
+        }
+        y += ROW_HEIGHT;
+    });
+    doc.x = left;
+    doc.y = column === 0 ? y : bottom;
+};
+
+const drawAnswerKey = (doc, paper, options, questions, label) => {
+    drawHeader(doc, paper, options, label, 'Answer Key');
+    questions.forEach((q, i) => {
+        doc.fontSize(12).text(`${i + 1}. Correct Answer: ${toKeyText(q)}`);
+        if (q.points && q.points.length) {
+            doc.text(`Key points: ${q.points.join('; ')}`);
+        }
+        if (options.explanations && q.explanation) {
+            doc.text(`Explanation: ${q.explanation}`);
+        }
+        doc.moveDown();
+    });
+};
+
+// One set: header, details, student fields, instructions, questions, then the answer sheet and key if asked
+// `label` (the set letter) is left out when there is only one set
+const drawPaper = (doc, paper, options, questions, label, qrImage) => {
+    drawHeader(doc, paper, options, label, null, qrImage);
+
+    doc.fontSize(12);
+    paper.details.forEach(line => doc.text(line));
+    doc.moveDown();
+    drawStudentFields(doc, options);
+
+    const instructions = options.instructions || paper.instructions;
+    if (instructions.length) {
+        doc.fontSize(14).text('Instructions:', { underline: true });
+        doc.fontSize(12);
+        instructions.forEach((line, i) => doc.text(`${i + 1}. ${line}`));
+        doc.moveDown();
+    }
+
+    questions.forEach((q, i) => drawQuestion(doc, q, i + 1));
+
+    if (options.answerSheet) {
+        drawAnswerSheet(doc, paper, options, questions, label);
+    }
+    if (options.answerKey === 'appendix') {
+        doc.addPage();
+        drawAnswerKey(doc, paper, options, questions, label);
+    }
+};
+
+// Render a paper into one PDF, or a ZIP when there are several sets or separate answer keys
+const exportPaper = async (paper, options) => {
+    if (!paper.questions.length) {
+        throw httpError(400, 'There are no questions to export');
+    }
+    const several = options.variants > 1;
+    const qrImage = options.qrCode && paper.link ? (await renderQrCode(paper.link, { size: 200 })).body : null;
+    const files = [];
+    for (let index = 0; index < options.variants; index++) {
+        const variant = toVariant(paper, index, options);
+        const label = several ? variant.label : null;
+        const name = label ? `${paper.fileName}_set_${label}` : paper.fileName;
+        files.push({ name: `${name}.pdf`, buffer: await renderPdf(doc => drawPaper(doc, paper, options, variant.questions, label, qrImage)) });
+        if (options.answerKey === 'separate') {
+            files.push({
+                name: `${name}_answer_key.pdf`,
+                buffer: await renderPdf(doc => drawAnswerKey(doc, paper, options, variant.questions, label))
+            });
+        }
+    }
+
+    if (files.length === 1) {
+        return { fileName: files[0].name, contentType: 'application/pdf', buffer: files[0].buffer };
+    }
+    const zip = new JSZip();
+    files.forEach(file => zip.file(file.name, file.buffer));
+    return {
+        fileName: `${paper.fileName}.zip`,
+        contentType: 'application/zip',
+        buffer: await zip.generateAsync({ type: 'nodebuffer' })
+    };
+};
+
+module.exports = { parseExportOptions, fromQuiz, fromMockTest, exportPaper };
@@ -0,0 +1,57 @@
+const pdfParse = require('pdf-parse');
+const { httpError } = require('./errors');
+
+// Same line joining as pdf-parse's default renderer: items on one baseline are concatenated,
+// a change of baseline starts a new line
+const renderPageText = async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+        if (lastY === item.transform[5] || !lastY) {
+            text += item.str;
+        } else {
+            text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+    }
+    return text;
+};
+
+// Extract the text of each page separately. Pages after `lastPage` are not rendered.
+// Returns { totalPages, pages } where pages[0] is the text of page 1.
+const extractPdfPages = async (buffer, { lastPage } = {}) => {
+    const pages = [];
+    let pdfData;
+    try {
+        // A plain Uint8Array, not a Buffer: pdf.js copies its input with the same constructor and reads
+        // sub-streams from the underlying ArrayBuffer, which goes wrong for small Buffers taken from Node's pool
+        pdfData = await pdfParse(new Uint8Array(buffer), {
+            max: lastPage > 0 ? lastPage : 0,
+            pagerender: async (pageData) => {
+                const text = await renderPageText(pageData);
+                pages[pageData.pageIndex] = text;
+                return text;
+            }
+        });
+    } catch (err) {
+        throw httpError(400, 'Could not read PDF', err.message);
+    }
+    const rendered = Array.from({ length: pdfData.numrender }, (_, i) => pages[i] || '');
+    return { totalPages: pdfData.numpages, pages: rendered };
+};
+
+// Text of pages `start`..`end` (1-based, inclusive), joined and per page, with the number of characters
+// found on each page.
+// Throws when the range has no text layer (for example scanned pages) so no generation is spent on it.
+const selectPages = (pages, start, end) => {
+    const selected = pages.slice(start - 1, end);
+    const charactersPerPage = selected.map((text, i) => ({ page: start + i, characters: text.trim().length }));
+    if (charactersPerPage.every(p => p.characters === 0)) {
+        throw httpError(422, 'No extractable text in the selected pages',
+            'The document appears to contain only images (for example a scan). Run it through OCR and upload it again.');
+    }
+    return { text: selected.join('\n\n'), pages: selected, charactersPerPage };
+};
+
+module.exports = { extractPdfPages, selectPages };
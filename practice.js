@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+const { canViewQuiz } = require('./sharing');
+const { getOptionLetter, sanitizeQuestion, DIFFICULTIES } = require('./schema');
+const { getQuestionType } = require('./questionTypes');
+const { toPlayableQuestions, gradeAttempt } = require('./grading');
+
+// Misses count half as much after this many days
+const OUTCOME_HALF_LIFE_DAYS = parseFloat(process.env.PRACTICE_HALF_LIFE_DAYS) || 14;
+// Most recent outcomes considered when looking for weak questions
+const OUTCOME_HISTORY = 500;
+// A correct answer cancels half of a miss of the same age
+const CORRECT_WEIGHT = 0.5;
+const MAX_PRACTICE_QUESTIONS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Identifies a question by its text and answer, so it is recognized after the quiz is reordered or edited elsewhere
+const toQuestionKey = (q) => {
+    const questionType = getQuestionType(q.type);
+    const answer = questionType ? questionType.answerKey(q) : q.answer;
+    return crypto.createHash('sha1')
+        .update(`${String(q.question).trim().toLowerCase()}|${JSON.stringify(answer)}`)
+        .digest('hex')
+        .slice(0, 16);
+};
+
+// A mock test question as a multiple choice question
+const fromMockQuestion = (q, test) => {
+    const answer = (q.options || []).find(option => getOptionLetter(option) === String(q.correct_answer).trim().toUpperCase());
+    return {
+        question: q.question,
+        type: 'multiple_choice',
+        options: q.options,
+        answer,
+        explanation: q.explanation || null,
+        difficulty: DIFFICULTIES.includes(String(test.difficulty).toLowerCase()) ? String(test.difficulty).toLowerCase() : null,
+        tags: [String(test.topic).trim().toLowerCase()]
+    };
+};
+
+// Record how the user did on each graded question. Each entry names the question's source
+// ({ source_type: 'quiz' | 'mock_test', source_id, source_version }), the question and its result.
+const recordOutcomes = async (userId, entries, { attemptType, attemptId }, now = new Date()) => {
+    for (const { source, question, result } of entries) {
+        await getStore().outcomes.add({
+            user_id: String(userId),
+            source_type: source.source_type,
+            source_id: String(source.source_id),
+            source_version: source.source_version || null,
+            question_key: source.question_key || toQuestionKey(question),
+            tags: question.tags || [],
+            difficulty: question.difficulty || null,
+            credit: result.credit,
+            correct: result.correct,
+            attempt_type: attemptType,
+            attempt_id: String(attemptId),
+            answered_at: now
+        });
+    }
+};
+
+// Outcome entries for a graded quiz attempt
+const toQuizOutcomes = (quiz, version, questions, results) => results.map(result => ({
+    source: { source_type: 'quiz', source_id: quiz.quiz_id, source_version: version },
+    question: questions[result.question_index],
+    result
+}));
+
+// Questions ranked by how often they were missed, recent misses counting more. Questions on
+// topics (tags) the user misses often rank higher. `tags` keeps only questions with one of them.
+const rankWeakQuestions = (outcomes, { tags = [] } = {}, now = new Date()) => {
+    const questions = new Map();
+    const topics = new Map();
+    for (const o of outcomes) {
+        const weight = 0.5 ** (Math.max(now - o.answered_at, 0) / DAY_MS / OUTCOME_HALF_LIFE_DAYS);
+        const missed = 1 - o.credit;
+        const key = `${o.source_type}:${o.source_id}:${o.question_key}`;
+        const entry = questions.get(key) || {
+            source_type: o.source_type,
+            source_id: o.source_id,
+            source_version: o.source_version,
+            question_key: o.question_key,
+            tags: o.tags || [],
+            missed: 0,
+            answered: 0,
+            attempts: 0,
+            misses: 0,
+            last_answered_at: o.answered_at
+        };
+        entry.missed += weight * missed;
+        entry.answered += weight * o.credit;
+        entry.attempts += 1;
+        entry.misses += missed > 0 ? 1 : 0;
+        questions.set(key, entry);
+
+        (o.tags || []).forEach((tag) => {
+            const topic = topics.get(tag) || { tag, missed: 0, total: 0, attempts: 0 };
+            topic.missed += weight * missed;
+            topic.total += weight;
+            topic.attempts += 1;
+            topics.set(tag, topic);
+        });
+    }
+
+    const topicRate = (tag) => (topics.has(tag) ? topics.get(tag).missed / topics.get(tag).total : 0);
+    const ranked = [...questions.values()]
+        .map((entry) => {
+            const weakness = entry.missed - CORRECT_WEIGHT * entry.answered;
+            const topicWeakness = entry.tags.length ? entry.tags.reduce((sum, tag) => sum + topicRate(tag), 0) / entry.tags.length : 0;
+            return { ...entry, weakness, topic_weakness: topicWeakness, priority: weakness * (1 + topicWeakness) };
+        })
+        .filter(entry => entry.weakness > 0 && (!tags.length || entry.tags.some(tag => tags.includes(tag))))
+        .sort((a, b) => b.priority - a.priority);
+
+    return {
+        questions: ranked,
+        topics: [...topics.values()]
+            .map(topic => ({ tag: topic.tag, miss_rate: Math.round((topic.missed / topic.total) * 100) / 100, attempts: topic.attempts }))
+            .filter(topic => topic.miss_rate > 0)
+            .sort((a, b) => b.miss_rate - a.miss_rate)
+    };
+};
+
+// Load the current text of ranked questions the user can still see, caching quizzes and mock tests
+const resolveQuestions = async (user, ranked, limit) => {
+    const sources = new Map();
+    const loadSource = async (entry) => {
+        const cacheKey = `${entry.source_type}:${entry.source_id}:${entry.source_version}`;
+        if (!sources.has(cacheKey)) {
+            let questions = [];
+            if (entry.source_type === 'quiz') {
+                const quiz = await getStore().quizzes.findByQuizId(entry.source_id);
+                if (quiz && (await canViewQuiz(quiz, { user }))) {
+                    const snapshot = entry.source_version && entry.source_version !== (quiz.version || 1)
+                        ? await getStore().quizzes.getVersion(quiz.quiz_id, entry.source_version)
+                        : null;
+                    questions = [...quiz.questions, ...(snapshot ? snapshot.questions : [])];
+                }
+            } else if (entry.source_type === 'mock_test') {
+                // Like the PDF download, a mock test is open to anyone who has its id
+                const test = await getStore().mockTests.findByTestId(entry.source_id);
+                if (test) {
+                    questions = ((test.test_data && test.test_data.questions) || []).map(q => fromMockQuestion(q, test));
+                }
+            }
+            sources.set(cacheKey, questions);
+        }
+        return sources.get(cacheKey);
+    };
+
+    const resolved = [];
+    for (const entry of ranked) {
+        if (resolved.length >= limit) break;
+        const question = (await loadSource(entry)).find(q => toQuestionKey(q) === entry.question_key);
+        if (question) {
+            resolved.push({ entry, question });
+        }
+    }
+    return resolved;
+};
+
+// The user's weakest topics and questions (without answers)
+const getWeaknesses = async (user, { tags, limit }, now = new Date()) => {
+    const outcomes = await getStore().outcomes.listByUser(user.uid, OUTCOME_HISTORY);
+    const ranking = rankWeakQuestions(outcomes, { tags }, now);
+    const resolved = await resolveQuestions(user, ranking.questions, limit);
+    return {
+        topics: ranking.topics,
+        questions: resolved.map(({ entry, question }) => ({
+            source_type: entry.source_type,
+            source_id: entry.source_id,
+            question: question.question,
+            type: question.type,
+            tags: entry.tags,
+            attempts: entry.attempts,
+            misses: entry.misses,
+            last_answered_at: entry.last_answered_at,
+            priority: Math.round(entry.priority * 100) / 100
+        }))
+    };
+};
+
+// Pick the questions for a practice session. `makeVariants(questions)` (optional) returns a new
+// question for each one, asked in its place.
+const createPractice = async (user, { tags = [], limit }, makeVariants, now = new Date()) => {
+    const outcomes = await getStore().outcomes.listByUser(user.uid, OUTCOME_HISTORY);
+    const ranking = rankWeakQuestions(outcomes, { tags }, now);
+    const resolved = await resolveQuestions(user, ranking.questions, Math.min(limit, MAX_PRACTICE_QUESTIONS));
+    if (!resolved.length) {
+        throw httpError(404, 'No missed questions to practice yet. Take a quiz or mock test first.');
+    }
+
+    // Matching questions are built from flashcards, so they are always asked as they are
+    const variantable = resolved.filter(({ question }) => getQuestionType(question.type) && getQuestionType(question.type).generated);
+    const variants = makeVariants && variantable.length ? await makeVariants(variantable.map(r => r.question)) : [];
+
+    const items = resolved.map(({ entry, question }) => {
+        const variantIndex = variantable.findIndex(r => r.question === question);
+        const variant = variantIndex >= 0 ? variants[variantIndex] : null;
+        return {
+            // Answers to a variant count towards the question it was made from
+            source: {
+                source_type: entry.source_type,
+                source_id: entry.source_id,
+                source_version: entry.source_version,
+                question_key: entry.question_key
+            },
+            variant: Boolean(variant),
+            // Variants keep the original tags so their outcomes count towards the same topics
+            question: sanitizeQuestion(variant ? { ...variant, tags: question.tags } : question)
+        };
+    });
+
+    const practiceId = crypto.randomBytes(16).toString('hex');
+    await getStore().practice.create(practiceId, {
+        practice_id: practiceId,
+        user_id: user.uid,
+        status: 'started',
+        tags,
+        items,
+        created_at: now,
+        finished_at: null
+    });
+
+    return {
+        practice_id: practiceId,
+        weak_topics: ranking.topics.slice(0, 5),
+        questions: toPlayableQuestions(items.map(item => item.question)).map((q, i) => ({
+            ...q,
+            source_type: items[i].source.source_type,
+            source_id: items[i].source.source_id,
+            variant: items[i].variant
+        }))
+    };
+};
+
+// Grade a practice session once and record the outcomes
+const submitPractice = async (practiceId, user, answers, now = new Date()) => {
+    const session = await getStore().practice.get(practiceId);
+    if (!session || session.user_id !== user.uid) {
+        throw httpError(404, 'Practice session not found');
+    }
+    const questions = session.items.map(item => item.question);
+    const grade = gradeAttempt(questions, answers);
+
+    await getStore().practice.claim(practiceId, (current) => {
+        if (current.status !== 'started') {
+            throw httpError(409, 'Practice session already submitted');
+        }
+        return { status: 'completed', finished_at: now, score: grade.score, results: grade.results };
+    });
+    await recordOutcomes(user.uid, grade.results.map(result => ({
+        source: session.items[result.question_index].source,
+        question: questions[result.question_index],
+        result
+    })), { attemptType: 'practice', attemptId: practiceId }, now);
+
+    return {
+        practice_id: practiceId,
+        score: grade.score,
+        total_questions: grade.total,
+        wrong_answers: grade.wrongAnswers
+    };
+};
+
+module.exports = {
+    MAX_PRACTICE_QUESTIONS,
+    toQuestionKey,
+    fromMockQuestion,
+    recordOutcomes,
+    toQuizOutcomes,
+    rankWeakQuestions,
+    getWeaknesses,
+    createPractice,
+    submitPractice
+};
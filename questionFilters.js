@@ -0,0 +1,47 @@
+const { httpError } = require('./errors');
+const { DIFFICULTIES } = require('./schema');
+
+// Values given comma separated ("a,b") or as a repeated parameter, lowercased
+const toFilterValues = (value) => [].concat(value === undefined || value === null ? [] : value)
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+
+// Parse a tag/difficulty filter from query parameters or a request body. Null when neither is given.
+const parseQuestionFilter = ({ tag, difficulty } = {}) => {
+    const tags = toFilterValues(tag);
+    const difficulties = toFilterValues(difficulty);
+    if (difficulties.some(d => !DIFFICULTIES.includes(d))) {
+        throw httpError(400, `difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (!tags.length && !difficulties.length) {
+        return null;
+    }
+    return { tags, difficulties };
+};
+
+// Positions of the questions with any of the tags and any of the difficulties
+const selectQuestionIndexes = (questions = [], filter) => questions
+    .map((q, index) => ({ q, index }))
+    .filter(({ q }) => !filter || (
+        (!filter.tags.length || (q.tags || []).some(tag => filter.tags.includes(tag))) &&
+        (!filter.difficulties.length || filter.difficulties.includes(q.difficulty))
+    ))
+    .map(({ index }) => index);
+
+// Number of questions per tag and per difficulty, for building filters
+const summarizeQuestions = (questions = []) => {
+    const tags = {};
+    const difficulties = {};
+    questions.forEach((q) => {
+        (q.tags || []).forEach((tag) => {
+            tags[tag] = (tags[tag] || 0) + 1;
+        });
+        if (q.difficulty) {
+            difficulties[q.difficulty] = (difficulties[q.difficulty] || 0) + 1;
+        }
+    });
+    return { tags, difficulties };
+};
+
+module.exports = { parseQuestionFilter, selectQuestionIndexes, summarizeQuestions };
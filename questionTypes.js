@@ -0,0 +1,346 @@
+const { httpError } = require('./errors');
+
+// Everything that differs between question types: how the model is asked for them, how they are
+// validated and stored, what players see and how answers are graded (credit from 0 to 1).
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+const normalizeText = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase().replace(/\s+/g, ' ');
+// Blanks ignore surrounding quotes and trailing punctuation
+const normalizeBlank = (value) => normalizeText(value).replace(/^["']+|["'.,;:!?]+$/g, '');
+const hasDuplicates = (list) => new Set(list.map(normalizeText)).size !== list.length;
+
+// Matching questions built from the flashcards all share their question text, so their shuffles
+// are seeded with their terms instead
+const matchingSeed = (q) => q.pairs.map(p => p.term).join('\n');
+
+// Responses with several parts arrive as arrays; strings are split on new lines or "|"
+const toList = (response) => {
+    if (Array.isArray(response)) return response.map(item => String(item));
+    if (response === undefined || response === null || response === '') return [];
+    return String(response).split(/\s*(?:\n|\|)\s*/).filter(Boolean);
+};
+
+// Same shuffle every time for the same question, so reloading a quiz does not reorder it.
+// The correct order is never shown as is.
+const stableShuffle = (items, seed) => {
+    let h = 2166136261;
+    for (const ch of String(seed)) {
+        h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+    }
+    const random = () => {
+        h ^= h << 13; h ^= h >>> 17; h ^= h << 5;
+        return (h >>> 0) / 4294967296;
+    };
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    if (result.length > 1 && result.every((item, i) => item === items[i])) {
+        result.push(result.shift());
+    }
+    return result;
+};
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'that', 'with', 'from', 'this', 'are', 'was', 'were', 'into', 'its', 'their',
+    'they', 'which', 'what', 'when', 'where', 'have', 'has', 'had', 'been', 'than', 'then', 'them', 'also', 'such', 'each',
+    'other', 'more', 'most', 'some', 'only', 'over', 'very', 'about', 'because', 'through', 'between', 'not', 'but', 'can']);
+// Words are compared by their first five letters so "produces" matches "production"
+const keywordStems = (text) => [...new Set(normalizeText(text)
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(' ')
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+    .map(word => word.slice(0, 5)))];
+
+// Share of rubric points covered by the response. A point counts when most of its keywords appear.
+const RUBRIC_KEYWORD_SHARE = 0.6;
+const gradeAgainstRubric = (rubric, response) => {
+    const answered = new Set(keywordStems(response));
+    if (!answered.size) return 0;
+    const met = rubric.filter((point) => {
+        const stems = keywordStems(point);
+        return !stems.length || stems.filter(stem => answered.has(stem)).length / stems.length >= RUBRIC_KEYWORD_SHARE;
+    });
+    return met.length / rubric.length;
+};
+
+const checkOptions = (q, numOptions, label, errors) => {
+    if (!isStringList(q.options)) {
+        errors.push(`${label}: "options" must be an array of non-empty strings`);
+        return false;
+    }
+    if (numOptions && q.options.length !== numOptions) {
+        errors.push(`${label}: expected ${numOptions} options, got ${q.options.length}`);
+    }
+    if (hasDuplicates(q.options)) {
+        errors.push(`${label}: "options" must not contain duplicates`);
+    }
+    return true;
+};
+
+const types = {
+    multiple_choice: {
+        generated: true,
+        rule: ({ numOptions }) => `For multiple_choice, provide exactly ${numOptions} options, one correct, and "answer" must be copied exactly from "options".`,
+        example: () => ({ question: 'Text', type: 'multiple_choice', options: ['opt1', '...'], answer: 'correct option' }),
+        validate: (q, { numOptions }, label) => {
+            const errors = [];
+            if (!isNonEmptyString(q.answer)) {
+                return [`${label}: "answer" must be a non-empty string`];
+            }
+            if (checkOptions(q, numOptions, label, errors) && !q.options.some(o => o.trim() === q.answer.trim())) {
+                errors.push(`${label}: "answer" must be exactly one of "options"`);
+            }
+            return errors;
+        },
+        sanitize: q => ({ options: q.options.map(String), answer: String(q.answer) }),
+        toPlayable: q => ({ options: q.options || [] }),
+        answerKey: q => q.answer,
+        grade: (q, response) => (normalizeText(response) === normalizeText(q.answer) ? 1 : 0)
+    },
+    true_false: {
+        generated: true,
+        rule: () => 'For true_false, "answer" must be "True" or "False".',
+        example: () => ({ question: 'Statement', type: 'true_false', options: ['True', 'False'], answer: 'True or False' }),
+        validate: (q, opts, label) => (isNonEmptyString(q.answer) && ['true', 'false'].includes(q.answer.trim().toLowerCase())
+            ? []
+            : [`${label}: true_false "answer" must be "True" or "False"`]),
+        sanitize: q => ({ options: ['True', 'False'], answer: q.answer.trim().toLowerCase() === 'true' ? 'True' : 'False' }),
+        toPlayable: () => ({ options: ['True', 'False'] }),
+        answerKey: q => q.answer,
+        grade: (q, response) => (normalizeText(response) === normalizeText(q.answer) ? 1 : 0)
+    },
+    multi_select: {
+        generated: true,
+        rule: ({ numOptions }) => `For multi_select, provide exactly ${numOptions} options and list every correct option (at least 2) in "answers", copied exactly from "options".`,
+        example: () => ({ question: 'Text (select all that apply)', type: 'multi_select', options: ['opt1', '...'], answers: ['correct option', 'another correct option'] }),
+        validate: (q, { numOptions }, label) => {
+            const errors = [];
+            if (!checkOptions(q, numOptions, label, errors)) {
+                return errors;
+            }
+            if (!isStringList(q.answers) || q.answers.length < 2) {
+                errors.push(`${label}: "answers" must list at least 2 correct options`);
+            } else if (!q.answers.every(a => q.options.some(o => o.trim() === a.trim()))) {
+                errors.push(`${label}: every entry of "answers" must be exactly one of "options"`);
+            } else if (hasDuplicates(q.answers)) {
+                errors.push(`${label}: "answers" must not contain duplicates`);
+            }
+            return errors;
+        },
+        sanitize: q => ({ options: q.options.map(String), answers: q.answers.map(String) }),
+        toPlayable: q => ({ options: q.options || [] }),
+        answerKey: q => q.answers,
+        grade: (q, response) => {
+            const selected = new Set(toList(response).map(normalizeText));
+            const correct = new Set(q.answers.map(normalizeText));
+            return selected.size === correct.size && [...correct].every(a => selected.has(a)) ? 1 : 0;
+        }
+    },
+    fill_blank: {
+        generated: true,
+        rule: () => 'For fill_blank, write the question as a sentence with "____" where the missing word or phrase goes, put it in "answer" and list other accepted spellings or synonyms in "accepted_answers".',
+        example: () => ({ question: 'Sentence with ____ for the missing word', type: 'fill_blank', answer: 'missing word', accepted_answers: ['accepted variant'] }),
+        validate: (q, opts, label) => {
+            const errors = [];
+            if (isNonEmptyString(q.question) && !/_{3,}/.test(q.question)) {
+                errors.push(`${label}: fill_blank "question" must contain a blank ("____")`);
+            }
+            if (!isNonEmptyString(q.answer)) {
+                errors.push(`${label}: "answer" must be a non-empty string`);
+            }
+            if (q.accepted_answers !== undefined && !Array.isArray(q.accepted_answers)) {
+                errors.push(`${label}: "accepted_answers" must be an array of strings`);
+            }
+            return errors;
+        },
+        sanitize: q => ({
+            options: [],
+            answer: String(q.answer),
+            accepted_answers: (q.accepted_answers || []).filter(isNonEmptyString).map(String)
+        }),
+        toPlayable: () => ({ options: [] }),
+        answerKey: q => q.answer,
+        grade: (q, response) => ([q.answer, ...(q.accepted_answers || [])].map(normalizeBlank).includes(normalizeBlank(response)) ? 1 : 0)
+    },
+    short_answer: {
+        generated: true,
+        rule: () => 'For short_answer, put a model answer of one to three sentences in "answer" and the key points a full answer must mention (2 to 5 short phrases) in "rubric".',
+        example: () => ({ question: 'Text', type: 'short_answer', answer: 'model answer', rubric: ['key point', 'another key point'] }),
+        validate: (q, opts, label) => {
+            const errors = [];
+            if (!isNonEmptyString(q.answer)) {
+                errors.push(`${label}: "answer" must be a non-empty string`);
+            }
+            if (!isStringList(q.rubric) || q.rubric.length < 1 || q.rubric.length > 6) {
+                errors.push(`${label}: "rubric" must list 1 to 6 key points`);
+            }
+            return errors;
+        },
+        sanitize: q => ({ options: [], answer: String(q.answer), rubric: q.rubric.map(String) }),
+        toPlayable: () => ({ options: [] }),
+        answerKey: q => q.answer,
+        grade: (q, response) => gradeAgainstRubric(q.rubric, response)
+    },
+    ordering: {
+        generated: true,
+        rule: () => 'For ordering, list 3 to 6 steps, events or values in "items" in the correct order; the question says what the order is based on.',
+        example: () => ({ question: 'Put these in order', type: 'ordering', items: ['first', 'second', 'third'] }),
+        validate: (q, opts, label) => {
+            if (!isStringList(q.items) || q.items.length < 3) {
+                return [`${label}: "items" must list at least 3 entries in the correct order`];
+            }
+            return hasDuplicates(q.items) ? [`${label}: "items" must not contain duplicates`] : [];
+        },
+        sanitize: q => ({ options: [], items: q.items.map(String) }),
+        toPlayable: q => ({ options: stableShuffle(q.items, q.question) }),
+        answerKey: q => q.items,
+        grade: (q, response) => {
+            const order = toList(response).map(normalizeText);
+            return order.length === q.items.length && q.items.every((item, i) => normalizeText(item) === order[i]) ? 1 : 0;
+        }
+    },
+    // Built from the quiz flashcards rather than asked from the model
+    matching: {
+        generated: false,
+        validate: (q, opts, label) => {
+            const pairs = q.pairs;
+            if (!Array.isArray(pairs) || pairs.length < 2 || !pairs.every(p => p && isNonEmptyString(p.term) && isNonEmptyString(p.definition))) {
+                return [`${label}: "pairs" must list at least 2 { "term", "definition" } pairs`];
+            }
+            if (hasDuplicates(pairs.map(p => p.term)) || hasDuplicates(pairs.map(p => p.definition))) {
+                return [`${label}: matching terms and definitions must be unique`];
+            }
+            return [];
+        },
+        sanitize: q => ({ options: [], pairs: q.pairs.map(p => ({ term: String(p.term), definition: String(p.definition) })) }),
+        toPlayable: q => ({ terms: q.pairs.map(p => p.term), options: stableShuffle(q.pairs.map(p => p.definition), matchingSeed(q)) }),
+        answerKey: q => q.pairs,
+        // Answers map each term to a definition ({ term: definition }) or list definitions in term order
+        grade: (q, response) => {
+            const chosen = Array.isArray(response)
+                ? q.pairs.map((p, i) => response[i])
+                : q.pairs.map(p => (response && typeof response === 'object' ? response[p.term] : undefined));
+            const right = q.pairs.filter((p, i) => normalizeText(chosen[i]) === normalizeText(p.definition)).length;
+            return right / q.pairs.length;
+        }
+    }
+};
+
+const QUIZ_TYPES = Object.keys(types);
+const GENERATED_TYPES = QUIZ_TYPES.filter(type => types[type].generated);
+// The original "mix": true/false and multiple choice in any proportion
+const MIX_TYPES = ['true_false', 'multiple_choice'];
+const PAIRS_PER_MATCHING_QUESTION = 4;
+
+const getQuestionType = (type) => types[String(type || '').toLowerCase()] || null;
+
+// Parse `question_type`: a type name, "mix", or a share per type, either as an object
+// ({ "multiple_choice": 3, "fill_blank": 1 }) or a string ("multiple_choice:3,fill_blank:1").
+// Returns { mix: true } or { weights: { type: weight } }.
+const parseQuestionTypes = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { weights: { multiple_choice: 1 } };
+    }
+    if (typeof value === 'string' && value.trim().toLowerCase() === 'mix') {
+        return { mix: true };
+    }
+    let weights = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        try {
+            weights = trimmed.startsWith('{')
+                ? JSON.parse(trimmed)
+                : Object.fromEntries(trimmed.split(',').map(part => part.split(':').map(s => s.trim())).map(([type, weight]) => [type, weight === undefined ? 1 : weight]));
+        } catch (err) {
+            throw httpError(400, 'Invalid question_type', err.message);
+        }
+    }
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw httpError(400, 'Invalid question_type');
+    }
+    const parsed = {};
+    for (const [type, weight] of Object.entries(weights)) {
+        const name = type.toLowerCase();
+        const share = parseFloat(weight);
+        if (!types[name]) {
+            throw httpError(400, `Unknown question type: ${type}`, `Choose from mix, ${QUIZ_TYPES.join(', ')}`);
+        }
+        if (!(share >= 0)) {
+            throw httpError(400, `Invalid share for question type ${type}`);
+        }
+        if (share > 0) {
+            parsed[name] = share;
+        }
+    }
+    if (!Object.keys(parsed).length) {
+        throw httpError(400, 'question_type must give at least one type a share above 0');
+    }
+    return { weights: parsed };
+};
+
+// Number of questions of each type for `total` questions (largest remainder). Null for "mix".
+const toTypeCounts = (plan, total) => {
+    if (plan.mix) {
+        return null;
+    }
+    const entries = Object.entries(plan.weights);
+    const sum = entries.reduce((acc, [, weight]) => acc + weight, 0);
+    const shares = entries.map(([type, weight]) => ({ type, share: (weight / sum) * total }));
+    const counts = Object.fromEntries(shares.map(({ type, share }) => [type, Math.floor(share)]));
+    let remaining = total - Object.values(counts).reduce((acc, n) => acc + n, 0);
+    for (const { type } of [...shares].sort((a, b) => (b.share - Math.floor(b.share)) - (a.share - Math.floor(a.share)))) {
+        if (remaining <= 0) break;
+        counts[type] += 1;
+        remaining -= 1;
+    }
+    return Object.fromEntries(Object.entries(counts).filter(([, n]) => n > 0));
+};
+
+// Up to `count` matching questions from distinct flashcards, up to four pairs each. With fewer
+// flashcards than that needs, the pairs are spread out and fewer questions are built if needed.
+// Flashcards repeating an earlier term or definition are skipped, since answers are matched by text.
+const buildMatchingQuestions = (flashcards, count) => {
+    const terms = new Set();
+    const definitions = new Set();
+    const cards = flashcards.filter((f) => {
+        if (!f || !isNonEmptyString(f.term) || !isNonEmptyString(f.definition)) return false;
+        const term = normalizeText(f.term);
+        const definition = normalizeText(f.definition);
+        if (terms.has(term) || definitions.has(definition)) return false;
+        terms.add(term);
+        definitions.add(definition);
+        return true;
+    });
+    const total = Math.min(count, Math.floor(cards.length / 2));
+    const size = total ? Math.min(PAIRS_PER_MATCHING_QUESTION, Math.floor(cards.length / total)) : 0;
+    const questions = [];
+    for (let i = 0; i < total; i++) {
+        questions.push({
+            question: 'Match each term with its definition.',
+            type: 'matching',
+            options: [],
+            pairs: cards.slice(i * size, (i + 1) * size).map(f => ({ term: String(f.term), definition: String(f.definition) })),
+            explanation: 'Each term is paired with its definition from the quiz flashcards.',
+            difficulty: 'easy',
+            tags: []
+        });
+    }
+    return questions;
+};
+
+module.exports = {
+    QUIZ_TYPES,
+    GENERATED_TYPES,
+    MIX_TYPES,
+    PAIRS_PER_MATCHING_QUESTION,
+    normalizeText,
+    stableShuffle,
+    matchingSeed,
+    getQuestionType,
+    parseQuestionTypes,
+    toTypeCounts,
+    buildMatchingQuestions
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { getStore } = require('../store');
+const { hasActiveSubscription } = require('../metering');
+
+// Abuse protection for the generation routes: a token bucket per caller IP and one per user (sized by
+// their plan) for each route, and a cap on how many generations a user can have in flight at once.
+// Public lookups (join codes) get the IP bucket only.
+// A backend exposes `update(key, decide)`, which atomically reads an entry and stores what `decide` returns.
+const backends = {
+    memory: () => require('./memory').createMemoryBackend(),
+    store: () => require('./shared').createSharedBackend()
+};
+
+// `capacity` requests in a burst, refilled at `refill_per_minute`. Users are limited by plan: "free"
+// without a subscription, a plan id from the catalog, or "default" for plans a table does not name.
+// Routes may override `ip` and `plans`; `max_in_flight` counts every generation of a user, queued or running.
+const DEFAULT_RATE_LIMITS = {
+    ip: { capacity: 20, refill_per_minute: 10 },
+    plans: {
+        free: { capacity: 3, refill_per_minute: 1, max_in_flight: 1 },
+        default: { capacity: 10, refill_per_minute: 5, max_in_flight: 3 }
+    },
+    routes: {
+        upload: { plans: { free: { capacity: 2, refill_per_minute: 0.5 }, default: { capacity: 5, refill_per_minute: 2 } } },
+        join: { ip: { capacity: 10, refill_per_minute: 10 } }
+    },
+    // Slots of generations that never finished (say, the process died) are freed after this long
+    in_flight_ttl_minutes: 30
+};
+
+// How long to tell callers to wait when all their generation slots are taken
+const IN_FLIGHT_RETRY_SECONDS = 15;
+
+let config = null;
+let activeBackend = null;
+
+// Limits from RATE_LIMITS (JSON) or RATE_LIMITS_FILE, merged over the defaults
+const getRateLimits = () => {
+    if (!config) {
+        let configured = {};
+        if (process.env.RATE_LIMITS) {
+            configured = JSON.parse(process.env.RATE_LIMITS);
+        } else if (process.env.RATE_LIMITS_FILE) {
+            configured = JSON.parse(fs.readFileSync(process.env.RATE_LIMITS_FILE, 'utf8'));
+        }
+        config = {
+            ip: { ...DEFAULT_RATE_LIMITS.ip, ...configured.ip },
+            plans: { ...DEFAULT_RATE_LIMITS.plans, ...configured.plans },
+            routes: { ...DEFAULT_RATE_LIMITS.routes, ...configured.routes },
+            in_flight_ttl_minutes: Number(configured.in_flight_ttl_minutes) || DEFAULT_RATE_LIMITS.in_flight_ttl_minutes
+        };
+    }
+    return config;
+};
+
+// Backend selected by RATE_LIMIT_STORE (memory, or store to share counts between instances), created once
+const getRateLimitBackend = () => {
+    if (!activeBackend) {
+        const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+        const factory = backends[name];
+        if (!factory) {
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${name}. Choose ${Object.keys(backends).join(', ')}.`);
+        }
+        activeBackend = factory();
+    }
+    return activeBackend;
+};
+
+// Swap the backend at runtime (used by tests and scripts)
+const setRateLimitBackend = (backend) => {
+    activeBackend = backend;
+};
+
+const forPlan = (table, plan) => (table ? table[plan] || table.default || {} : {});
+
+// Bucket sizes for a route and caller; null when the route has no limit of that kind
+const toBucketLimit = (limit) => (limit && Number(limit.capacity) > 0 && Number(limit.refill_per_minute) > 0
+    ? { capacity: Number(limit.capacity), refillPerMs: Number(limit.refill_per_minute) / 60000 }
+    : null);
+
+const getRouteLimits = (route, plan) => {
+    const { ip, plans, routes } = getRateLimits();
+    const overrides = routes[route] || {};
+    return {
+        ip: toBucketLimit({ ...ip, ...overrides.ip }),
+        user: toBucketLimit({ ...forPlan(plans, plan), ...forPlan(overrides.plans, plan) }),
+        maxInFlight: parseInt(forPlan(plans, plan).max_in_flight) || null
+    };
+};
+
+// Tokens in a bucket ({ tokens, updated_at }) at `now`. A bucket that has filled up again expires,
+// which is the same as starting from a full one.
+const tokensAt = (limit, bucket, now) => (bucket
+    ? Math.min(limit.capacity, bucket.tokens + (now - bucket.updated_at) * limit.refillPerMs)
+    : limit.capacity);
+
+// Take one token from a bucket
+const takeToken = (limit, now) => (bucket) => {
+    const tokens = tokensAt(limit, bucket, now);
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    const msUntilFull = (limit.capacity - left) / limit.refillPerMs;
+    return {
+        value: { tokens: left, updated_at: now },
+        expiresAt: now + Math.ceil(msUntilFull),
+        result: {
+            allowed,
+            limit: limit.capacity,
+            remaining: Math.floor(left),
+            resetSeconds: Math.ceil(msUntilFull / 1000),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((1 - left) / limit.refillPerMs / 1000)
+        }
+    };
+};
+
+// Put a token back into a bucket
+const returnToken = (limit, now) => (bucket) => {
+    const tokens = Math.min(limit.capacity, tokensAt(limit, bucket, now) + 1);
+    return {
+        value: tokens < limit.capacity ? { tokens, updated_at: now } : null,
+        expiresAt: now + Math.ceil((limit.capacity - tokens) / limit.refillPerMs),
+        result: null
+    };
+};
+
+// Generation slots of a user ({ slots: { id: expiresAt } }), without the expired ones
+const liveSlots = (entry, now) => Object.fromEntries(Object.entries((entry && entry.slots) || {}).filter(([, expiresAt]) => expiresAt > now));
+
+const acquireSlot = (max, ttlMs, slotId, now) => (entry) => {
+    const slots = liveSlots(entry, now);
+    const allowed = Object.keys(slots).length < max;
+    if (allowed) {
+        slots[slotId] = now + ttlMs;
+    }
+    const expiresAt = Math.max(now, ...Object.values(slots));
+    return {
+        value: Object.keys(slots).length ? { slots } : null,
+        expiresAt,
+        result: { allowed, active: Object.keys(slots).length }
+    };
+};
+
+const slotKey = (userId) => `in_flight:${userId}`;
+
+// Free a generation slot (when its job finishes, or its request ends without handing it to a job)
+const releaseGenerationSlot = async (userId, slotId) => {
+    if (!userId || !slotId) {
+        return;
+    }
+    try {
+        await getRateLimitBackend().update(slotKey(userId), (entry) => {
+            const slots = liveSlots(entry, Date.now());
+            delete slots[slotId];
+            return { value: Object.keys(slots).length ? { slots } : null, expiresAt: Math.max(Date.now(), ...Object.values(slots)), result: null };
+        });
+    } catch (err) {
+        console.error('Error releasing generation slot:', err);
+    }
+};
+
+// Id of the request's generation slot (or null), to store on the job that will hold it
+const getGenerationSlot = (req) => (req.generationSlot ? req.generationSlot.id : null);
+
+// Leave the request's generation slot to the job it was stored on, which frees it when it finishes.
+// Call this only once the job is saved; until then the slot is freed when the response ends.
+const keepGenerationSlot = (req) => {
+    if (req.generationSlot) {
+        req.generationSlot.kept = true;
+    }
+};
+
+// Plan that sizes a user's buckets
+const getUserPlan = async (userId) => {
+    const user = await getStore().users.get(userId);
+    return user && hasActiveSubscription(user) ? String(user.subscription_plan || 'default') : 'free';
+};
+
+const setRateLimitHeaders = (res, bucket) => {
+    res.setHeader('RateLimit-Limit', bucket.limit);
+    res.setHeader('RateLimit-Remaining', bucket.remaining);
+    res.setHeader('RateLimit-Reset', bucket.resetSeconds);
+};
+
+const sendTooManyRequests = (res, retryAfterSeconds, error, details) => {
+    res.setHeader('Retry-After', retryAfterSeconds);
+    res.status(429).json({ error, details, retry_after_seconds: retryAfterSeconds });
+};
+
+// Take a token from each bucket ({ key, limit }; falsy entries are skipped) and set the rate limit
+// headers. Returns the buckets, or null after answering 429 when one of them is empty.
+const takeTokens = async (res, buckets, now) => {
+    const taken = buckets.filter(Boolean);
+    const checks = [];
+    for (const { key, limit } of taken) {
+        checks.push(await getRateLimitBackend().update(key, takeToken(limit, now)));
+    }
+    if (checks.length) {
+        // Report the bucket closest to running out
+        setRateLimitHeaders(res, checks.reduce((a, b) => (b.remaining < a.remaining ? b : a)));
+    }
+    const denied = checks.filter(check => !check.allowed);
+    if (denied.length) {
+        const retryAfter = Math.max(...denied.map(check => check.retryAfterSeconds));
+        sendTooManyRequests(res, retryAfter, 'Too many requests', `Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`);
+        return null;
+    }
+    return taken;
+};
+
+const returnTokens = async (buckets) => {
+    try {
+        for (const { key, limit } of buckets) {
+            await getRateLimitBackend().update(key, returnToken(limit, Date.now()));
+        }
+    } catch (err) {
+        console.error('Error returning rate limit tokens:', err);
+    }
+};
+
+// Middleware for a generation route (after requireAuth). Takes a token from the caller's IP and user
+// buckets, given back if the request ends with a 400, then takes one of the user's generation slots.
+// The slot is freed when the response ends unless the handler stores it on a job (getGenerationSlot)
+// and, once that job is saved, calls keepGenerationSlot. `when(req)` limits only some requests (say,
+// with an option set).
+// If the backend fails, requests are let through rather than taking generation down with it.
+const limitGeneration = (route, { when = null } = {}) => async (req, res, next) => {
+    if (when && !when(req)) {
+        return next();
+    }
+    const userId = req.user.uid;
+    const now = Date.now();
+    try {
+        const limits = getRouteLimits(route, await getUserPlan(userId));
+        const taken = await takeTokens(res, [
+            limits.ip && { key: `ip:${req.ip}:${route}`, limit: limits.ip },
+            limits.user && { key: `user:${userId}:${route}`, limit: limits.user }
+        ], now);
+        if (!taken) {
+            return;
+        }
+        // Requests with invalid input do not use up the allowance. Requests turned away by a limit
+        // (no quota left, no free slot) do, or a client could keep hitting those limits for free.
+        res.on('finish', () => {
+            if (res.statusCode === 400) {
+                returnTokens(taken);
+            }
+        });
+
+        if (limits.maxInFlight) {
+            const slotId = crypto.randomBytes(9).toString('hex');
+            const ttlMs = getRateLimits().in_flight_ttl_minutes * 60 * 1000;
+            const slot = await getRateLimitBackend().update(slotKey(userId), acquireSlot(limits.maxInFlight, ttlMs, slotId, now));
+            if (!slot.allowed) {
+                return sendTooManyRequests(res, IN_FLIGHT_RETRY_SECONDS, 'Too many generations in progress',
+                    `You can run ${limits.maxInFlight} generation${limits.maxInFlight === 1 ? '' : 's'} at a time. Wait for one to finish.`);
+            }
+            req.generationSlot = { id: slotId, kept: false };
+            res.on('close', () => {
+                if (!req.generationSlot.kept) {
+                    releaseGenerationSlot(userId, slotId);
+                }
+            });
+        }
+    } catch (err) {
+        console.error(`Error checking rate limits for ${route}:`, err);
+    }
+    next();
+};
+
+// Middleware limiting a route by caller IP only, for lookups anyone can make (such as join codes,
+// which could otherwise be tried one after another). Uses the route's `ip` settings.
+const limitByIp = (route) => async (req, res, next) => {
+    try {
+        const limit = getRouteLimits(route, 'free').ip;
+        if (!(await takeTokens(res, [limit && { key: `ip:${req.ip}:${route}`, limit }], Date.now()))) {
+            return;
+        }
+    } catch (err) {
+        console.error(`Error checking rate limits for ${route}:`, err);
+    }
+    next();
+};
+
+module.exports = {
+    getRateLimits,
+    getRateLimitBackend,
+    setRateLimitBackend,
+    limitGeneration,
+    limitByIp,
+    getGenerationSlot,
+    keepGenerationSlot,
+    releaseGenerationSlot
+};
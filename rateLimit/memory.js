@@ -0,0 +1,34 @@
+// Entries in this process only. Fine for a single instance; each instance keeps its own counts otherwise.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryBackend = () => {
+    const entries = new Map();
+
+    // Expired entries are the same as missing ones; drop them so the map does not grow
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        name: 'memory',
+        update: async (key, decide) => {
+            const entry = entries.get(key);
+            const current = entry && entry.expiresAt > Date.now() ? entry.value : null;
+            const { value, expiresAt, result } = decide(current);
+            if (value) {
+                entries.set(key, { value, expiresAt });
+            } else {
+                entries.delete(key);
+            }
+            return result;
+        }
+    };
+};
+
+module.exports = { createMemoryBackend };
@@ -0,0 +1,9 @@
+const { getStore } = require('../store');
+
+// Entries in the document store (the `rate_limits` collection), so every instance sees the same counts
+const createSharedBackend = () => ({
+    name: 'store',
+    update: (key, decide) => getStore().rateLimits.update(key, decide)
+});
+
+module.exports = { createSharedBackend };
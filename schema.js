@@ -0,0 +1,219 @@
+// Schema checks for model output. Each validator returns a list of human readable errors (empty when valid).
+
+const { QUIZ_TYPES, MIX_TYPES, getQuestionType } = require('./questionTypes');
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_TAGS = 5;
+const MAX_SNIPPET_CHARS = 300;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Lowercase, trimmed and without duplicates
+const toTags = (tags) => [...new Set((Array.isArray(tags) ? tags : [])
+    .filter(isNonEmptyString)
+    .map(tag => tag.trim().toLowerCase()))].slice(0, MAX_TAGS);
+
+// Check the explanation, difficulty, tags and source snippet of a question. With `required`
+// (generated questions) all of them must be present, otherwise only the ones given are checked.
+const validateQuestionDetails = (q, required, label) => {
+    const errors = [];
+    if ((required || q.explanation !== undefined) && !isNonEmptyString(q.explanation)) {
+        errors.push(`${label}: "explanation" must be a non-empty string`);
+    }
+    if ((required || q.difficulty !== undefined) && !DIFFICULTIES.includes(String(q.difficulty).toLowerCase())) {
+        errors.push(`${label}: "difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if ((required || q.tags !== undefined) && (!Array.isArray(q.tags) || !q.tags.every(isNonEmptyString) || q.tags.length < (required ? 1 : 0) || q.tags.length > MAX_TAGS)) {
+        errors.push(`${label}: "tags" must list ${required ? 1 : 0} to ${MAX_TAGS} topic tags`);
+    }
+    if ((required || q.source_snippet !== undefined) && (!isNonEmptyString(q.source_snippet) || q.source_snippet.length > MAX_SNIPPET_CHARS)) {
+        errors.push(`${label}: "source_snippet" must quote the source text in at most ${MAX_SNIPPET_CHARS} characters`);
+    }
+    return errors;
+};
+
+// Validate a single quiz question against the requested shape. `qType` is a type name, "mix"
+// (true/false and multiple choice) or left out to accept any type; `types` limits the allowed types.
+// `requireDetails` asks for the explanation, difficulty, tags and source snippet.
+const validateQuestion = (q, { qType, types, numOptions, requireDetails = false } = {}, label = 'question') => {
+    const errors = [];
+    if (!q || typeof q !== 'object') {
+        return [`${label} is not an object`];
+    }
+    if (!isNonEmptyString(q.question)) {
+        errors.push(`${label}: "question" must be a non-empty string`);
+    }
+
+    const type = typeof q.type === 'string' ? q.type.toLowerCase() : '';
+    const questionType = getQuestionType(type);
+    if (!questionType) {
+        errors.push(`${label}: "type" must be one of ${QUIZ_TYPES.join(', ')}`);
+        return errors;
+    }
+    const allowed = types || (qType === 'mix' ? MIX_TYPES : (QUIZ_TYPES.includes(qType) ? [qType] : null));
+    if (allowed && !allowed.includes(type)) {
+        errors.push(`${label}: "type" must be ${allowed.join(' or ')}`);
+    }
+    errors.push(...questionType.validate(q, { numOptions }, label));
+    errors.push(...validateQuestionDetails(q, requireDetails, label));
+    return errors;
+};
+
+// Validate generated quiz content ({ questions, flashcards }). `typeCounts` ({ type: count }) asks for
+// an exact number of questions of each type; `minFlashcards` for enough flashcards to build matching questions.
+const validateQuizContent = (content, { qType, typeCounts, numOptions, numQuestions, includeFlashcards, minFlashcards, requireDetails } = {}) => {
+    if (!content || typeof content !== 'object') {
+        return ['response must be a JSON object'];
+    }
+    if (!Array.isArray(content.questions)) {
+        return ['"questions" must be an array'];
+    }
+
+    const errors = [];
+    if ((numQuestions || numQuestions === 0) && content.questions.length !== numQuestions) {
+        errors.push(`expected ${numQuestions} questions, got ${content.questions.length}`);
+    }
+    const types = typeCounts ? Object.keys(typeCounts) : undefined;
+    content.questions.forEach((q, index) => {
+        errors.push(...validateQuestion(q, { qType, types, numOptions, requireDetails }, `questions[${index}]`));
+    });
+    if (typeCounts) {
+        Object.entries(typeCounts).forEach(([type, count]) => {
+            const actual = content.questions.filter(q => q && typeof q.type === 'string' && q.type.toLowerCase() === type).length;
+            if (actual !== count) {
+                errors.push(`expected ${count} ${type} questions, got ${actual}`);
+            }
+        });
+    }
+
+    if (includeFlashcards) {
+        if (!Array.isArray(content.flashcards) || content.flashcards.length === 0) {
+            errors.push('"flashcards" must be a non-empty array');
+        } else {
+            content.flashcards.forEach((f, index) => {
+                if (!f || !isNonEmptyString(f.term) || !isNonEmptyString(f.definition)) {
+                    errors.push(`flashcards[${index}]: "term" and "definition" must be non-empty strings`);
+                }
+            });
+            if (minFlashcards && content.flashcards.length < minFlashcards) {
+                errors.push(`expected at least ${minFlashcards} flashcards, got ${content.flashcards.length}`);
+            }
+        }
+    }
+    return errors;
+};
+
+// Letter prefix of a mock test option such as "B) Paris"
+const getOptionLetter = (option) => {
+    const match = /^\s*([A-Za-z])\s*[).:-]/.exec(String(option));
+    return match ? match[1].toUpperCase() : null;
+};
+
+// Validate a single mock test question
+const validateMockQuestion = (q, label = 'question') => {
+    const errors = [];
+    if (!q || typeof q !== 'object') {
+        return [`${label} is not an object`];
+    }
+    if (!isNonEmptyString(q.question)) {
+        errors.push(`${label}: "question" must be a non-empty string`);
+    }
+    if (!Array.isArray(q.options) || q.options.length < 2 || !q.options.every(isNonEmptyString)) {
+        errors.push(`${label}: "options" must be an array of at least 2 non-empty strings`);
+        return errors;
+    }
+
+    const expectedLetters = OPTION_LETTERS.slice(0, q.options.length);
+    const letters = q.options.map(getOptionLetter);
+    if (letters.some((letter, index) => letter !== expectedLetters[index])) {
+        errors.push(`${label}: "options" must be prefixed ${expectedLetters.map(l => `${l})`).join(', ')}`);
+    }
+
+    const correct = typeof q.correct_answer === 'string' ? q.correct_answer.trim().toUpperCase() : '';
+    if (!expectedLetters.includes(correct)) {
+        errors.push(`${label}: "correct_answer" must be one of the option letters ${expectedLetters.join(', ')}`);
+    }
+    if (!isNonEmptyString(q.explanation)) {
+        errors.push(`${label}: "explanation" must be a non-empty string`);
+    }
+    return errors;
+};
+
+// Validate generated mock test data ({ mock_test: { questions, ... } })
+const validateMockTest = (data, { numQuestions } = {}) => {
+    if (!data || typeof data !== 'object' || !data.mock_test || typeof data.mock_test !== 'object') {
+        return ['response must be a JSON object with a "mock_test" object'];
+    }
+    const { questions } = data.mock_test;
+    if (!Array.isArray(questions)) {
+        return ['"mock_test.questions" must be an array'];
+    }
+
+    const errors = [];
+    if (numQuestions && questions.length !== numQuestions) {
+        errors.push(`expected ${numQuestions} questions, got ${questions.length}`);
+    }
+    questions.forEach((q, index) => {
+        errors.push(...validateMockQuestion(q, `mock_test.questions[${index}]`));
+    });
+    return errors;
+};
+
+const toPositiveIntOrNull = (value) => (parseInt(value) > 0 ? parseInt(value) : null);
+
+// Normalize where a question came from ({ section, page, pages: { start, end }, snippet })
+const sanitizeSource = (source, snippet) => ({
+    section: toPositiveIntOrNull(source.section),
+    page: toPositiveIntOrNull(source.page),
+    pages: source.pages && toPositiveIntOrNull(source.pages.start)
+        ? { start: toPositiveIntOrNull(source.pages.start), end: toPositiveIntOrNull(source.pages.end) || toPositiveIntOrNull(source.pages.start) }
+        : null,
+    snippet: isNonEmptyString(snippet) ? snippet.trim().slice(0, MAX_SNIPPET_CHARS) : null
+});
+
+// Normalize a question into the stored shape, keeping only the fields its type uses
+const sanitizeQuestion = (q) => {
+    const type = q && typeof q.type === 'string' ? q.type.toLowerCase() : '';
+    const questionType = getQuestionType(type);
+    if (!q || !q.question || !questionType) {
+        console.error('Invalid question structure:', q);
+        throw new Error('Invalid question structure');
+    }
+    const source = q.source && typeof q.source === 'object' ? q.source : {};
+    const snippet = source.snippet || q.source_snippet;
+    return {
+        question: String(q.question),
+        type,
+        ...questionType.sanitize(q),
+        explanation: isNonEmptyString(q.explanation) ? String(q.explanation) : null,
+        difficulty: DIFFICULTIES.includes(String(q.difficulty).toLowerCase()) ? String(q.difficulty).toLowerCase() : null,
+        tags: toTags(q.tags),
+        ...(q.source || snippet ? { source: sanitizeSource(source, snippet) } : {})
+    };
+};
+
+// Normalize a flashcard into the stored shape
+const sanitizeFlashcard = (f) => {
+    if (!f || !f.term || !f.definition) {
+        console.error('Invalid flashcard structure:', f);
+        throw new Error('Invalid flashcard structure');
+    }
+    return {
+        term: String(f.term),
+        definition: String(f.definition)
+    };
+};
+
+module.exports = {
+    QUIZ_TYPES,
+    DIFFICULTIES,
+    MAX_SNIPPET_CHARS,
+    getOptionLetter,
+    validateQuestion,
+    validateQuizContent,
+    validateMockQuestion,
+    validateMockTest,
+    sanitizeQuestion,
+    sanitizeFlashcard
+};
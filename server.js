@@ -1,62 +1,83 @@
 require('dotenv').config();
 const express = require('express');
-const { db } = require('./firebase');
-const { collection, doc, addDoc, getDoc, getDocs, query, where, orderBy, limit, Timestamp, updateDoc, setDoc } = require('firebase/firestore');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getStore } = require('./store');
+const { requireAuth, optionalAuth, requireSelf, tokenFromQuery } = require('./auth');
+const { newUserProfile, hasActiveSubscription, reserveGeneration, commitGeneration, releaseGeneration } = require('./metering');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { toPlayableQuestions, canSeeFlashcards, gradeAttempt } = require('./grading');
+const { parseQuestionFilter, selectQuestionIndexes, summarizeQuestions } = require('./questionFilters');
+const { startDeck, getDeckSummary, getNextCards, reviewCard, getDueToday, removeDeck, listDecks } = require('./study');
+const { toAttemptView, loadAttempt, startAttempt, saveAnswers, submitAttempt, listAttempts } = require('./mockTestAttempts');
+const { MAX_PRACTICE_QUESTIONS, recordOutcomes, toQuizOutcomes, getWeaknesses, createPractice, submitPractice } = require('./practice');
+const { startSession, finishSession } = require('./sessions');
+const { parseExportOptions, fromQuiz, fromMockTest, exportPaper } = require('./pdfExport');
+const { exportQuiz, importQuiz, fromMockTest: toInterchangeQuiz } = require('./interchange');
+const { quizLink, flashcardsLink, mockTestDownloadLink, mockTestAttemptsLink, parseQrOptions, renderQrCode } = require('./links');
+const { LIVE_PATH, createRoom, attachLiveRooms, getRoomStatus } = require('./liveRooms');
+const { generateReplacementQuestion, generateVariantQuestions } = require('./generation');
+const { getPlans } = require('./billing/plans');
+const { getBillingProvider, areStubRoutesEnabled } = require('./billing');
+const { createCheckout, applyBillingEvent } = require('./subscriptions');
+const { sanitizeQuestion } = require('./schema');
+const { httpError } = require('./errors');
+const { generateId, isJoinCode } = require('./ids');
+const { uploadsDir } = require('./mockTestPdf');
+const { detectFormat } = require('./documents');
+const { parseQuestionTypes } = require('./questionTypes');
+const { isFinished, toJobStatus, submitJob, getOwnedJob, retryJob, subscribeToJob, waitForJob, recoverJobs } = require('./jobs');
+const { saveJobUpload, startJobUploadSweep } = require('./contentJobs');
+const { limitGeneration, limitByIp, getGenerationSlot, keepGenerationSlot } = require('./rateLimit');
+const {
+    VISIBILITIES,
+    getInitialVisibility,
+    getShareToken,
+    canJoinByCode,
+    getViewableQuiz,
+    toVisibilitySettings,
+    createShareLink,
+    revokeShareLink,
+    toGroupMembers,
+    createGroup,
+    getOwnedGroup
+} = require('./sharing');
+const {
+    getQuizVersion,
+    getOwnedQuiz,
+    toEditedQuestion,
+    toEditedFlashcard,
+    parseIndex,
+    editQuiz,
+    getQuestionsForVersion
+} = require('./editing');
 
 const app = express();
-app.use(express.json());
+// Behind a proxy, take the caller's IP (used by rate limits) from X-Forwarded-For.
+// TRUST_PROXY is "true", a number of hops or a list of trusted addresses.
+if (process.env.TRUST_PROXY) {
+    const trusted = process.env.TRUST_PROXY;
+    app.set('trust proxy', trusted === 'true' ? true : (/^\d+$/.test(trusted) ? parseInt(trusted) : trusted));
+}
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS for frontend
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Share-Token');
+    res.header('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
     next();
 });
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-
-const generateQuizId = () => Math.random().toString(36).substr(2, 6);
-
-const generateContent = async (text, qType, numOptions, numQuestions, includeFlashcards) => {
-    try {
-        const prompt = `
-Generate exactly ${numQuestions} quiz questions and ${includeFlashcards ? 'flashcards ' : ''}based on this text: "${text}". 
-Quiz type: "${qType}" (true_false, multiple_choice, or mix). 
-For multiple_choice, provide ${numOptions} options, one correct. 
-Return in JSON format, no extra text or markdown:
-{
-    "questions": [
-        {"question": "Text", "type": "true_false or multiple_choice", "options": ["opt1", ...] (for multiple_choice), "answer": "correct"}
-    ],
-    "flashcards": [
-        {"term": "Term", "definition": "Definition"}
-    ]
-}
-`;
-        const result = await model.generateContent(prompt);
-        const responseText = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        const content = JSON.parse(responseText);
-        return {
-            questions: content.questions || [],
-            flashcards: includeFlashcards ? (content.flashcards || []) : []
-        };
-    } catch (error) {
-        console.error('Error generating content:', error);
-        return {
-            questions: [{ question: 'Error occurred. Is this a test?', type: 'true_false', answer: 'True' }],
-            flashcards: includeFlashcards ? [{ term: 'Error', definition: 'Try again later' }] : []
-        };
-    }
-};
+// How often the job event stream checks the store for changes made by other instances
+const JOB_EVENTS_POLL_MS = 5000;
 
 // Configure multer for file uploads
 const upload = multer({
@@ -64,530 +85,1330 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // Limit file size to 5MB
 });
 
-// Check if user has remaining free generations or active subscription
-const checkUserUsage = async (userId) => {
+// Get user subscription info
+app.get('/api/user/subscription/:userId', requireAuth, requireSelf(), async (req, res) => {
+    const { userId } = req.params;
     try {
-        // Check user subscription status
-        const userRef = doc(db, 'users', userId);
-        const userSnap = await getDoc(userRef);
+        const { users } = getStore();
+        const userData = await users.get(userId);
         
-        if (!userSnap.exists()) {
+        if (!userData) {
             // New user - create profile with initial free generations
-            await setDoc(userRef, {
+            const profile = newUserProfile(userId, new Date());
+            await users.set(userId, profile);
+            
+            return res.status(200).json({
                 user_id: userId,
-                free_generations_remaining: 10,
+                free_generations_remaining: profile.free_generations_remaining,
+                subscription_status: 'free',
+                subscription_expiry: null
+            });
+        }
+        
+        // Check if subscription is still valid
+        if (userData.subscription_status !== 'free' && !hasActiveSubscription(userData)) {
+            // Subscription expired, revert to free
+            await users.update(userId, {
                 subscription_status: 'free',
                 subscription_expiry: null,
-                created_at: Timestamp.now()
+                plan_generations_remaining: null
             });
-            return { 
-                canGenerate: true, 
-                remainingFree: 10, 
-                subscriptionStatus: 'free' 
-            };
+            userData.subscription_status = 'free';
+            userData.subscription_expiry = null;
+            userData.plan_generations_remaining = null;
         }
         
-        const userData = userSnap.data();
+        res.status(200).json({
+            user_id: userId,
+            free_generations_remaining: userData.free_generations_remaining || 0,
+            subscription_status: userData.subscription_status || 'free',
+            subscription_plan: userData.subscription_status !== 'free' ? (userData.subscription_plan || null) : null,
+            subscription_expiry: userData.subscription_expiry || null,
+            plan_generations_remaining: typeof userData.plan_generations_remaining === 'number'
+                ? userData.plan_generations_remaining
+                : null
+        });
+    } catch (err) {
+        console.error('Error fetching user subscription:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Subscribe user to a plan (starts a checkout, the webhook activates the subscription)
+app.post('/api/user/subscribe', requireAuth, async (req, res) => {
+    const { plan } = req.body;
+    
+    if (!plan) {
+        return res.status(400).json({ error: 'Plan is required' });
+    }
+    
+    try {
+        const checkout = await createCheckout(req.user.uid, plan, {
+            successUrl: req.body.success_url,
+            cancelUrl: req.body.cancel_url
+        });
+        
+        res.status(201).json({
+            user_id: req.user.uid,
+            message: 'Checkout created. The subscription starts once payment is confirmed.',
+            plan: checkout.plan.id,
+            checkout_id: checkout.checkoutId,
+            checkout_url: checkout.url
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error creating subscription checkout:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List subscription plans
+app.get('/api/billing/plans', (req, res) => {
+    res.status(200).json(getPlans().map(plan => ({
+        id: plan.id,
+        name: plan.name,
+        price: plan.price,
+        currency: plan.currency,
+        duration_months: plan.duration_months,
+        generation_quota: plan.generation_quota,
+        trial_days: plan.trial_days
+    })));
+});
+
+// Create a checkout session for a plan
+app.post('/api/billing/checkout', requireAuth, async (req, res) => {
+    const { plan, success_url, cancel_url } = req.body;
+    if (!plan) {
+        return res.status(400).json({ error: 'Plan is required' });
+    }
+    try {
+        const checkout = await createCheckout(req.user.uid, plan, { successUrl: success_url, cancelUrl: cancel_url });
         
-        // If user has active subscription, allow generation
-        if (userData.subscription_status !== 'free') {
-            // Check if subscription is still valid
-            if (userData.subscription_expiry && userData.subscription_expiry.toDate() > new Date()) {
-                return { 
-                    canGenerate: true, 
-                    remainingFree: 0, 
-                    subscriptionStatus: userData.subscription_status 
-                };
-            } else {
-                // Subscription expired, revert to free
-                await updateDoc(userRef, {
-                    subscription_status: 'free',
-                    subscription_expiry: null
-                });
-                userData.subscription_status = 'free';
+        res.status(201).json({
+            checkout_id: checkout.checkoutId,
+            checkout_url: checkout.url,
+            plan: checkout.plan.id
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error creating checkout:', err);
+        res.status(500).json({ error: 'Error creating checkout', details: err.message });
+    }
+});
+
+// Payment provider webhook, the only way subscriptions are activated, renewed, cancelled or refunded
+app.post('/api/billing/webhook', async (req, res) => {
+    try {
+        const event = await getBillingProvider().parseWebhook(req.rawBody, req.headers);
+        if (!event) {
+            return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+        if (event.ignored) {
+            return res.status(200).json({ received: true, outcome: 'ignored' });
+        }
+        
+        const result = await applyBillingEvent(event);
+        res.status(200).json({ received: true, ...result });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error handling billing webhook:', err);
+        res.status(500).json({ error: 'Error handling webhook' });
+    }
+});
+
+// Development and test only (BILLING_STUB_ROUTES=true): let the stub provider's checkouts be paid
+// and its subscription events be sent through the API
+if (areStubRoutesEnabled()) {
+    // Stub provider: pay for a checkout, which makes the stub send a signed checkout.completed webhook
+    app.post('/api/billing/stub/checkout/:checkoutId/complete', requireAuth, async (req, res) => {
+        const { checkoutId } = req.params;
+        try {
+            const provider = getBillingProvider();
+            if (provider.name !== 'stub') {
+                return res.status(404).json({ error: 'Not found' });
+            }
+            const checkout = await getStore().billing.getCheckout(checkoutId);
+            if (!checkout) {
+                return res.status(404).json({ error: 'Checkout not found' });
+            }
+            if (checkout.user_id !== req.user.uid) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+        
+            const delivery = await provider.emit('checkout.completed', { checkout_id: checkoutId });
+            res.status(200).json({ event: delivery.event, webhook_status: delivery.status, webhook_response: delivery.response });
+        } catch (err) {
+            console.error('Error completing stub checkout:', err);
+            res.status(500).json({ error: 'Server error', details: err.message });
+        }
+    });
+
+    // Stub provider: send a signed lifecycle event (renewed, payment_failed, cancelled, refunded) for a subscription
+    app.post('/api/billing/stub/subscriptions/:subscriptionId/events', requireAuth, async (req, res) => {
+        const { subscriptionId } = req.params;
+        const { type } = req.body;
+        const types = ['subscription.renewed', 'subscription.payment_failed', 'subscription.cancelled', 'payment.refunded'];
+        if (!types.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${types.join(', ')}` });
+        }
+        try {
+            const provider = getBillingProvider();
+            if (provider.name !== 'stub') {
+                return res.status(404).json({ error: 'Not found' });
+            }
+            const subscription = await getStore().billing.getSubscription(subscriptionId);
+            if (!subscription) {
+                return res.status(404).json({ error: 'Subscription not found' });
             }
+            if (subscription.user_id !== req.user.uid) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+        
+            const delivery = await provider.emit(type, { subscription_id: subscriptionId });
+            res.status(200).json({ event: delivery.event, webhook_status: delivery.status, webhook_response: delivery.response });
+        } catch (err) {
+            console.error('Error sending stub billing event:', err);
+            res.status(500).json({ error: 'Server error', details: err.message });
         }
+    });
+}
+
+// Get user's generation usage history
+app.get('/api/user/usage/:userId', requireAuth, requireSelf(), async (req, res) => {
+    const { userId } = req.params;
+    const max = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    try {
+        const entries = await getStore().usage.listByUser(userId, max);
         
-        // For free users, check remaining generations
-        if (userData.free_generations_remaining > 0) {
-            return { 
-                canGenerate: true, 
-                remainingFree: userData.free_generations_remaining, 
-                subscriptionStatus: 'free' 
-            };
-        } else {
-            return { 
-                canGenerate: false, 
-                remainingFree: 0, 
-                subscriptionStatus: 'free' 
-            };
+        res.status(200).json({
+            user_id: userId,
+            usage: entries.map(entry => ({
+                entry_id: entry.entry_id,
+                endpoint: entry.endpoint,
+                status: entry.status,
+                resource_type: entry.resource_type,
+                resource_id: entry.resource_id,
+                charged_free_generation: entry.charged_free_generation && entry.status !== 'released',
+                tokens_used: entry.tokens_used,
+                pages_used: entry.pages_used,
+                created_at: entry.created_at
+            }))
+        });
+    } catch (err) {
+        console.error('Error fetching usage history:', err);
+        res.status(500).json({ error: 'Error fetching usage history' });
+    }
+});
+
+// Reply to a generation request with its job, or with the finished result when the client asks to wait
+// (?wait=true, for clients and hosts that cannot poll)
+const sendJobAccepted = async (req, res, job, usageStatus) => {
+    const usage = {
+        subscription_status: usageStatus.subscriptionStatus,
+        remaining_free: usageStatus.remainingFree
+    };
+    if (req.query.wait !== 'true') {
+        return res.status(202).json({ ...toJobStatus(job), ...usage });
+    }
+    let finished;
+    try {
+        finished = await waitForJob(job.job_id);
+    } catch (err) {
+        if (err.status !== 504) {
+            throw err;
         }
+        // Still running: hand back the job so the client can poll it instead
+        const current = await getStore().jobs.get(job.job_id);
+        return res.status(504).json({ error: err.message, ...toJobStatus(current || job), ...usage });
+    }
+    if (finished.status === 'failed') {
+        return res.status(finished.error.status).json({
+            error: finished.error.message,
+            details: finished.error.details,
+            charged: false,
+            job_id: finished.job_id
+        });
+    }
+    res.status(201).json({ ...finished.result, ...usage, job_id: finished.job_id });
+};
+
+// Answer 403 when a generation could not be reserved
+const sendLimitReached = (res, usageStatus) => res.status(403).json({
+    error: 'Generation limit reached',
+    details: usageStatus.limitDetails,
+    subscription_status: usageStatus.subscriptionStatus,
+    remaining_free: usageStatus.remainingFree
+});
+
+// Upload a document (PDF, DOCX, PPTX, Markdown, HTML or text) and generate questions and flashcards
+// (runs as a job). The file goes in the "file" field, or "pdf" for older clients.
+app.post(['/api/upload', '/api/upload_pdf'], requireAuth, limitGeneration('upload'), upload.fields([{ name: 'file', maxCount: 1 }, { name: 'pdf', maxCount: 1 }]), async (req, res) => {
+    const file = ((req.files && (req.files.file || req.files.pdf)) || [])[0];
+    if (!file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const user_id = req.user.uid;
+    const { content_name, question_type = 'multiple_choice', num_questions = 10, num_options = 4, include_flashcards = true, time_limit_minutes } = req.body;
+    if (!content_name) {
+        return res.status(400).json({ error: 'content_name is required' });
+    }
+    try {
+        parseQuestionTypes(question_type);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    const visibility = getInitialVisibility(req.body.visibility);
+    if (!visibility) {
+        return res.status(400).json({ error: `visibility must be one of ${VISIBILITIES.join(', ')}` });
+    }
+
+    // Get page (slide, section) range from query parameters (checked against the document when the job runs)
+    const startPage = parseInt(req.query.startPage) || 1;
+    const endPage = parseInt(req.query.endPage) || null;
+    if (startPage < 1 || (endPage !== null && endPage < startPage)) {
+        return res.status(400).json({
+            error: 'Invalid page range',
+            requestedRange: { start: startPage, end: endPage }
+        });
+    }
+
+    let format;
+    try {
+        format = await detectFormat(file.buffer, file);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message, details: err.details });
+    }
+
+    let usageStatus = null;
+    try {
+        // Reserve a generation before queueing; the job commits or releases it
+        usageStatus = await reserveGeneration(user_id, '/api/upload');
+        if (!usageStatus.canGenerate) {
+            return sendLimitReached(res, usageStatus);
+        }
+
+        const jobId = generateId();
+        const job = await submitJob({
+            jobId,
+            userId: user_id,
+            type: 'upload_document',
+            reservationId: usageStatus.reservationId,
+            generationSlot: getGenerationSlot(req),
+            input: {
+                upload: await saveJobUpload(jobId, file.buffer),
+                format,
+                file_name: file.originalname || null,
+                content_name: String(content_name),
+                question_type,
+                num_questions: Math.min(Math.max(parseInt(num_questions) || 10, 1), 50), // Min 1, Max 50 questions
+                num_options: Math.min(Math.max(parseInt(num_options) || 4, 2), 6), // Min 2, Max 6 options
+                include_flashcards,
+                time_limit_minutes: time_limit_minutes || null,
+                visibility,
+                start_page: startPage,
+                end_page: endPage
+            }
+        });
+        usageStatus.reservationId = null;
+        keepGenerationSlot(req);
+
+        await sendJobAccepted(req, res, job, usageStatus);
     } catch (error) {
-        console.error('Error checking user usage:', error);
-        throw error;
+        if (usageStatus && usageStatus.reservationId) {
+            await releaseGeneration(usageStatus.reservationId, error);
+        }
+        console.error('Error processing upload:', error);
+        res.status(500).json({ 
+            error: 'Error processing upload', 
+            details: error.message 
+        });
+    }
+});
+
+// Create Quiz/Flashcards (runs as a job)
+app.post('/api/create_content', requireAuth, limitGeneration('create_content'), async (req, res) => {
+    const user_id = req.user.uid;
+    const { text, question_type, num_options, num_questions, include_flashcards, content_name, time_limit_minutes } = req.body;
+    if (!text || !question_type || !content_name) {
+        return res.status(400).json({ error: 'Text, question_type and content_name are required' });
+    }
+    try {
+        parseQuestionTypes(question_type);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
     }
+    const visibility = getInitialVisibility(req.body.visibility);
+    if (!visibility) {
+        return res.status(400).json({ error: `visibility must be one of ${VISIBILITIES.join(', ')}` });
+    }
+    
+    let usageStatus = null;
+    try {
+        // Reserve a generation before queueing; the job commits or releases it
+        usageStatus = await reserveGeneration(user_id, '/api/create_content');
+        if (!usageStatus.canGenerate) {
+            return sendLimitReached(res, usageStatus);
+        }
+
+        const job = await submitJob({
+            userId: user_id,
+            type: 'create_content',
+            reservationId: usageStatus.reservationId,
+            generationSlot: getGenerationSlot(req),
+            input: {
+                text: String(text),
+                question_type,
+                content_name: String(content_name),
+                num_questions: Math.min(parseInt(num_questions) || 1, 10),
+                num_options: Math.min(Math.max(parseInt(num_options) || 4, 2), 4),
+                include_flashcards,
+                time_limit_minutes: time_limit_minutes || null,
+                visibility
+            }
+        });
+        usageStatus.reservationId = null;
+        keepGenerationSlot(req);
+
+        await sendJobAccepted(req, res, job, usageStatus);
+    } catch (err) {
+        if (usageStatus && usageStatus.reservationId) {
+            await releaseGeneration(usageStatus.reservationId, err);
+        }
+        console.error('Detailed error:', {
+            message: err.message,
+            stack: err.stack,
+            code: err.code,
+            details: err.details
+        });
+        res.status(500).json({ 
+            error: 'Error saving content',
+            details: err.message
+        });
+    }
+});
+
+// List the caller's recent generation jobs
+app.get('/api/jobs', requireAuth, async (req, res) => {
+    try {
+        const jobs = await getStore().jobs.listByUser(req.user.uid, 20);
+        res.status(200).json({ jobs: jobs.map(toJobStatus) });
+    } catch (err) {
+        console.error('Error listing jobs:', err);
+        res.status(500).json({ error: 'Error listing jobs', details: err.message });
+    }
+});
+
+// Respond to errors from the job routes
+const sendJobError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error reading job:', err);
+    res.status(500).json({ error: 'Error reading job', details: err.message });
 };
 
-// Decrease free generation count after successful generation
-const decrementFreeUsage = async (userId) => {
+// Job status for polling
+app.get('/api/jobs/:jobId', requireAuth, async (req, res) => {
     try {
-        const userRef = doc(db, 'users', userId);
-        const userSnap = await getDoc(userRef);
+        const job = await getOwnedJob(req.params.jobId, req.user.uid);
+        res.status(200).json(toJobStatus(job));
+    } catch (err) {
+        sendJobError(res, err);
+    }
+});
+
+// Job progress as Server-Sent Events: a "progress" event per stage change, then "succeeded" or "failed"
+app.get('/api/jobs/:jobId/events', tokenFromQuery, requireAuth, async (req, res) => {
+    let job;
+    try {
+        job = await getOwnedJob(req.params.jobId, req.user.uid);
+    } catch (err) {
+        return sendJobError(res, err);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    let lastUpdate = 0;
+    let closed = false;
+    let unsubscribe = () => {};
+    let poll = null;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(poll);
+        res.end();
+    };
+    const send = (current) => {
+        const updatedAt = new Date(current.updated_at).getTime();
+        if (closed || updatedAt < lastUpdate) return;
+        lastUpdate = updatedAt;
+        const event = isFinished(current) ? current.status : 'progress';
+        res.write(`event: ${event}\ndata: ${JSON.stringify(toJobStatus(current))}\n\n`);
+        if (isFinished(current)) {
+            close();
+        }
+    };
+
+    unsubscribe = subscribeToJob(job.job_id, send);
+    send(job);
+    if (closed) {
+        // The job had already finished
+        return;
+    }
+    // Pick up changes made by other server instances and keep proxies from closing the stream
+    poll = setInterval(async () => {
+        try {
+            const current = await getStore().jobs.get(job.job_id);
+            if (current && new Date(current.updated_at).getTime() > lastUpdate) {
+                send(current);
+            } else if (!closed) {
+                res.write(': keep-alive\n\n');
+            }
+        } catch (err) {
+            console.error('Error polling job:', err);
+        }
+    }, JOB_EVENTS_POLL_MS);
+    req.on('close', close);
+});
+
+// Run a failed job again (reserves a new generation)
+app.post('/api/jobs/:jobId/retry', requireAuth, limitGeneration('retry'), async (req, res) => {
+    try {
+        const { job, usageStatus } = await retryJob(req.params.jobId, req.user.uid, getGenerationSlot(req));
+        keepGenerationSlot(req);
+        await sendJobAccepted(req, res, job, usageStatus);
+    } catch (err) {
+        sendJobError(res, err);
+    }
+});
+
+// Get Quiz Data (?tag= and ?difficulty= narrow the questions; question_index keeps their position)
+app.get('/api/quiz/:quizId', optionalAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        const filter = parseQuestionFilter(req.query);
+        const quizData = await getViewableQuiz(quizId, req);
         
-        if (userSnap.exists()) {
-            const userData = userSnap.data();
-            if (userData.subscription_status === 'free' && userData.free_generations_remaining > 0) {
-                await updateDoc(userRef, {
-                    free_generations_remaining: userData.free_generations_remaining - 1
+        if (quizData) {
+            const indexes = new Set(selectQuestionIndexes(quizData.questions, filter));
+            res.status(200).json({
+                quiz_id: quizId,
+                questions: toPlayableQuestions(quizData.questions).filter(q => indexes.has(q.question_index)),
+                ...(canSeeFlashcards(quizData, req.user) ? { flashcards: quizData.flashcards } : {}),
+                filters: summarizeQuestions(quizData.questions)
+            });
+        } else {
+            res.status(404).json({ error: 'Quiz not found' });
+        }
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Resolve a join code to its quiz
+app.get('/api/join/:joinCode', limitByIp('join'), optionalAuth, async (req, res) => {
+    const { joinCode } = req.params;
+    if (!isJoinCode(joinCode)) {
+        return res.status(400).json({ error: 'Invalid join code' });
+    }
+    try {
+        const quiz = await getStore().quizzes.findByJoinCode(joinCode);
+        if (!quiz) {
+            // Join codes are shared with live rooms
+            const room = await getStore().liveRooms.findByJoinCode(joinCode);
+            if (room && room.status !== 'finished') {
+                return res.status(200).json({
+                    live_room_id: room.room_id,
+                    join_code: room.join_code,
+                    content_name: room.content_name,
+                    ws_path: LIVE_PATH
                 });
-                return userData.free_generations_remaining - 1;
             }
         }
-        return 0;
-    } catch (error) {
-        console.error('Error decrementing free usage:', error);
-        return 0;
+        if (!quiz || !(await canJoinByCode(quiz, req.user))) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+        res.status(200).json({
+            quiz_id: quiz.quiz_id,
+            join_code: quiz.join_code,
+            content_name: quiz.content_name,
+            quiz_link: quizLink(quiz.quiz_id)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server error' });
     }
+});
+
+// Send the owner's view of a quiz after an edit
+const sendQuizEdit = (res, quiz, status = 200) => res.status(status).json({
+    quiz_id: quiz.quiz_id,
+    content_name: quiz.content_name,
+    version: getQuizVersion(quiz),
+    questions: quiz.questions,
+    flashcards: quiz.flashcards || []
+});
+
+// Respond to errors from the quiz editing routes
+const sendEditError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error editing quiz:', err);
+    res.status(500).json({ error: 'Error editing quiz', details: err.message });
 };
 
-// Get user subscription info
-app.get('/api/user/subscription/:userId', async (req, res) => {
-    const { userId } = req.params;
+// Rename a quiz or reorder its questions (owner only)
+app.patch('/api/quiz/:quizId', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    const { content_name, question_order } = req.body;
+    if (content_name === undefined && question_order === undefined) {
+        return res.status(400).json({ error: 'Provide content_name and/or question_order' });
+    }
     try {
-        const userRef = doc(db, 'users', userId);
-        const userSnap = await getDoc(userRef);
+        const quiz = await editQuiz(quizId, req.user.uid, question_order ? 'reorder_questions' : 'rename', (current) => {
+            const changes = {};
+            if (content_name !== undefined) {
+                if (!String(content_name).trim()) {
+                    throw httpError(400, 'content_name must not be empty');
+                }
+                changes.content_name = String(content_name);
+            }
+            if (question_order !== undefined) {
+                // question_order lists every current question index once, in the new order
+                const count = current.questions.length;
+                const order = Array.isArray(question_order) ? question_order.map(i => parseInt(i)) : [];
+                const isPermutation = order.length === count && new Set(order).size === count &&
+                    order.every(i => i >= 0 && i < count);
+                if (!isPermutation) {
+                    throw httpError(400, `question_order must list each index from 0 to ${count - 1} exactly once`);
+                }
+                changes.questions = order.map(i => current.questions[i]);
+            }
+            return changes;
+        });
+        sendQuizEdit(res, quiz);
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Delete a quiz and its version history (owner only)
+app.delete('/api/quiz/:quizId', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        await getOwnedQuiz(quizId, req.user.uid);
+        await getStore().quizzes.remove(quizId);
+        res.status(200).json({ quiz_id: quizId, message: 'Quiz deleted' });
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// List a quiz's versions (owner only)
+app.get('/api/quiz/:quizId/versions', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        const quiz = await getOwnedQuiz(quizId, req.user.uid);
+        const versions = await getStore().quizzes.listVersions(quizId);
         
-        if (!userSnap.exists()) {
-            // New user - create profile with initial free generations
-            await setDoc(userRef, {
-                user_id: userId,
-                free_generations_remaining: 10,
-                subscription_status: 'free',
-                subscription_expiry: null,
-                created_at: Timestamp.now()
-            });
-            
-            return res.status(200).json({
-                user_id: userId,
-                free_generations_remaining: 10,
-                subscription_status: 'free',
-                subscription_expiry: null
+        res.status(200).json({
+            quiz_id: quizId,
+            current_version: getQuizVersion(quiz),
+            versions: [
+                {
+                    version: getQuizVersion(quiz),
+                    change: quiz.last_change || 'created',
+                    content_name: quiz.content_name,
+                    num_questions: quiz.questions.length,
+                    created_at: quiz.updated_at || quiz.created_at,
+                    current: true
+                },
+                ...versions.map(v => ({
+                    version: v.version,
+                    change: v.change,
+                    content_name: v.content_name,
+                    num_questions: v.questions.length,
+                    created_at: v.created_at,
+                    current: false
+                }))
+            ]
+        });
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Get the questions of an earlier version (owner only)
+app.get('/api/quiz/:quizId/versions/:version', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    const version = parseInt(req.params.version);
+    try {
+        const quiz = await getOwnedQuiz(quizId, req.user.uid);
+        const snapshot = version === getQuizVersion(quiz) ? quiz : await getStore().quizzes.getVersion(quizId, version);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        res.status(200).json({
+            quiz_id: quizId,
+            version,
+            content_name: snapshot.content_name,
+            questions: snapshot.questions,
+            flashcards: snapshot.flashcards || []
+        });
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Add a question (owner only), appended unless a position is given
+app.post('/api/quiz/:quizId/questions', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    const { question, position } = req.body;
+    try {
+        const newQuestion = toEditedQuestion(question);
+        const quiz = await editQuiz(quizId, req.user.uid, 'add_question', (current) => {
+            const questions = [...current.questions];
+            const index = position === undefined ? questions.length : parseIndex(position, questions.length, true);
+            questions.splice(index, 0, newQuestion);
+            return { questions };
+        });
+        sendQuizEdit(res, quiz, 201);
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Replace a question (owner only)
+app.put('/api/quiz/:quizId/questions/:index', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        const updatedQuestion = toEditedQuestion(typeof req.body.question === 'object' ? req.body.question : req.body);
+        const quiz = await editQuiz(quizId, req.user.uid, 'update_question', (current) => {
+            const questions = [...current.questions];
+            questions[parseIndex(req.params.index, questions.length)] = updatedQuestion;
+            return { questions };
+        });
+        sendQuizEdit(res, quiz);
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Remove a question (owner only)
+app.delete('/api/quiz/:quizId/questions/:index', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        const quiz = await editQuiz(quizId, req.user.uid, 'remove_question', (current) => {
+            if (current.questions.length <= 1) {
+                throw httpError(400, 'A quiz needs at least one question');
+            }
+            const questions = [...current.questions];
+            questions.splice(parseIndex(req.params.index, questions.length), 1);
+            return { questions };
+        });
+        sendQuizEdit(res, quiz);
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Regenerate a single question with the model (owner only, uses one generation)
+app.post('/api/quiz/:quizId/questions/:index/regenerate', requireAuth, limitGeneration('regenerate'), async (req, res) => {
+    const { quizId } = req.params;
+    let usageStatus = null;
+    try {
+        const current = await getOwnedQuiz(quizId, req.user.uid);
+        const index = parseIndex(req.params.index, current.questions.length);
+
+        // Reserve a generation before calling the model
+        usageStatus = await reserveGeneration(req.user.uid, '/api/quiz/:quizId/questions/:index/regenerate');
+        if (!usageStatus.canGenerate) {
+            return res.status(403).json({
+                error: 'Generation limit reached',
+                details: usageStatus.limitDetails,
+                subscription_status: usageStatus.subscriptionStatus,
+                remaining_free: usageStatus.remainingFree
             });
         }
+
+        let tokensUsed = 0;
+        const generated = await generateReplacementQuestion(current, index, {
+            text: req.body.text,
+            onUsage: usage => { tokensUsed += usage.total_tokens; }
+        });
+        const replacement = sanitizeQuestion(generated);
+
+        const quiz = await editQuiz(quizId, req.user.uid, 'regenerate_question', (latest) => {
+            const questions = [...latest.questions];
+            questions[parseIndex(index, questions.length)] = replacement;
+            return { questions };
+        });
+
+        await commitGeneration(usageStatus.reservationId, { resourceType: 'quiz', resourceId: quizId, tokensUsed });
+        sendQuizEdit(res, quiz);
+    } catch (err) {
+        if (usageStatus && usageStatus.reservationId) {
+            await releaseGeneration(usageStatus.reservationId, err);
+        }
+        sendEditError(res, err);
+    }
+});
+
+// Replace a flashcard (owner only)
+app.put('/api/quiz/:quizId/flashcards/:index', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        const flashcard = toEditedFlashcard(typeof req.body.flashcard === 'object' ? req.body.flashcard : req.body);
+        const quiz = await editQuiz(quizId, req.user.uid, 'update_flashcard', (current) => {
+            const flashcards = [...(current.flashcards || [])];
+            flashcards[parseIndex(req.params.index, flashcards.length)] = flashcard;
+            return { flashcards };
+        });
+        sendQuizEdit(res, quiz);
+    } catch (err) {
+        sendEditError(res, err);
+    }
+});
+
+// Send an exported file (a PDF or ZIP of papers, or a question bank in an interchange format)
+const sendExport = (res, file) => {
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${file.fileName}`);
+    res.send(file.buffer);
+};
+
+// Respond to errors from the export routes
+const sendExportError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error exporting:', err);
+    res.status(500).json({ error: 'Error exporting', details: err.message });
+};
+
+// Export a quiz as a printable PDF (owner only). Options come as JSON or form fields, with the logo as a "logo" file.
+app.post('/api/quiz/:quizId/export/pdf', requireAuth, upload.single('logo'), async (req, res) => {
+    try {
+        const options = parseExportOptions(req.body, req.file);
+        const quiz = await getOwnedQuiz(req.params.quizId, req.user.uid);
+        sendExport(res, await exportPaper(fromQuiz(quiz), options));
+    } catch (err) {
+        sendExportError(res, err);
+    }
+});
+
+// Export a quiz's questions as QTI 2.1 (zip), Moodle GIFT, Moodle XML or CSV, or its flashcards as an Anki deck (owner only)
+app.get('/api/quiz/:quizId/export/:format', requireAuth, async (req, res) => {
+    try {
+        const quiz = await getOwnedQuiz(req.params.quizId, req.user.uid);
+        sendExport(res, await exportQuiz(quiz, req.params.format));
+    } catch (err) {
+        sendExportError(res, err);
+    }
+});
+
+// Import a question bank (QTI, GIFT, Moodle XML or CSV as "file", optionally an Anki deck as "flashcards")
+// as a new quiz. Does not use up AI generations.
+app.post('/api/quiz/import', requireAuth, upload.fields([{ name: 'file', maxCount: 1 }, { name: 'flashcards', maxCount: 1 }]), async (req, res) => {
+    const files = req.files || {};
+    try {
+        const result = await importQuiz(req.user.uid, {
+            file: files.file && files.file[0],
+            flashcardsFile: files.flashcards && files.flashcards[0],
+            input: req.body
+        });
+        res.status(201).json(result);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message, details: err.details });
+        }
+        console.error('Error importing quiz:', err);
+        res.status(500).json({ error: 'Error importing quiz', details: err.message });
+    }
+});
+
+// Respond to errors from the sharing and group routes
+const sendSharingError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error updating sharing settings:', err);
+    res.status(500).json({ error: 'Error updating sharing settings', details: err.message });
+};
+
+// Change who can see a quiz (owner only; does not create a new version)
+app.patch('/api/quiz/:quizId/visibility', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        await getOwnedQuiz(quizId, req.user.uid);
+        const settings = toVisibilitySettings(req.body);
+        await getStore().quizzes.update(quizId, { ...settings, updated_at: new Date() });
+        res.status(200).json({ quiz_id: quizId, ...settings });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// Create a share link for a quiz (owner only)
+app.post('/api/quiz/:quizId/share-links', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        await getOwnedQuiz(quizId, req.user.uid);
+        const link = await createShareLink(quizId, req.user.uid, req.body.expires_in_hours);
+        res.status(201).json({
+            ...link,
+            quiz_link: quizLink(quizId, link.token)
+        });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// List a quiz's share links (owner only)
+app.get('/api/quiz/:quizId/share-links', requireAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        await getOwnedQuiz(quizId, req.user.uid);
+        const links = await getStore().shareLinks.listByQuiz(quizId);
+        res.status(200).json({ quiz_id: quizId, share_links: links });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// Revoke a share link (owner only)
+app.delete('/api/quiz/:quizId/share-links/:token', requireAuth, async (req, res) => {
+    const { quizId, token } = req.params;
+    try {
+        await getOwnedQuiz(quizId, req.user.uid);
+        await revokeShareLink(quizId, token);
+        res.status(200).json({ success: true, message: 'Share link revoked' });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// Create a group of users to share quizzes with
+app.post('/api/groups', requireAuth, async (req, res) => {
+    try {
+        const group = await createGroup(req.user.uid, req.body.name, req.body.members);
+        res.status(201).json(group);
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// List the caller's groups
+app.get('/api/groups', requireAuth, async (req, res) => {
+    try {
+        const groups = await getStore().groups.listByOwner(req.user.uid);
+        res.status(200).json({ groups });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// Replace a group's members (owner only)
+app.put('/api/groups/:groupId/members', requireAuth, async (req, res) => {
+    const { groupId } = req.params;
+    try {
+        const group = await getOwnedGroup(groupId, req.user.uid);
+        const members = toGroupMembers(req.body.members);
+        await getStore().groups.update(groupId, { members });
+        res.status(200).json({ ...group, members });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// Delete a group (owner only); quizzes shared with it stop being visible to its members
+app.delete('/api/groups/:groupId', requireAuth, async (req, res) => {
+    const { groupId } = req.params;
+    try {
+        await getOwnedGroup(groupId, req.user.uid);
+        await getStore().groups.delete(groupId);
+        res.status(200).json({ success: true, message: 'Group deleted' });
+    } catch (err) {
+        sendSharingError(res, err);
+    }
+});
+
+// Get Flashcard Data
+app.get('/api/flashcards/:quizId', optionalAuth, async (req, res) => {
+    const { quizId } = req.params;
+    try {
+        const quizData = await getViewableQuiz(quizId, req);
         
-        const userData = userSnap.data();
-        
-        // Check if subscription is still valid
-        if (userData.subscription_status !== 'free' && 
-            userData.subscription_expiry && 
-            userData.subscription_expiry.toDate() < new Date()) {
-            // Subscription expired, revert to free
-            await updateDoc(userRef, {
-                subscription_status: 'free',
-                subscription_expiry: null
+        if (quizData && !canSeeFlashcards(quizData, req.user)) {
+            res.status(403).json({ error: 'The flashcards of this quiz are the answers to its matching questions. Only its owner can see them.' });
+        } else if (quizData) {
+            res.status(200).json({
+                quiz_id: quizId,
+                flashcards: quizData.flashcards
             });
-            userData.subscription_status = 'free';
-            userData.subscription_expiry = null;
+        } else {
+            res.status(404).json({ error: 'Flashcards not found' });
         }
-        
-        res.status(200).json({
-            user_id: userId,
-            free_generations_remaining: userData.free_generations_remaining || 0,
-            subscription_status: userData.subscription_status || 'free',
-            subscription_expiry: userData.subscription_expiry ? userData.subscription_expiry.toDate() : null
-        });
     } catch (err) {
-        console.error('Error fetching user subscription:', err);
-        res.status(500).json({ error: 'Server error' });
+        console.error(err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send a QR code image
+const sendQrCode = async (res, link, query) => {
+    const qr = await renderQrCode(link, parseQrOptions(query));
+    res.setHeader('Content-Type', qr.contentType);
+    res.send(qr.body);
+};
+
+// Respond to errors from the QR code routes
+const sendQrError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error creating QR code:', err);
+    res.status(500).json({ error: 'Error creating QR code', details: err.message });
+};
+
+// QR code of a quiz link (?format=png|svg, ?size= in pixels). A share token sent with the request goes into the link.
+app.get('/api/quiz/:quizId/qr', optionalAuth, async (req, res) => {
+    try {
+        const quiz = await getViewableQuiz(req.params.quizId, req);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+        await sendQrCode(res, quizLink(quiz.quiz_id, getShareToken(req)), req.query);
+    } catch (err) {
+        sendQrError(res, err);
+    }
+});
+
+// QR code of a quiz's flashcard deck
+app.get('/api/flashcards/:quizId/qr', optionalAuth, async (req, res) => {
+    try {
+        const quiz = await getViewableQuiz(req.params.quizId, req);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+        await sendQrCode(res, flashcardsLink(quiz.quiz_id, getShareToken(req)), req.query);
+    } catch (err) {
+        sendQrError(res, err);
+    }
+});
+
+// QR code of a mock test: taking it online (default) or, with ?target=download, its PDF
+app.get('/api/mock-test/:testId/qr', async (req, res) => {
+    try {
+        const test = await getStore().mockTests.findByTestId(req.params.testId);
+        if (!test) {
+            return res.status(404).json({ error: 'Mock test not found' });
+        }
+        const link = req.query.target === 'download' ? mockTestDownloadLink(test.test_id) : mockTestAttemptsLink(test.test_id);
+        await sendQrCode(res, link, req.query);
+    } catch (err) {
+        sendQrError(res, err);
     }
 });
 
-// Subscribe user to a plan
-app.post('/api/user/subscribe', async (req, res) => {
-    const { userId, plan } = req.body;
-    
-    if (!userId || !plan) {
-        return res.status(400).json({ error: 'User ID and plan are required' });
+// Respond to errors from the study routes
+const sendStudyError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
     }
-    
+    console.error('Error in study mode:', err);
+    res.status(500).json({ error: 'Error in study mode', details: err.message });
+};
+
+// Start studying a quiz's flashcards with spaced repetition (returns the existing deck if already started)
+app.post('/api/study/decks/:quizId', requireAuth, async (req, res) => {
     try {
-        const userRef = doc(db, 'users', userId);
-        const userSnap = await getDoc(userRef);
-        
-        let expiryDate = new Date();
-        
-        // Set expiry date based on plan
-        switch(plan) {
-            case 'monthly':
-                expiryDate.setMonth(expiryDate.getMonth() + 1);
-                break;
-            case 'quarterly':
-                expiryDate.setMonth(expiryDate.getMonth() + 3);
-                break;
-            case 'yearly':
-                expiryDate.setFullYear(expiryDate.getFullYear() + 1);
-                break;
-            default:
-                return res.status(400).json({ error: 'Invalid plan. Choose monthly, quarterly, or yearly.' });
-        }
-        
-        // Create or update user record
-        if (!userSnap.exists()) {
-            await setDoc(userRef, {
-                subscription_status: plan,
-                subscription_expiry: Timestamp.fromDate(expiryDate),
-                free_generations_remaining: 0,
-                created_at: Timestamp.now()
-            });
-        } else {
-            await updateDoc(userRef, {
-                subscription_status: plan,
-                subscription_expiry: Timestamp.fromDate(expiryDate)
-            });
+        const quiz = await getViewableQuiz(req.params.quizId, req);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
         }
-        
-        res.status(200).json({
-            user_id: userId,
-            message: 'Subscription successful',
-            plan,
-            subscription_expiry: expiryDate
-        });
+        const { created, deck } = await startDeck(quiz, req);
+        res.status(created ? 201 : 200).json(deck);
     } catch (err) {
-        console.error('Error creating subscription:', err);
-        res.status(500).json({ error: 'Server error' });
+        sendStudyError(res, err);
     }
 });
 
-// Upload PDF and generate questions and flashcards
-app.post('/api/upload_pdf', upload.single('pdf'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No PDF file uploaded' });
+// The caller's decks with their due and new card counts
+app.get('/api/study/decks', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({ decks: await listDecks(req) });
+    } catch (err) {
+        sendStudyError(res, err);
     }
+});
 
-    const { user_id, content_name, num_questions = 10, num_options = 4, include_flashcards = true } = req.body;
-    if (!user_id || !content_name) {
-        return res.status(400).json({ error: 'user_id and content_name are required' });
+// Cards due by the end of today across all of the caller's decks
+app.get('/api/study/due', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await getDueToday(req));
+    } catch (err) {
+        sendStudyError(res, err);
     }
+});
 
-    // Check if user can generate content
+app.get('/api/study/decks/:quizId', requireAuth, async (req, res) => {
     try {
-        const usageStatus = await checkUserUsage(user_id);
-        if (!usageStatus.canGenerate) {
-            return res.status(403).json({ 
-                error: 'Generation limit reached', 
-                details: 'You have used all your free generations. Please subscribe to continue.',
-                subscription_status: usageStatus.subscriptionStatus,
-                remaining_free: usageStatus.remainingFree
-            });
+        res.status(200).json(await getDeckSummary(req.params.quizId, req));
+    } catch (err) {
+        sendStudyError(res, err);
     }
+});
 
-    // Validate and limit the number of questions
-    const numQuestions = Math.min(Math.max(parseInt(num_questions) || 10, 1), 50); // Min 1, Max 50 questions
-    const numOptions = Math.min(Math.max(parseInt(num_options) || 4, 2), 6); // Min 2, Max 6 options
-
-        // Extract text from PDF
-        const pdfData = await pdfParse(req.file.buffer);
-        const totalPages = pdfData.numpages;
-
-        // Get page range from query parameters
-        const startPage = parseInt(req.query.startPage) || 1;
-        const endPage = parseInt(req.query.endPage) || totalPages;
-
-        // Validate page range
-        const start = Math.max(1, startPage);
-        const end = Math.min(totalPages, endPage);
-
-        if (start > end || start < 1 || end > totalPages) {
-            return res.status(400).json({ 
-                error: 'Invalid page range',
-                totalPages,
-                requestedRange: { start, end }
-            });
-        }
-
-        // Extract text from the specified page range
-        const text = pdfData.text.split('\n').slice((start - 1) * 50, end * 50).join('\n');
-
-        // Generate questions and flashcards using Gemini API
-        const content = await generateContent(text, 'multiple_choice', numOptions, numQuestions, include_flashcards === true);
-
-        // Generate quiz ID and prepare data for database
-        const quizId = generateQuizId();
+// Next cards to study: due cards first, then today's new cards
+app.get('/api/study/decks/:quizId/next', requireAuth, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    try {
+        res.status(200).json(await getNextCards(req.params.quizId, req, limit));
+    } catch (err) {
+        sendStudyError(res, err);
+    }
+});
 
-        // Sanitize and validate questions
-        const questions = content.questions.map(q => {
-            if (!q.question || !q.type || !q.answer) {
-                console.error('Invalid question structure:', q);
-                throw new Error('Invalid question structure');
-            }
-            return {
-                question: String(q.question),
-                type: String(q.type),
-                options: q.type.toLowerCase() === 'multiple_choice' 
-                    ? (Array.isArray(q.options) ? q.options.map(String) : [])
-                    : ['True', 'False'],
-                answer: String(q.answer)
-            };
-        });
-
-        // Sanitize and validate flashcards
-        const flashcards = (content.flashcards || []).map(f => {
-            if (!f.term || !f.definition) {
-                console.error('Invalid flashcard structure:', f);
-                throw new Error('Invalid flashcard structure');
-            }
-            return {
-                term: String(f.term),
-                definition: String(f.definition)
-            };
-        });
+// Rate a card (again, hard, good or easy) and get its next due date
+app.post('/api/study/decks/:quizId/cards/:cardKey/review', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await reviewCard(req.params.quizId, req.params.cardKey, req.body.rating, req));
+    } catch (err) {
+        sendStudyError(res, err);
+    }
+});
 
-        // Prepare quiz data for database
-        const quizData = {
-            quiz_id: String(quizId),
-            content_name: String(content_name),
-            user_id: String(user_id),
-            created_at: Timestamp.now(),
-            source: 'pdf',
-            pdf_details: {
-                total_pages: totalPages,
-                processed_pages: { start, end },
-                num_questions: numQuestions,
-                num_options: numOptions,
-                include_flashcards
-            },
-            questions: questions,
-            flashcards: flashcards
-        };
+// Stop studying a quiz and delete the progress
+app.delete('/api/study/decks/:quizId', requireAuth, async (req, res) => {
+    try {
+        await removeDeck(req.params.quizId, req.user.uid);
+        res.status(200).json({ success: true, message: 'Deck removed' });
+    } catch (err) {
+        sendStudyError(res, err);
+    }
+});
 
-        // Save to database
-        const quizRef = collection(db, 'quizzes');
-        await addDoc(quizRef, quizData);
+// Respond to errors from the practice routes
+const sendPracticeError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error in practice mode:', err);
+    res.status(500).json({ error: 'Error in practice mode', details: err.message });
+};
 
-        // Now decrement the free usage count if user is on free plan
-        let remainingFree = usageStatus.remainingFree;
-        if (usageStatus.subscriptionStatus === 'free') {
-            remainingFree = await decrementFreeUsage(user_id);
-        }
+const toPracticeLimit = (value) => Math.min(Math.max(parseInt(value) || 10, 1), MAX_PRACTICE_QUESTIONS);
 
-        res.status(201).json({ 
-            message: 'Questions and flashcards generated successfully',
-            user_id: user_id,
-            quiz_id: quizId,
-            quiz_link: `http://localhost:${process.env.PORT}/api/quiz/${quizId}`,
-            content_name,
-            pdf_details: {
-                totalPages,
-                processedPages: { start, end },
-                numQuestions,
-                numOptions,
-                includeFlashcards: include_flashcards
-            },
-            subscription_status: usageStatus.subscriptionStatus,
-            remaining_free: remainingFree,
-            content: { questions, flashcards }
-        });
-    } catch (error) {
-        console.error('Error processing PDF:', error);
-        res.status(500).json({ 
-            error: 'Error processing PDF', 
-            details: error.message 
-        });
+// The caller's weakest topics and questions across quizzes and mock tests (?tag= narrows them)
+app.get('/api/practice/weaknesses', requireAuth, async (req, res) => {
+    try {
+        const filter = parseQuestionFilter({ tag: req.query.tag });
+        res.status(200).json(await getWeaknesses(req.user, {
+            tags: filter ? filter.tags : [],
+            limit: toPracticeLimit(req.query.limit)
+        }));
+    } catch (err) {
+        sendPracticeError(res, err);
     }
 });
 
-// Create Quiz/Flashcards
-app.post('/api/create_content', async (req, res) => {
-    const { text, question_type, num_options, num_questions, include_flashcards, content_name, user_id } = req.body;
-    if (!text || !question_type || !content_name || !user_id) {
-        return res.status(400).json({ error: 'Text, question_type, content_name, and user_id are required' });
-    }
-    
-    // Check if user can generate content
+// Start a practice session from the questions the caller missed most. With `variants: true`
+// the model writes a fresh question on each concept (counts as a generation).
+app.post('/api/practice', requireAuth, limitGeneration('practice', { when: req => req.body.variants === true }), async (req, res) => {
+    const { tag, limit, variants } = req.body;
+    let usageStatus = null;
     try {
-        const usageStatus = await checkUserUsage(user_id);
-        if (!usageStatus.canGenerate) {
-            return res.status(403).json({ 
-                error: 'Generation limit reached', 
-                details: 'You have used all your free generations. Please subscribe to continue.',
-                subscription_status: usageStatus.subscriptionStatus,
-                remaining_free: usageStatus.remainingFree
-            });
-        }
-        
-        const numQuestions = Math.min(parseInt(num_questions) || 1, 10);
-        const numOptions = Math.min(parseInt(num_options) || 4, 4);
-
-        const content = await generateContent(text, question_type, numOptions, numQuestions, include_flashcards === true);
-        const quizId = generateQuizId();
-        
-        // Sanitize and validate questions
-        const questions = content.questions.map(q => {
-            if (!q.question || !q.type || !q.answer) {
-                console.error('Invalid question structure:', q);
-                throw new Error('Invalid question structure');
-            }
-            return {
-                question: String(q.question),
-                type: String(q.type),
-                options: q.type.toLowerCase() === 'multiple_choice' 
-                    ? (Array.isArray(q.options) ? q.options.map(String) : [])
-                    : ['True', 'False'],
-                answer: String(q.answer)
-            };
-        });
-
-        // Sanitize and validate flashcards
-        const flashcards = (content.flashcards || []).map(f => {
-            if (!f.term || !f.definition) {
-                console.error('Invalid flashcard structure:', f);
-                throw new Error('Invalid flashcard structure');
+        const filter = parseQuestionFilter({ tag });
+        let tokensUsed = 0;
+        const makeVariants = variants === true
+            ? async (questions) => {
+                // Reserve a generation only once there is something to generate
+                usageStatus = await reserveGeneration(req.user.uid, '/api/practice');
+                if (!usageStatus.canGenerate) {
+                    throw httpError(403, 'Generation limit reached');
+                }
+                return generateVariantQuestions(questions, { onUsage: usage => { tokensUsed += usage.total_tokens; } });
             }
-            return {
-                term: String(f.term),
-                definition: String(f.definition)
-            };
-        });
-
-        const quizData = {
-            quiz_id: String(quizId),
-            content_name: String(content_name),
-            user_id: String(user_id),
-            created_at: Timestamp.now(),
-            questions: questions,
-            flashcards: flashcards
-        };
+            : null;
 
-        const quizRef = collection(db, 'quizzes');
-        await addDoc(quizRef, quizData);
-
-        // Now decrement the free usage count if user is on free plan
-        let remainingFree = usageStatus.remainingFree;
-        if (usageStatus.subscriptionStatus === 'free') {
-            remainingFree = await decrementFreeUsage(user_id);
+        const practice = await createPractice(req.user, { tags: filter ? filter.tags : [], limit: toPracticeLimit(limit) }, makeVariants);
+        if (usageStatus && usageStatus.reservationId) {
+            await commitGeneration(usageStatus.reservationId, { resourceType: 'practice', resourceId: practice.practice_id, tokensUsed });
         }
-
-        res.status(201).json({ 
-            user_id: user_id,
-            quiz_id: quizId,
-            quiz_link: `http://localhost:${process.env.PORT}/api/quiz/${quizId}`,
-            content_name,
-            subscription_status: usageStatus.subscriptionStatus,
-            remaining_free: remainingFree,
-            content: { questions, flashcards }
-        });
+        res.status(201).json(practice);
     } catch (err) {
-        console.error('Detailed error:', {
-            message: err.message,
-            stack: err.stack,
-            code: err.code,
-            details: err.details
-        });
-        res.status(500).json({ 
-            error: 'Error saving content',
-            details: err.message
-        });
+        if (usageStatus && usageStatus.reservationId) {
+            await releaseGeneration(usageStatus.reservationId, err);
+        }
+        if (usageStatus && !usageStatus.canGenerate) {
+            return sendLimitReached(res, usageStatus);
+        }
+        sendPracticeError(res, err);
     }
 });
 
-// Get Quiz Data
-app.get('/api/quiz/:quizId', async (req, res) => {
-    const { quizId } = req.params;
+// Submit answers to a practice session (keyed by question_index, like quiz attempts)
+app.post('/api/practice/:practiceId/attempt', requireAuth, async (req, res) => {
+    const { answers } = req.body;
+    if (!answers || typeof answers !== 'object') {
+        return res.status(400).json({ error: 'Missing required field: answers' });
+    }
     try {
-        const quizRef = collection(db, 'quizzes');
-        const q = query(quizRef, where('quiz_id', '==', quizId));
-        const querySnapshot = await getDocs(q);
-        
-        if (!querySnapshot.empty) {
-            const quizData = querySnapshot.docs[0].data();
-            res.status(200).json({
-                quiz_id: quizId,
-                questions: quizData.questions,
-                flashcards: quizData.flashcards
-            });
-        } else {
-            res.status(404).json({ error: 'Quiz not found' });
-        }
+        res.status(201).json(await submitPractice(req.params.practiceId, req.user, answers));
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Server error' });
+        sendPracticeError(res, err);
     }
 });
 
-// Get Flashcard Data
-app.get('/api/flashcards/:quizId', async (req, res) => {
+// Start Timed Quiz Session (`tag` and `difficulty` in the body or query play only matching questions)
+app.post('/api/quiz/:quizId/start', optionalAuth, async (req, res) => {
     const { quizId } = req.params;
+    const { playerName } = req.body;
+    if (!playerName) {
+        return res.status(400).json({ error: 'Missing required field: playerName' });
+    }
     try {
-        const quizRef = collection(db, 'quizzes');
-        const q = query(quizRef, where('quiz_id', '==', quizId));
-        const querySnapshot = await getDocs(q);
-        
-        if (!querySnapshot.empty) {
-            const quizData = querySnapshot.docs[0].data();
-            res.status(200).json({
-                quiz_id: quizId,
-                flashcards: quizData.flashcards
-            });
-        } else {
-            res.status(404).json({ error: 'Flashcards not found' });
+        const filter = parseQuestionFilter({ tag: req.body.tag || req.query.tag, difficulty: req.body.difficulty || req.query.difficulty });
+        const quizData = await getViewableQuiz(quizId, req);
+
+        if (!quizData) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const questionIndexes = filter ? selectQuestionIndexes(quizData.questions, filter) : null;
+        if (questionIndexes && !questionIndexes.length) {
+            return res.status(400).json({ error: 'No questions match the filter', filters: summarizeQuestions(quizData.questions) });
         }
+        const session = await startSession(quizId, quizData, playerName, { questionIndexes });
+
+        res.status(201).json({
+            session_id: session.sessionId,
+            quiz_id: quizId,
+            player_name: playerName,
+            started_at: session.startedAt,
+            deadline: session.deadline,
+            time_limit_minutes: session.timeLimitMinutes,
+            questions: questionIndexes
+                ? toPlayableQuestions(quizData.questions).filter(q => questionIndexes.includes(q.question_index))
+                : toPlayableQuestions(quizData.questions)
+        });
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Server error' });
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error starting session:', err);
+        res.status(500).json({ error: 'Error starting session', details: err.message });
     }
 });
 
-// Submit Score
-app.post('/api/submit_score', async (req, res) => {
-    const { quizId, playerName, score } = req.body;
-    if (!quizId || !playerName || score === undefined) {
-        return res.status(400).json({ error: 'Missing required fields: quizId, playerName, score' });
+// Submit Quiz Attempt (graded on the server, closes the timed session)
+app.post('/api/quiz/:quizId/attempt', optionalAuth, async (req, res) => {
+    const { quizId } = req.params;
+    const { sessionId, answers } = req.body;
+    if (!sessionId || !answers || typeof answers !== 'object') {
+        return res.status(400).json({ error: 'Missing required fields: sessionId, answers' });
     }
     try {
+        const quizData = await getViewableQuiz(quizId, req);
+
+        if (!quizData) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const session = await finishSession(sessionId, quizId);
+        // Grade against the version the session was started on, even if the quiz was edited since
+        const questions = await getQuestionsForVersion(quizData, session.quizVersion);
+        const grade = gradeAttempt(questions, answers, session.questionIndexes);
+
         const scoreData = {
             quiz_id: String(quizId),
-            player_name: String(playerName),
-            score: Number(score),
-            created_at: Timestamp.now()
+            quiz_version: session.quizVersion,
+            player_name: session.playerName,
+            session_id: String(sessionId),
+            score: grade.score,
+            total_questions: grade.total,
+            results: grade.results,
+            graded: true,
+            in_time: session.inTime,
+            created_at: new Date()
         };
 
-        const scoresRef = collection(db, 'scores');
-        await addDoc(scoresRef, scoreData);
-        
-        res.status(201).json({ success: true, message: 'Score submitted successfully' });
+        await getStore().scores.add(scoreData);
+        // Signed-in players' per-question results feed adaptive practice
+        if (req.user) {
+            await recordOutcomes(req.user.uid, toQuizOutcomes(quizData, session.quizVersion, questions, grade.results), {
+                attemptType: 'quiz',
+                attemptId: sessionId
+            });
+        }
+
+        res.status(201).json({
+            quiz_id: quizId,
+            session_id: sessionId,
+            player_name: session.playerName,
+            status: session.status,
+            late: !session.inTime,
+            deadline: session.deadline,
+            finished_at: session.finishedAt,
+            score: grade.score,
+            total_questions: grade.total,
+            wrong_answers: grade.wrongAnswers
+        });
     } catch (err) {
-        console.error('Score submission error:', {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Attempt submission error:', {
             message: err.message,
             stack: err.stack,
             code: err.code,
             details: err.details
         });
-        res.status(500).json({ 
-            error: 'Error saving score',
+        res.status(500).json({
+            error: 'Error grading attempt',
             details: err.message
         });
     }
 });
 
-// Get Leaderboard
-app.get('/api/leaderboard/:quizId', async (req, res) => {
+// Get Leaderboard (only completed, in-time sessions count)
+app.get('/api/leaderboard/:quizId', optionalAuth, async (req, res) => {
     const { quizId } = req.params;
     try {
-        const scoresRef = collection(db, 'scores');
-        const q = query(
-            scoresRef,
-            where('quiz_id', '==', quizId),
-            orderBy('score', 'desc'),
-            limit(10)
-        );
-        const querySnapshot = await getDocs(q);
-        const leaderboard = querySnapshot.docs.map(doc => ({
-            player_name: doc.data().player_name,
-            score: doc.data().score
+        const quiz = await getViewableQuiz(quizId, req);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+        // Edits change what a score means, so each row says which version of the quiz it was played on
+        // (scores from before versioning were all on the first)
+        const topScores = await getStore().scores.topForQuiz(quizId, 10);
+        const leaderboard = topScores.map(score => ({
+            player_name: score.player_name,
+            score: score.score,
+            quiz_version: score.quiz_version || 1
         }));
         
         res.status(200).json({
             quiz_id: quizId,
+            quiz_version: getQuizVersion(quiz),
             leaderboard
         });
     } catch (err) {
@@ -596,17 +1417,15 @@ app.get('/api/leaderboard/:quizId', async (req, res) => {
     }
 });
 
-// Get Global Recent Content (Public)
+// Get Global Recent Content (public quizzes only)
 app.get('/api/recent', async (req, res) => {
     try {
-        const quizRef = collection(db, 'quizzes');
-        const q = query(quizRef, orderBy('created_at', 'desc'), limit(10));
-        const querySnapshot = await getDocs(q);
+        const quizzes = await getStore().quizzes.listRecent(10);
         
-        const recentContent = querySnapshot.docs.map(doc => ({
-            quiz_id: doc.data().quiz_id,
-            content_name: doc.data().content_name,
-            created_at: doc.data().created_at.toDate()
+        const recentContent = quizzes.map(quiz => ({
+            quiz_id: quiz.quiz_id,
+            content_name: quiz.content_name,
+            created_at: quiz.created_at
         }));
         
         res.status(200).json(recentContent);
@@ -617,22 +1436,16 @@ app.get('/api/recent', async (req, res) => {
 });
 
 // Get User-Specific Recent Content
-app.get('/api/recent/user/:userId', async (req, res) => {
+app.get('/api/recent/user/:userId', requireAuth, requireSelf(), async (req, res) => {
     const { userId } = req.params;
     try {
-        const quizRef = collection(db, 'quizzes');
-        const q = query(
-            quizRef,
-            where('user_id', '==', userId),
-            orderBy('created_at', 'desc'),
-            limit(10)
-        );
-        const querySnapshot = await getDocs(q);
+        const quizzes = await getStore().quizzes.listByUser(userId, 10);
         
-        const userContent = querySnapshot.docs.map(doc => ({
-            quiz_id: doc.data().quiz_id,
-            content_name: doc.data().content_name,
-            created_at: doc.data().created_at.toDate()
+        const userContent = quizzes.map(quiz => ({
+            quiz_id: quiz.quiz_id,
+            join_code: quiz.join_code || null,
+            content_name: quiz.content_name,
+            created_at: quiz.created_at
         }));
         
         res.status(200).json(userContent);
@@ -642,182 +1455,48 @@ app.get('/api/recent/user/:userId', async (req, res) => {
     }
 });
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir);
-}
-
-// Generate mock test questions using Gemini
-const generateMockTest = async (topic, description, difficulty, numQuestions) => {
-    try {
-        const prompt = `
-Generate a mock test with exactly ${numQuestions} questions for the following topic:
-Topic: "${topic}"
-Description: "${description}"
-Difficulty Level: "${difficulty}"
-
-The questions should be challenging and appropriate for the specified difficulty level.
-Return in JSON format with no extra text:
-{
-    "mock_test": {
-        "topic": "${topic}",
-        "difficulty": "${difficulty}",
-        "total_questions": ${numQuestions},
-        "time_allowed": "${Math.ceil(numQuestions * 2)} minutes",
-        "questions": [
-            {
-                "question_number": 1,
-                "question": "question text",
-                "options": ["A) option1", "B) option2", "C) option3", "D) option4"],
-                "correct_answer": "A",
-                "explanation": "detailed explanation"
-            }
-        ]
-    }
-}`;
-
-        const result = await model.generateContent(prompt);
-        const responseText = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        return JSON.parse(responseText);
-    } catch (error) {
-        console.error('Error generating mock test:', error);
-        throw error;
-    }
-};
-
-// Create PDF from mock test data
-const createMockTestPDF = async (mockTestData, filePath) => {
-    return new Promise((resolve, reject) => {
-        try {
-            const doc = new PDFDocument();
-            const stream = fs.createWriteStream(filePath);
-
-            doc.pipe(stream);
-
-            // Add title
-            doc.fontSize(20).text('Mock Test', { align: 'center' });
-            doc.moveDown();
-
-            // Add test details
-            doc.fontSize(12);
-            doc.text(`Topic: ${mockTestData.mock_test.topic}`);
-            doc.text(`Difficulty: ${mockTestData.mock_test.difficulty}`);
-            doc.text(`Total Questions: ${mockTestData.mock_test.total_questions}`);
-            doc.text(`Time Allowed: ${mockTestData.mock_test.time_allowed}`);
-            doc.moveDown();
-
-            // Add instructions
-            doc.fontSize(14).text('Instructions:', { underline: true });
-            doc.fontSize(12)
-                .text('1. Attempt all questions')
-                .text('2. Each question carries equal marks')
-                .text(`3. Time allowed: ${mockTestData.mock_test.time_allowed}`);
-            doc.moveDown();
-
-            // Add questions
-            mockTestData.mock_test.questions.forEach((q, index) => {
-                doc.fontSize(12).text(`${index + 1}. ${q.question}`);
-                doc.moveDown(0.5);
-                q.options.forEach(option => {
-                    doc.text(option);
-                });
-                doc.moveDown();
-            });
-
-            // Add answer key (separate page)
-            doc.addPage();
-            doc.fontSize(16).text('Answer Key', { align: 'center' });
-            doc.moveDown();
-            mockTestData.mock_test.questions.forEach((q, index) => {
-                doc.fontSize(12)
-                    .text(`${index + 1}. Correct Answer: ${q.correct_answer}`)
-                    .text(`Explanation: ${q.explanation}`)
-                    .moveDown();
-            });
-
-            doc.end();
-
-            stream.on('finish', () => {
-                resolve(filePath);
-            });
-
-            stream.on('error', reject);
-        } catch (error) {
-            reject(error);
-        }
-    });
-};
 
 // Generate Mock Test API
-app.post('/api/mock-test/generate', async (req, res) => {
-    const { topic, description, difficulty, num_questions, user_id } = req.body;
+app.post('/api/mock-test/generate', requireAuth, limitGeneration('mock_test'), async (req, res) => {
+    const user_id = req.user.uid;
+    const { topic, description, difficulty, num_questions } = req.body;
 
-    if (!topic || !description || !difficulty || !num_questions || !user_id) {
+    if (!topic || !description || !difficulty || !num_questions) {
         return res.status(400).json({
             error: 'Missing required fields',
-            required: ['topic', 'description', 'difficulty', 'num_questions', 'user_id']
+            required: ['topic', 'description', 'difficulty', 'num_questions']
         });
     }
 
+    let usageStatus = null;
     try {
-        // Check user usage/subscription
-        const usageStatus = await checkUserUsage(user_id);
+        // Reserve a generation before queueing; the job commits or releases it
+        usageStatus = await reserveGeneration(user_id, '/api/mock-test/generate');
         if (!usageStatus.canGenerate) {
-            return res.status(403).json({
-                error: 'Generation limit reached',
-                details: 'You have used all your free generations. Please subscribe to continue.',
-                subscription_status: usageStatus.subscriptionStatus,
-                remaining_free: usageStatus.remainingFree
-            });
+            return sendLimitReached(res, usageStatus);
         }
 
-        // Generate mock test questions
-        const mockTestData = await generateMockTest(
-            topic,
-            description,
-            difficulty,
-            Math.min(Math.max(parseInt(num_questions) || 10, 5), 50) // Min 5, Max 50 questions
-        );
-
-        // Generate unique test ID
-        const testId = generateQuizId();
-        const pdfFileName = `mock_test_${testId}.pdf`;
-        const pdfFilePath = path.join(uploadsDir, pdfFileName);
-
-        // Create PDF
-        await createMockTestPDF(mockTestData, pdfFilePath);
-
-        // Save mock test data to database
-        const mockTestRef = collection(db, 'mock_tests');
-        await addDoc(mockTestRef, {
-            test_id: testId,
-            user_id: String(user_id),
-            topic: String(topic),
-            difficulty: String(difficulty),
-            num_questions: Number(num_questions),
-            created_at: Timestamp.now(),
-            test_data: mockTestData.mock_test,
-            pdf_path: pdfFileName
+        const job = await submitJob({
+            userId: user_id,
+            type: 'mock_test',
+            reservationId: usageStatus.reservationId,
+            generationSlot: getGenerationSlot(req),
+            input: {
+                topic: String(topic),
+                description: String(description),
+                difficulty: String(difficulty),
+                num_questions: Math.min(Math.max(parseInt(num_questions) || 10, 5), 50), // Min 5, Max 50 questions
+                include_qr_code: req.body.include_qr_code === true || req.body.include_qr_code === 'true'
+            }
         });
+        usageStatus.reservationId = null;
+        keepGenerationSlot(req);
 
-        // Decrement free usage if applicable
-        let remainingFree = usageStatus.remainingFree;
-        if (usageStatus.subscriptionStatus === 'free') {
-            remainingFree = await decrementFreeUsage(user_id);
-        }
-
-        res.status(201).json({
-            message: 'Mock test generated successfully',
-            test_id: testId,
-            download_link: `/api/mock-test/download/${testId}`,
-            topic,
-            difficulty,
-            num_questions,
-            subscription_status: usageStatus.subscriptionStatus,
-            remaining_free: remainingFree
-        });
+        await sendJobAccepted(req, res, job, usageStatus);
     } catch (error) {
+        if (usageStatus && usageStatus.reservationId) {
+            await releaseGeneration(usageStatus.reservationId, error);
+        }
         console.error('Error generating mock test:', error);
         res.status(500).json({
             error: 'Error generating mock test',
@@ -831,15 +1510,12 @@ app.get('/api/mock-test/download/:testId', async (req, res) => {
     const { testId } = req.params;
     try {
         // Get mock test data from database
-        const mockTestRef = collection(db, 'mock_tests');
-        const q = query(mockTestRef, where('test_id', '==', testId));
-        const querySnapshot = await getDocs(q);
+        const mockTestDoc = await getStore().mockTests.findByTestId(testId);
 
-        if (querySnapshot.empty) {
+        if (!mockTestDoc) {
             return res.status(404).json({ error: 'Mock test not found' });
         }
 
-        const mockTestDoc = querySnapshot.docs[0].data();
         const pdfPath = path.join(uploadsDir, mockTestDoc.pdf_path);
 
         if (!fs.existsSync(pdfPath)) {
@@ -860,26 +1536,121 @@ app.get('/api/mock-test/download/:testId', async (req, res) => {
     }
 });
 
+// Export a mock test as a printable PDF with the same options as quizzes (owner only)
+app.post('/api/mock-test/:testId/export/pdf', requireAuth, upload.single('logo'), async (req, res) => {
+    try {
+        const options = parseExportOptions(req.body, req.file);
+        const test = await getStore().mockTests.findByTestId(req.params.testId);
+        if (!test) {
+            return res.status(404).json({ error: 'Mock test not found' });
+        }
+        if (test.user_id !== req.user.uid) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        sendExport(res, await exportPaper(fromMockTest(test), options));
+    } catch (err) {
+        sendExportError(res, err);
+    }
+});
+
+// Export a mock test's questions as QTI 2.1 (zip), Moodle GIFT, Moodle XML or CSV (owner only)
+app.get('/api/mock-test/:testId/export/:format', requireAuth, async (req, res) => {
+    try {
+        const test = await getStore().mockTests.findByTestId(req.params.testId);
+        if (!test) {
+            return res.status(404).json({ error: 'Mock test not found' });
+        }
+        if (test.user_id !== req.user.uid) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        sendExport(res, await exportQuiz(toInterchangeQuiz(test), req.params.format));
+    } catch (err) {
+        sendExportError(res, err);
+    }
+});
+
+// Respond to errors from the online mock test routes
+const sendMockAttemptError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error in online mock test:', err);
+    res.status(500).json({ error: 'Error in online mock test', details: err.message });
+};
+
+// Start taking a mock test online (questions come without the answer key; the clock starts now)
+app.post('/api/mock-test/:testId/attempts', requireAuth, async (req, res) => {
+    try {
+        const test = await getStore().mockTests.findByTestId(req.params.testId);
+        if (!test) {
+            return res.status(404).json({ error: 'Mock test not found' });
+        }
+        res.status(201).json(await startAttempt(test, req.user.uid));
+    } catch (err) {
+        sendMockAttemptError(res, err);
+    }
+});
+
+// The caller's attempts at one mock test
+app.get('/api/mock-test/:testId/attempts', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({ attempts: await listAttempts(req.user.uid, { testId: req.params.testId }) });
+    } catch (err) {
+        sendMockAttemptError(res, err);
+    }
+});
+
+// The caller's attempts at all mock tests
+app.get('/api/mock-test/attempts', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({ attempts: await listAttempts(req.user.uid) });
+    } catch (err) {
+        sendMockAttemptError(res, err);
+    }
+});
+
+// Resume an attempt (questions, saved answers and time left) or see its results
+app.get('/api/mock-test/attempts/:attemptId', requireAuth, async (req, res) => {
+    try {
+        const { attempt, test } = await loadAttempt(req.params.attemptId, req.user.uid);
+        res.status(200).json(toAttemptView(attempt, test));
+    } catch (err) {
+        sendMockAttemptError(res, err);
+    }
+});
+
+// Autosave answers ({ "0": "B" }, letters or option text) while the test is running
+app.put('/api/mock-test/attempts/:attemptId/answers', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await saveAnswers(req.params.attemptId, req.user.uid, req.body.answers));
+    } catch (err) {
+        sendMockAttemptError(res, err);
+    }
+});
+
+// Submit an attempt and get the graded results with explanations
+app.post('/api/mock-test/attempts/:attemptId/submit', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await submitAttempt(req.params.attemptId, req.user.uid, req.body.answers));
+    } catch (err) {
+        sendMockAttemptError(res, err);
+    }
+});
+
 // Get User's Mock Tests
-app.get('/api/mock-test/user/:userId', async (req, res) => {
+app.get('/api/mock-test/user/:userId', requireAuth, requireSelf(), async (req, res) => {
     const { userId } = req.params;
     try {
-        const mockTestRef = collection(db, 'mock_tests');
-        const q = query(
-            mockTestRef,
-            where('user_id', '==', userId),
-            orderBy('created_at', 'desc'),
-            limit(10)
-        );
-        const querySnapshot = await getDocs(q);
-
-        const mockTests = querySnapshot.docs.map(doc => ({
-            test_id: doc.data().test_id,
-            topic: doc.data().topic,
-            difficulty: doc.data().difficulty,
-            num_questions: doc.data().num_questions,
-            created_at: doc.data().created_at.toDate(),
-            download_link: `/api/mock-test/download/${doc.data().test_id}`
+        const userTests = await getStore().mockTests.listByUser(userId, 10);
+
+        const mockTests = userTests.map(test => ({
+            test_id: test.test_id,
+            topic: test.topic,
+            difficulty: test.difficulty,
+            num_questions: test.num_questions,
+            created_at: test.created_at,
+            download_link: mockTestDownloadLink(test.test_id),
+            attempts_link: mockTestAttemptsLink(test.test_id)
         }));
 
         res.status(200).json(mockTests);
@@ -892,9 +1663,71 @@ app.get('/api/mock-test/user/:userId', async (req, res) => {
     }
 });
 
+// Respond to errors from the live room routes
+const sendLiveError = (res, err) => {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('Error in live room:', err);
+    res.status(500).json({ error: 'Error in live room', details: err.message });
+};
+
+// Open a live room on a quiz. Players join with the code; the game runs over the WebSocket.
+app.post('/api/live/rooms', requireAuth, async (req, res) => {
+    const { quiz_id, question_time_seconds } = req.body;
+    if (!quiz_id) {
+        return res.status(400).json({ error: 'quiz_id is required' });
+    }
+    try {
+        const quiz = await getViewableQuiz(quiz_id, req);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+        // Hosts see every answer as the questions close, so only the owner may run a quiz live
+        if (quiz.user_id !== req.user.uid) {
+            return res.status(403).json({ error: 'Only the quiz owner can host it live' });
+        }
+        res.status(201).json(await createRoom(quiz, req.user.uid, { questionSeconds: question_time_seconds }));
+    } catch (err) {
+        sendLiveError(res, err);
+    }
+});
+
+// A room's state for its host: live while it runs, the final standings once it has finished
+app.get('/api/live/rooms/:roomId', requireAuth, async (req, res) => {
+    try {
+        const running = getRoomStatus(req.params.roomId, req.user.uid);
+        if (running) {
+            return res.status(200).json(running);
+        }
+        const room = await getStore().liveRooms.get(req.params.roomId);
+        if (!room || room.host_id !== req.user.uid) {
+            return res.status(404).json({ error: 'Live room not found' });
+        }
+        res.status(200).json(room);
+    } catch (err) {
+        sendLiveError(res, err);
+    }
+});
+
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, "0.0.0.0", function () {
-    console.log(`Server is running on port: ${PORT}`);
-  });
+if (require.main === module) {
+    // Fail fast on a missing or unknown BILLING_PROVIDER rather than on the first checkout
+    getBillingProvider();
+    const server = app.listen(PORT, "0.0.0.0", function () {
+        console.log(`Server is running on port: ${PORT}`);
+    });
+    attachLiveRooms(server);
+    recoverJobs()
+        .then((count) => {
+            if (count) {
+                console.log(`Recovered ${count} unfinished generation jobs`);
+            }
+        })
+        .catch(err => console.error('Error recovering generation jobs:', err));
+    startJobUploadSweep();
+}
+
+module.exports = app;
 
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+
+// Seconds of network latency tolerated after the deadline before a submission counts as late
+const SESSION_GRACE_SECONDS = parseInt(process.env.SESSION_GRACE_SECONDS) || 5;
+
+// Quizzes can set their own limit, otherwise allow 2 minutes per question (same as mock tests)
+const getTimeLimitMinutes = (quizData) => {
+    const configured = parseInt(quizData.time_limit_minutes);
+    if (configured > 0) {
+        return configured;
+    }
+    return Math.max(Math.ceil((quizData.questions || []).length * 2), 1);
+};
+
+// Start a timed session for a player, optionally on a subset of the questions (`questionIndexes`)
+const startSession = async (quizId, quizData, playerName, { questionIndexes = null } = {}) => {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const timeLimitMinutes = getTimeLimitMinutes(questionIndexes
+        ? { ...quizData, questions: questionIndexes.map(index => quizData.questions[index]) }
+        : quizData);
+    const startedAt = new Date();
+    const deadline = new Date(startedAt.getTime() + timeLimitMinutes * 60 * 1000);
+
+    await getStore().sessions.create(sessionId, {
+        session_id: sessionId,
+        quiz_id: String(quizId),
+        player_name: String(playerName),
+        quiz_version: quizData.version || 1,
+        question_indexes: questionIndexes,
+        status: 'started',
+        time_limit_minutes: timeLimitMinutes,
+        started_at: startedAt,
+        deadline,
+        finished_at: null
+    });
+
+    return { sessionId, startedAt, deadline, timeLimitMinutes };
+};
+
+// Close a session exactly once and report whether it finished before the deadline
+const finishSession = async (sessionId, quizId) => {
+    const session = await getStore().sessions.claim(sessionId, (current) => {
+        if (!current) {
+            throw httpError(404, 'Session not found');
+        }
+        if (current.quiz_id !== String(quizId)) {
+            throw httpError(400, 'Session does not belong to this quiz');
+        }
+        if (current.status !== 'started') {
+            throw httpError(409, 'Session already finished');
+        }
+
+        const finishedAt = new Date();
+        const inTime = finishedAt.getTime() <= current.deadline.getTime() + SESSION_GRACE_SECONDS * 1000;
+        return {
+            status: inTime ? 'completed' : 'late',
+            finished_at: finishedAt
+        };
+    });
+
+    return {
+        playerName: session.player_name,
+        quizVersion: session.quiz_version || 1,
+        questionIndexes: session.question_indexes || null,
+        status: session.status,
+        inTime: session.status === 'completed',
+        finishedAt: session.finished_at,
+        deadline: session.deadline
+    };
+};
+
+module.exports = { SESSION_GRACE_SECONDS, getTimeLimitMinutes, startSession, finishSession };
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+
+// public: listed in /api/recent and open to anyone
+// unlisted: open to anyone with the quiz id, not listed
+// private: owner and share-link holders only
+// shared: owner, share-link holders, listed users and members of listed groups
+const VISIBILITIES = ['public', 'unlisted', 'private', 'shared'];
+
+// Quizzes created before visibility settings were listed in /api/recent and open to anyone, so they stay
+// public. Run `npm run backfill-visibility` once to store that on them, which /api/recent queries by.
+const getVisibility = (quiz) => quiz.visibility || 'public';
+
+const getDefaultVisibility = () => {
+    const configured = (process.env.DEFAULT_QUIZ_VISIBILITY || 'public').toLowerCase();
+    return VISIBILITIES.includes(configured) ? configured : 'public';
+};
+
+// Visibility for a new quiz, or null when the requested value is not recognised
+const getInitialVisibility = (requested) => {
+    if (requested === undefined || requested === null || requested === '') {
+        return getDefaultVisibility();
+    }
+    return VISIBILITIES.includes(requested) ? requested : null;
+};
+
+// Share token from the ?share= query parameter or the X-Share-Token header
+const getShareToken = (req) => req.query.share || req.headers['x-share-token'] || null;
+
+const isShareLinkValid = (link, quizId, now = new Date()) => Boolean(
+    link &&
+    link.quiz_id === String(quizId) &&
+    !link.revoked_at &&
+    (!link.expires_at || link.expires_at > now)
+);
+
+// Whether the caller (req.user, possibly null) may see the quiz
+const canViewQuiz = async (quiz, { user, shareToken } = {}) => {
+    const visibility = getVisibility(quiz);
+    if (visibility === 'public' || visibility === 'unlisted') {
+        return true;
+    }
+    if (user && quiz.user_id === user.uid) {
+        return true;
+    }
+    if (shareToken && isShareLinkValid(await getStore().shareLinks.get(shareToken), quiz.quiz_id)) {
+        return true;
+    }
+    if (visibility === 'shared' && user) {
+        if ((quiz.shared_with_users || []).includes(user.uid)) {
+            return true;
+        }
+        for (const groupId of quiz.shared_with_groups || []) {
+            const group = await getStore().groups.get(groupId);
+            if (group && (group.members || []).includes(user.uid)) {
+                return true;
+            }
+        }
+    }
+    return false;
+};
+
+// Whether a join code may resolve to a quiz. Codes are short enough to guess, so they only open quizzes
+// the caller could find anyway: public ones, shared ones they are a member of, and their own.
+// Unlisted quizzes stay reachable only through their link.
+const canJoinByCode = async (quiz, user) => {
+    const visibility = getVisibility(quiz);
+    if (visibility === 'public') {
+        return true;
+    }
+    if (visibility === 'shared' || (user && quiz.user_id === user.uid)) {
+        return canViewQuiz(quiz, { user });
+    }
+    return false;
+};
+
+// Load a quiz the caller may see. Hidden quizzes are reported as missing so their ids are not confirmed.
+const getViewableQuiz = async (quizId, req) => {
+    const quiz = await getStore().quizzes.findByQuizId(quizId);
+    if (!quiz || !(await canViewQuiz(quiz, { user: req.user, shareToken: getShareToken(req) }))) {
+        return null;
+    }
+    return quiz;
+};
+
+// Validate a visibility update from the owner
+const toVisibilitySettings = ({ visibility, shared_with_users, shared_with_groups }) => {
+    if (!VISIBILITIES.includes(visibility)) {
+        throw httpError(400, `visibility must be one of ${VISIBILITIES.join(', ')}`);
+    }
+    const users = Array.isArray(shared_with_users) ? [...new Set(shared_with_users.map(String))] : [];
+    const groups = Array.isArray(shared_with_groups) ? [...new Set(shared_with_groups.map(String))] : [];
+    return {
+        visibility,
+        shared_with_users: visibility === 'shared' ? users : [],
+        shared_with_groups: visibility === 'shared' ? groups : []
+    };
+};
+
+// Create a revocable share link, optionally expiring after `expiresInHours`
+const createShareLink = async (quizId, userId, expiresInHours) => {
+    const hours = parseFloat(expiresInHours);
+    if (expiresInHours !== undefined && expiresInHours !== null && !(hours > 0)) {
+        throw httpError(400, 'expires_in_hours must be a positive number');
+    }
+    const now = new Date();
+    const link = {
+        token: crypto.randomBytes(18).toString('base64url'),
+        quiz_id: String(quizId),
+        created_by: String(userId),
+        created_at: now,
+        expires_at: hours > 0 ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null,
+        revoked_at: null
+    };
+    await getStore().shareLinks.create(link.token, link);
+    return link;
+};
+
+const revokeShareLink = async (quizId, token) => {
+    const link = await getStore().shareLinks.get(token);
+    if (!link || link.quiz_id !== String(quizId)) {
+        throw httpError(404, 'Share link not found');
+    }
+    if (!link.revoked_at) {
+        await getStore().shareLinks.update(token, { revoked_at: new Date() });
+    }
+};
+
+// Validate a member list (user ids)
+const toGroupMembers = (members) => {
+    if (!Array.isArray(members)) {
+        throw httpError(400, 'members must be an array of user ids');
+    }
+    return [...new Set(members.map(String).filter(m => m.trim() !== ''))];
+};
+
+const createGroup = async (userId, name, members = []) => {
+    if (!name || typeof name !== 'string') {
+        throw httpError(400, 'name is required');
+    }
+    const group = {
+        group_id: crypto.randomBytes(9).toString('base64url'),
+        name: name.trim(),
+        owner_id: String(userId),
+        members: toGroupMembers(members),
+        created_at: new Date()
+    };
+    await getStore().groups.create(group.group_id, group);
+    return group;
+};
+
+// Load a group the caller owns
+const getOwnedGroup = async (groupId, userId) => {
+    const group = await getStore().groups.get(groupId);
+    if (!group) {
+        throw httpError(404, 'Group not found');
+    }
+    if (group.owner_id !== String(userId)) {
+        throw httpError(403, 'Forbidden');
+    }
+    return group;
+};
+
+// Store the visibility of quizzes created before visibility settings: node sharing.js backfill
+if (require.main === module) {
+    require('dotenv').config();
+    if (process.argv[2] !== 'backfill') {
+        console.error('Usage: node sharing.js backfill');
+        process.exit(1);
+    }
+    getStore().quizzes.backfillVisibility(getVisibility({}))
+        .then((count) => {
+            console.log(`Set the visibility of ${count} quizzes`);
+            process.exit(0);
+        })
+        .catch((err) => {
+            console.error('Error backfilling quiz visibility:', err);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    VISIBILITIES,
+    getVisibility,
+    getDefaultVisibility,
+    getInitialVisibility,
+    getShareToken,
+    isShareLinkValid,
+    canViewQuiz,
+    canJoinByCode,
+    getViewableQuiz,
+    toVisibilitySettings,
+    createShareLink,
+    revokeShareLink,
+    toGroupMembers,
+    createGroup,
+    getOwnedGroup
+};
@@ -0,0 +1,81 @@
+const {
+    collection, doc, addDoc, getDoc, getDocs, setDoc, updateDoc, deleteDoc,
+    query, where, orderBy, limit, runTransaction, Timestamp
+} = require('firebase/firestore');
+
+// Firestore returns Timestamps, the rest of the app works with plain Dates
+const fromFirestore = (value) => {
+    if (value instanceof Timestamp) {
+        return value.toDate();
+    }
+    if (Array.isArray(value)) {
+        return value.map(fromFirestore);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = fromFirestore(item);
+        }
+        return result;
+    }
+    return value;
+};
+
+// Firestore document driver (requires the FIREBASE_* environment variables)
+const createFirestoreDriver = () => {
+    const { db } = require('../firebase');
+
+    const toQuery = (collectionName, { where: filters = [], orderBy: order, limit: max } = {}) => {
+        const constraints = filters.map(([field, op, value]) => where(field, op, value));
+        if (order) {
+            constraints.push(orderBy(order.field, order.direction || 'asc'));
+        }
+        if (max) {
+            constraints.push(limit(max));
+        }
+        return query(collection(db, collectionName), ...constraints);
+    };
+
+    return {
+        name: 'firestore',
+        get: async (collectionName, id) => {
+            const snap = await getDoc(doc(db, collectionName, id));
+            return snap.exists() ? fromFirestore(snap.data()) : null;
+        },
+        set: async (collectionName, id, data) => {
+            await setDoc(doc(db, collectionName, id), data);
+        },
+        update: async (collectionName, id, patch) => {
+            await updateDoc(doc(db, collectionName, id), patch);
+        },
+        add: async (collectionName, data) => {
+            const ref = await addDoc(collection(db, collectionName), data);
+            return ref.id;
+        },
+        delete: async (collectionName, id) => {
+            await deleteDoc(doc(db, collectionName, id));
+        },
+        query: async (collectionName, options) => {
+            const snapshot = await getDocs(toQuery(collectionName, options));
+            return snapshot.docs.map(d => ({ id: d.id, data: fromFirestore(d.data()) }));
+        },
+        // All reads inside a transaction must happen before its writes
+        runTransaction: (fn) => runTransaction(db, (transaction) => fn({
+            get: async (collectionName, id) => {
+                const snap = await transaction.get(doc(db, collectionName, id));
+                return snap.exists() ? fromFirestore(snap.data()) : null;
+            },
+            set: (collectionName, id, data) => {
+                transaction.set(doc(db, collectionName, id), data);
+            },
+            update: (collectionName, id, patch) => {
+                transaction.update(doc(db, collectionName, id), patch);
+            },
+            delete: (collectionName, id) => {
+                transaction.delete(doc(db, collectionName, id));
+            }
+        }))
+    };
+};
+
+module.exports = { createFirestoreDriver };
@@ -0,0 +1,33 @@
+const path = require('path');
+const { createRepositories } = require('./repositories');
+
+// Document drivers selectable through STORE_BACKEND
+const drivers = {
+    firestore: () => require('./firestore').createFirestoreDriver(),
+    json: () => require('./json').createJsonDriver({
+        filePath: process.env.JSON_STORE_PATH || path.join(__dirname, '..', 'data', 'store.json')
+    }),
+    memory: () => require('./json').createJsonDriver()
+};
+
+let activeStore = null;
+
+// Repositories for the backend selected by STORE_BACKEND (firestore, json or memory), created once
+const getStore = () => {
+    if (!activeStore) {
+        const name = (process.env.STORE_BACKEND || 'firestore').toLowerCase();
+        const createDriver = drivers[name];
+        if (!createDriver) {
+            throw new Error(`Unknown STORE_BACKEND: ${name}. Choose ${Object.keys(drivers).join(', ')}.`);
+        }
+        activeStore = createRepositories(createDriver());
+    }
+    return activeStore;
+};
+
+// Swap the store at runtime (used by tests and scripts)
+const setStore = (store) => {
+    activeStore = store;
+};
+
+module.exports = { getStore, setStore, createRepositories };
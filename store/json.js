@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Dates are written as { "$date": "<iso>" } so they survive a round trip through the file
+function dateReplacer(key, value) {
+    const raw = this[key];
+    return raw instanceof Date ? { $date: raw.toISOString() } : value;
+}
+
+const dateReviver = (key, value) => {
+    if (value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1) {
+        return new Date(value.$date);
+    }
+    return value;
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const matches = (data, [field, op, value]) => {
+    const actual = comparable(getField(data, field));
+    const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+    switch (op) {
+        case '==': return actual === expected;
+        case '!=': return actual !== expected && actual !== undefined;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case 'in': return expected.includes(actual);
+        case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(expected);
+        case 'array-contains-any': return Array.isArray(actual) && actual.map(comparable).some(a => expected.includes(a));
+        default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+};
+
+// Read a field by dotted path ("pdf_details.total_pages")
+const getField = (data, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// Apply an update patch, supporting dotted field paths like Firestore's updateDoc
+const applyPatch = (data, patch) => {
+    const result = structuredClone(data);
+    for (const [field, value] of Object.entries(patch)) {
+        const keys = field.split('.');
+        let target = result;
+        keys.slice(0, -1).forEach(key => {
+            if (!target[key] || typeof target[key] !== 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = structuredClone(value);
+    }
+    return result;
+};
+
+// Local document driver kept in memory and, when a file path is given, persisted as JSON
+const createJsonDriver = ({ filePath } = {}) => {
+    let collections = {};
+    if (filePath && fs.existsSync(filePath)) {
+        collections = JSON.parse(fs.readFileSync(filePath, 'utf8'), dateReviver);
+    }
+
+    const getCollection = (name) => {
+        if (!collections[name]) {
+            collections[name] = {};
+        }
+        return collections[name];
+    };
+
+    const persist = () => {
+        if (!filePath) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(collections, dateReplacer, 2));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    const read = (collectionName, id) => {
+        const data = getCollection(collectionName)[id];
+        return data === undefined ? null : structuredClone(data);
+    };
+
+    const write = (collectionName, id, data) => {
+        getCollection(collectionName)[id] = structuredClone(data);
+    };
+
+    const patch = (collectionName, id, changes) => {
+        const existing = getCollection(collectionName)[id];
+        if (existing === undefined) {
+            throw new Error(`No document to update: ${collectionName}/${id}`);
+        }
+        getCollection(collectionName)[id] = applyPatch(existing, changes);
+    };
+
+    // Transactions and plain writes run one at a time, so a write cannot land between what a
+    // transaction read and what it writes back. Transaction writes are applied together.
+    let writeChain = Promise.resolve();
+    const serialize = (fn) => {
+        const run = writeChain.then(fn);
+        writeChain = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        name: 'json',
+        get: async (collectionName, id) => read(collectionName, id),
+        set: (collectionName, id, data) => serialize(() => {
+            write(collectionName, id, data);
+            persist();
+        }),
+        update: (collectionName, id, changes) => serialize(() => {
+            patch(collectionName, id, changes);
+            persist();
+        }),
+        add: (collectionName, data) => serialize(() => {
+            const id = crypto.randomBytes(10).toString('hex');
+            write(collectionName, id, data);
+            persist();
+            return id;
+        }),
+        delete: (collectionName, id) => serialize(() => {
+            delete getCollection(collectionName)[id];
+            persist();
+        }),
+        query: async (collectionName, { where: filters = [], orderBy: order, limit: max } = {}) => {
+            let results = Object.entries(getCollection(collectionName))
+                .filter(([, data]) => filters.every(filter => matches(data, filter)))
+                .map(([id, data]) => ({ id, data: structuredClone(data) }));
+
+            if (order) {
+                const direction = order.direction === 'desc' ? -1 : 1;
+                results = results
+                    .filter(r => getField(r.data, order.field) !== undefined)
+                    .sort((a, b) => {
+                        const left = comparable(getField(a.data, order.field));
+                        const right = comparable(getField(b.data, order.field));
+                        if (left === right) return 0;
+                        return left < right ? -direction : direction;
+                    });
+            }
+            return max ? results.slice(0, max) : results;
+        },
+        runTransaction: (fn) => serialize(async () => {
+            const writes = [];
+            const result = await fn({
+                get: async (collectionName, id) => read(collectionName, id),
+                set: (collectionName, id, data) => writes.push(() => write(collectionName, id, data)),
+                update: (collectionName, id, changes) => writes.push(() => patch(collectionName, id, changes)),
+                delete: (collectionName, id) => writes.push(() => delete getCollection(collectionName)[id])
+            });
+            writes.forEach(apply => apply());
+            persist();
+            return result;
+        })
+    };
+};
+
+module.exports = { createJsonDriver };
@@ -0,0 +1,417 @@
+// Domain repositories used by the routes, built on a document driver (Firestore or JSON)
+const createRepositories = (driver) => {
+    const findOne = async (collectionName, field, value) => {
+        const results = await driver.query(collectionName, { where: [[field, '==', value]], limit: 1 });
+        return results.length ? results[0] : null;
+    };
+
+    // Documents are keyed by their public id. Older ones were stored under generated keys
+    // and are still found through the id field.
+    const findById = async (collectionName, field, value) => {
+        const data = await driver.get(collectionName, value);
+        if (data && data[field] === value) {
+            return { id: value, data };
+        }
+        return findOne(collectionName, field, value);
+    };
+
+    const quizzes = {
+        // Create a quiz under its quiz_id and claim its join code. Returns false if either is taken.
+        create: (data) => driver.runTransaction(async (tx) => {
+            const existing = await tx.get('quizzes', data.quiz_id);
+            const claimed = await tx.get('join_codes', data.join_code);
+            if (existing || claimed) {
+                return false;
+            }
+            tx.set('quizzes', data.quiz_id, data);
+            tx.set('join_codes', data.join_code, { join_code: data.join_code, quiz_id: data.quiz_id, created_at: data.created_at });
+            return true;
+        }),
+        findByQuizId: async (quizId) => {
+            const result = await findById('quizzes', 'quiz_id', String(quizId));
+            return result ? result.data : null;
+        },
+        findByJoinCode: async (joinCode) => {
+            const code = await driver.get('join_codes', String(joinCode));
+            return code && code.quiz_id ? quizzes.findByQuizId(code.quiz_id) : null;
+        },
+        // Most recent public quizzes
+        listRecent: async (max) => {
+            const results = await driver.query('quizzes', {
+                where: [['visibility', '==', 'public']],
+                orderBy: { field: 'created_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        },
+        // Give quizzes saved without a visibility one, so queries on the field find them. Returns how many changed.
+        backfillVisibility: async (visibility) => {
+            const results = await driver.query('quizzes', {});
+            const missing = results.filter(r => !r.data.visibility);
+            for (const { id } of missing) {
+                await driver.update('quizzes', id, { visibility });
+            }
+            return missing.length;
+        },
+        // Change fields that are not part of the quiz content (no new version)
+        update: async (quizId, patch) => {
+            const found = await findById('quizzes', 'quiz_id', String(quizId));
+            if (!found) {
+                return null;
+            }
+            await driver.update('quizzes', found.id, patch);
+            return { ...found.data, ...patch };
+        },
+        listByUser: async (userId, max) => {
+            const results = await driver.query('quizzes', {
+                where: [['user_id', '==', String(userId)]],
+                orderBy: { field: 'created_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        },
+        // Atomically change a quiz. `mutate(quiz)` returns the `changes` to apply and a `snapshot`
+        // of the previous version, which is kept in quiz_versions.
+        edit: async (quizId, mutate) => {
+            const found = await findById('quizzes', 'quiz_id', String(quizId));
+            if (!found) {
+                return null;
+            }
+            return driver.runTransaction(async (tx) => {
+                const quiz = await tx.get('quizzes', found.id);
+                if (!quiz) {
+                    return null;
+                }
+                const { changes, snapshot } = mutate(quiz);
+                tx.set('quiz_versions', `${quiz.quiz_id}_v${snapshot.version}`, snapshot);
+                tx.update('quizzes', found.id, changes);
+                return { ...quiz, ...changes };
+            });
+        },
+        getVersion: (quizId, version) => driver.get('quiz_versions', `${quizId}_v${version}`),
+        listVersions: async (quizId) => {
+            const results = await driver.query('quiz_versions', {
+                where: [['quiz_id', '==', String(quizId)]],
+                orderBy: { field: 'version', direction: 'desc' }
+            });
+            return results.map(r => r.data);
+        },
+        // Delete a quiz and its version history
+        remove: async (quizId) => {
+            const found = await findById('quizzes', 'quiz_id', String(quizId));
+            if (!found) {
+                return false;
+            }
+            const versions = await driver.query('quiz_versions', { where: [['quiz_id', '==', String(quizId)]] });
+            await Promise.all(versions.map(v => driver.delete('quiz_versions', v.id)));
+            if (found.data.join_code) {
+                await driver.delete('join_codes', found.data.join_code);
+            }
+            await driver.delete('quizzes', found.id);
+            return true;
+        }
+    };
+
+    const scores = {
+        add: (data) => driver.add('scores', data),
+        // Completed, in-time sessions ordered by score
+        topForQuiz: async (quizId, max) => {
+            const results = await driver.query('scores', {
+                where: [['quiz_id', '==', String(quizId)], ['in_time', '==', true]],
+                orderBy: { field: 'score', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        },
+        // Live room results were once saved as scores. Move them to the live room results; returns how many moved.
+        moveLiveResults: async () => {
+            const results = await driver.query('scores', { where: [['live_room_id', '!=', null]] });
+            for (const { id, data } of results) {
+                const { graded, in_time, ...result } = data;
+                await driver.add('live_room_results', { user_id: null, ...result });
+                await driver.delete('scores', id);
+            }
+            return results.length;
+        }
+    };
+
+    const users = {
+        get: (userId) => driver.get('users', String(userId)),
+        set: (userId, data) => driver.set('users', String(userId), data),
+        update: (userId, patch) => driver.update('users', String(userId), patch)
+    };
+
+    const mockTests = {
+        // Create a mock test under its test_id. Returns false if the id is taken.
+        create: (data) => driver.runTransaction(async (tx) => {
+            if (await tx.get('mock_tests', data.test_id)) {
+                return false;
+            }
+            tx.set('mock_tests', data.test_id, data);
+            return true;
+        }),
+        findByTestId: async (testId) => {
+            const result = await findById('mock_tests', 'test_id', String(testId));
+            return result ? result.data : null;
+        },
+        remove: (testId) => driver.delete('mock_tests', String(testId)),
+        listByUser: async (userId, max) => {
+            const results = await driver.query('mock_tests', {
+                where: [['user_id', '==', String(userId)]],
+                orderBy: { field: 'created_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        }
+    };
+
+    const sessions = {
+        create: (sessionId, data) => driver.set('quiz_sessions', String(sessionId), data),
+        get: (sessionId) => driver.get('quiz_sessions', String(sessionId)),
+        // Atomically read a session, let `decide` validate it and return the changes to apply
+        claim: (sessionId, decide) => driver.runTransaction(async (tx) => {
+            const session = await tx.get('quiz_sessions', String(sessionId));
+            const changes = decide(session);
+            tx.update('quiz_sessions', String(sessionId), changes);
+            return { ...session, ...changes };
+        })
+    };
+
+    const usage = {
+        // Atomically read a user, let `decide` return the new user document and ledger entry, and write both
+        reserve: (userId, entryId, decide) => driver.runTransaction(async (tx) => {
+            const user = await tx.get('users', String(userId));
+            const { user: nextUser, entry, result } = decide(user);
+            if (nextUser) {
+                tx.set('users', String(userId), nextUser);
+            }
+            if (entry) {
+                tx.set('usage_ledger', String(entryId), entry);
+            }
+            return result;
+        }),
+        // Atomically read a ledger entry and its user, let `decide` return the changes for both
+        settle: (entryId, decide) => driver.runTransaction(async (tx) => {
+            const entry = await tx.get('usage_ledger', String(entryId));
+            const user = entry ? await tx.get('users', entry.user_id) : null;
+            const { userChanges, entryChanges, result } = decide(entry, user);
+            if (userChanges) {
+                tx.update('users', entry.user_id, userChanges);
+            }
+            if (entryChanges) {
+                tx.update('usage_ledger', String(entryId), entryChanges);
+            }
+            return result;
+        }),
+        listByUser: async (userId, max) => {
+            const results = await driver.query('usage_ledger', {
+                where: [['user_id', '==', String(userId)]],
+                orderBy: { field: 'created_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        }
+    };
+
+    const billing = {
+        createCheckout: (checkoutId, data) => driver.set('checkout_sessions', String(checkoutId), data),
+        getCheckout: (checkoutId) => driver.get('checkout_sessions', String(checkoutId)),
+        updateCheckout: (checkoutId, patch) => driver.update('checkout_sessions', String(checkoutId), patch),
+        getSubscription: (subscriptionId) => driver.get('subscriptions', String(subscriptionId)),
+        // Apply a webhook event exactly once. `decide({ subscription, user, checkout })` returns the
+        // documents to write; the event itself is recorded so redeliveries become no-ops.
+        applyEvent: (eventId, { subscriptionId, checkoutId }, decide) => driver.runTransaction(async (tx) => {
+            if (await tx.get('billing_events', String(eventId))) {
+                return { duplicate: true };
+            }
+            const subscription = subscriptionId ? await tx.get('subscriptions', String(subscriptionId)) : null;
+            const checkout = checkoutId ? await tx.get('checkout_sessions', String(checkoutId)) : null;
+            const userId = (subscription && subscription.user_id) || (checkout && checkout.user_id);
+            const user = userId ? await tx.get('users', userId) : null;
+
+            const { subscription: nextSubscription, user: nextUser, checkoutChanges, record, result } = decide({ subscription, user, checkout });
+            if (nextSubscription) {
+                tx.set('subscriptions', String(subscriptionId), nextSubscription);
+            }
+            if (nextUser) {
+                tx.set('users', userId, nextUser);
+            }
+            if (checkoutChanges) {
+                tx.update('checkout_sessions', String(checkoutId), checkoutChanges);
+            }
+            tx.set('billing_events', String(eventId), record);
+            return result;
+        })
+    };
+
+    const shareLinks = {
+        create: (token, data) => driver.set('share_links', String(token), data),
+        get: (token) => driver.get('share_links', String(token)),
+        update: (token, patch) => driver.update('share_links', String(token), patch),
+        listByQuiz: async (quizId) => {
+            const results = await driver.query('share_links', {
+                where: [['quiz_id', '==', String(quizId)]],
+                orderBy: { field: 'created_at', direction: 'desc' }
+            });
+            return results.map(r => r.data);
+        }
+    };
+
+    const groups = {
+        create: (groupId, data) => driver.set('groups', String(groupId), data),
+        get: (groupId) => driver.get('groups', String(groupId)),
+        update: (groupId, patch) => driver.update('groups', String(groupId), patch),
+        delete: (groupId) => driver.delete('groups', String(groupId)),
+        listByOwner: async (ownerId) => {
+            const results = await driver.query('groups', {
+                where: [['owner_id', '==', String(ownerId)]],
+                orderBy: { field: 'created_at', direction: 'desc' }
+            });
+            return results.map(r => r.data);
+        }
+    };
+
+    const jobs = {
+        create: (jobId, data) => driver.set('jobs', String(jobId), data),
+        get: (jobId) => driver.get('jobs', String(jobId)),
+        update: (jobId, patch) => driver.update('jobs', String(jobId), patch),
+        listByUser: async (userId, max) => {
+            const results = await driver.query('jobs', {
+                where: [['user_id', '==', String(userId)]],
+                orderBy: { field: 'created_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        },
+        listByStatus: async (statuses) => {
+            const results = await driver.query('jobs', { where: [['status', 'in', statuses]] });
+            return results.map(r => r.data);
+        }
+    };
+
+    // Spaced repetition: one deck per user and quiz, one card document per flashcard
+    const study = {
+        getDeck: (deckId) => driver.get('study_decks', String(deckId)),
+        setDeck: (deckId, data) => driver.set('study_decks', String(deckId), data),
+        updateDeck: (deckId, patch) => driver.update('study_decks', String(deckId), patch),
+        deleteDeck: (deckId) => driver.delete('study_decks', String(deckId)),
+        listDecks: async (userId) => {
+            const results = await driver.query('study_decks', {
+                where: [['user_id', '==', String(userId)]],
+                orderBy: { field: 'started_at', direction: 'desc' }
+            });
+            return results.map(r => r.data);
+        },
+        setCard: (cardId, data) => driver.set('study_cards', String(cardId), data),
+        deleteCard: (cardId) => driver.delete('study_cards', String(cardId)),
+        listCards: async (deckId) => {
+            const results = await driver.query('study_cards', { where: [['deck_id', '==', String(deckId)]] });
+            return results.map(r => r.data);
+        },
+        // Atomically read a card, let `decide` check it and return the changes to apply
+        reviewCard: (cardId, decide) => driver.runTransaction(async (tx) => {
+            const card = await tx.get('study_cards', String(cardId));
+            const changes = decide(card);
+            tx.update('study_cards', String(cardId), changes);
+            return { ...card, ...changes };
+        })
+    };
+
+    // Live multiplayer rooms. Their join codes share the quiz join code namespace.
+    const liveRooms = {
+        // Create a room under its room_id and claim its join code. Returns false if either is taken.
+        create: (data) => driver.runTransaction(async (tx) => {
+            const existing = await tx.get('live_rooms', data.room_id);
+            const claimed = await tx.get('join_codes', data.join_code);
+            if (existing || claimed) {
+                return false;
+            }
+            tx.set('live_rooms', data.room_id, data);
+            tx.set('join_codes', data.join_code, { join_code: data.join_code, room_id: data.room_id, created_at: data.created_at });
+            return true;
+        }),
+        get: (roomId) => driver.get('live_rooms', String(roomId)),
+        update: (roomId, patch) => driver.update('live_rooms', String(roomId), patch),
+        findByJoinCode: async (joinCode) => {
+            const code = await driver.get('join_codes', String(joinCode));
+            return code && code.room_id ? driver.get('live_rooms', code.room_id) : null;
+        },
+        // A player's result in a finished room (kept apart from the quiz's scores)
+        addResult: (data) => driver.add('live_room_results', data),
+        // Free the join code of a finished room
+        releaseJoinCode: (room) => driver.runTransaction(async (tx) => {
+            const code = await tx.get('join_codes', room.join_code);
+            if (code && code.room_id === room.room_id) {
+                tx.delete('join_codes', room.join_code);
+            }
+        })
+    };
+
+    // Online runs of a mock test
+    const mockTestAttempts = {
+        create: (attemptId, data) => driver.set('mock_test_attempts', String(attemptId), data),
+        get: (attemptId) => driver.get('mock_test_attempts', String(attemptId)),
+        // Atomically read an attempt, let `decide` validate it and return the changes to apply
+        claim: (attemptId, decide) => driver.runTransaction(async (tx) => {
+            const attempt = await tx.get('mock_test_attempts', String(attemptId));
+            const changes = decide(attempt);
+            tx.update('mock_test_attempts', String(attemptId), changes);
+            return { ...attempt, ...changes };
+        }),
+        // A user's attempts, newest first, optionally of one test
+        listByUser: async (userId, max, { testId } = {}) => {
+            const results = await driver.query('mock_test_attempts', {
+                where: [['user_id', '==', String(userId)], ...(testId ? [['test_id', '==', String(testId)]] : [])],
+                orderBy: { field: 'started_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        }
+    };
+
+    // How each signed-in user did on each graded question
+    const outcomes = {
+        add: (data) => driver.add('question_outcomes', data),
+        listByUser: async (userId, max) => {
+            const results = await driver.query('question_outcomes', {
+                where: [['user_id', '==', String(userId)]],
+                orderBy: { field: 'answered_at', direction: 'desc' },
+                limit: max
+            });
+            return results.map(r => r.data);
+        }
+    };
+
+    const practice = {
+        create: (practiceId, data) => driver.set('practice_sessions', String(practiceId), data),
+        get: (practiceId) => driver.get('practice_sessions', String(practiceId)),
+        // Atomically read a practice session, let `decide` validate it and return the changes to apply
+        claim: (practiceId, decide) => driver.runTransaction(async (tx) => {
+            const session = await tx.get('practice_sessions', String(practiceId));
+            const changes = decide(session);
+            tx.update('practice_sessions', String(practiceId), changes);
+            return { ...session, ...changes };
+        })
+    };
+
+    // Rate limit buckets and in-flight generation slots shared by all instances
+    const rateLimits = {
+        // Atomically read an entry (null once expired), let `decide` return its new value (null to
+        // remove it) and when that expires (milliseconds since the epoch)
+        update: (key, decide) => driver.runTransaction(async (tx) => {
+            const entry = await tx.get('rate_limits', String(key));
+            const current = entry && entry.expires_at > new Date() ? entry.value : null;
+            const { value, expiresAt, result } = decide(current);
+            if (value) {
+                tx.set('rate_limits', String(key), { key: String(key), value, expires_at: new Date(expiresAt) });
+            } else if (entry) {
+                tx.delete('rate_limits', String(key));
+            }
+            return result;
+        })
+    };
+
+    return { driver, quizzes, scores, users, mockTests, sessions, usage, billing, shareLinks, groups, jobs, study, liveRooms, mockTestAttempts, outcomes, practice, rateLimits };
+};
+
+module.exports = { createRepositories };
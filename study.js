@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { httpError } = require('./errors');
+const { canViewQuiz, getShareToken } = require('./sharing');
+const { canSeeFlashcards } = require('./grading');
+
+// Ratings a learner gives a card after trying to recall it
+const RATINGS = ['again', 'hard', 'good', 'easy'];
+// New cards introduced per deck and day (UTC)
+const NEW_CARDS_PER_DAY = Math.max(parseInt(process.env.STUDY_NEW_CARDS_PER_DAY) || 20, 1);
+
+// SM-2 settings (the defaults Anki uses)
+const LEARNING_STEPS_MINUTES = [1, 10];
+const RELEARNING_STEPS_MINUTES = [10];
+const STARTING_EASE = 2.5;
+const MIN_EASE = 1.3;
+const GRADUATING_INTERVAL_DAYS = 1;
+const EASY_INTERVAL_DAYS = 4;
+const EASY_BONUS = 1.3;
+const HARD_MULTIPLIER = 1.2;
+const LAPSE_MULTIPLIER = 0.5;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Hashing the pair keeps ids apart even when user or quiz ids contain the separator
+const toDeckId = (userId, quizId) => crypto.createHash('sha1').update(JSON.stringify([String(userId), String(quizId)])).digest('hex');
+// Cards are keyed by their term, so progress survives flashcards being reordered or redefined
+const toCardKey = (term) => crypto.createHash('sha1').update(String(term).trim().toLowerCase()).digest('hex').slice(0, 16);
+const toCardId = (deckId, cardKey) => `${deckId}_${cardKey}`;
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Next state of a card after a rating. New and forgotten cards go through short learning steps
+// (minutes apart), then graduate to reviews spaced by interval × ease; each rating adjusts the ease.
+const scheduleReview = (card, rating, now = new Date()) => {
+    let { state, step = 0, ease = STARTING_EASE, interval_days: interval = 0, repetitions = 0, lapses = 0 } = card;
+    let dueInMs;
+
+    if (state !== 'review') {
+        const steps = state === 'relearning' ? RELEARNING_STEPS_MINUTES : LEARNING_STEPS_MINUTES;
+        const stepState = state === 'relearning' ? 'relearning' : 'learning';
+        if (rating === 'again') {
+            step = 0;
+            state = stepState;
+            dueInMs = steps[0] * MINUTE_MS;
+        } else if (rating === 'hard') {
+            state = stepState;
+            dueInMs = steps[Math.min(step, steps.length - 1)] * MINUTE_MS * 1.5;
+        } else if (rating === 'good' && step + 1 < steps.length) {
+            step += 1;
+            state = stepState;
+            dueInMs = steps[step] * MINUTE_MS;
+        } else {
+            // Graduate: lapsed cards come back at a share of their old interval
+            if (state === 'relearning') {
+                interval = Math.max(1, Math.round(interval * LAPSE_MULTIPLIER)) + (rating === 'easy' ? 1 : 0);
+            } else {
+                interval = rating === 'easy' ? EASY_INTERVAL_DAYS : GRADUATING_INTERVAL_DAYS;
+            }
+            state = 'review';
+            step = 0;
+            repetitions += 1;
+            dueInMs = interval * DAY_MS;
+        }
+    } else if (rating === 'again') {
+        lapses += 1;
+        ease = Math.max(MIN_EASE, ease - 0.2);
+        state = 'relearning';
+        step = 0;
+        dueInMs = RELEARNING_STEPS_MINUTES[0] * MINUTE_MS;
+    } else {
+        if (rating === 'hard') {
+            ease = Math.max(MIN_EASE, ease - 0.15);
+            interval = Math.max(interval + 1, Math.round(interval * HARD_MULTIPLIER));
+        } else if (rating === 'good') {
+            interval = Math.max(interval + 1, Math.round(interval * ease));
+        } else {
+            ease += 0.15;
+            interval = Math.max(interval + 1, Math.round(interval * ease * EASY_BONUS));
+        }
+        repetitions += 1;
+        dueInMs = interval * DAY_MS;
+    }
+
+    return {
+        state,
+        step,
+        ease: Math.round(ease * 100) / 100,
+        interval_days: interval,
+        repetitions,
+        lapses,
+        reviews: (card.reviews || 0) + 1,
+        last_rating: rating,
+        last_reviewed_at: now,
+        due_at: new Date(now.getTime() + dueInMs)
+    };
+};
+
+// Card documents for the quiz flashcards, creating the ones added since the deck was last
+// loaded. Cards of removed flashcards are left out; term and definition come from the quiz.
+const syncCards = async (deck, quiz, now) => {
+    const existing = new Map((await getStore().study.listCards(deck.deck_id)).map(c => [c.card_key, c]));
+    const cards = [];
+    for (const [position, flashcard] of (quiz.flashcards || []).entries()) {
+        if (!flashcard || !flashcard.term) continue;
+        const cardKey = toCardKey(flashcard.term);
+        if (cards.some(c => c.card_key === cardKey)) continue;
+
+        let card = existing.get(cardKey);
+        if (!card) {
+            card = {
+                card_key: cardKey,
+                deck_id: deck.deck_id,
+                user_id: deck.user_id,
+                quiz_id: deck.quiz_id,
+                state: 'new',
+                step: 0,
+                ease: STARTING_EASE,
+                interval_days: 0,
+                repetitions: 0,
+                lapses: 0,
+                reviews: 0,
+                due_at: null,
+                last_reviewed_at: null,
+                created_at: now
+            };
+            await getStore().study.setCard(toCardId(deck.deck_id, cardKey), card);
+        }
+        cards.push({ ...card, term: flashcard.term, definition: flashcard.definition, position });
+    }
+    return cards;
+};
+
+const getRemainingNewCards = (deck, now) => {
+    const seen = deck.new_cards && deck.new_cards.day === toDay(now) ? deck.new_cards.count : 0;
+    return Math.max(NEW_CARDS_PER_DAY - seen, 0);
+};
+
+// What a learner sees of a card
+const toStudyCard = (card) => ({
+    card_key: card.card_key,
+    term: card.term,
+    definition: card.definition,
+    state: card.state,
+    due_at: card.due_at,
+    interval_days: card.interval_days,
+    ease: card.ease,
+    reviews: card.reviews,
+    lapses: card.lapses
+});
+
+// Due cards (soonest first) and the new cards allowed today (in flashcard order)
+const splitDueCards = (deck, cards, until, now) => ({
+    due: cards
+        .filter(c => c.state !== 'new' && c.due_at <= until)
+        .sort((a, b) => a.due_at - b.due_at),
+    fresh: cards
+        .filter(c => c.state === 'new')
+        .sort((a, b) => a.position - b.position)
+        .slice(0, getRemainingNewCards(deck, now))
+});
+
+const summarizeDeck = (deck, quiz, cards, now) => {
+    const { due, fresh } = splitDueCards(deck, cards, now, now);
+    const upcoming = cards.filter(c => c.state !== 'new' && c.due_at > now).map(c => c.due_at);
+    return {
+        quiz_id: deck.quiz_id,
+        content_name: quiz.content_name,
+        started_at: deck.started_at,
+        last_studied_at: deck.last_studied_at || null,
+        cards: cards.length,
+        new: cards.filter(c => c.state === 'new').length,
+        learning: cards.filter(c => c.state === 'learning' || c.state === 'relearning').length,
+        review: cards.filter(c => c.state === 'review').length,
+        due_now: due.length,
+        new_available: fresh.length,
+        next_due_at: upcoming.length ? new Date(Math.min(...upcoming)) : null
+    };
+};
+
+// Flashcards that answer matching questions stay with the quiz owner
+const checkFlashcardsVisible = (quiz, user) => {
+    if (!canSeeFlashcards(quiz, user)) {
+        throw httpError(403, 'The flashcards of this quiz are the answers to its matching questions. Only its owner can study them.');
+    }
+};
+
+// The caller's deck for a quiz they can still see (through the share link they started with, if any)
+const loadDeck = async (quizId, req) => {
+    const deck = await getStore().study.getDeck(toDeckId(req.user.uid, quizId));
+    if (!deck) {
+        throw httpError(404, 'You are not studying this quiz. Start with POST /api/study/decks/:quizId.');
+    }
+    const quiz = await getStore().quizzes.findByQuizId(quizId);
+    if (!quiz || !(await canViewQuiz(quiz, { user: req.user, shareToken: getShareToken(req) || deck.share_token }))) {
+        throw httpError(404, 'Quiz not found');
+    }
+    checkFlashcardsVisible(quiz, req.user);
+    return { deck, quiz };
+};
+
+// Start studying a quiz's flashcards, or return the existing deck
+const startDeck = async (quiz, req, now = new Date()) => {
+    if (!(quiz.flashcards || []).length) {
+        throw httpError(400, 'This quiz has no flashcards to study');
+    }
+    checkFlashcardsVisible(quiz, req.user);
+    const deckId = toDeckId(req.user.uid, quiz.quiz_id);
+    let deck = await getStore().study.getDeck(deckId);
+    const created = !deck;
+    if (!deck) {
+        deck = {
+            deck_id: deckId,
+            user_id: req.user.uid,
+            quiz_id: quiz.quiz_id,
+            share_token: getShareToken(req) || null,
+            started_at: now,
+            last_studied_at: null,
+            new_cards: null
+        };
+        await getStore().study.setDeck(deckId, deck);
+    }
+    const cards = await syncCards(deck, quiz, now);
+    return { created, deck: summarizeDeck(deck, quiz, cards, now) };
+};
+
+const getDeckSummary = async (quizId, req, now = new Date()) => {
+    const { deck, quiz } = await loadDeck(quizId, req);
+    return summarizeDeck(deck, quiz, await syncCards(deck, quiz, now), now);
+};
+
+// Cards to study now: due learning and review cards first, then today's new cards
+const getNextCards = async (quizId, req, limit, now = new Date()) => {
+    const { deck, quiz } = await loadDeck(quizId, req);
+    const cards = await syncCards(deck, quiz, now);
+    const { due, fresh } = splitDueCards(deck, cards, now, now);
+    return {
+        cards: [...due, ...fresh].slice(0, limit).map(toStudyCard),
+        deck: summarizeDeck(deck, quiz, cards, now)
+    };
+};
+
+// Record a rating and reschedule the card
+const reviewCard = async (quizId, cardKey, rating, req, now = new Date()) => {
+    const normalized = String(rating || '').toLowerCase();
+    if (!RATINGS.includes(normalized)) {
+        throw httpError(400, `rating must be one of ${RATINGS.join(', ')}`);
+    }
+    const { deck, quiz } = await loadDeck(quizId, req);
+    const card = (await syncCards(deck, quiz, now)).find(c => c.card_key === cardKey);
+    if (!card) {
+        throw httpError(404, 'Card not found');
+    }
+    if (card.state === 'new' && getRemainingNewCards(deck, now) === 0) {
+        throw httpError(409, 'No new cards left for today', { new_cards_per_day: NEW_CARDS_PER_DAY });
+    }
+
+    let previousState = null;
+    const updated = await getStore().study.reviewCard(toCardId(deck.deck_id, cardKey), (current) => {
+        previousState = current.state;
+        return scheduleReview(current, normalized, now);
+    });
+
+    const today = toDay(now);
+    const deckPatch = { last_studied_at: now };
+    if (previousState === 'new') {
+        const seen = deck.new_cards && deck.new_cards.day === today ? deck.new_cards.count : 0;
+        deckPatch.new_cards = { day: today, count: seen + 1 };
+    }
+    await getStore().study.updateDeck(deck.deck_id, deckPatch);
+
+    return toStudyCard({ ...card, ...updated });
+};
+
+// Cards due by the end of today (UTC) and new cards available, across all of the caller's decks
+const getDueToday = async (req, now = new Date()) => {
+    const endOfDay = new Date(`${toDay(now)}T23:59:59.999Z`);
+    const decks = [];
+    for (const deck of await getStore().study.listDecks(req.user.uid)) {
+        const quiz = await getStore().quizzes.findByQuizId(deck.quiz_id);
+        if (!quiz || !canSeeFlashcards(quiz, req.user) || !(await canViewQuiz(quiz, { user: req.user, shareToken: deck.share_token }))) {
+            continue;
+        }
+        const cards = await syncCards(deck, quiz, now);
+        const { due, fresh } = splitDueCards(deck, cards, endOfDay, now);
+        if (due.length || fresh.length) {
+            decks.push({
+                quiz_id: deck.quiz_id,
+                content_name: quiz.content_name,
+                due_now: due.filter(c => c.due_at <= now).length,
+                due_today: due.length,
+                new_available: fresh.length,
+                cards: [...due, ...fresh].map(toStudyCard)
+            });
+        }
+    }
+    return {
+        until: endOfDay,
+        due_today: decks.reduce((sum, d) => sum + d.due_today, 0),
+        new_available: decks.reduce((sum, d) => sum + d.new_available, 0),
+        decks
+    };
+};
+
+// Stop studying a quiz and forget the progress
+const removeDeck = async (quizId, userId) => {
+    const deckId = toDeckId(userId, quizId);
+    if (!(await getStore().study.getDeck(deckId))) {
+        throw httpError(404, 'You are not studying this quiz');
+    }
+    for (const card of await getStore().study.listCards(deckId)) {
+        await getStore().study.deleteCard(toCardId(deckId, card.card_key));
+    }
+    await getStore().study.deleteDeck(deckId);
+};
+
+// All of the caller's decks with their counts
+const listDecks = async (req, now = new Date()) => {
+    const summaries = [];
+    for (const deck of await getStore().study.listDecks(req.user.uid)) {
+        const quiz = await getStore().quizzes.findByQuizId(deck.quiz_id);
+        if (quiz && canSeeFlashcards(quiz, req.user) && (await canViewQuiz(quiz, { user: req.user, shareToken: deck.share_token }))) {
+            summaries.push(summarizeDeck(deck, quiz, await syncCards(deck, quiz, now), now));
+        }
+    }
+    return summaries;
+};
+
+module.exports = {
+    RATINGS,
+    NEW_CARDS_PER_DAY,
+    scheduleReview,
+    startDeck,
+    getDeckSummary,
+    getNextCards,
+    reviewCard,
+    getDueToday,
+    removeDeck,
+    listDecks
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { getBillingProvider } = require('./billing');
+const { getPlan, addPlanPeriod } = require('./billing/plans');
+const { newUserProfile } = require('./metering');
+const { httpError } = require('./errors');
+
+// Events for a subscription still unknown this long after they were sent are given up on, so the
+// provider stops redelivering them (Stripe retries for three days)
+const UNKNOWN_SUBSCRIPTION_MAX_AGE_HOURS = parseInt(process.env.BILLING_UNKNOWN_SUBSCRIPTION_MAX_AGE_HOURS) || 72;
+
+// Which subscription states each event may move from
+const ALLOWED_FROM = {
+    'subscription.renewed': ['trialing', 'active', 'past_due'],
+    'subscription.payment_failed': ['trialing', 'active'],
+    'subscription.cancelled': ['trialing', 'active', 'past_due'],
+    'payment.refunded': ['trialing', 'active', 'past_due', 'cancelled']
+};
+
+// Start a checkout for a plan. Nothing is granted until the provider confirms payment via webhook.
+const createCheckout = async (userId, planId, { successUrl, cancelUrl } = {}) => {
+    const plan = getPlan(planId);
+    if (!plan) {
+        throw httpError(400, 'Invalid plan');
+    }
+
+    const provider = getBillingProvider();
+    const checkoutId = `chk_${crypto.randomBytes(12).toString('hex')}`;
+    const session = await provider.createCheckoutSession({
+        checkoutId,
+        userId,
+        plan,
+        successUrl: successUrl || process.env.BILLING_SUCCESS_URL,
+        cancelUrl: cancelUrl || process.env.BILLING_CANCEL_URL
+    });
+
+    await getStore().billing.createCheckout(checkoutId, {
+        checkout_id: checkoutId,
+        user_id: String(userId),
+        plan_id: plan.id,
+        provider: provider.name,
+        provider_checkout_id: session.providerCheckoutId,
+        status: 'open',
+        subscription_id: null,
+        created_at: new Date(),
+        completed_at: null
+    });
+
+    return { checkoutId, url: session.url, plan };
+};
+
+// Copy the subscription state onto the user document that metering reads
+const mirrorToUser = (user, subscription, plan, resetQuota) => ({
+    ...user,
+    subscription_status: subscription.status,
+    subscription_plan: subscription.plan_id,
+    subscription_id: subscription.subscription_id,
+    subscription_expiry: subscription.current_period_end,
+    plan_generations_remaining: resetQuota
+        ? plan.generation_quota
+        : (user.plan_generations_remaining === undefined ? plan.generation_quota : user.plan_generations_remaining)
+});
+
+const completeCheckout = ({ checkout, user }, event, subscriptionId, now) => {
+    if (!checkout) {
+        return { ignored: 'Unknown checkout' };
+    }
+    if (checkout.status !== 'open') {
+        return { ignored: `Checkout is already ${checkout.status}` };
+    }
+    const plan = getPlan(checkout.plan_id);
+    if (!plan) {
+        return { ignored: `Unknown plan ${checkout.plan_id}` };
+    }
+
+    const trialing = plan.trial_days > 0;
+    const periodEnd = trialing
+        ? new Date(now.getTime() + plan.trial_days * 24 * 60 * 60 * 1000)
+        : addPlanPeriod(plan, now);
+
+    const subscription = {
+        subscription_id: subscriptionId,
+        user_id: checkout.user_id,
+        plan_id: plan.id,
+        provider: checkout.provider,
+        checkout_id: checkout.checkout_id,
+        status: trialing ? 'trialing' : 'active',
+        current_period_start: now,
+        current_period_end: periodEnd,
+        cancelled_at: null,
+        created_at: now,
+        updated_at: now
+    };
+
+    return {
+        subscription,
+        user: mirrorToUser(user || newUserProfile(checkout.user_id, now), subscription, plan, true),
+        checkoutChanges: { status: 'completed', completed_at: now, subscription_id: subscriptionId }
+    };
+};
+
+const transition = ({ subscription, user }, event, now) => {
+    if (!subscription) {
+        // Providers may deliver a renewal or cancellation before the checkout that creates the subscription.
+        // Failing without recording the event makes them redeliver it once the checkout has been applied.
+        const ageHours = event.created ? (now - new Date(event.created)) / (60 * 60 * 1000) : 0;
+        if (ageHours > UNKNOWN_SUBSCRIPTION_MAX_AGE_HOURS) {
+            console.warn(`Giving up on billing event ${event.id} (${event.type}): subscription ${event.data.subscription_id} still unknown after ${Math.floor(ageHours)} hours`);
+            return { ignored: `Unknown subscription after ${UNKNOWN_SUBSCRIPTION_MAX_AGE_HOURS} hours` };
+        }
+        throw httpError(409, 'Unknown subscription. Retry once its checkout has completed.');
+    }
+    if (!ALLOWED_FROM[event.type].includes(subscription.status)) {
+        return { ignored: `Cannot apply ${event.type} to a ${subscription.status} subscription` };
+    }
+    const plan = getPlan(subscription.plan_id);
+    if (!plan) {
+        return { ignored: `Unknown plan ${subscription.plan_id}` };
+    }
+
+    const next = { ...subscription, updated_at: now };
+    let resetQuota = false;
+
+    switch (event.type) {
+        case 'subscription.renewed': {
+            // A paid trial starts its first full period now, otherwise the period is extended
+            const start = subscription.status === 'trialing' || subscription.current_period_end < now
+                ? now
+                : subscription.current_period_end;
+            next.status = 'active';
+            next.current_period_start = start;
+            next.current_period_end = event.data.period_end ? new Date(event.data.period_end) : addPlanPeriod(plan, start);
+            resetQuota = true;
+            break;
+        }
+        case 'subscription.payment_failed':
+            // Access continues until the end of the paid period while the provider retries
+            next.status = 'past_due';
+            break;
+        case 'subscription.cancelled':
+            // Access continues until the end of the paid period
+            next.status = 'cancelled';
+            next.cancelled_at = now;
+            break;
+        case 'payment.refunded':
+            // Refunds revoke access immediately
+            next.status = 'cancelled';
+            next.cancelled_at = subscription.cancelled_at || now;
+            next.current_period_end = now;
+            break;
+    }
+
+    // Only mirror onto the user if this is still their current subscription
+    const mirrored = user && (!user.subscription_id || user.subscription_id === subscription.subscription_id)
+        ? mirrorToUser(user, next, plan, resetQuota)
+        : null;
+    if (mirrored && event.type === 'payment.refunded') {
+        mirrored.plan_generations_remaining = 0;
+    }
+
+    return { subscription: next, user: mirrored };
+};
+
+// Apply a verified, normalized billing event. Redelivered events are ignored. Events for a subscription
+// that does not exist yet fail with a 409 so the provider retries them, until they are too old.
+const applyBillingEvent = async (event) => {
+    if (!event || !event.id || !event.type) {
+        throw httpError(400, 'Malformed billing event');
+    }
+
+    const data = event.data || {};
+    const isCheckout = event.type === 'checkout.completed';
+    if (!isCheckout && !ALLOWED_FROM[event.type]) {
+        throw httpError(400, `Unsupported billing event: ${event.type}`);
+    }
+
+    const checkoutId = isCheckout ? data.checkout_id : null;
+    const subscriptionId = data.subscription_id || (checkoutId ? `sub_${checkoutId}` : null);
+    if (!subscriptionId) {
+        throw httpError(400, 'Billing event has no subscription');
+    }
+
+    return getStore().billing.applyEvent(event.id, { subscriptionId, checkoutId }, (docs) => {
+        const now = new Date();
+        const changes = isCheckout
+            ? completeCheckout(docs, event, subscriptionId, now)
+            : transition(docs, event, now);
+
+        const outcome = changes.ignored ? 'ignored' : 'applied';
+        return {
+            ...(changes.ignored ? {} : changes),
+            record: {
+                event_id: event.id,
+                type: event.type,
+                subscription_id: subscriptionId,
+                checkout_id: checkoutId,
+                outcome,
+                reason: changes.ignored || null,
+                received_at: now
+            },
+            result: {
+                outcome,
+                reason: changes.ignored || null,
+                subscription_id: subscriptionId,
+                status: changes.subscription ? changes.subscription.status : null
+            }
+        };
+    });
+};
+
+module.exports = { createCheckout, applyBillingEvent };
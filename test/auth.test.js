@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_PROVIDER = 'fixture';
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'auth-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+const request = async (method, url, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('the caller comes from the bearer token, not the request body', async () => {
+    const subscription = await request('GET', '/api/user/subscription/u1', { token: signToken('u1') });
+    assert.strictEqual(subscription.status, 200);
+    assert.strictEqual(subscription.body.user_id, 'u1');
+
+    const created = await request('POST', '/api/create_content?wait=true', {
+        token: signToken('u1'),
+        body: { user_id: 'u2', text: 'Plants turn light into sugar.', question_type: 'true_false', content_name: 'Plants' }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual((await getStore().quizzes.findByQuizId(created.body.quiz_id)).user_id, 'u1');
+});
+
+test('missing, forged and expired tokens are refused', async () => {
+    const forged = signToken('u1').replace(/\.[^.]+$/, '.forged');
+    const expired = signToken('u1', { expiresInSeconds: -60 });
+    for (const token of [undefined, 'not-a-token', forged, expired]) {
+        assert.strictEqual((await request('GET', '/api/user/subscription/u1', { token })).status, 401);
+    }
+});
+
+test('routes scoped to a user refuse everyone else', async () => {
+    const response = await request('GET', '/api/user/subscription/u1', { token: signToken('u2') });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.error, 'Forbidden');
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_fixture';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_fixture';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { setBillingProvider } = require('../billing');
+const { createStripeProvider } = require('../billing/stripe');
+const { signPayload } = require('../billing/signature');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    setBillingProvider(createStripeProvider());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+const stripeEvent = (id, type, object, created = new Date()) => ({ id, type, created: Math.floor(created.getTime() / 1000), data: { object } });
+
+// POST an event to the webhook, signed with `secret` unless a signature header is given
+const deliver = async (event, { secret = process.env.STRIPE_WEBHOOK_SECRET, signature } = {}) => {
+    const body = JSON.stringify(event);
+    const response = await fetch(`${baseUrl}/api/billing/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature || signPayload(secret, body) },
+        body
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const openCheckout = (checkoutId, userId, planId) => getStore().billing.createCheckout(checkoutId, {
+    checkout_id: checkoutId,
+    user_id: userId,
+    plan_id: planId,
+    provider: 'stripe',
+    provider_checkout_id: `cs_${checkoutId}`,
+    status: 'open',
+    subscription_id: null,
+    created_at: new Date(),
+    completed_at: null
+});
+
+const checkoutCompleted = (id, checkoutId, subscriptionId) => stripeEvent(id, 'checkout.session.completed', {
+    metadata: { checkout_id: checkoutId },
+    subscription: subscriptionId
+});
+
+const invoicePaid = (id, subscriptionId, periodEnd, { amountPaid = 1299, created } = {}) => stripeEvent(id, 'invoice.paid', {
+    subscription: subscriptionId,
+    amount_paid: amountPaid,
+    lines: { data: [{ period: { end: Math.floor(periodEnd.getTime() / 1000) } }] }
+}, created);
+
+test('events with a wrong, stale or missing signature are rejected', async () => {
+    await openCheckout('chk_1', 'u1', 'quarterly');
+    const event = checkoutCompleted('evt_1', 'chk_1', 'sub_1');
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
+
+    for (const options of [
+        { secret: 'whsec_other' },
+        { signature: signPayload(process.env.STRIPE_WEBHOOK_SECRET, JSON.stringify(event), staleTimestamp) },
+        { signature: `t=${Math.floor(Date.now() / 1000)}` }
+    ]) {
+        const response = await deliver(event, options);
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body, { error: 'Invalid webhook signature' });
+    }
+    assert.strictEqual(await getStore().billing.getSubscription('sub_1'), null);
+    assert.strictEqual((await getStore().billing.getCheckout('chk_1')).status, 'open');
+});
+
+test('a signature over a different body is rejected', async () => {
+    await openCheckout('chk_1', 'u1', 'quarterly');
+    const signed = checkoutCompleted('evt_1', 'chk_1', 'sub_1');
+    const signature = signPayload(process.env.STRIPE_WEBHOOK_SECRET, JSON.stringify(signed));
+
+    const response = await deliver(checkoutCompleted('evt_1', 'chk_1', 'sub_other'), { signature });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(await getStore().billing.getSubscription('sub_other'), null);
+});
+
+test('an invoice paid before its checkout completes is retried, then applied', async () => {
+    await openCheckout('chk_1', 'u1', 'quarterly');
+    const periodEnd = new Date(Date.now() + 120 * 24 * 60 * 60 * 1000);
+
+    const early = await deliver(invoicePaid('evt_invoice', 'sub_1', periodEnd));
+    assert.strictEqual(early.status, 409);
+    assert.strictEqual(await getStore().billing.getSubscription('sub_1'), null);
+
+    const completed = await deliver(checkoutCompleted('evt_checkout', 'chk_1', 'sub_1'));
+    assert.strictEqual(completed.status, 200);
+    assert.strictEqual(completed.body.outcome, 'applied');
+
+    // The provider redelivers the invoice, which was not recorded the first time
+    const retried = await deliver(invoicePaid('evt_invoice', 'sub_1', periodEnd));
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.body.outcome, 'applied');
+    const subscription = await getStore().billing.getSubscription('sub_1');
+    assert.strictEqual(subscription.status, 'active');
+    assert.strictEqual(new Date(subscription.current_period_end).getTime(), Math.floor(periodEnd.getTime() / 1000) * 1000);
+    assert.strictEqual((await getStore().users.get('u1')).subscription_id, 'sub_1');
+});
+
+test('an invoice for a subscription still unknown after three days is given up on', async () => {
+    const sent = new Date(Date.now() - 73 * 60 * 60 * 1000);
+    const response = await deliver(invoicePaid('evt_invoice', 'sub_lost', new Date(), { created: sent }));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.outcome, 'ignored');
+    assert.match(response.body.reason, /Unknown subscription after 72 hours/);
+    assert.strictEqual((await deliver(invoicePaid('evt_invoice', 'sub_lost', new Date(), { created: sent }))).body.duplicate, true);
+});
+
+test('the $0 invoice opening a trial does not end it', async () => {
+    await openCheckout('chk_1', 'u1', 'monthly');
+    await deliver(checkoutCompleted('evt_checkout', 'chk_1', 'sub_1'));
+    const trial = await getStore().billing.getSubscription('sub_1');
+    assert.strictEqual(trial.status, 'trialing');
+
+    const periodEnd = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const free = await deliver(invoicePaid('evt_trial_invoice', 'sub_1', periodEnd, { amountPaid: 0 }));
+    assert.strictEqual(free.status, 200);
+    assert.strictEqual(free.body.outcome, 'ignored');
+    assert.strictEqual((await getStore().billing.getSubscription('sub_1')).status, 'trialing');
+
+    assert.strictEqual((await deliver(invoicePaid('evt_first_invoice', 'sub_1', periodEnd, { amountPaid: 499 }))).body.outcome, 'applied');
+    assert.strictEqual((await getStore().billing.getSubscription('sub_1')).status, 'active');
+});
+
+test('redelivered events are applied once', async () => {
+    await openCheckout('chk_1', 'u1', 'quarterly');
+    const event = checkoutCompleted('evt_checkout', 'chk_1', 'sub_1');
+
+    assert.strictEqual((await deliver(event)).body.outcome, 'applied');
+    const again = await deliver(event);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.duplicate, true);
+});
+
+test('unrelated Stripe events are acknowledged and ignored', async () => {
+    const response = await deliver(stripeEvent('evt_other', 'customer.created', { id: 'cus_1' }));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.outcome, 'ignored');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setProvider } = require('../ai');
+const { createFixtureProvider } = require('../ai/fixture');
+const { generateContentFromSections } = require('../generation');
+const { pagesToSections, buildChunks, allocateQuestions, dedupeQuestions } = require('../chunking');
+
+// A page of `words` distinct words, about six characters each
+const page = (n, words) => Array.from({ length: words }, (_, i) => `p${n}w${i}`).join(' ');
+
+test.beforeEach(() => setProvider(createFixtureProvider()));
+
+test.afterEach(() => setProvider(null));
+
+test('pages are grouped into chunks that keep their page numbers', () => {
+    const chunks = buildChunks(pagesToSections([page(1, 60), page(2, 60), '', page(4, 400)], 1), 1000);
+    assert.deepStrictEqual(chunks.map(c => c.pages), [[1, 2], [4], [4], [4]]);
+    assert.ok(chunks[0].text.startsWith('[Page 1]\n'));
+    assert.ok(chunks[0].text.includes('\n\n[Page 2]\n'));
+    assert.deepStrictEqual(chunks.map(c => c.section), [1, 2, 3, 4]);
+});
+
+test('questions are spread over chunks by length and add up to the total', () => {
+    const counts = allocateQuestions([{ text: 'a'.repeat(300) }, { text: 'b'.repeat(100) }, { text: 'c'.repeat(100) }], 7);
+    assert.deepStrictEqual(counts, [4, 2, 1]);
+    assert.deepStrictEqual(allocateQuestions([{ text: 'a' }, { text: 'b' }], 0), [0, 0]);
+});
+
+test('near-duplicate questions are dropped unless their numbers differ', () => {
+    const questions = [
+        { question: 'What is the powerhouse of the cell?' },
+        { question: 'What is the powerhouse of the cell' },
+        { question: 'What is 2 + 2?' },
+        { question: 'What is 2 + 3?' }
+    ];
+    assert.deepStrictEqual(dedupeQuestions(questions).map(q => q.question), ['What is the powerhouse of the cell?', 'What is 2 + 2?', 'What is 2 + 3?']);
+    assert.deepStrictEqual(dedupeQuestions([{ question: 'what is the powerhouse of the cell' }], questions), []);
+});
+
+test('a long source is generated chunk by chunk in document order', async () => {
+    const progress = [];
+    const sections = pagesToSections([page(1, 1500), page(2, 1500), page(3, 1500)], 5);
+    const result = await generateContentFromSections(sections, 'multiple_choice', 4, 3, false, { onProgress: p => progress.push(p) });
+
+    assert.strictEqual(result.chunks, 3);
+    assert.deepStrictEqual(result.questions.map(q => q.source.page), [5, 6, 7]);
+    assert.deepStrictEqual(result.questions.map(q => q.source.section), [1, 2, 3]);
+    assert.deepStrictEqual(result.questions[0].source.pages, { start: 5, end: 5 });
+    assert.deepStrictEqual(progress.at(-1), { current: 3, total: 3 });
+});
+
+test('questions lost to duplicates are asked for again, and empty sources are refused', async () => {
+    const prompts = [];
+    let calls = 0;
+    setProvider({
+        name: 'scripted',
+        generateText: async (prompt) => {
+            prompts.push(prompt);
+            calls += 1;
+            // The first round repeats one question; the second round returns a new one
+            const question = calls <= 2 ? 'Which organelle makes energy?' : 'Which organelle holds the DNA?';
+            return JSON.stringify({
+                questions: [{
+                    question,
+                    type: 'true_false',
+                    options: ['True', 'False'],
+                    answer: 'True',
+                    explanation: 'Cells work this way.',
+                    difficulty: 'easy',
+                    tags: ['cells'],
+                    source_snippet: 'Cells'
+                }]
+            });
+        }
+    });
+    const sections = pagesToSections([page(1, 1500), page(2, 1500)]);
+    const result = await generateContentFromSections(sections, 'true_false', 2, 2, false);
+    assert.deepStrictEqual(result.questions.map(q => q.question), ['Which organelle makes energy?', 'Which organelle holds the DNA?']);
+    assert.match(prompts.at(-1), /Do not repeat any of these questions:\n- Which organelle makes energy\?/);
+
+    await assert.rejects(generateContentFromSections(pagesToSections(['', '  ']), 'true_false', 2, 2, false), { status: 400 });
+});
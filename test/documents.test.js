@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { detectFormat, extractDocument } = require('../documents');
+const { importQuestions } = require('../formats/qti');
+
+const documentXml = (text) => `<?xml version="1.0"?><w:document><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`;
+
+const buildDocx = (files) => {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) {
+        zip.file(name, content);
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Rewrite the uncompressed size every header of the archive declares, like a crafted zip bomb would
+const declareSizes = (buffer, size) => {
+    const patched = Buffer.from(buffer);
+    for (let i = 0; i < patched.length - 4; i++) {
+        const signature = patched.readUInt32LE(i);
+        if (signature === 0x04034b50) {
+            patched.writeUInt32LE(size, i + 22);
+        } else if (signature === 0x02014b50) {
+            patched.writeUInt32LE(size, i + 24);
+        }
+    }
+    return patched;
+};
+
+test('a Word document is read', async () => {
+    const buffer = await buildDocx({ 'word/document.xml': documentXml('Plants turn light into sugar.') });
+    assert.strictEqual(await detectFormat(buffer, { originalname: 'notes.docx' }), 'docx');
+    const { pages } = await extractDocument(buffer, 'docx');
+    assert.deepStrictEqual(pages, ['Plants turn light into sugar.']);
+});
+
+test('archives declaring too much content are refused before inflating', async () => {
+    const buffer = declareSizes(await buildDocx({ 'word/document.xml': documentXml('small') }), 0x7fffffff);
+    await assert.rejects(extractDocument(buffer, 'docx'), { status: 413 });
+});
+
+test('archives with too many entries are refused', async () => {
+    const files = { 'word/document.xml': documentXml('small') };
+    for (let i = 0; i < 2001; i++) {
+        files[`word/media/${i}.txt`] = '';
+    }
+    await assert.rejects(extractDocument(await buildDocx(files), 'docx'), { status: 413 });
+});
+
+test('entries that inflate past what they declared are stopped', async () => {
+    // 60 MB of zeros packs into a few kilobytes and claims to unpack to one
+    const buffer = declareSizes(await buildDocx({ 'word/document.xml': Buffer.alloc(60 * 1024 * 1024) }), 1024);
+    await assert.rejects(extractDocument(buffer, 'docx'), { status: 413 });
+});
+
+test('QTI packages get the same limits', async () => {
+    const buffer = declareSizes(await buildDocx({ 'imsmanifest.xml': '<manifest/>', 'item.xml': '<assessmentItem/>' }), 0x7fffffff);
+    await assert.rejects(importQuestions(buffer), { status: 413 });
+});
+
+test('slides are read in presentation order with their notes', async () => {
+    const slideXml = (text) => `<p:sld><p:cSld><p:spTree><p:sp><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp></p:spTree></p:cSld></p:sld>`;
+    const buffer = await buildDocx({
+        'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/></p:sldIdLst></p:presentation>',
+        'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId1" Type="slide" Target="slides/slide1.xml"/><Relationship Id="rId2" Type="slide" Target="slides/slide2.xml"/></Relationships>',
+        'ppt/slides/slide1.xml': slideXml('Photosynthesis'),
+        'ppt/slides/slide2.xml': slideXml('Cells'),
+        'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+        'ppt/notesSlides/notesSlide1.xml': slideXml('Mention mitochondria')
+    });
+    assert.strictEqual(await detectFormat(buffer, { originalname: 'deck.pptx' }), 'pptx');
+    const { unit, pages, titles } = await extractDocument(buffer, 'pptx');
+    assert.strictEqual(unit, 'slide');
+    assert.deepStrictEqual(titles, ['Cells', 'Photosynthesis']);
+    assert.deepStrictEqual(pages, ['Cells\n\nNotes: Mention mitochondria', 'Photosynthesis']);
+});
+
+test('Markdown and HTML are split at their top headings', async () => {
+    const markdown = Buffer.from('# Cells\nThe unit of life.\n```\n# not a heading\n```\n## Plants\nThey make sugar.\n');
+    const { titles, totalPages } = await extractDocument(markdown, 'markdown');
+    assert.deepStrictEqual(titles, ['Cells', 'Plants']);
+    assert.strictEqual(totalPages, 2);
+
+    const html = Buffer.from('<!doctype html><html><head><title>x</title></head><body><h1>Cells</h1><p>Life &amp; growth</p><script>hidden()</script><h2>Plants</h2><p>Sugar</p></body></html>');
+    assert.strictEqual(await detectFormat(html, { originalname: 'notes.html' }), 'html');
+    const { pages } = await extractDocument(html, 'html');
+    assert.deepStrictEqual(pages.slice(-2), ['Cells\nLife & growth', 'Plants\nSugar']);
+});
+
+test('legacy, unknown and mislabeled files are refused', async () => {
+    const ole = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0]);
+    await assert.rejects(detectFormat(ole, { originalname: 'old.doc' }), { status: 415, message: 'Unsupported file type' });
+    await assert.rejects(detectFormat(Buffer.from('hello'), { originalname: 'notes.rtf' }), { status: 415 });
+    await assert.rejects(detectFormat(Buffer.from('plain words'), { originalname: 'deck.pptx' }), { status: 415, message: 'File content does not match its type' });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'editing-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+
+let server;
+let baseUrl;
+
+const cell = { question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom'], answer: 'Cell' };
+const sugar = { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'True' };
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'q1', join_code: '123456', user_id: 'owner', content_name: 'Cells', questions: [cell, sugar], created_at: new Date() });
+});
+
+const request = async (method, url, { user = 'owner', body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(user ? { Authorization: `Bearer ${signToken(user)}` } : {}) },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('each edit saves a version and older versions stay readable', async () => {
+    const renamed = await request('PATCH', '/api/quiz/q1', { body: { content_name: 'Biology', question_order: [1, 0] } });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.body.version, 2);
+    assert.deepStrictEqual(renamed.body.questions.map(q => q.question), [sugar.question, cell.question]);
+
+    const replaced = await request('PUT', '/api/quiz/q1/questions/0', { body: { question: { ...sugar, answer: 'False' } } });
+    assert.strictEqual(replaced.body.version, 3);
+
+    const versions = await request('GET', '/api/quiz/q1/versions');
+    assert.deepStrictEqual(versions.body.versions.map(v => [v.version, v.change]), [[3, 'update_question'], [2, 'reorder_questions'], [1, 'created']]);
+    const first = await request('GET', '/api/quiz/q1/versions/1');
+    assert.strictEqual(first.body.content_name, 'Cells');
+    assert.deepStrictEqual(first.body.questions.map(q => q.question), [cell.question, sugar.question]);
+});
+
+test('attempts are graded against the version they were started on', async () => {
+    const started = await request('POST', '/api/quiz/q1/start', { user: null, body: { playerName: 'Ada' } });
+    await request('PUT', '/api/quiz/q1/questions/1', { body: { question: { ...sugar, answer: 'False' } } });
+
+    const attempt = await request('POST', '/api/quiz/q1/attempt', { user: null, body: { sessionId: started.body.session_id, answers: ['Cell', 'True'] } });
+    assert.strictEqual(attempt.body.score, 2);
+    const [score] = await getStore().scores.topForQuiz('q1', 10);
+    assert.strictEqual(score.quiz_version, 1);
+});
+
+test('only the owner edits, and invalid edits change nothing', async () => {
+    assert.strictEqual((await request('PATCH', '/api/quiz/q1', { user: 'someone', body: { content_name: 'Mine' } })).status, 403);
+    assert.strictEqual((await request('DELETE', '/api/quiz/q1', { user: 'someone' })).status, 403);
+
+    const invalid = await request('POST', '/api/quiz/q1/questions', { body: { question: { ...cell, answer: 'Organ' } } });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error, 'Invalid question');
+    assert.strictEqual((await request('PATCH', '/api/quiz/q1', { body: { question_order: [0, 0] } })).status, 400);
+    assert.strictEqual((await getStore().quizzes.findByQuizId('q1')).version, undefined);
+
+    assert.strictEqual((await request('DELETE', '/api/quiz/q1')).status, 200);
+    assert.strictEqual((await request('GET', '/api/quiz/q1')).status, 404);
+});
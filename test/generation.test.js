@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.AI_PROVIDER = 'fixture';
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'generation-test-secret';
+
+const app = require('../server');
+const { getProvider, setProvider } = require('../ai');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+const { uploadsDir } = require('../mockTestPdf');
+const { FREE_GENERATIONS } = require('../metering');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+// Back to the provider AI_PROVIDER selects
+test.afterEach(() => setProvider(null));
+
+const request = async (method, url, { user = 'u1', body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(user)}` },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('AI_PROVIDER picks the provider and unknown names are refused', () => {
+    assert.strictEqual(getProvider().name, 'fixture');
+
+    setProvider(null);
+    process.env.AI_PROVIDER = 'oracle';
+    try {
+        assert.throws(() => getProvider(), /Unknown AI_PROVIDER: oracle. Choose gemini, openai, fixture./);
+    } finally {
+        process.env.AI_PROVIDER = 'fixture';
+    }
+});
+
+test('a quiz is generated from text through the selected provider', async () => {
+    const created = await request('POST', '/api/create_content?wait=true', {
+        body: { text: 'Plants turn light into sugar.', question_type: 'multiple_choice', num_questions: 3, content_name: 'Plants' }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.remaining_free, FREE_GENERATIONS - 1);
+
+    const quiz = await request('GET', `/api/quiz/${created.body.quiz_id}`);
+    assert.strictEqual(quiz.status, 200);
+    assert.strictEqual(quiz.body.questions.length, 3);
+    assert.ok(quiz.body.questions.every(q => q.type === 'multiple_choice' && q.question.startsWith('Fixture question')));
+});
+
+test('a mock test is generated and rendered as a PDF', async () => {
+    const created = await request('POST', '/api/mock-test/generate?wait=true', {
+        body: { topic: 'Cells', description: 'Cell biology', difficulty: 'easy', num_questions: 5 }
+    });
+    assert.strictEqual(created.status, 201);
+    const mockTest = await getStore().mockTests.findByTestId(created.body.test_id);
+    assert.strictEqual(mockTest.test_data.questions.length, 5);
+
+    const pdfPath = path.join(uploadsDir, mockTest.pdf_path);
+    assert.strictEqual(fs.readFileSync(pdfPath).subarray(0, 4).toString(), '%PDF');
+    fs.unlinkSync(pdfPath);
+});
+
+test('provider failures answer 502 and are not charged', async () => {
+    setProvider({ name: 'broken', generateText: async () => 'not json' });
+    const failed = await request('POST', '/api/create_content?wait=true', {
+        body: { text: 'Plants turn light into sugar.', question_type: 'true_false', content_name: 'Plants' }
+    });
+    assert.strictEqual(failed.status, 502);
+    assert.strictEqual(failed.body.charged, false);
+
+    const usage = await request('GET', '/api/user/usage/u1');
+    assert.deepStrictEqual(usage.body.usage.map(entry => entry.status), ['released']);
+
+    const missing = await request('POST', '/api/create_content', { body: { text: 'Plants', content_name: 'Plants' } });
+    assert.strictEqual(missing.status, 400);
+});
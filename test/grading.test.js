@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { gradeAttempt } = require('../grading');
+
+let server;
+let baseUrl;
+
+const questions = [
+    { question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom', 'Organ', 'Tissue'], answer: 'Cell', explanation: 'Cells make up living things.' },
+    { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'True' },
+    { question: 'Pick the gases.', type: 'multi_select', options: ['Oxygen', 'Iron', 'Nitrogen', 'Salt'], answers: ['Oxygen', 'Nitrogen'] }
+];
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'q1', join_code: '123456', user_id: 'owner', content_name: 'Cells', questions, created_at: new Date() });
+});
+
+const post = async (url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('players get the questions without their answers', async () => {
+    const response = await fetch(`${baseUrl}/api/quiz/q1`);
+    const quiz = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(quiz.questions.map(q => q.question), questions.map(q => q.question));
+    for (const q of quiz.questions) {
+        assert.strictEqual(q.answer, undefined);
+        assert.strictEqual(q.answers, undefined);
+        assert.strictEqual(q.explanation, undefined);
+    }
+});
+
+test('attempts are graded on the server', async () => {
+    const started = await post('/api/quiz/q1/start', { playerName: 'Ada' });
+    const attempt = await post('/api/quiz/q1/attempt', {
+        sessionId: started.body.session_id,
+        answers: { 0: 'cell ', 1: 'False', 2: ['Nitrogen', 'Oxygen'] }
+    });
+    assert.strictEqual(attempt.status, 201);
+    assert.strictEqual(attempt.body.score, 2);
+    assert.strictEqual(attempt.body.total_questions, 3);
+    assert.deepStrictEqual(attempt.body.wrong_answers.map(w => [w.question_index, w.selected, w.correct_answer]), [[1, 'False', 'True']]);
+
+    const [score] = (await getStore().scores.topForQuiz('q1', 10));
+    assert.strictEqual(score.score, 2);
+    assert.strictEqual(score.graded, true);
+});
+
+test('attempts without answers or for unknown quizzes are refused', async () => {
+    const started = await post('/api/quiz/q1/start', { playerName: 'Ada' });
+    assert.strictEqual((await post('/api/quiz/q1/attempt', { sessionId: started.body.session_id })).status, 400);
+    assert.strictEqual((await post('/api/quiz/missing/attempt', { sessionId: started.body.session_id, answers: {} })).status, 404);
+    assert.strictEqual((await post('/api/quiz/q1/start', {})).status, 400);
+});
+
+test('unanswered questions earn nothing and are listed as wrong', () => {
+    const grade = gradeAttempt(questions, ['Cell']);
+    assert.strictEqual(grade.score, 1);
+    assert.deepStrictEqual(grade.results.map(r => r.selected), ['Cell', null, null]);
+    assert.strictEqual(grade.wrongAnswers[0].explanation, null);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'ids-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+const { generateId, generateJoinCode, isJoinCode, createWithUniqueIds } = require('../ids');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+const saveQuiz = (quizId, joinCode, visibility) => getStore().quizzes.create({
+    quiz_id: quizId,
+    join_code: joinCode,
+    user_id: 'owner',
+    content_name: quizId,
+    visibility,
+    questions: [],
+    created_at: new Date()
+});
+
+const join = async (joinCode, user) => {
+    const response = await fetch(`${baseUrl}/api/join/${joinCode}`, {
+        headers: user ? { Authorization: `Bearer ${signToken(user)}` } : {}
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('ids are long and url safe, join codes six digits', () => {
+    assert.match(generateId(), /^[A-Za-z0-9_-]{16}$/);
+    const code = generateJoinCode();
+    assert.ok(isJoinCode(code));
+    assert.notStrictEqual(code[0], '0');
+    assert.ok(!isJoinCode('12345') && !isJoinCode('12a456'));
+});
+
+test('taken ids or join codes are drawn again', async () => {
+    await saveQuiz('taken', '111111', 'public');
+    const candidates = [{ quiz_id: 'taken', join_code: '222222' }, { quiz_id: 'fresh', join_code: '111111' }, { quiz_id: 'fresh', join_code: '333333' }];
+    const saved = await createWithUniqueIds(() => ({ ...candidates.shift(), questions: [] }), data => getStore().quizzes.create(data));
+    assert.strictEqual(saved.join_code, '333333');
+    assert.strictEqual((await getStore().quizzes.findByJoinCode('333333')).quiz_id, 'fresh');
+    assert.strictEqual((await getStore().quizzes.findByJoinCode('222222')), null);
+
+    await assert.rejects(createWithUniqueIds(() => ({ quiz_id: 'taken', join_code: '444444' }), data => getStore().quizzes.create(data)), { status: 503 });
+});
+
+test('join codes resolve public quizzes, and hidden ones only for their owner', async () => {
+    await saveQuiz('open', '123456', 'public');
+    await saveQuiz('hidden', '654321', 'unlisted');
+
+    const joined = await join('123456');
+    assert.strictEqual(joined.status, 200);
+    assert.strictEqual(joined.body.quiz_id, 'open');
+    assert.strictEqual((await join('654321')).status, 404);
+    assert.strictEqual((await join('654321', 'owner')).body.quiz_id, 'hidden');
+    assert.strictEqual((await join('999999')).status, 404);
+    assert.strictEqual((await join('abc')).status, 400);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'interchange-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+
+let server;
+let baseUrl;
+
+const questions = [
+    { question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom', 'Organ'], answer: 'Cell', explanation: 'Cells make up living things.' },
+    { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'False' },
+    { question: 'Pick the gases.', type: 'multi_select', options: ['Oxygen', 'Iron', 'Nitrogen'], answers: ['Oxygen', 'Nitrogen'] },
+    { question: 'Water is made of hydrogen and ____.', type: 'fill_blank', answer: 'oxygen', accepted_answers: ['O'] },
+    { question: 'Order the levels.', type: 'ordering', items: ['Cell', 'Tissue', 'Organ'] }
+];
+const flashcards = [
+    { term: 'Cell', definition: 'The unit of life' },
+    { term: 'Atom', definition: 'The unit of matter' }
+];
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'q1', join_code: '123456', user_id: 'owner', content_name: 'Cells', questions, flashcards, created_at: new Date() });
+});
+
+const auth = (user = 'owner') => ({ Authorization: `Bearer ${signToken(user)}` });
+
+const exportQuiz = async (format, user) => {
+    const response = await fetch(`${baseUrl}/api/quiz/q1/export/${format}`, { headers: auth(user) });
+    return { status: response.status, disposition: response.headers.get('content-disposition'), buffer: Buffer.from(await response.arrayBuffer()) };
+};
+
+const importQuiz = async (files, fields = {}) => {
+    const form = new FormData();
+    for (const [field, { buffer, name }] of Object.entries(files)) {
+        form.append(field, new Blob([buffer]), name);
+    }
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${baseUrl}/api/quiz/import`, { method: 'POST', headers: auth(), body: form });
+    return { status: response.status, body: await response.json() };
+};
+
+// What a question asks and accepts, leaving out details a format may not carry
+const toComparable = (q) => ({ question: q.question, type: q.type, answer: q.answer, answers: q.answers, items: q.items });
+
+test('questions survive an export and import in every question format', async () => {
+    for (const [format, fileName] of [['csv', 'Cells.csv'], ['gift', 'Cells.gift'], ['moodle_xml', 'Cells.xml'], ['qti', 'Cells.zip']]) {
+        const exported = await exportQuiz(format);
+        assert.strictEqual(exported.status, 200, format);
+        assert.strictEqual(exported.disposition, `attachment; filename=${fileName}`);
+
+        const imported = await importQuiz({ file: { buffer: exported.buffer, name: fileName } });
+        assert.strictEqual(imported.status, 201, `${format}: ${JSON.stringify(imported.body)}`);
+        assert.strictEqual(imported.body.format, format);
+        const quiz = await getStore().quizzes.findByQuizId(imported.body.quiz_id);
+        assert.deepStrictEqual(quiz.questions.map(toComparable), questions.map(toComparable), format);
+        assert.strictEqual(quiz.source, 'import');
+    }
+});
+
+test('flashcards survive an Anki export and import', async () => {
+    const deck = await exportQuiz('anki');
+    assert.strictEqual(deck.status, 200);
+    const csv = await exportQuiz('csv');
+
+    const imported = await importQuiz({ file: { buffer: csv.buffer, name: 'Cells.csv' }, flashcards: { buffer: deck.buffer, name: 'Cells.apkg' } });
+    assert.deepStrictEqual(imported.body.imported, { questions: 5, flashcards: 2 });
+    const quiz = await getStore().quizzes.findByQuizId(imported.body.quiz_id);
+    assert.deepStrictEqual(quiz.flashcards.map(f => [f.term, f.definition]), flashcards.map(f => [f.term, f.definition]));
+});
+
+test('unknown formats, other users and invalid items are refused', async () => {
+    assert.strictEqual((await exportQuiz('docx')).status, 400);
+    assert.strictEqual((await exportQuiz('csv', 'someone')).status, 403);
+
+    const csv = Buffer.from('type,question,options,answer\nmultiple_choice,Unit of life?,Cell|Atom,Organ\ntrue_false,Plants make sugar.,,True\n');
+    const invalid = await importQuiz({ file: { buffer: csv, name: 'bank.csv' } });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error, 'Some items could not be imported');
+    assert.strictEqual(invalid.body.details.length, 1);
+
+    const skipped = await importQuiz({ file: { buffer: csv, name: 'bank.csv' } }, { skip_invalid: 'true' });
+    assert.strictEqual(skipped.status, 201);
+    assert.deepStrictEqual(skipped.body.imported, { questions: 1, flashcards: 0 });
+
+    assert.strictEqual((await importQuiz({ file: { buffer: Buffer.from('just some text'), name: 'notes.bin' } })).status, 400);
+});
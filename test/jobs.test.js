@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.AI_PROVIDER = 'fixture';
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'jobs-test-secret';
+
+const app = require('../server');
+const { setProvider } = require('../ai');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+const { FREE_GENERATIONS } = require('../metering');
+const { waitForJob } = require('../jobs');
+const { saveJobUpload, sweepJobUploads } = require('../contentJobs');
+const { uploadsDir } = require('../mockTestPdf');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+test.afterEach(() => setProvider(null));
+
+const request = async (method, url, { user = 'u1', body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(user)}` },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const createContent = (query = '') => request('POST', `/api/create_content${query}`, {
+    body: { text: 'Cells are the basic unit of life.', question_type: 'true_false', content_name: 'Cells', num_questions: 2 }
+});
+
+// Poll a job until it has succeeded or failed
+const pollJob = async (jobId) => {
+    for (;;) {
+        const { body } = await request('GET', `/api/jobs/${jobId}`);
+        if (body.status === 'succeeded' || body.status === 'failed') {
+            return body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+const freeLeft = async () => (await getStore().users.get('u1')).free_generations_remaining;
+
+test('generation requests are queued and their job is polled to the result', async () => {
+    const accepted = await createContent();
+    assert.strictEqual(accepted.status, 202);
+    assert.strictEqual(accepted.body.status, 'queued');
+    assert.strictEqual(accepted.body.status_url, `/api/jobs/${accepted.body.job_id}`);
+
+    const finished = await pollJob(accepted.body.job_id);
+    assert.strictEqual(finished.status, 'succeeded');
+    assert.strictEqual(finished.attempts, 1);
+    const quiz = await getStore().quizzes.findByQuizId(finished.result.quiz_id);
+    assert.strictEqual(quiz.questions.length, 2);
+
+    const events = await fetch(`${baseUrl}${finished.events_url}?access_token=${signToken('u1')}`);
+    assert.match(await events.text(), /^event: succeeded\ndata: /);
+    assert.deepStrictEqual((await request('GET', '/api/jobs')).body.jobs.map(j => j.job_id), [finished.job_id]);
+
+    assert.strictEqual((await request('GET', `/api/jobs/${finished.job_id}`, { user: 'u2' })).status, 403);
+    assert.strictEqual((await request('GET', '/api/jobs/missing')).status, 404);
+});
+
+test('failed jobs give their generation back and can be retried once they failed', async () => {
+    setProvider({ name: 'down', generateText: async () => { throw new Error('model down'); } });
+    const accepted = await createContent();
+    const failed = await pollJob(accepted.body.job_id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error.status, 500);
+    assert.strictEqual(await freeLeft(), FREE_GENERATIONS);
+
+    setProvider(null);
+    assert.strictEqual((await request('POST', `/api/jobs/${failed.job_id}/retry`, { user: 'u2' })).status, 403);
+    const retried = await request('POST', `/api/jobs/${failed.job_id}/retry?wait=true`);
+    assert.strictEqual(retried.status, 201);
+    assert.strictEqual(retried.body.job_id, failed.job_id);
+    assert.strictEqual((await request('GET', `/api/jobs/${failed.job_id}`)).body.attempts, 2);
+    assert.strictEqual(await freeLeft(), FREE_GENERATIONS - 1);
+
+    const again = await request('POST', `/api/jobs/${failed.job_id}/retry`);
+    assert.strictEqual(again.status, 409);
+});
+
+test('waiting gives up with a 504 while the job keeps running', async () => {
+    await getStore().jobs.create('slow', { job_id: 'slow', user_id: 'u1', type: 'create_content', status: 'running', created_at: new Date(), updated_at: new Date() });
+    await assert.rejects(waitForJob('slow', 0.05), { status: 504 });
+    assert.strictEqual((await getStore().jobs.get('slow')).status, 'running');
+});
+
+test('old uploads are swept unless their job is still waiting to use them', async () => {
+    const jobUploadsDir = path.join(uploadsDir, 'jobs');
+    await getStore().jobs.create('done', { job_id: 'done', status: 'failed' });
+    await getStore().jobs.create('waiting', { job_id: 'waiting', status: 'queued' });
+    for (const jobId of ['done', 'waiting', 'orphan']) {
+        await saveJobUpload(jobId, Buffer.from('notes'));
+    }
+    try {
+        assert.strictEqual(await sweepJobUploads(), 0);
+        assert.strictEqual(await sweepJobUploads(Date.now() + 25 * 60 * 60 * 1000), 2);
+        assert.deepStrictEqual(fs.readdirSync(jobUploadsDir), ['waiting.upload']);
+    } finally {
+        fs.rmSync(path.join(jobUploadsDir, 'waiting.upload'), { force: true });
+    }
+});
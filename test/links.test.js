@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'links-test-secret';
+process.env.PUBLIC_BASE_URL = 'https://quiz.example.com/';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { quizLink, mockTestAttemptsLink, mockTestDownloadLink, renderQrCode } = require('../links');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'open', join_code: '123456', user_id: 'owner', content_name: 'Open', visibility: 'public', questions: [], created_at: new Date() });
+    await getStore().quizzes.create({ quiz_id: 'hidden', join_code: '654321', user_id: 'owner', content_name: 'Hidden', visibility: 'private', questions: [], created_at: new Date() });
+    await getStore().mockTests.create({ test_id: 't1', user_id: 'owner', topic: 'Cells', created_at: new Date(), test_data: { questions: [] } });
+});
+
+const getQr = async (url) => {
+    const response = await fetch(`${baseUrl}${url}`);
+    return { status: response.status, contentType: response.headers.get('content-type'), body: Buffer.from(await response.arrayBuffer()) };
+};
+
+// The SVG the routes should send for `link`
+const expectedSvg = async (link, size) => Buffer.from((await renderQrCode(link, { format: 'svg', size })).body);
+
+test('links use the public base url', () => {
+    assert.strictEqual(quizLink('q1', 'a b'), 'https://quiz.example.com/api/quiz/q1?share=a%20b');
+    assert.strictEqual(mockTestAttemptsLink('t1'), 'https://quiz.example.com/api/mock-test/t1/attempts');
+});
+
+test('quiz and mock test QR codes encode their links', async () => {
+    const png = await getQr('/api/quiz/open/qr');
+    assert.strictEqual(png.status, 200);
+    assert.strictEqual(png.contentType, 'image/png');
+    assert.deepStrictEqual(png.body.subarray(0, 4), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    const svg = await getQr('/api/quiz/open/qr?format=svg&size=128');
+    assert.strictEqual(svg.contentType, 'image/svg+xml; charset=utf-8');
+    assert.deepStrictEqual(svg.body, await expectedSvg(quizLink('open'), 128));
+
+    assert.deepStrictEqual((await getQr('/api/mock-test/t1/qr?format=svg')).body, await expectedSvg(mockTestAttemptsLink('t1'), 256));
+    assert.deepStrictEqual((await getQr('/api/mock-test/t1/qr?format=svg&target=download')).body, await expectedSvg(mockTestDownloadLink('t1'), 256));
+});
+
+test('hidden or unknown content and bad formats or sizes get no QR code', async () => {
+    assert.strictEqual((await getQr('/api/quiz/hidden/qr')).status, 404);
+    assert.strictEqual((await getQr('/api/quiz/missing/qr')).status, 404);
+    assert.strictEqual((await getQr('/api/mock-test/missing/qr')).status, 404);
+    assert.strictEqual((await getQr('/api/quiz/open/qr?format=gif')).status, 400);
+    assert.strictEqual((await getQr('/api/quiz/open/qr?size=10')).status, 400);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+
+process.env.AUTH_JWT_SECRET = 'live-test-secret';
+
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { setVerifier } = require('../auth');
+const { signToken, createLocalVerifier } = require('../auth/local');
+const { LIVE_PATH, createRoom, attachLiveRooms } = require('../liveRooms');
+
+let server;
+let liveUrl;
+const sockets = [];
+
+const quiz = {
+    quiz_id: 'q1',
+    user_id: 'host',
+    content_name: 'Cells',
+    questions: [{ question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom', 'Organ', 'Tissue'], answer: 'Cell' }]
+};
+
+test.before(async () => {
+    setVerifier(createLocalVerifier());
+    server = http.createServer();
+    attachLiveRooms(server);
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    liveUrl = `ws://localhost:${server.address().port}${LIVE_PATH}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+// Close what a failed test left open, or the server would wait for it
+test.afterEach(() => sockets.splice(0).forEach(socket => socket.terminate()));
+
+// WebSocket client whose `receive(type)` resolves with the next message of that type
+const connect = async () => {
+    const socket = new WebSocket(liveUrl);
+    sockets.push(socket);
+    const messages = [];
+    const waiting = [];
+    socket.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        const index = waiting.findIndex(w => w.type === message.type);
+        if (index >= 0) {
+            waiting.splice(index, 1)[0].resolve(message);
+        } else {
+            messages.push(message);
+        }
+    });
+    await new Promise(resolve => socket.once('open', resolve));
+    return {
+        send: (message) => socket.send(JSON.stringify(message)),
+        receive: (type) => {
+            const index = messages.findIndex(m => m.type === type);
+            if (index >= 0) {
+                return Promise.resolve(messages.splice(index, 1)[0]);
+            }
+            return new Promise(resolve => waiting.push({ type, resolve }));
+        }
+    };
+};
+
+test('"next" in the lobby starts the game, which is played to the end', async () => {
+    const room = await createRoom(quiz, 'host');
+    const host = await connect();
+    host.send({ type: 'host', room_id: room.room_id, access_token: signToken('host') });
+    await host.receive('hosting');
+    const player = await connect();
+    player.send({ type: 'join', join_code: room.join_code, nickname: 'Ada' });
+    await player.receive('joined');
+
+    host.send({ type: 'next' });
+    const question = await player.receive('question');
+    assert.strictEqual(question.question_index, 0);
+    const running = await getStore().liveRooms.get(room.room_id);
+    assert.strictEqual(running.status, 'running');
+    assert.ok(running.started_at instanceof Date);
+
+    player.send({ type: 'answer', question_index: 0, answer: 'Cell' });
+    await host.receive('question_results');
+    host.send({ type: 'next' });
+    const finished = await player.receive('finished');
+    assert.strictEqual(finished.standings[0].nickname, 'Ada');
+    assert.strictEqual(finished.standings[0].score, 1);
+
+    const stored = await getStore().liveRooms.get(room.room_id);
+    assert.strictEqual(stored.status, 'finished');
+    assert.strictEqual(stored.questions_played, 1);
+});
+
+test('only the host controls a room and a game starts once', async () => {
+    const room = await createRoom(quiz, 'host');
+    const intruder = await connect();
+    intruder.send({ type: 'host', room_id: room.room_id, access_token: signToken('someone') });
+    assert.strictEqual((await intruder.receive('error')).error, 'Only the host can control this room');
+
+    const player = await connect();
+    player.send({ type: 'join', join_code: room.join_code, nickname: 'Ada' });
+    await player.receive('joined');
+    player.send({ type: 'start' });
+    assert.strictEqual((await player.receive('error')).error, 'Unknown message type: start');
+
+    const host = await connect();
+    host.send({ type: 'host', room_id: room.room_id, access_token: signToken('host') });
+    await host.receive('hosting');
+    host.send({ type: 'start' });
+    await host.receive('question');
+    host.send({ type: 'start' });
+    assert.strictEqual((await host.receive('error')).error, 'The game has already started');
+
+    host.send({ type: 'end' });
+    await player.receive('finished');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { FREE_GENERATIONS, reserveGeneration, commitGeneration, releaseGeneration } = require('../metering');
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+const freeLeft = async (userId) => (await getStore().users.get(userId)).free_generations_remaining;
+
+test('parallel requests cannot spend more free generations than are left', async () => {
+    const results = await Promise.all(Array.from({ length: FREE_GENERATIONS + 3 }, () => reserveGeneration('u1', '/api/create_content')));
+    assert.strictEqual(results.filter(r => r.canGenerate).length, FREE_GENERATIONS);
+    assert.strictEqual(await freeLeft('u1'), 0);
+
+    const refused = results.find(r => !r.canGenerate);
+    assert.strictEqual(refused.reservationId, null);
+    assert.match(refused.limitDetails, /used all your free generations/);
+});
+
+test('a committed generation stays spent', async () => {
+    const { reservationId } = await reserveGeneration('u1', '/api/create_content');
+    await commitGeneration(reservationId, { resourceType: 'quiz', resourceId: 'q1', tokensUsed: 120 });
+    await releaseGeneration(reservationId, new Error('too late'));
+    assert.strictEqual(await freeLeft('u1'), FREE_GENERATIONS - 1);
+
+    const [entry] = await getStore().usage.listByUser('u1', 10);
+    assert.strictEqual(entry.status, 'committed');
+    assert.strictEqual(entry.resource_id, 'q1');
+    await assert.rejects(commitGeneration(reservationId), { status: 409 });
+});
+
+test('a failed generation is given back once', async () => {
+    const { reservationId } = await reserveGeneration('u1', '/api/create_content');
+    await releaseGeneration(reservationId, new Error('model down'));
+    await releaseGeneration(reservationId, new Error('model down'));
+    assert.strictEqual(await freeLeft('u1'), FREE_GENERATIONS);
+
+    const [entry] = await getStore().usage.listByUser('u1', 10);
+    assert.strictEqual(entry.status, 'released');
+    assert.strictEqual(entry.error, 'model down');
+    await assert.rejects(commitGeneration(reservationId), { status: 409 });
+});
+
+test('plan quotas are reserved the same way', async () => {
+    await getStore().users.set('u1', {
+        user_id: 'u1',
+        free_generations_remaining: 0,
+        subscription_status: 'active',
+        subscription_expiry: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        plan_generations_remaining: 1
+    });
+    const first = await reserveGeneration('u1', '/api/create_content');
+    assert.strictEqual(first.canGenerate, true);
+    assert.strictEqual(first.remainingPlan, 0);
+    const second = await reserveGeneration('u1', '/api/create_content');
+    assert.strictEqual(second.canGenerate, false);
+    assert.match(second.limitDetails, /included in your plan/);
+});
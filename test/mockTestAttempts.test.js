@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'mock-attempts-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+
+let server;
+let baseUrl;
+
+const mockQuestion = (n, correct) => ({
+    question_number: n,
+    question: `Question ${n}?`,
+    options: ['A) Cell', 'B) Atom', 'C) Organ', 'D) Tissue'],
+    correct_answer: correct,
+    explanation: `Explanation ${n}.`
+});
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().mockTests.create({
+        test_id: 't1',
+        user_id: 'author',
+        topic: 'Cells',
+        difficulty: 'Medium',
+        created_at: new Date(),
+        test_data: { topic: 'Cells', time_allowed: '10 minutes', questions: [mockQuestion(1, 'A'), mockQuestion(2, 'B'), mockQuestion(3, 'C')] }
+    });
+});
+
+const request = async (method, url, { user = 'u1', body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(user)}` },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('an attempt is started, autosaved, resumed and graded on submit', async () => {
+    const started = await request('POST', '/api/mock-test/t1/attempts');
+    assert.strictEqual(started.status, 201);
+    assert.strictEqual(started.body.time_limit_minutes, 10);
+    assert.strictEqual(started.body.questions.length, 3);
+    assert.strictEqual(started.body.questions[0].correct_answer, undefined);
+    const attemptUrl = `/api/mock-test/attempts/${started.body.attempt_id}`;
+
+    const saved = await request('PUT', `${attemptUrl}/answers`, { body: { answers: { 0: 'a', 1: 'Organ' } } });
+    assert.deepStrictEqual(saved.body.answers, { 0: 'A', 1: 'C' });
+    assert.deepStrictEqual((await request('GET', attemptUrl)).body.answers, { 0: 'A', 1: 'C' });
+
+    const submitted = await request('POST', `${attemptUrl}/submit`, { body: { answers: { 1: 'B', 2: 'D' } } });
+    assert.strictEqual(submitted.status, 200);
+    assert.strictEqual(submitted.body.status, 'submitted');
+    assert.strictEqual(submitted.body.score, 2);
+    assert.strictEqual(submitted.body.total_questions, 3);
+    assert.deepStrictEqual(submitted.body.results.map(r => [r.selected, r.correct_answer, r.correct]), [['A', 'A', true], ['B', 'B', true], ['D', 'C', false]]);
+    assert.strictEqual(submitted.body.results[2].explanation, 'Explanation 3.');
+
+    const [listed] = (await request('GET', '/api/mock-test/t1/attempts')).body.attempts;
+    assert.strictEqual(listed.score, 2);
+    assert.strictEqual((await getStore().outcomes.listByUser('u1', 10)).length, 3);
+});
+
+test('attempts belong to their user, take only known options and are submitted once', async () => {
+    assert.strictEqual((await request('POST', '/api/mock-test/missing/attempts')).status, 404);
+    const started = await request('POST', '/api/mock-test/t1/attempts');
+    const attemptUrl = `/api/mock-test/attempts/${started.body.attempt_id}`;
+
+    assert.strictEqual((await request('GET', attemptUrl, { user: 'u2' })).status, 404);
+    assert.strictEqual((await request('PUT', `${attemptUrl}/answers`, { body: { answers: { 0: 'E' } } })).status, 400);
+    assert.strictEqual((await request('PUT', `${attemptUrl}/answers`, { body: { answers: { 7: 'A' } } })).status, 400);
+
+    assert.strictEqual((await request('POST', `${attemptUrl}/submit`, { body: {} })).status, 200);
+    const again = await request('POST', `${attemptUrl}/submit`, { body: {} });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.error, 'Mock test already submitted');
+});
+
+test('attempts past their deadline are graded with the answers saved in time', async () => {
+    const started = await request('POST', '/api/mock-test/t1/attempts');
+    const attemptUrl = `/api/mock-test/attempts/${started.body.attempt_id}`;
+    await request('PUT', `${attemptUrl}/answers`, { body: { answers: { 0: 'A' } } });
+    await getStore().mockTestAttempts.claim(started.body.attempt_id, () => ({ deadline: new Date(Date.now() - 10 * 60 * 1000) }));
+
+    const expired = await request('GET', attemptUrl);
+    assert.strictEqual(expired.body.status, 'expired');
+    assert.strictEqual(expired.body.in_time, false);
+    assert.strictEqual(expired.body.score, 1);
+
+    const late = await request('POST', `${attemptUrl}/submit`, { body: { answers: { 1: 'B' } } });
+    assert.strictEqual(late.status, 409);
+});
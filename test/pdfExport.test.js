@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'pdf-export-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+const { extractPdfPages } = require('../pdfText');
+
+let server;
+let baseUrl;
+
+const questions = [
+    { question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom', 'Organ'], answer: 'Cell', explanation: 'Cells make up living things.' },
+    { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'True' },
+    { question: 'Order the levels.', type: 'ordering', items: ['Cell', 'Tissue', 'Organ'] }
+];
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'q1', join_code: '123456', user_id: 'owner', content_name: 'Cells', questions, created_at: new Date() });
+});
+
+const exportPdf = async (body, { user = 'owner', quizId = 'q1' } = {}) => {
+    const response = await fetch(`${baseUrl}/api/quiz/${quizId}/export/pdf`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(user)}` },
+        body: JSON.stringify(body)
+    });
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return {
+        status: response.status,
+        contentType: response.headers.get('content-type'),
+        disposition: response.headers.get('content-disposition'),
+        buffer
+    };
+};
+
+const pdfText = async (buffer) => (await extractPdfPages(buffer)).pages.join('\n');
+
+test('a quiz is exported as one branded PDF with the answer key at the end', async () => {
+    const exported = await exportPdf({ title: 'Unit test', school_name: 'Hill School', student_fields: 'Name,Class' });
+    assert.strictEqual(exported.status, 200);
+    assert.strictEqual(exported.contentType, 'application/pdf');
+    assert.strictEqual(exported.disposition, 'attachment; filename=quiz_q1.pdf');
+
+    const text = await pdfText(exported.buffer);
+    for (const expected of ['Hill School', 'Unit test', 'Class:', '1. Unit of life?', 'Answer Key', '1. Correct Answer: A', 'Explanation: Cells make up living things.']) {
+        assert.ok(text.includes(expected), `missing "${expected}"`);
+    }
+});
+
+test('shuffled sets come zipped with separate keys and are the same on every export', async () => {
+    const options = { variants: 2, answer_key: 'separate' };
+    const first = await JSZip.loadAsync((await exportPdf(options)).buffer);
+    assert.deepStrictEqual(Object.keys(first.files).sort(), [
+        'quiz_q1_set_A.pdf',
+        'quiz_q1_set_A_answer_key.pdf',
+        'quiz_q1_set_B.pdf',
+        'quiz_q1_set_B_answer_key.pdf'
+    ]);
+    assert.ok(!(await pdfText(await first.file('quiz_q1_set_A.pdf').async('nodebuffer'))).includes('Answer Key'));
+
+    const second = await JSZip.loadAsync((await exportPdf(options)).buffer);
+    const keyOf = async (zip) => pdfText(await zip.file('quiz_q1_set_B_answer_key.pdf').async('nodebuffer'));
+    assert.strictEqual(await keyOf(second), await keyOf(first));
+});
+
+test('invalid options, other users and empty quizzes are refused', async () => {
+    const invalid = await exportPdf({ variants: 11, answer_key: 'hidden' });
+    assert.strictEqual(invalid.status, 400);
+    const { error, details } = JSON.parse(invalid.buffer);
+    assert.strictEqual(error, 'Invalid export options');
+    assert.strictEqual(details.length, 2);
+
+    assert.strictEqual((await exportPdf({}, { user: 'someone' })).status, 403);
+
+    await getStore().quizzes.create({ quiz_id: 'empty', join_code: '654321', user_id: 'owner', content_name: 'Empty', questions: [], created_at: new Date() });
+    assert.strictEqual((await exportPdf({}, { quizId: 'empty' })).status, 400);
+});
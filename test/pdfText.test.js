@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFDocument = require('pdfkit');
+
+process.env.AI_PROVIDER = 'fixture';
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'pdf-text-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+const { extractPdfPages, selectPages } = require('../pdfText');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => setStore(createRepositories(createJsonDriver())));
+
+// A PDF with one page per entry of `texts` (empty strings make pages without text)
+const buildPdf = (texts) => new Promise((resolve) => {
+    const doc = new PDFDocument({ autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    for (const text of texts) {
+        doc.addPage();
+        if (text) {
+            doc.text(text);
+        }
+    }
+    doc.end();
+});
+
+const upload = async (buffer, query) => {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: 'application/pdf' }), 'notes.pdf');
+    form.append('content_name', 'Notes');
+    form.append('question_type', 'true_false');
+    form.append('num_questions', '2');
+    const response = await fetch(`${baseUrl}/api/upload?wait=true&${query}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${signToken('u1')}` },
+        body: form
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('each page is read on its own, up to the last page asked for', async () => {
+    const buffer = await buildPdf(['Cells are the unit of life.', 'Atoms make up matter.', 'Organs are made of tissues.']);
+    const all = await extractPdfPages(buffer);
+    assert.strictEqual(all.totalPages, 3);
+    assert.deepStrictEqual(all.pages, ['Cells are the unit of life.', 'Atoms make up matter.', 'Organs are made of tissues.']);
+
+    const firstTwo = await extractPdfPages(buffer, { lastPage: 2 });
+    assert.strictEqual(firstTwo.totalPages, 3);
+    assert.strictEqual(firstTwo.pages.length, 2);
+
+    // The same bytes in the middle of a larger ArrayBuffer, as with small uploads taken from Node's Buffer pool
+    const offset = Buffer.concat([Buffer.alloc(16), buffer]).subarray(16);
+    assert.deepStrictEqual((await extractPdfPages(offset)).pages, all.pages);
+
+    const selected = selectPages(all.pages, 2, 3);
+    assert.strictEqual(selected.text, 'Atoms make up matter.\n\nOrgans are made of tissues.');
+    assert.deepStrictEqual(selected.charactersPerPage, [{ page: 2, characters: 21 }, { page: 3, characters: 27 }]);
+});
+
+test('pages without text and unreadable files are refused', async () => {
+    const { pages } = await extractPdfPages(await buildPdf(['Cells are the unit of life.', '']));
+    assert.throws(() => selectPages(pages, 2, 2), { status: 422 });
+    await assert.rejects(extractPdfPages(Buffer.from('%PDF-1.4 not really')), { status: 400 });
+});
+
+test('uploads generate from the requested page range only', async () => {
+    const buffer = await buildPdf(['Cells are the unit of life.', 'Atoms make up matter.', 'Organs are made of tissues.']);
+    const created = await upload(buffer, 'startPage=2&endPage=3');
+    assert.strictEqual(created.status, 201);
+    const quiz = await getStore().quizzes.findByQuizId(created.body.quiz_id);
+    assert.deepStrictEqual(quiz.document_details.processed_pages, { start: 2, end: 3 });
+    assert.deepStrictEqual(quiz.document_details.characters_per_page.map(p => p.page), [2, 3]);
+
+    assert.strictEqual((await upload(buffer, 'startPage=3&endPage=2')).status, 400);
+    const beyond = await upload(buffer, 'startPage=5');
+    assert.strictEqual(beyond.status, 400);
+    assert.strictEqual(beyond.body.error, 'Invalid page range');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'practice-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+const { rankWeakQuestions } = require('../practice');
+
+let server;
+let baseUrl;
+
+const questions = [
+    { question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom'], answer: 'Cell', difficulty: 'easy', tags: ['cells'] },
+    { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'True', difficulty: 'medium', tags: ['plants'] },
+    { question: 'Cells divide by mitosis.', type: 'true_false', options: ['True', 'False'], answer: 'True', difficulty: 'hard', tags: ['cells'] }
+];
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'q1', join_code: '123456', user_id: 'owner', content_name: 'Biology', visibility: 'public', questions, created_at: new Date() });
+});
+
+const request = async (method, url, { user = 'u1', body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(user)}` },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const playQuiz = async (answers) => {
+    const started = await request('POST', '/api/quiz/q1/start', { body: { playerName: 'Ada' } });
+    return request('POST', '/api/quiz/q1/attempt', { body: { sessionId: started.body.session_id, answers } });
+};
+
+test('missed questions are practiced, and practice answers are recorded too', async () => {
+    await playQuiz({ 0: 'Atom', 1: 'False', 2: 'False' });
+    await playQuiz({ 0: 'Atom', 1: 'True', 2: 'True' });
+
+    const weaknesses = await request('GET', '/api/practice/weaknesses');
+    assert.strictEqual(weaknesses.status, 200);
+    assert.deepStrictEqual(weaknesses.body.questions.map(q => [q.question, q.misses]), [['Unit of life?', 2], ['Cells divide by mitosis.', 1], ['Plants make sugar.', 1]]);
+    assert.deepStrictEqual(weaknesses.body.topics.map(t => t.tag), ['cells', 'plants']);
+
+    const practice = await request('POST', '/api/practice', { body: { tag: 'cells' } });
+    assert.strictEqual(practice.status, 201);
+    assert.deepStrictEqual(practice.body.questions.map(q => q.question), ['Unit of life?', 'Cells divide by mitosis.']);
+    assert.strictEqual(practice.body.questions[0].answer, undefined);
+
+    const attempt = await request('POST', `/api/practice/${practice.body.practice_id}/attempt`, { body: { answers: { 0: 'Cell', 1: 'False' } } });
+    assert.strictEqual(attempt.status, 201);
+    assert.strictEqual(attempt.body.score, 1);
+    assert.strictEqual((await getStore().outcomes.listByUser('u1', 100)).length, 8);
+});
+
+test('practice needs missed questions and is submitted once by its owner', async () => {
+    const empty = await request('POST', '/api/practice', { body: {} });
+    assert.strictEqual(empty.status, 404);
+
+    await playQuiz({ 0: 'Atom' });
+    const practice = await request('POST', '/api/practice', { body: {} });
+    const url = `/api/practice/${practice.body.practice_id}/attempt`;
+    assert.strictEqual((await request('POST', url, { user: 'u2', body: { answers: {} } })).status, 404);
+    assert.strictEqual((await request('POST', url, { body: {} })).status, 400);
+    assert.strictEqual((await request('POST', url, { body: { answers: {} } })).status, 201);
+    assert.strictEqual((await request('POST', url, { body: { answers: {} } })).status, 409);
+});
+
+test('older misses count for less and correct answers make up for misses', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const outcome = (question_key, credit, answered_at) => ({ source_type: 'quiz', source_id: 'q1', question_key, tags: [], credit, answered_at });
+
+    const ranking = rankWeakQuestions([
+        outcome('old', 0, daysAgo(28)),
+        outcome('recent', 0, daysAgo(1)),
+        outcome('fixed', 0, daysAgo(2)),
+        outcome('fixed', 1, daysAgo(1)),
+        outcome('fixed', 1, daysAgo(1))
+    ], {}, now);
+    assert.deepStrictEqual(ranking.questions.map(q => q.question_key), ['recent', 'old']);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+
+let server;
+let baseUrl;
+
+const questions = [
+    {
+        question: 'Unit of life?',
+        type: 'multiple_choice',
+        options: ['Cell', 'Atom'],
+        answer: 'Cell',
+        explanation: 'Cells make up living things.',
+        difficulty: 'easy',
+        tags: ['cells'],
+        source: { section: 1, page: 2, pages: { start: 2, end: 2 }, snippet: 'The cell is the unit of life.' }
+    },
+    { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'True', difficulty: 'hard', tags: ['plants', 'energy'] },
+    { question: 'Cells divide by mitosis.', type: 'true_false', options: ['True', 'False'], answer: 'True', difficulty: 'hard', tags: ['cells'] }
+];
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({ quiz_id: 'q1', join_code: '123456', user_id: 'owner', content_name: 'Cells', questions, created_at: new Date() });
+});
+
+const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('quizzes list their tags and difficulties and filter by them', async () => {
+    const quiz = await request('GET', '/api/quiz/q1?tag=CELLS&difficulty=hard');
+    assert.strictEqual(quiz.status, 200);
+    assert.deepStrictEqual(quiz.body.questions.map(q => q.question_index), [2]);
+    assert.deepStrictEqual(quiz.body.filters, { tags: { cells: 2, plants: 1, energy: 1 }, difficulties: { easy: 1, hard: 2 } });
+
+    const either = await request('GET', '/api/quiz/q1?tag=plants,cells');
+    assert.deepStrictEqual(either.body.questions.map(q => q.question_index), [0, 1, 2]);
+});
+
+test('filtered sessions play and grade only the matching questions, with explanations for mistakes', async () => {
+    const started = await request('POST', '/api/quiz/q1/start', { playerName: 'Ada', tag: 'cells' });
+    assert.strictEqual(started.status, 201);
+    assert.deepStrictEqual(started.body.questions.map(q => q.question_index), [0, 2]);
+
+    const attempt = await request('POST', '/api/quiz/q1/attempt', { sessionId: started.body.session_id, answers: { 0: 'Atom', 1: 'True', 2: 'True' } });
+    assert.strictEqual(attempt.body.score, 1);
+    assert.strictEqual(attempt.body.total_questions, 2);
+    const [wrong] = attempt.body.wrong_answers;
+    assert.strictEqual(wrong.explanation, 'Cells make up living things.');
+    assert.strictEqual(wrong.difficulty, 'easy');
+    assert.deepStrictEqual(wrong.tags, ['cells']);
+    assert.strictEqual(wrong.source.snippet, 'The cell is the unit of life.');
+});
+
+test('unknown difficulties and filters matching nothing are refused', async () => {
+    assert.strictEqual((await request('GET', '/api/quiz/q1?difficulty=extreme')).status, 400);
+
+    const none = await request('POST', '/api/quiz/q1/start', { playerName: 'Ada', tag: 'atoms' });
+    assert.strictEqual(none.status, 400);
+    assert.strictEqual(none.body.error, 'No questions match the filter');
+    assert.deepStrictEqual(none.body.filters.difficulties, { easy: 1, hard: 2 });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getQuestionType, parseQuestionTypes, buildMatchingQuestions } = require('../questionTypes');
+const { validateQuestion } = require('../schema');
+
+const flashcards = [
+    { term: 'Cell', definition: 'Unit of life' },
+    { term: 'Atom', definition: 'Unit of matter' },
+    { term: 'cell ', definition: 'Repeats an earlier term' },
+    { term: 'Molecule', definition: 'unit of  MATTER' },
+    { term: 'Organ', definition: 'Group of tissues' },
+    { term: 'Tissue', definition: 'Group of cells' }
+];
+
+test('matching questions skip repeated terms and definitions and pass validation', () => {
+    const questions = buildMatchingQuestions(flashcards, 2);
+    assert.strictEqual(questions.length, 2);
+    assert.deepStrictEqual(questions.flatMap(q => q.pairs.map(p => p.term)), ['Cell', 'Atom', 'Organ', 'Tissue']);
+    for (const q of questions) {
+        assert.deepStrictEqual(validateQuestion(q, { qType: 'matching' }), []);
+    }
+});
+
+test('matching questions with the same text are shuffled by their own terms', () => {
+    const matching = getQuestionType('matching');
+    const orders = ['ABCD', 'EFGH', 'IJKL', 'MNOP', 'QRST', 'UVWX'].map((letters) => {
+        const q = {
+            question: 'Match each term with its definition.',
+            pairs: [...letters].map(term => ({ term, definition: `Meaning of ${term}` }))
+        };
+        return matching.toPlayable(q).options.map(option => q.pairs.findIndex(p => p.definition === option)).join('');
+    });
+    assert.ok(new Set(orders).size > 1);
+});
+
+test('matching answers earn credit per pair', () => {
+    const matching = getQuestionType('matching');
+    const q = buildMatchingQuestions(flashcards, 1)[0];
+    const right = Object.fromEntries(q.pairs.map(p => [p.term, p.definition]));
+    assert.strictEqual(matching.grade(q, right), 1);
+    assert.strictEqual(matching.grade(q, { ...right, Cell: 'Unit of matter' }), 0.75);
+    assert.strictEqual(matching.grade(q, {}), 0);
+});
+
+test('duplicate pairs and unknown question types are rejected', () => {
+    const q = {
+        question: 'Match each term with its definition.',
+        type: 'matching',
+        pairs: [{ term: 'Cell', definition: 'Unit of life' }, { term: 'cell', definition: 'Unit of matter' }]
+    };
+    assert.deepStrictEqual(validateQuestion(q, { qType: 'matching' }), ['question: matching terms and definitions must be unique']);
+    assert.throws(() => parseQuestionTypes('riddle'), { status: 400 });
+});
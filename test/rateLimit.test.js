@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.RATE_LIMITS = JSON.stringify({
+    ip: { capacity: 100, refill_per_minute: 1 },
+    plans: { free: { capacity: 3, refill_per_minute: 0.01, max_in_flight: 1 } },
+    routes: { join: { ip: { capacity: 2, refill_per_minute: 0.01 } } }
+});
+
+const { setStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { limitGeneration, limitByIp, keepGenerationSlot, setRateLimitBackend } = require('../rateLimit');
+const { createMemoryBackend } = require('../rateLimit/memory');
+
+let server;
+let baseUrl;
+
+// Generation route whose handler answers with the status the test asks for. With `hold`, it keeps its
+// slot the way a queued job does, so later requests find none free.
+const app = express();
+app.use(express.json());
+app.post('/generate/:userId', (req, res, next) => {
+    req.user = { uid: req.params.userId };
+    next();
+}, limitGeneration('test'), (req, res) => {
+    if (req.body.hold) {
+        keepGenerationSlot(req);
+    }
+    res.status(req.body.status || 202).json({ ok: true });
+});
+app.get('/lookup', limitByIp('join'), (req, res) => res.status(404).json({ error: 'Not found' }));
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+    setStore(createRepositories(createJsonDriver()));
+    setRateLimitBackend(createMemoryBackend());
+});
+
+const generate = async (userId, body = {}) => {
+    const response = await fetch(`${baseUrl}/generate/${userId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+test('a user runs out of tokens and is told when to retry', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await generate('u1', { status: 202 })).status, 202);
+    }
+    const limited = await generate('u1');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.error, 'Too many requests');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.strictEqual(limited.headers.get('ratelimit-remaining'), '0');
+
+    // Other users have their own buckets
+    assert.strictEqual((await generate('u2')).status, 202);
+});
+
+test('invalid requests give their token back', async () => {
+    for (let i = 0; i < 6; i++) {
+        assert.strictEqual((await generate('u1', { status: 400 })).status, 400);
+    }
+    assert.strictEqual((await generate('u1')).status, 202);
+});
+
+test('requests turned away by the quota still use up tokens', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await generate('u1', { status: 403 })).status, 403);
+    }
+    assert.strictEqual((await generate('u1')).body.error, 'Too many requests');
+});
+
+test('requests turned away for want of a free slot still use up tokens', async () => {
+    assert.strictEqual((await generate('u1', { hold: true })).status, 202);
+    for (let i = 0; i < 2; i++) {
+        const busy = await generate('u1');
+        assert.strictEqual(busy.status, 429);
+        assert.strictEqual(busy.body.error, 'Too many generations in progress');
+    }
+    assert.strictEqual((await generate('u1')).body.error, 'Too many requests');
+});
+
+test('a slot that is not kept is freed when the response ends', async () => {
+    assert.strictEqual((await generate('u1', { status: 202 })).status, 202);
+    assert.strictEqual((await generate('u1', { status: 202 })).status, 202);
+});
+
+test('lookups limited by IP are refused once the bucket is empty', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/lookup`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/lookup`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/lookup`)).status, 429);
+});
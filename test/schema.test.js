@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setProvider } = require('../ai');
+const { createFixtureProvider } = require('../ai/fixture');
+const { generateContent, generateMockTest } = require('../generation');
+const {
+    MAX_SNIPPET_CHARS,
+    validateQuestion,
+    validateQuizContent,
+    validateMockTest,
+    sanitizeQuestion
+} = require('../schema');
+
+const fixture = createFixtureProvider();
+
+// Fixture output for a request, parsed the way generation does
+const generateFixture = async (request) => JSON.parse(await fixture.generateText('', request));
+
+// Provider that answers each call with the next of `responses` (strings, or functions of the request)
+// and records the prompts it was sent
+const createScriptedProvider = (responses) => {
+    const prompts = [];
+    return {
+        prompts,
+        provider: {
+            name: 'scripted',
+            generateText: async (prompt, request) => {
+                prompts.push(prompt);
+                const next = responses[Math.min(prompts.length - 1, responses.length - 1)];
+                return typeof next === 'function' ? next(request) : next;
+            }
+        }
+    };
+};
+
+test.afterEach(() => setProvider(null));
+
+test('fixture quizzes of every generated type are valid', async () => {
+    for (const qType of ['multiple_choice', 'true_false', 'multi_select', 'fill_blank', 'short_answer', 'ordering', 'mix']) {
+        const spec = { qType, numOptions: 4, numQuestions: 3, includeFlashcards: true, requireDetails: true };
+        const content = await generateFixture({ task: 'quiz', ...spec });
+        assert.deepStrictEqual(validateQuizContent(content, spec), [], qType);
+    }
+});
+
+test('fixture quizzes with exact type counts are valid', async () => {
+    const spec = { typeCounts: { multiple_choice: 2, fill_blank: 1 }, numOptions: 4, numQuestions: 3, requireDetails: true };
+    const content = await generateFixture({ task: 'quiz', ...spec });
+    assert.deepStrictEqual(validateQuizContent(content, spec), []);
+});
+
+test('quiz validation reports the wrong question count and type counts', async () => {
+    const content = await generateFixture({ task: 'quiz', qType: 'multiple_choice', numOptions: 4, numQuestions: 2, requireDetails: true });
+    const errors = validateQuizContent(content, { typeCounts: { multiple_choice: 2, fill_blank: 1 }, numOptions: 4, numQuestions: 3 });
+    assert.ok(errors.includes('expected 3 questions, got 2'));
+    assert.ok(errors.includes('expected 1 fill_blank questions, got 0'));
+});
+
+test('quiz validation rejects malformed responses', () => {
+    assert.deepStrictEqual(validateQuizContent(null), ['response must be a JSON object']);
+    assert.deepStrictEqual(validateQuizContent({ questions: 'none' }), ['"questions" must be an array']);
+    assert.deepStrictEqual(validateQuizContent({ questions: [], flashcards: [] }, { includeFlashcards: true }), ['"flashcards" must be a non-empty array']);
+    assert.deepStrictEqual(
+        validateQuizContent({ questions: [], flashcards: [{ term: 'Cell', definition: '' }] }, { includeFlashcards: true }),
+        ['flashcards[0]: "term" and "definition" must be non-empty strings']
+    );
+});
+
+test('question validation checks the type, answer and details', () => {
+    const question = { question: 'Capital of France?', type: 'multiple_choice', options: ['Paris', 'Rome', 'Madrid', 'Oslo'], answer: 'Paris' };
+    assert.deepStrictEqual(validateQuestion(question, { qType: 'multiple_choice', numOptions: 4 }), []);
+    assert.ok(validateQuestion(question, { qType: 'true_false' }).includes('question: "type" must be true_false'));
+    assert.ok(validateQuestion({ ...question, type: 'essay' }).some(e => e.startsWith('question: "type" must be one of')));
+    assert.ok(validateQuestion({ ...question, answer: 'Berlin' }, { numOptions: 4 }).length > 0);
+
+    const details = validateQuestion(question, { requireDetails: true });
+    assert.ok(details.includes('question: "explanation" must be a non-empty string'));
+    assert.ok(details.includes('question: "difficulty" must be one of easy, medium, hard'));
+    assert.deepStrictEqual(validateQuestion({ ...question, difficulty: 'trivial' }), ['question: "difficulty" must be one of easy, medium, hard']);
+});
+
+test('source snippets are asked for and checked with the same length limit', async () => {
+    const { provider, prompts } = createScriptedProvider([(request) => fixture.generateText('', request)]);
+    setProvider(provider);
+    await generateContent('Plants turn light into sugar.', 'true_false', 4, 2, false);
+    assert.ok(prompts[0].includes(`an exact quote of at most ${MAX_SNIPPET_CHARS} characters`));
+
+    const question = { question: 'Plants make sugar.', type: 'true_false', options: ['True', 'False'], answer: 'True' };
+    assert.deepStrictEqual(validateQuestion({ ...question, source_snippet: 'x'.repeat(MAX_SNIPPET_CHARS) }), []);
+    assert.deepStrictEqual(validateQuestion({ ...question, source_snippet: 'x'.repeat(MAX_SNIPPET_CHARS + 1) }), [
+        `question: "source_snippet" must quote the source text in at most ${MAX_SNIPPET_CHARS} characters`
+    ]);
+});
+
+test('fixture mock tests are valid and bad answer letters are reported', async () => {
+    const data = await generateFixture({ task: 'mock_test', topic: 'Cells', difficulty: 'easy', numQuestions: 4 });
+    assert.deepStrictEqual(validateMockTest(data, { numQuestions: 4 }), []);
+    assert.deepStrictEqual(validateMockTest(data, { numQuestions: 5 }), ['expected 5 questions, got 4']);
+
+    data.mock_test.questions[1].correct_answer = 'E';
+    data.mock_test.questions[2].options[0] = 'Fixture option without a letter';
+    assert.deepStrictEqual(validateMockTest(data), [
+        'mock_test.questions[1]: "correct_answer" must be one of the option letters A, B, C, D',
+        'mock_test.questions[2]: "options" must be prefixed A), B), C), D)'
+    ]);
+    assert.deepStrictEqual(validateMockTest({ questions: [] }), ['response must be a JSON object with a "mock_test" object']);
+});
+
+test('sanitizing keeps the fields of the question type and normalizes details', () => {
+    const question = sanitizeQuestion({
+        question: 'Capital of France?',
+        type: 'MULTIPLE_CHOICE',
+        options: ['Paris', 'Rome'],
+        answer: 'Paris',
+        answers: ['Paris'],
+        difficulty: 'Hard',
+        tags: [' Geography ', 'geography', ''],
+        source_snippet: '  Paris is the capital.  ',
+        extra: 'dropped'
+    });
+    assert.strictEqual(question.type, 'multiple_choice');
+    assert.strictEqual(question.difficulty, 'hard');
+    assert.deepStrictEqual(question.tags, ['geography']);
+    assert.strictEqual(question.explanation, null);
+    assert.strictEqual(question.source.snippet, 'Paris is the capital.');
+    assert.strictEqual(question.extra, undefined);
+    assert.throws(() => sanitizeQuestion({ question: 'No type' }), /Invalid question structure/);
+});
+
+test('invalid output is sent back for repair with its errors', async () => {
+    const { provider, prompts } = createScriptedProvider([
+        'not json',
+        '{"questions": []}',
+        (request) => fixture.generateText('', request)
+    ]);
+    setProvider(provider);
+
+    const content = await generateContent('Plants turn light into sugar.', 'true_false', 4, 2, false);
+    assert.strictEqual(content.questions.length, 2);
+    assert.deepStrictEqual(validateQuizContent(content, { qType: 'true_false', numQuestions: 2, requireDetails: true }), []);
+    assert.strictEqual(prompts.length, 3);
+    assert.match(prompts[1], /Your previous response was invalid:\n- response is not valid JSON/);
+    assert.match(prompts[2], /- expected 2 questions, got 0/);
+    assert.match(prompts[2], /Previous response:\n\{"questions": \[\]\}/);
+});
+
+test('output still invalid after the repairs fails with a 502 listing the errors', async () => {
+    const { provider, prompts } = createScriptedProvider(['{"mock_test": {"questions": []}}']);
+    setProvider(provider);
+
+    await assert.rejects(generateMockTest('Cells', 'Cell biology', 'easy', 3), (err) => {
+        assert.strictEqual(err.status, 502);
+        assert.deepStrictEqual(err.details, ['expected 3 questions, got 0']);
+        return true;
+    });
+    assert.strictEqual(prompts.length, 3);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { SESSION_GRACE_SECONDS } = require('../sessions');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({
+        quiz_id: 'q1',
+        join_code: '123456',
+        user_id: 'owner',
+        content_name: 'Cells',
+        time_limit_minutes: 3,
+        questions: [{ question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom'], answer: 'Cell' }],
+        created_at: new Date()
+    });
+});
+
+const post = async (url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const leaderboard = async () => (await (await fetch(`${baseUrl}/api/leaderboard/q1`)).json()).leaderboard;
+
+test('a session finished before its deadline is scored once', async () => {
+    const started = await post('/api/quiz/q1/start', { playerName: 'Ada' });
+    assert.strictEqual(started.status, 201);
+    assert.strictEqual(started.body.time_limit_minutes, 3);
+    assert.strictEqual(new Date(started.body.deadline) - new Date(started.body.started_at), 3 * 60 * 1000);
+
+    const attempt = await post('/api/quiz/q1/attempt', { sessionId: started.body.session_id, answers: ['Cell'] });
+    assert.strictEqual(attempt.status, 201);
+    assert.strictEqual(attempt.body.status, 'completed');
+    assert.strictEqual(attempt.body.late, false);
+    assert.deepStrictEqual((await leaderboard()).map(row => row.player_name), ['Ada']);
+
+    const again = await post('/api/quiz/q1/attempt', { sessionId: started.body.session_id, answers: ['Cell'] });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual((await leaderboard()).length, 1);
+});
+
+test('late submissions are graded but left off the leaderboard', async () => {
+    const started = await post('/api/quiz/q1/start', { playerName: 'Ada' });
+    await getStore().sessions.claim(started.body.session_id, () => ({
+        deadline: new Date(Date.now() - (SESSION_GRACE_SECONDS + 1) * 1000)
+    }));
+
+    const attempt = await post('/api/quiz/q1/attempt', { sessionId: started.body.session_id, answers: ['Cell'] });
+    assert.strictEqual(attempt.status, 201);
+    assert.strictEqual(attempt.body.status, 'late');
+    assert.strictEqual(attempt.body.late, true);
+    assert.strictEqual(attempt.body.score, 1);
+    assert.deepStrictEqual(await leaderboard(), []);
+});
+
+test('made-up sessions and sessions of another quiz are refused', async () => {
+    assert.strictEqual((await post('/api/quiz/q1/attempt', { sessionId: 'made-up', answers: ['Cell'] })).status, 404);
+
+    await getStore().quizzes.create({ quiz_id: 'q2', join_code: '654321', user_id: 'owner', questions: [{ question: 'Q?', type: 'true_false', options: ['True', 'False'], answer: 'True' }] });
+    const other = await post('/api/quiz/q2/start', { playerName: 'Ada' });
+    assert.strictEqual((await post('/api/quiz/q1/attempt', { sessionId: other.body.session_id, answers: ['Cell'] })).status, 400);
+});
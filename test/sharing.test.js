@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'sharing-test-secret';
+
+const app = require('../server');
+const { setStore, getStore, createRepositories } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { signToken } = require('../auth/local');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(async () => {
+    setStore(createRepositories(createJsonDriver()));
+    await getStore().quizzes.create({
+        quiz_id: 'q1',
+        join_code: '123456',
+        user_id: 'owner',
+        content_name: 'Cells',
+        visibility: 'private',
+        questions: [{ question: 'Unit of life?', type: 'multiple_choice', options: ['Cell', 'Atom'], answer: 'Cell' }],
+        created_at: new Date()
+    });
+});
+
+const request = async (method, url, { user, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(user ? { Authorization: `Bearer ${signToken(user)}` } : {}), ...headers },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const canOpen = async (options) => (await request('GET', '/api/quiz/q1', options)).status === 200;
+
+test('private quizzes open for their owner and through share links until revoked', async () => {
+    assert.strictEqual(await canOpen({ user: 'owner' }), true);
+    assert.strictEqual(await canOpen({ user: 'someone' }), false);
+    assert.strictEqual(await canOpen(), false);
+    assert.deepStrictEqual((await request('GET', '/api/recent')).body.map(q => q.quiz_id), []);
+
+    const link = await request('POST', '/api/quiz/q1/share-links', { user: 'owner', body: {} });
+    assert.strictEqual(link.status, 201);
+    assert.ok(link.body.quiz_link.endsWith(`?share=${link.body.token}`));
+    assert.strictEqual((await request('GET', `/api/quiz/q1?share=${link.body.token}`)).status, 200);
+    assert.strictEqual(await canOpen({ headers: { 'X-Share-Token': link.body.token } }), true);
+
+    assert.strictEqual((await request('DELETE', `/api/quiz/q1/share-links/${link.body.token}`, { user: 'owner' })).status, 200);
+    assert.strictEqual(await canOpen({ headers: { 'X-Share-Token': link.body.token } }), false);
+});
+
+test('expired links and links of other quizzes open nothing', async () => {
+    const link = await request('POST', '/api/quiz/q1/share-links', { user: 'owner', body: { expires_in_hours: 1 } });
+    await getStore().shareLinks.update(link.body.token, { expires_at: new Date(Date.now() - 1000) });
+    assert.strictEqual(await canOpen({ headers: { 'X-Share-Token': link.body.token } }), false);
+
+    await getStore().shareLinks.create('other', { token: 'other', quiz_id: 'q2', created_at: new Date(), expires_at: null, revoked_at: null });
+    assert.strictEqual(await canOpen({ headers: { 'X-Share-Token': 'other' } }), false);
+
+    const invalid = await request('POST', '/api/quiz/q1/share-links', { user: 'owner', body: { expires_in_hours: -1 } });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await request('POST', '/api/quiz/q1/share-links', { user: 'someone', body: {} })).status, 403);
+});
+
+test('shared quizzes open for listed users and group members', async () => {
+    const group = await request('POST', '/api/groups', { user: 'owner', body: { name: 'Class', members: ['student'] } });
+    const shared = await request('PATCH', '/api/quiz/q1/visibility', {
+        user: 'owner',
+        body: { visibility: 'shared', shared_with_users: ['friend'], shared_with_groups: [group.body.group_id] }
+    });
+    assert.strictEqual(shared.status, 200);
+    assert.strictEqual(await canOpen({ user: 'friend' }), true);
+    assert.strictEqual(await canOpen({ user: 'student' }), true);
+    assert.strictEqual(await canOpen({ user: 'someone' }), false);
+
+    await request('PUT', `/api/groups/${group.body.group_id}/members`, { user: 'owner', body: { members: [] } });
+    assert.strictEqual(await canOpen({ user: 'student' }), false);
+
+    const invalid = await request('PATCH', '/api/quiz/q1/visibility', { user: 'owner', body: { visibility: 'secret' } });
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('public quizzes are listed and unlisted ones only open by id', async () => {
+    await request('PATCH', '/api/quiz/q1/visibility', { user: 'owner', body: { visibility: 'public' } });
+    assert.deepStrictEqual((await request('GET', '/api/recent')).body.map(q => q.quiz_id), ['q1']);
+
+    await request('PATCH', '/api/quiz/q1/visibility', { user: 'owner', body: { visibility: 'unlisted' } });
+    assert.deepStrictEqual((await request('GET', '/api/recent')).body, []);
+    assert.strictEqual(await canOpen(), true);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonDriver } = require('../store/json');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('documents and their dates survive a reload from the file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    const filePath = path.join(dir, 'store.json');
+    const createdAt = new Date('2026-03-02T09:00:00Z');
+    const driver = createJsonDriver({ filePath });
+    await driver.set('quizzes', 'q1', { title: 'Cells', created_at: createdAt, stats: { plays: 1 } });
+    await driver.update('quizzes', 'q1', { 'stats.plays': 2 });
+
+    const reloaded = createJsonDriver({ filePath });
+    assert.deepStrictEqual(await reloaded.get('quizzes', 'q1'), { title: 'Cells', created_at: createdAt, stats: { plays: 2 } });
+    assert.deepStrictEqual((await reloaded.query('quizzes', { where: [['created_at', '<=', new Date()]] })).map(r => r.id), ['q1']);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('plain writes wait for the transaction in progress', async () => {
+    const driver = createJsonDriver();
+    await driver.set('counters', 'c1', { count: 1 });
+
+    const transaction = driver.runTransaction(async (tx) => {
+        const counter = await tx.get('counters', 'c1');
+        await tick();
+        tx.set('counters', 'c1', { count: counter.count + 1 });
+    });
+    // Sent while the transaction is between its read and its write
+    const write = driver.set('counters', 'c1', { count: 10 });
+    await Promise.all([transaction, write]);
+
+    assert.deepStrictEqual(await driver.get('counters', 'c1'), { count: 10 });
+});
+
+test('a failed transaction writes nothing and does not hold up later writes', async () => {
+    const driver = createJsonDriver();
+    await assert.rejects(driver.runTransaction(async (tx) => {
+        tx.set('counters', 'c1', { count: 1 });
+        throw new Error('conflict');
+    }), /conflict/);
+    assert.strictEqual(await driver.get('counters', 'c1'), null);
+
+    await assert.rejects(driver.update('counters', 'c1', { count: 2 }), /No document to update/);
+    await driver.set('counters', 'c1', { count: 3 });
+    assert.deepStrictEqual(await driver.get('counters', 'c1'), { count: 3 });
+});
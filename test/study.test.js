@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setStore, createRepositories, getStore } = require('../store');
+const { createJsonDriver } = require('../store/json');
+const { scheduleReview, startDeck, getNextCards, reviewCard, removeDeck } = require('../study');
+
+const now = new Date('2026-03-02T09:00:00Z');
+
+const saveQuiz = (quizId, userId, flashcards) => getStore().quizzes.create({
+    quiz_id: quizId,
+    join_code: String(Math.floor(100000 + Math.random() * 900000)),
+    user_id: userId,
+    visibility: 'public',
+    questions: [],
+    flashcards,
+    created_at: now
+});
+
+const asUser = (uid) => ({ user: { uid }, query: {}, headers: {} });
+
+test.beforeEach(() => {
+    setStore(createRepositories(createJsonDriver()));
+});
+
+test('new cards go through the learning steps before graduating', () => {
+    let card = { state: 'new' };
+    card = scheduleReview(card, 'good', now);
+    assert.strictEqual(card.state, 'learning');
+    assert.strictEqual(card.due_at.getTime() - now.getTime(), 10 * 60 * 1000);
+
+    card = scheduleReview(card, 'good', now);
+    assert.strictEqual(card.state, 'review');
+    assert.strictEqual(card.interval_days, 1);
+
+    const lapsed = scheduleReview(card, 'again', now);
+    assert.strictEqual(lapsed.state, 'relearning');
+    assert.strictEqual(lapsed.lapses, 1);
+    assert.ok(lapsed.ease < card.ease);
+});
+
+test('a deck is studied card by card', async () => {
+    await saveQuiz('q1', 'owner', [{ term: 'Cell', definition: 'Unit of life' }, { term: 'Atom', definition: 'Unit of matter' }]);
+    const req = asUser('u1');
+    const { created, deck } = await startDeck(await getStore().quizzes.findByQuizId('q1'), req, now);
+    assert.strictEqual(created, true);
+    assert.strictEqual(deck.new_available, 2);
+
+    const { cards } = await getNextCards('q1', req, 10, now);
+    assert.deepStrictEqual(cards.map(c => c.term), ['Cell', 'Atom']);
+    const reviewed = await reviewCard('q1', cards[0].card_key, 'easy', req, now);
+    assert.strictEqual(reviewed.state, 'review');
+    assert.strictEqual(reviewed.interval_days, 4);
+
+    await assert.rejects(reviewCard('q1', cards[1].card_key, 'perfect', req, now), { status: 400 });
+    await assert.rejects(reviewCard('q1', 'missing', 'good', req, now), { status: 404 });
+});
+
+test('decks are kept apart even when ids contain the separator', async () => {
+    await saveQuiz('b_c', 'owner', [{ term: 'Cell', definition: 'Unit of life' }]);
+    await saveQuiz('c', 'owner', [{ term: 'Atom', definition: 'Unit of matter' }]);
+    await startDeck(await getStore().quizzes.findByQuizId('b_c'), asUser('a'), now);
+
+    // `a` + `b_c` and `a_b` + `c` joined with an underscore would share an id
+    await assert.rejects(getNextCards('c', asUser('a_b'), 10, now), { status: 404 });
+    const { created } = await startDeck(await getStore().quizzes.findByQuizId('c'), asUser('a_b'), now);
+    assert.strictEqual(created, true);
+    assert.deepStrictEqual((await getNextCards('b_c', asUser('a'), 10, now)).cards.map(c => c.term), ['Cell']);
+
+    await removeDeck('b_c', 'a');
+    await assert.rejects(removeDeck('b_c', 'a'), { status: 404 });
+    assert.deepStrictEqual((await getNextCards('c', asUser('a_b'), 10, now)).cards.map(c => c.term), ['Atom']);
+});